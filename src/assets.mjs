@@ -0,0 +1,353 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Logger } from './logger.mjs';
+
+/**
+ * @typedef {Object} AssetEntry
+ * @property {string} file - Filename in the assets directory (content hash + extension)
+ * @property {string} contentType - Content-Type of the download
+ * @property {number} bytes - Size of the file
+ * @property {string} downloadedAt - ISO timestamp of the download
+ */
+
+/** Directory (inside the output directory) that holds downloaded assets */
+export const ASSETS_DIR = 'assets';
+
+/** Images larger than this are left online */
+const MAX_ASSET_BYTES = 20 * 1024 * 1024;
+
+/** @type {Record<string, string>} */
+const IMAGE_EXTENSIONS = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/svg+xml': '.svg',
+  'image/webp': '.webp',
+  'image/avif': '.avif',
+  'image/bmp': '.bmp',
+  'image/x-icon': '.ico',
+  'image/vnd.microsoft.icon': '.ico'
+};
+
+/** Embedded players replaced with a link instead of being dropped */
+const VIDEO_HOSTS = /(^|\.)(youtube\.com|youtube-nocookie\.com|youtu\.be|vimeo\.com|wistia\.com|wistia\.net|brightcove\.net|loom\.com|kaltura\.com)$/i;
+
+/**
+ * Read an attribute value from the attribute part of an HTML tag
+ * @param {string} attributes - Everything between the tag name and '>'
+ * @param {string} name - Attribute name
+ * @returns {string | null} Decoded value, null if the attribute is missing
+ */
+function getAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'));
+  if (!match) {
+    return null;
+  }
+  return (match[1] !== undefined ? match[1] : match[2])
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Turn a player embed URL into the URL of the video page where possible
+ * @param {URL} url - Embed URL
+ * @returns {string}
+ */
+function videoPageUrl(url) {
+  const youtube = url.hostname.match(/youtube(-nocookie)?\.com$/) && url.pathname.match(/^\/embed\/([\w-]+)/);
+  if (youtube) {
+    return `https://www.youtube.com/watch?v=${youtube[1]}`;
+  }
+  const vimeo = url.hostname === 'player.vimeo.com' && url.pathname.match(/^\/video\/(\d+)/);
+  if (vimeo) {
+    return `https://vimeo.com/${vimeo[1]}`;
+  }
+  return url.href;
+}
+
+/**
+ * Placeholder paragraph that links to an embedded video
+ * @param {string} src - Player or video source URL as found in the HTML
+ * @param {string | null} title - Title of the embed, if any
+ * @param {string} pageUrl - URL of the page (base for relative sources)
+ * @returns {string | null} Placeholder HTML, null if the source is not a usable URL
+ */
+function videoPlaceholder(src, title, pageUrl) {
+  let url;
+  try {
+    url = new URL(src, pageUrl);
+  } catch {
+    return null;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return null;
+  }
+
+  const label = title && title.trim() ? title.trim() : `Embedded video (${url.hostname.replace(/^www\./, '')})`;
+  return `<p class="embedded-video"><a href="${escapeHtml(videoPageUrl(url))}">Video: ${escapeHtml(label)}</a></p>`;
+}
+
+/**
+ * Replace embedded videos (player iframes and <video> elements) with a link
+ * placeholder carrying their title. Other iframes are removed.
+ * @param {string} html - Cleaned page HTML
+ * @param {string} pageUrl - URL of the page (base for relative sources)
+ * @returns {string}
+ */
+export function replaceEmbeddedMedia(html, pageUrl) {
+  return html
+    .replace(/<iframe\b([^>]*)>[\s\S]*?<\/iframe>/gi, (_tag, attributes) => {
+      const src = getAttribute(attributes, 'src') || getAttribute(attributes, 'data-src');
+      if (!src) {
+        return '';
+      }
+      let host;
+      try {
+        host = new URL(src, pageUrl).hostname;
+      } catch {
+        return '';
+      }
+      if (!VIDEO_HOSTS.test(host)) {
+        return '';
+      }
+      return videoPlaceholder(src, getAttribute(attributes, 'title') || getAttribute(attributes, 'aria-label'), pageUrl) || '';
+    })
+    .replace(/<video\b([^>]*)>([\s\S]*?)<\/video>/gi, (_tag, attributes, inner) => {
+      const source = inner.match(/<source\b([^>]*)>/i);
+      const src = getAttribute(attributes, 'src') || (source ? getAttribute(source[1], 'src') : null);
+      if (!src) {
+        return '';
+      }
+      return videoPlaceholder(src, getAttribute(attributes, 'title') || getAttribute(attributes, 'aria-label'), pageUrl) || '';
+    });
+}
+
+/**
+ * Absolute URLs of the images referenced in cleaned page HTML (http/https only, in order, without duplicates)
+ * @param {string} html - Cleaned page HTML
+ * @param {string} pageUrl - URL of the page (base for relative sources)
+ * @returns {string[]}
+ */
+export function extractImageUrls(html, pageUrl) {
+  /** @type {Set<string>} */
+  const urls = new Set();
+  for (const match of html.matchAll(/<img\b([^>]*)>/gi)) {
+    const src = getAttribute(match[1], 'src');
+    if (!src) {
+      continue;
+    }
+    try {
+      const url = new URL(src.trim(), pageUrl);
+      if (url.protocol === 'http:' || url.protocol === 'https:') {
+        urls.add(url.href);
+      }
+    } catch {
+      // Not a URL, leave it alone
+    }
+  }
+  return Array.from(urls);
+}
+
+/**
+ * Content-hash filename for a downloaded image
+ * @param {Buffer} body - Image bytes
+ * @param {string} url - Image URL (fallback for the extension)
+ * @param {string} contentType - Content-Type of the response
+ * @returns {string}
+ */
+export function assetFilename(body, url, contentType) {
+  const hash = crypto.createHash('sha256').update(body).digest('hex').slice(0, 16);
+  const pathExtension = path.extname(new URL(url).pathname).toLowerCase();
+  const extension = IMAGE_EXTENSIONS[contentType.split(';')[0].trim().toLowerCase()]
+    || (/^\.[a-z0-9]{2,5}$/.test(pathExtension) ? pathExtension : '.img');
+  return `${hash}${extension}`;
+}
+
+/**
+ * Read assets/manifest.json; entries whose file is gone are dropped
+ * @param {string} assetsDir - Directory of the downloaded images
+ * @param {Logger} [logger] - Where an unreadable manifest is reported
+ * @returns {Map<string, AssetEntry>} Image URL -> downloaded file
+ */
+export function readAssetManifest(assetsDir, logger = new Logger()) {
+  /** @type {Map<string, AssetEntry>} */
+  const entries = new Map();
+  const manifestPath = path.join(assetsDir, 'manifest.json');
+  if (!fs.existsSync(manifestPath)) {
+    return entries;
+  }
+
+  try {
+    /** @type {Record<string, AssetEntry>} */
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+    for (const [url, entry] of Object.entries(manifest)) {
+      if (entry && entry.file && fs.existsSync(path.join(assetsDir, entry.file))) {
+        entries.set(url, entry);
+      }
+    }
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : String(error);
+    logger.warn(`Warning: Cannot read ${manifestPath}, its images are treated as not downloaded: ${errorMessage}`, { file: manifestPath });
+  }
+  return entries;
+}
+
+/**
+ * Downloaded images of a crawl output, shared by all pages.
+ *
+ * Files are named after a hash of their content, so the same image linked
+ * under several URLs is stored once. manifest.json maps every image URL to
+ * its file; an image is downloaded once and reused by later crawls as long
+ * as its file exists.
+ */
+export class AssetStore {
+  /**
+   * @param {string} assetsDir - Directory for the files (e.g. output/assets)
+   * @param {import('./http.mjs').Fetcher} fetcher - Fetcher used for the downloads
+   * @param {Logger} [logger] - Where warnings about the manifest and failed downloads go
+   * @param {() => Promise<void>} [throttle] - Waits before each download (the crawler spaces them like page fetches)
+   */
+  constructor(assetsDir, fetcher, logger = new Logger(), throttle = async () => {}) {
+    /** @type {string} */
+    this.assetsDir = assetsDir;
+    /** @type {string} */
+    this.manifestPath = path.join(assetsDir, 'manifest.json');
+    /** @type {import('./http.mjs').Fetcher} */
+    this.fetcher = fetcher;
+    /** @type {Logger} */
+    this.logger = logger;
+    /** @type {() => Promise<void>} */
+    this.throttle = throttle;
+    /** @type {Map<string, AssetEntry>} - Image URL -> downloaded file */
+    this.entries = new Map();
+    /** @type {Set<string>} - Image URLs whose download failed in this run, not tried again */
+    this.failed = new Set();
+    /** @type {Map<string, Promise<string | null>>} - Downloads in progress */
+    this.inFlight = new Map();
+    /** @type {{downloaded: number, reused: number, failed: number}} - Image references handled by this run */
+    this.counts = { downloaded: 0, reused: 0, failed: 0 };
+  }
+
+  /**
+   * Read manifest.json (see readAssetManifest)
+   * @returns {void}
+   */
+  load() {
+    this.entries = readAssetManifest(this.assetsDir, this.logger);
+  }
+
+  /**
+   * Write manifest.json
+   * @returns {void}
+   */
+  save() {
+    fs.mkdirSync(this.assetsDir, { recursive: true });
+    fs.writeFileSync(this.manifestPath, JSON.stringify(Object.fromEntries(this.entries), null, 2));
+  }
+
+  /**
+   * Local file of a downloaded image
+   * @param {string} url - Absolute image URL
+   * @returns {string | null} Filename in the assets directory, null if not downloaded
+   */
+  lookup(url) {
+    return this.entries.get(url)?.file || null;
+  }
+
+  /**
+   * Make sure every image is downloaded. Failures are logged once and leave the image online.
+   * @param {string[]} urls - Absolute image URLs
+   * @returns {Promise<void>}
+   */
+  async download(urls) {
+    let added = false;
+    for (const url of urls) {
+      if (this.entries.has(url)) {
+        this.counts.reused++;
+        continue;
+      }
+      if (this.failed.has(url)) {
+        this.counts.failed++;
+        continue;
+      }
+
+      let pending = this.inFlight.get(url);
+      if (!pending) {
+        pending = this.fetchAsset(url);
+        this.inFlight.set(url, pending);
+      }
+      const file = await pending;
+      this.inFlight.delete(url);
+      if (file) {
+        added = true;
+      }
+    }
+
+    if (added) {
+      this.save();
+    }
+  }
+
+  /**
+   * Download one image into the assets directory
+   * @param {string} url - Absolute image URL
+   * @returns {Promise<string | null>} Filename, null if the download failed
+   */
+  async fetchAsset(url) {
+    try {
+      await this.throttle();
+      const response = await this.fetcher(url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const contentType = response.headers['content-type'] || '';
+      if (!contentType.toLowerCase().startsWith('image/')) {
+        throw new Error(`not an image (${contentType || 'no content type'})`);
+      }
+      if (response.body.length > MAX_ASSET_BYTES) {
+        throw new Error(`too large (${response.body.length} bytes)`);
+      }
+
+      const file = assetFilename(response.body, url, contentType);
+      const filepath = path.join(this.assetsDir, file);
+      if (!fs.existsSync(filepath)) {
+        fs.mkdirSync(this.assetsDir, { recursive: true });
+        fs.writeFileSync(filepath, response.body);
+      }
+
+      this.entries.set(url, {
+        file,
+        contentType: contentType.split(';')[0].trim(),
+        bytes: response.body.length,
+        downloadedAt: new Date().toISOString()
+      });
+      this.counts.downloaded++;
+      return file;
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      this.logger.warn(`Warning: Cannot download image ${url}: ${errorMessage}`, { url });
+      this.failed.add(url);
+      this.counts.failed++;
+      return null;
+    }
+  }
+
+  /**
+   * Number of distinct files in the assets directory
+   * @returns {number}
+   */
+  fileCount() {
+    return new Set(Array.from(this.entries.values(), entry => entry.file)).size;
+  }
+}
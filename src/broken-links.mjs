@@ -0,0 +1,94 @@
+/**
+ * @typedef {Object} BrokenLink
+ * @property {string} url - Dead URL as linked
+ * @property {number | null} status - HTTP status (null if the request failed)
+ * @property {string | null} error - Status text or network error
+ * @property {string | null} finalUrl - URL the request ended at, if it redirected
+ * @property {string[]} referrers - Pages linking to the URL, sorted
+ */
+
+/**
+ * @typedef {Object} BrokenLinkReport
+ * @property {string} generatedAt - ISO timestamp of the report
+ * @property {string} baseUrl - Crawled documentation root
+ * @property {number} count - Number of dead URLs
+ * @property {BrokenLink[]} links - Dead URLs, most referenced first
+ */
+
+/**
+ * HTTP statuses that mean the page is gone for good (as opposed to server errors)
+ * @param {number | null} status - HTTP status
+ * @returns {boolean}
+ */
+export function isGoneStatus(status) {
+  return status === 404 || status === 410;
+}
+
+/**
+ * Build the broken-link report from the failed fetches and the referrer map of a crawl
+ * @param {Map<string, {status: number | null, error: string | null, finalUrl: string | null}>} failures - Failed fetches by URL
+ * @param {Map<string, Set<string>>} referrers - Linked URL -> pages linking to it
+ * @param {string} baseUrl - Crawled documentation root
+ * @returns {BrokenLinkReport}
+ */
+export function buildBrokenLinkReport(failures, referrers, baseUrl) {
+  /** @type {BrokenLink[]} */
+  const links = [];
+  for (const [url, failure] of failures) {
+    links.push({
+      url,
+      status: failure.status,
+      error: failure.error,
+      finalUrl: failure.finalUrl,
+      referrers: Array.from(referrers.get(url) || []).sort()
+    });
+  }
+  links.sort((a, b) => b.referrers.length - a.referrers.length || a.url.localeCompare(b.url));
+
+  return {
+    generatedAt: new Date().toISOString(),
+    baseUrl,
+    count: links.length,
+    links
+  };
+}
+
+/**
+ * Render the broken-link report as markdown
+ * @param {BrokenLinkReport} report - Broken-link report
+ * @param {string} title - Documentation title
+ * @returns {string}
+ */
+export function renderBrokenLinksMarkdown(report, title) {
+  const lines = [
+    `# ${title}: Broken Links`,
+    '',
+    `**Generated:** ${report.generatedAt}`,
+    `**Broken URLs:** ${report.count}`,
+    ''
+  ];
+
+  if (report.links.length === 0) {
+    lines.push('No broken links found.');
+    return lines.join('\n') + '\n';
+  }
+
+  for (const link of report.links) {
+    const outcome = link.status !== null
+      ? `HTTP ${link.status}${link.error ? ` ${link.error}` : ''}`
+      : `Request failed: ${link.error || 'unknown error'}`;
+
+    lines.push(`## ${link.url}`, '', `- **Status:** ${outcome}`);
+    if (link.finalUrl) {
+      lines.push(`- **Redirected to:** ${link.finalUrl}`);
+    }
+    if (link.referrers.length > 0) {
+      lines.push(`- **Linked from (${link.referrers.length}):**`, ...link.referrers.map(referrer => `  - ${referrer}`));
+    } else {
+      lines.push('- **Linked from:** no crawled page (start URL, sitemap or frontier)');
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,319 @@
+/**
+ * @typedef {Object} PageChange
+ * @property {'added' | 'removed' | 'changed' | 'redirected'} kind - What happened to the page since the previous crawl
+ * @property {string} url - Page URL (the redirect source for 'redirected')
+ * @property {string} title - Page title (empty if unknown)
+ * @property {string} detectedAt - ISO timestamp when the change was detected
+ * @property {string} [redirectTo] - Redirect target ('redirected' only)
+ * @property {string} [diff] - Unified diff of the markdown ('changed' only)
+ * @property {number} [linesAdded] - Added markdown lines ('changed' only)
+ * @property {number} [linesRemoved] - Removed markdown lines ('changed' only)
+ */
+
+/**
+ * @typedef {Object} ChangeReport
+ * @property {string} generatedAt - ISO timestamp of the report
+ * @property {string} baseUrl - Start URL of the crawl
+ * @property {boolean} complete - False if the crawl stopped early; removals are only reported for complete crawls
+ * @property {{added: number, removed: number, changed: number, redirected: number, unchanged: number}} counts - Pages per change kind
+ * @property {PageChange[]} changes - Changed pages
+ */
+
+/**
+ * @typedef {Object} DiffLine
+ * @property {' ' | '-' | '+'} type - Context, removed or added line
+ * @property {string} text - Line content
+ */
+
+/**
+ * Above this many old x new lines the diff falls back to replacing the whole
+ * changed region instead of computing a longest common subsequence
+ */
+const MAX_LCS_CELLS = 4_000_000;
+
+/**
+ * Number of feed entries kept across crawls
+ */
+export const CHANGE_HISTORY_LIMIT = 100;
+
+/**
+ * Line-by-line diff of two texts
+ * @param {string} oldText - Previous text
+ * @param {string} newText - Current text
+ * @returns {DiffLine[]}
+ */
+export function diffLines(oldText, newText) {
+  const a = oldText.split('\n');
+  const b = newText.split('\n');
+
+  // Common prefix and suffix need no LCS
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix
+    && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+    suffix++;
+  }
+
+  const oldMiddle = a.slice(prefix, a.length - suffix);
+  const newMiddle = b.slice(prefix, b.length - suffix);
+
+  /** @type {DiffLine[]} */
+  const lines = a.slice(0, prefix).map(text => ({ type: /** @type {' '} */ (' '), text }));
+  lines.push(...diffMiddle(oldMiddle, newMiddle));
+  lines.push(...a.slice(a.length - suffix).map(text => ({ type: /** @type {' '} */ (' '), text })));
+  return lines;
+}
+
+/**
+ * LCS diff of the region between the common prefix and suffix
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {DiffLine[]}
+ */
+function diffMiddle(a, b) {
+  const n = a.length;
+  const m = b.length;
+
+  if (n * m > MAX_LCS_CELLS) {
+    return [
+      ...a.map(text => ({ type: /** @type {'-'} */ ('-'), text })),
+      ...b.map(text => ({ type: /** @type {'+'} */ ('+'), text }))
+    ];
+  }
+
+  // lcs[i * (m + 1) + j] = LCS length of a[i..] and b[j..]
+  const width = m + 1;
+  const lcs = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  /** @type {DiffLine[]} */
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      lines.push({ type: ' ', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      lines.push({ type: '-', text: a[i] });
+      i++;
+    } else {
+      lines.push({ type: '+', text: b[j] });
+      j++;
+    }
+  }
+  while (i < n) {
+    lines.push({ type: '-', text: a[i++] });
+  }
+  while (j < m) {
+    lines.push({ type: '+', text: b[j++] });
+  }
+  return lines;
+}
+
+/**
+ * Unified diff of two texts
+ * @param {string} oldText - Previous text
+ * @param {string} newText - Current text
+ * @param {Object} [options] - Diff options
+ * @param {string} [options.fromFile] - Label of the old side (default: 'a')
+ * @param {string} [options.toFile] - Label of the new side (default: 'b')
+ * @param {number} [options.context] - Context lines around each change (default: 3)
+ * @returns {string} Unified diff, or '' if the texts are equal
+ */
+export function unifiedDiff(oldText, newText, options = {}) {
+  const context = options.context !== undefined ? options.context : 3;
+  const lines = diffLines(oldText, newText);
+
+  // Old/new line numbers before each diff line
+  const oldBefore = [];
+  const newBefore = [];
+  let oldCount = 0;
+  let newCount = 0;
+  for (const line of lines) {
+    oldBefore.push(oldCount);
+    newBefore.push(newCount);
+    if (line.type !== '+') oldCount++;
+    if (line.type !== '-') newCount++;
+  }
+
+  const changed = lines.flatMap((line, index) => line.type === ' ' ? [] : [index]);
+  if (changed.length === 0) {
+    return '';
+  }
+
+  // Group changes whose context overlaps into hunks
+  /** @type {[number, number][]} */
+  const ranges = [];
+  for (const index of changed) {
+    const start = Math.max(0, index - context);
+    const end = Math.min(lines.length, index + context + 1);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = end;
+    } else {
+      ranges.push([start, end]);
+    }
+  }
+
+  const output = [`--- ${options.fromFile || 'a'}`, `+++ ${options.toFile || 'b'}`];
+  for (const [start, end] of ranges) {
+    const hunk = lines.slice(start, end);
+    const oldLength = hunk.filter(line => line.type !== '+').length;
+    const newLength = hunk.filter(line => line.type !== '-').length;
+    const oldStart = oldLength > 0 ? oldBefore[start] + 1 : oldBefore[start];
+    const newStart = newLength > 0 ? newBefore[start] + 1 : newBefore[start];
+
+    output.push(`@@ -${oldStart},${oldLength} +${newStart},${newLength} @@`);
+    output.push(...hunk.map(line => `${line.type}${line.text}`));
+  }
+
+  return output.join('\n');
+}
+
+/**
+ * Describe a page change for a human reader
+ * @param {PageChange} change - Page change
+ * @returns {string}
+ */
+function describeChange(change) {
+  switch (change.kind) {
+    case 'changed':
+      return `+${change.linesAdded || 0} / -${change.linesRemoved || 0} lines`;
+    case 'redirected':
+      return `Now redirects to ${change.redirectTo}`;
+    case 'removed':
+      return 'No longer linked from the documentation';
+    default:
+      return 'New page';
+  }
+}
+
+/**
+ * Render the human-readable CHANGES.md
+ * @param {ChangeReport} report - Change report
+ * @param {string} title - Documentation title
+ * @returns {string}
+ */
+export function renderChangesMarkdown(report, title) {
+  const { counts } = report;
+  const lines = [
+    `# ${title} Changes`,
+    '',
+    `**Generated:** ${report.generatedAt}`,
+    `**Added:** ${counts.added} | **Changed:** ${counts.changed} | **Removed:** ${counts.removed} | **Redirected:** ${counts.redirected} | **Unchanged:** ${counts.unchanged}`,
+    ''
+  ];
+
+  if (!report.complete) {
+    lines.push('> The crawl did not finish, so removed pages are not reported.', '');
+  }
+
+  if (report.changes.length === 0) {
+    lines.push('No documentation changes since the previous crawl.');
+    return lines.join('\n') + '\n';
+  }
+
+  /** @type {[PageChange['kind'], string][]} */
+  const sections = [['added', 'Added'], ['changed', 'Changed'], ['removed', 'Removed'], ['redirected', 'Redirected']];
+  for (const [kind, heading] of sections) {
+    const changes = report.changes.filter(change => change.kind === kind);
+    if (changes.length === 0) {
+      continue;
+    }
+
+    lines.push(`## ${heading} (${changes.length})`, '');
+    for (const change of changes) {
+      if (kind === 'changed') {
+        lines.push(`### [${change.title || change.url}](${change.url})`, '', describeChange(change), '', '```diff', change.diff || '', '```', '');
+      } else if (kind === 'redirected') {
+        lines.push(`- ${change.url} → ${change.redirectTo}`);
+      } else {
+        lines.push(`- [${change.title || change.url}](${change.url})`);
+      }
+    }
+    if (kind !== 'changed') {
+      lines.push('');
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Escape text for XML element content and attributes
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render an Atom feed of page changes
+ * @param {PageChange[]} changes - Feed entries, newest first
+ * @param {Object} feed - Feed metadata
+ * @param {string} feed.title - Feed title
+ * @param {string} feed.link - Documentation URL the feed is about
+ * @param {string} [feed.updated] - Feed timestamp (default: newest entry or now)
+ * @returns {string} Atom XML
+ */
+export function renderAtomFeed(changes, feed) {
+  const updated = feed.updated || changes[0]?.detectedAt || new Date().toISOString();
+  const label = {
+    added: 'Added',
+    removed: 'Removed',
+    changed: 'Changed',
+    redirected: 'Redirected'
+  };
+
+  const entries = changes.map(change => [
+    '  <entry>',
+    `    <title>${escapeXml(`${label[change.kind]}: ${change.title || change.url}`)}</title>`,
+    `    <id>${escapeXml(`${change.url}#${change.kind}-${change.detectedAt}`)}</id>`,
+    `    <link href="${escapeXml(change.kind === 'redirected' && change.redirectTo ? change.redirectTo : change.url)}"/>`,
+    `    <updated>${change.detectedAt}</updated>`,
+    `    <category term="${change.kind}"/>`,
+    `    <summary>${escapeXml(describeChange(change))}</summary>`,
+    ...(change.diff ? [`    <content type="text">${escapeXml(change.diff)}</content>`] : []),
+    '  </entry>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <id>${escapeXml(`${feed.link}#changes`)}</id>`,
+    `  <link href="${escapeXml(feed.link)}"/>`,
+    `  <updated>${updated}</updated>`,
+    `  <author><name>sitefinity-docs-crawler</name></author>`,
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Prepend this crawl's changes to the rolling feed history
+ * @param {PageChange[]} history - Entries from previous crawls, newest first
+ * @param {PageChange[]} changes - Changes from this crawl
+ * @param {number} [limit] - Maximum entries kept (default: CHANGE_HISTORY_LIMIT)
+ * @returns {PageChange[]}
+ */
+export function mergeChangeHistory(history, changes, limit = CHANGE_HISTORY_LIMIT) {
+  return [...changes, ...history].slice(0, limit);
+}
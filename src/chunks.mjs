@@ -0,0 +1,335 @@
+import fs from 'fs';
+import path from 'path';
+import { createTurndownService, htmlToMarkdown } from './crawler.mjs';
+import { loadSavedPages } from './corpus.mjs';
+import { rewriteLinks } from './links.mjs';
+
+/**
+ * @typedef {Object} ChunkOptions
+ * @property {number} [chunkSize] - Target chunk size in tokens (default: 512)
+ * @property {number} [overlap] - Tokens repeated from the end of the previous chunk of the same section (default: 64)
+ */
+
+/**
+ * @typedef {Object} MarkdownChunk
+ * @property {string[]} headingPath - Headings from the page title down to the chunk's section
+ * @property {string} anchor - Fragment of the chunk's section heading
+ * @property {string} text - Chunk markdown
+ * @property {number} tokens - Approximate token count
+ */
+
+/**
+ * @typedef {Object} ChunkRecord
+ * @property {string} id - Stable chunk ID (page URL, anchor and chunk index)
+ * @property {string} url - Page URL
+ * @property {string} title - Page title
+ * @property {string[]} headingPath - Headings from the page title down to the chunk's section
+ * @property {string[]} breadcrumb - Breadcrumb navigation items of the page
+ * @property {string} anchor - Fragment of the chunk's section heading ('' for the page intro)
+ * @property {string | null} version - Documentation version from the URL (null = latest/unversioned)
+ * @property {number} chunkIndex - Position of the chunk within its page
+ * @property {number} tokens - Approximate token count
+ * @property {string} text - Chunk markdown
+ */
+
+/**
+ * @typedef {Object} Block
+ * @property {'heading' | 'code' | 'table' | 'paragraph'} type - Block kind; code and table blocks are never split
+ * @property {string} text - Block markdown
+ * @property {number} [level] - Heading level (headings only)
+ * @property {string} [title] - Heading text (headings only)
+ */
+
+export const DEFAULT_CHUNK_SIZE = 512;
+export const DEFAULT_CHUNK_OVERLAP = 64;
+
+/**
+ * Approximate the token count of a text (about 4 characters per token for English prose and code)
+ * @param {string} text - Text to measure
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * GitHub-style heading slug
+ * @param {string} text - Heading text
+ * @returns {string}
+ */
+export function slugify(text) {
+  return normalizeHeadingText(text)
+    .replace(/[^\p{L}\p{N}\s-]/gu, '')
+    .replace(/\s+/g, '-');
+}
+
+/**
+ * Reduce heading text from markdown or HTML to comparable plain text
+ * @param {string} text - Heading text
+ * @returns {string}
+ */
+function normalizeHeadingText(text) {
+  return text
+    .replace(/<[^>]+>/g, '')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\\([\\`*_{}[\]()#+\-.!])/g, '$1')
+    .replace(/[`*]/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Collect heading IDs from the cleaned HTML so chunks link to the page's real anchors
+ * @param {string} html - Cleaned HTML content
+ * @returns {Map<string, string>} Normalized heading text -> id
+ */
+export function headingAnchors(html) {
+  /** @type {Map<string, string>} */
+  const anchors = new Map();
+  const headingRegex = /<h([1-6])\b([^>]*)>([\s\S]*?)<\/h\1>/gi;
+  let match;
+
+  while ((match = headingRegex.exec(html)) !== null) {
+    const id = match[2].match(/\sid\s*=\s*["']([^"']+)["']/i);
+    const text = normalizeHeadingText(match[3]);
+    if (id && text && !anchors.has(text)) {
+      anchors.set(text, id[1]);
+    }
+  }
+
+  return anchors;
+}
+
+/**
+ * Split markdown into blocks. Fenced code blocks and tables stay whole.
+ * @param {string} markdown - Page markdown
+ * @returns {Block[]}
+ */
+function parseBlocks(markdown) {
+  const lines = markdown.split('\n');
+  /** @type {Block[]} */
+  const blocks = [];
+  /** @type {string[]} */
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'paragraph', text: paragraph.join('\n') });
+      paragraph = [];
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const fence = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fence) {
+      flushParagraph();
+      const marker = fence[1];
+      const closing = new RegExp(`^\\s*${marker[0] === '`' ? '`' : '~'}{${marker.length},}\\s*$`);
+      const codeLines = [line];
+      while (++i < lines.length) {
+        codeLines.push(lines[i]);
+        if (closing.test(lines[i])) {
+          break;
+        }
+      }
+      blocks.push({ type: 'code', text: codeLines.join('\n') });
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      flushParagraph();
+      blocks.push({ type: 'heading', text: line, level: heading[1].length, title: heading[2] });
+      continue;
+    }
+
+    if (line.trim().startsWith('|')) {
+      flushParagraph();
+      const tableLines = [line];
+      while (i + 1 < lines.length && lines[i + 1].trim().startsWith('|')) {
+        tableLines.push(lines[++i]);
+      }
+      blocks.push({ type: 'table', text: tableLines.join('\n') });
+      continue;
+    }
+
+    if (line.trim() === '') {
+      flushParagraph();
+    } else {
+      paragraph.push(line);
+    }
+  }
+  flushParagraph();
+
+  return blocks;
+}
+
+/**
+ * Split an oversized paragraph at sentence boundaries
+ * @param {Block} block - Paragraph block
+ * @param {number} chunkSize - Target size in tokens
+ * @returns {Block[]}
+ */
+function splitParagraph(block, chunkSize) {
+  const sentences = block.text.split(/(?<=[.!?])\s+/);
+  /** @type {Block[]} */
+  const pieces = [];
+  let current = '';
+
+  for (const sentence of sentences) {
+    if (current && estimateTokens(`${current} ${sentence}`) > chunkSize) {
+      pieces.push({ type: 'paragraph', text: current });
+      current = sentence;
+    } else {
+      current = current ? `${current} ${sentence}` : sentence;
+    }
+  }
+  if (current) {
+    pieces.push({ type: 'paragraph', text: current });
+  }
+
+  return pieces;
+}
+
+/**
+ * Split page markdown into chunks along heading boundaries.
+ * Each heading starts a new chunk; long sections are split between blocks,
+ * with up to `overlap` tokens of trailing blocks repeated in the next chunk.
+ * Fenced code blocks and tables are never split, even when larger than chunkSize.
+ * @param {string} markdown - Page markdown body
+ * @param {Object} [options] - Chunking options
+ * @param {string} [options.title] - Page title, the root of every heading path
+ * @param {Map<string, string>} [options.anchors] - Heading IDs from the page HTML (see headingAnchors)
+ * @param {number} [options.chunkSize] - Target chunk size in tokens (default: 512)
+ * @param {number} [options.overlap] - Overlap in tokens (default: 64)
+ * @returns {MarkdownChunk[]}
+ */
+export function chunkMarkdown(markdown, options = {}) {
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const overlap = options.overlap !== undefined ? options.overlap : DEFAULT_CHUNK_OVERLAP;
+  const anchors = options.anchors || new Map();
+  const root = options.title ? [options.title] : [];
+
+  /** @type {MarkdownChunk[]} */
+  const chunks = [];
+  /** @type {{level: number, title: string}[]} */
+  let headingStack = [];
+  let anchor = '';
+  /** @type {Block[]} */
+  let current = [];
+  let hasNewContent = false;
+
+  const headingPath = () => [...root, ...headingStack.map(heading => heading.title)];
+
+  const emit = () => {
+    if (hasNewContent && current.some(block => block.type !== 'heading')) {
+      const text = current.map(block => block.text).join('\n\n');
+      chunks.push({ headingPath: headingPath(), anchor, text, tokens: estimateTokens(text) });
+    }
+    hasNewContent = false;
+  };
+
+  for (const parsed of parseBlocks(markdown)) {
+    if (parsed.type === 'heading') {
+      emit();
+      const level = /** @type {number} */ (parsed.level);
+      const title = /** @type {string} */ (parsed.title);
+      headingStack = headingStack.filter(heading => heading.level < level);
+      // The page title heading is already the root of the path
+      if (!(root.length > 0 && headingStack.length === 0 && normalizeHeadingText(title) === normalizeHeadingText(root[0]))) {
+        headingStack.push({ level, title });
+      }
+      anchor = anchors.get(normalizeHeadingText(title)) || slugify(title);
+      current = [parsed];
+      continue;
+    }
+
+    const pieces = parsed.type === 'paragraph' && estimateTokens(parsed.text) > chunkSize
+      ? splitParagraph(parsed, chunkSize)
+      : [parsed];
+
+    for (const block of pieces) {
+      const tokens = estimateTokens(block.text);
+      const currentTokens = estimateTokens(current.map(b => b.text).join('\n\n'));
+
+      if (hasNewContent && currentTokens + tokens > chunkSize) {
+        emit();
+
+        // Carry trailing blocks (never the heading) into the next chunk as overlap
+        /** @type {Block[]} */
+        const tail = [];
+        let tailTokens = 0;
+        for (let i = current.length - 1; i >= 0; i--) {
+          const candidate = current[i];
+          const candidateTokens = estimateTokens(candidate.text);
+          if (candidate.type === 'heading' || tailTokens + candidateTokens > overlap) {
+            break;
+          }
+          tail.unshift(candidate);
+          tailTokens += candidateTokens;
+        }
+        current = tailTokens + tokens <= chunkSize ? tail : [];
+      }
+
+      current.push(block);
+      hasNewContent = true;
+    }
+  }
+  emit();
+
+  return chunks;
+}
+
+/**
+ * Build chunk records for every saved page of a crawl
+ * @param {string} outputDir - Crawl output directory
+ * @param {ChunkOptions & {getVersion?: (url: string) => string | null}} [options] - Chunking options and version lookup
+ * @returns {ChunkRecord[]}
+ */
+export function buildChunkRecords(outputDir, options = {}) {
+  const turndownService = createTurndownService();
+  /** @type {ChunkRecord[]} */
+  const records = [];
+
+  for (const saved of loadSavedPages(path.join(outputDir, 'progress'))) {
+    if (!fs.existsSync(saved.htmlPath)) {
+      continue;
+    }
+
+    const html = fs.readFileSync(saved.htmlPath, 'utf-8');
+    const title = saved.json.heading || saved.json.title;
+    // Chunks leave the output tree, so links are always absolute
+    const chunks = chunkMarkdown(htmlToMarkdown(rewriteLinks(html, saved.json.url), turndownService), {
+      title,
+      anchors: headingAnchors(html),
+      chunkSize: options.chunkSize,
+      overlap: options.overlap
+    });
+
+    chunks.forEach((chunk, chunkIndex) => {
+      records.push({
+        id: `${saved.json.url}#${chunk.anchor}:${chunkIndex}`,
+        url: saved.json.url,
+        title: saved.json.title,
+        headingPath: chunk.headingPath,
+        breadcrumb: saved.json.breadcrumb || [],
+        anchor: chunk.anchor,
+        version: options.getVersion ? options.getVersion(saved.json.url) : null,
+        chunkIndex,
+        tokens: chunk.tokens,
+        text: chunk.text
+      });
+    });
+  }
+
+  return records;
+}
@@ -0,0 +1,1078 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'node:util';
+import { SitefinityCrawler, buildLlmsFullFromDocuments, crawlProfiles, crawlVersions, previewNoiseRules } from './crawler.mjs';
+import { DEFAULT_PROFILES_FILE, extractVersion, getCanonicalUrl, selectProfiles } from './profiles.mjs';
+import { resolveNoiseRules } from './noise-rules.mjs';
+import { DEFAULT_MIN_QUALITY } from './quality.mjs';
+import { nearDuplicateUrls } from './near-duplicates.mjs';
+import { regenerateMarkdown } from './regenerate.mjs';
+import { collectStats, loadLocalPathTargets, loadSavedPages, verifyOutput } from './corpus.mjs';
+import { absolutizeLocalPaths } from './links.mjs';
+import { writeVersionDiff } from './versions.mjs';
+import { DEFAULT_CHUNK_OVERLAP, DEFAULT_CHUNK_SIZE, buildChunkRecords } from './chunks.mjs';
+import { loadSearchIndex, searchIndex, writeSearchIndex } from './search.mjs';
+import { LOG_LEVELS, Logger } from './logger.mjs';
+
+/**
+ * Process exit codes returned by main()
+ */
+export const EXIT_CODES = {
+  OK: 0,
+  // Crawl/extraction/IO failure
+  FAILURE: 1,
+  // Bad command line, config file or environment
+  USAGE: 2,
+  // `verify` found integrity problems
+  VERIFY_FAILED: 3
+};
+
+/**
+ * Default config file, relative to the working directory
+ */
+export const DEFAULT_CONFIG_FILE = './sitefinity-docs.config.json';
+
+/**
+ * Pages used by `extract --sample`: regular pages, a redirect and a versioned URL
+ */
+const SAMPLE_URLS = [
+  'https://www.progress.com/documentation/sitefinity-cms',
+  'https://www.progress.com/documentation/sitefinity-cms/architecture-renderer',
+  'https://www.progress.com/documentation/sitefinity-cms/renderer-proxy-logic',
+  // Redirects to 'set-up-the-project'
+  'https://www.progress.com/documentation/sitefinity-cms/configure-and-start-a-project',
+  // Versioned URL
+  'https://www.progress.com/documentation/sitefinity-cms/152/install-sitefinity'
+];
+
+/**
+ * @typedef {Object} CliSettings
+ * @property {string | undefined} outputDir - Output directory override
+ * @property {number} maxPages - Maximum number of pages to crawl
+ * @property {number} staleThreshold - Seconds before cached data is stale
+ * @property {number} concurrency - Pages fetched in parallel
+ * @property {string | undefined} selectorsFile - JSON file with selector overrides
+ * @property {string | undefined} noiseRulesFile - JSON file with noise rules (replaces the profile's rules)
+ * @property {string[]} profiles - Site profile names
+ * @property {string} profilesFile - Site profile configuration file
+ * @property {string | undefined} userAgent - User agent override
+ * @property {boolean} respectRobots - Honor robots.txt and meta robots
+ * @property {boolean} useSitemap - Seed the crawl from sitemap.xml
+ * @property {boolean} downloadAssets - Download content images into assets/
+ * @property {number} minQuality - Extraction quality score below which pages are reported
+ * @property {boolean} refetchLowQuality - Load low-quality pages once more
+ * @property {import('./har.mjs').HarMode | undefined} har - Record responses into HAR archives or replay them
+ * @property {string | undefined} harDir - Directory of the HAR archives (default: <outputDir>/har)
+ * @property {string[]} versions - Documentation versions to crawl separately (empty = latest only)
+ * @property {number} chunkSize - Target chunk size in tokens for `export --format chunks`
+ * @property {number} chunkOverlap - Chunk overlap in tokens for `export --format chunks`
+ * @property {import('./crawler.mjs').LlmsLinks} llmsLinks - Link targets in llms.txt
+ * @property {import('./links.mjs').LinkMode} linkMode - Links in the markdown output
+ * @property {import('./crawler.mjs').FrontmatterStyle} frontmatter - Header style of the progress/*.md files
+ * @property {import('./near-duplicates.mjs').NearDuplicateMode} nearDuplicates - Keep near-duplicate pages in llms-full.txt or skip them
+ * @property {import('./logger.mjs').LogLevel} logLevel - Most detailed crawl log level that is written
+ * @property {import('./logger.mjs').LogFormat} logFormat - Crawl log as readable text or JSON lines
+ */
+
+/**
+ * Thrown for invalid command lines; main() prints it with a usage hint and exits with EXIT_CODES.USAGE
+ */
+class UsageError extends Error {}
+
+const OPTIONS = /** @type {const} */ ({
+  help: { type: 'boolean', short: 'h' },
+  config: { type: 'string', short: 'c' },
+  'output-dir': { type: 'string', short: 'o' },
+  'max-pages': { type: 'string' },
+  'stale-threshold': { type: 'string' },
+  concurrency: { type: 'string' },
+  selectors: { type: 'string' },
+  'noise-rules': { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  profile: { type: 'string', short: 'p', multiple: true },
+  'profiles-file': { type: 'string' },
+  out: { type: 'string' },
+  format: { type: 'string' },
+  json: { type: 'boolean' },
+  sample: { type: 'boolean' },
+  'user-agent': { type: 'string' },
+  'ignore-robots': { type: 'boolean' },
+  'no-sitemap': { type: 'boolean' },
+  'no-assets': { type: 'boolean' },
+  'min-quality': { type: 'string' },
+  'refetch-low-quality': { type: 'boolean' },
+  har: { type: 'string' },
+  'har-dir': { type: 'string' },
+  versions: { type: 'string', multiple: true },
+  'chunk-size': { type: 'string' },
+  'chunk-overlap': { type: 'string' },
+  limit: { type: 'string' },
+  'llms-links': { type: 'string' },
+  'link-mode': { type: 'string' },
+  frontmatter: { type: 'string' },
+  'near-duplicates': { type: 'string' },
+  quiet: { type: 'boolean', short: 'q' },
+  verbose: { type: 'boolean', short: 'v' },
+  'log-format': { type: 'string' }
+});
+
+const GLOBAL_HELP = `Usage: sitefinity-docs <command> [options]
+
+Commands:
+  crawl [maxPages] [staleThreshold] [concurrency]
+                     Crawl the documentation site(s)
+  regenerate         Rebuild markdown files and llms-full.txt from saved JSON/HTML
+  extract <url...>   Extract and save individual pages (use --sample for the built-in sample pages)
+  verify             Check the integrity of the crawl output
+  stats              Show statistics about the crawled corpus
+  export             Write the crawled corpus to a single file
+  version-diff <from> <to>
+                     Compare two crawled documentation versions page by page
+  index              Rebuild the offline search index
+  search <query>     Search the crawled corpus offline
+
+Options:
+  -o, --output-dir <dir>       Output directory (default: from the site profile, ./output/<profile>)
+      --max-pages <n>          Maximum number of pages to fetch (default: Infinity)
+      --stale-threshold <s>    Seconds before cached pages are re-fetched (default: 86400, 0 = no cache)
+      --concurrency <n>        Pages fetched in parallel (default: 4)
+      --selectors <file>       JSON file with selector overrides (mainContent, excludeSelectors, ...)
+      --noise-rules <file>     JSON file with the boilerplate removal rules (default: noise-rules.json)
+      --user-agent <ua>        User agent for pages, robots.txt and sitemaps
+      --ignore-robots          Do not honor robots.txt and meta robots noindex/nofollow
+      --no-sitemap             Do not seed the crawl from sitemap.xml
+      --no-assets              Keep images online instead of downloading them into assets/
+      --min-quality <score>    Extraction quality (0-100) below which pages go to quality-report.md (default: 50)
+      --refetch-low-quality    Load pages below --min-quality once more and keep the better extraction
+      --har <record|replay>    Record every response into HAR archives, or replay them with no network
+      --har-dir <dir>          Directory of the HAR archives (default: <output-dir>/har)
+      --versions <list>        Crawl these versions into versions/<version>/ (e.g. 133,143,152)
+      --llms-links <url|local> Link llms.txt entries to page URLs or local .md files (default: url)
+      --link-mode <mode>       Markdown links: absolute (resolved URLs) or local (doc links to .md files)
+      --frontmatter <style>    Markdown file header: header (readable, default) or yaml (YAML frontmatter)
+      --near-duplicates <mode> llms-full.txt keeps near-duplicate pages (keep, default) or only one per cluster (skip)
+  -q, --quiet                  Crawl log: only warnings and errors
+  -v, --verbose                Crawl log: every step of every page
+      --log-format <text|json> Crawl log as readable lines (default) or JSON lines with url, status, duration, bytes, outcome
+  -p, --profile <name>         Site profile to use; repeat or comma-separate for several (default: sitefinity-cms)
+      --profiles-file <file>   Site profile configuration (default: ${DEFAULT_PROFILES_FILE})
+  -c, --config <file>          Config file (default: ${DEFAULT_CONFIG_FILE} if present)
+  -h, --help                   Show help (also: sitefinity-docs <command> --help)
+
+Configuration precedence: command-line flags > environment > config file > defaults.
+Environment variables: SITEFINITY_DOCS_OUTPUT_DIR, SITEFINITY_DOCS_MAX_PAGES,
+  SITEFINITY_DOCS_STALE_THRESHOLD, SITEFINITY_DOCS_CONCURRENCY, SITEFINITY_DOCS_SELECTORS,
+  SITEFINITY_DOCS_NOISE_RULES, SITEFINITY_DOCS_PROFILES, SITEFINITY_DOCS_PROFILES_FILE,
+  SITEFINITY_DOCS_USER_AGENT, SITEFINITY_DOCS_VERSIONS, SITEFINITY_DOCS_CHUNK_SIZE,
+  SITEFINITY_DOCS_CHUNK_OVERLAP, SITEFINITY_DOCS_LLMS_LINKS, SITEFINITY_DOCS_LINK_MODE,
+  SITEFINITY_DOCS_FRONTMATTER, SITEFINITY_DOCS_MIN_QUALITY, SITEFINITY_DOCS_HAR,
+  SITEFINITY_DOCS_HAR_DIR, SITEFINITY_DOCS_NEAR_DUPLICATES, SITEFINITY_DOCS_LOG_LEVEL,
+  SITEFINITY_DOCS_LOG_FORMAT, SITEFINITY_DOCS_RESPECT_ROBOTS, SITEFINITY_DOCS_USE_SITEMAP,
+  SITEFINITY_DOCS_DOWNLOAD_ASSETS, SITEFINITY_DOCS_REFETCH_LOW_QUALITY (true/false),
+  SITEFINITY_DOCS_CONFIG
+
+Exit codes:
+  0  success
+  1  crawl, extraction or I/O failure
+  2  invalid command line or configuration
+  3  verify found problems
+`;
+
+/** @type {Record<string, string>} */
+const COMMAND_HELP = {
+  crawl: `Usage: sitefinity-docs crawl [maxPages] [staleThreshold] [concurrency] [options]
+
+Crawl the documentation site(s) of the selected profiles. Positional arguments are
+kept for compatibility with \`npm run crawl -- 100 3600\`; named flags take precedence.
+
+With --versions, each listed version (oldest first) is crawled into
+<output-dir>/versions/<version>/ with its own llms-full.txt, and
+versions/diffs/<from>-<to>.{json,md} compare consecutive versions page by page.
+Without --versions, search-index.json is rebuilt after the crawl.
+
+With --har record, every response (pages and their resources, robots.txt, sitemaps,
+images) is saved to browser.har and fetcher.har in --har-dir. --har replay crawls
+from those archives without network access; replay into an empty --output-dir to
+rebuild the recorded crawl, e.g. after changing selectors.
+
+The log has one line per fetched page (status, outcome, duration, size) and a progress
+line with pages per minute, queue size and ETA every 30 seconds. --quiet keeps only
+warnings and errors, --verbose adds every step. --log-format json writes one JSON object
+per line to stdout instead, for log collectors and schedulers.
+
+Options: --output-dir, --max-pages, --stale-threshold, --concurrency, --selectors,
+         --noise-rules, --user-agent, --ignore-robots, --no-sitemap, --no-assets, --versions,
+         --min-quality, --refetch-low-quality, --har, --har-dir, --llms-links, --link-mode,
+         --frontmatter, --near-duplicates, --quiet, --verbose, --log-format, --profile,
+         --profiles-file, --config
+`,
+  regenerate: `Usage: sitefinity-docs regenerate [options]
+
+Rebuild every progress/*.md file, llms-full.txt and llms.txt from the saved JSON and
+HTML files, e.g. after changing the markdown template. Near-duplicate clusters are
+recomputed and recorded in the page JSON files.
+
+Options: --output-dir, --llms-links, --link-mode, --frontmatter, --near-duplicates, --profile,
+         --profiles-file, --config
+`,
+  extract: `Usage: sitefinity-docs extract <url...> [options]
+       sitefinity-docs extract --sample [options]
+
+Fetch the given pages with the crawler's extraction logic, save them to progress/
+(.json, .html, .md) and print a preview. Useful for debugging selectors.
+
+With --dry-run, nothing is saved: for each page, every noise rule is listed with the
+nodes it would remove.
+
+Options: --sample, --dry-run, --output-dir, --selectors, --noise-rules, --user-agent, --no-assets,
+         --min-quality, --refetch-low-quality, --link-mode, --frontmatter, --profile,
+         --profiles-file, --config
+`,
+  verify: `Usage: sitefinity-docs verify [options]
+
+Check that every page has valid JSON, HTML and markdown files, that redirects and
+_summary.json are valid and that llms-full.txt exists. Exits with 3 on problems.
+
+Options: --output-dir, --profile, --profiles-file, --config
+`,
+  stats: `Usage: sitefinity-docs stats [--json] [options]
+
+Show page/redirect counts, sizes, crawl dates and pages per top-level section.
+
+Options: --json, --output-dir, --profile, --profiles-file, --config
+`,
+  export: `Usage: sitefinity-docs export [--format llms|chunks] [--out <file>] [options]
+
+Write the saved markdown of all pages into one file (stdout if --out is omitted).
+
+Formats:
+  llms     Concatenated markdown in llms-full.txt layout (default)
+  chunks   JSON lines for retrieval pipelines: one record per chunk, split at headings,
+           with url, headingPath, breadcrumb, anchor, version and token count.
+           Code blocks and tables are never split.
+
+With --near-duplicates skip, the llms format leaves out pages that the last crawl or
+regenerate found to be near-duplicates of another page.
+
+Options: --format, --out, --chunk-size <tokens> (default: ${DEFAULT_CHUNK_SIZE}),
+         --chunk-overlap <tokens> (default: ${DEFAULT_CHUNK_OVERLAP}), --near-duplicates,
+         --output-dir, --profile, --profiles-file, --config
+`,
+  'version-diff': `Usage: sitefinity-docs version-diff <from> <to> [options]
+
+Compare two versions crawled with \`crawl --versions\` (e.g. \`version-diff 143 152\`).
+Pages are matched by canonical URL; writes versions/diffs/<from>-<to>.json and .md.
+
+Options: --output-dir, --profile, --profiles-file, --config
+`,
+  index: `Usage: sitefinity-docs index [options]
+
+Rebuild search-index.json from the saved pages (done automatically after \`crawl\`).
+
+Options: --output-dir, --profile, --profiles-file, --config
+`,
+  search: `Usage: sitefinity-docs search <query> [--limit <n>] [--json] [options]
+
+Rank pages and their sections for the query with BM25, weighting matches in page
+titles and section headings higher. Works offline on search-index.json, which is
+built first if missing.
+
+Options: --limit <n> (default: 10), --json, --output-dir, --profile, --profiles-file, --config
+`
+};
+
+/**
+ * Positional arguments each command accepts after its name (Infinity = any number)
+ * @type {Record<string, number>}
+ */
+const MAX_POSITIONALS = {
+  crawl: 3,
+  regenerate: 0,
+  extract: Infinity,
+  verify: 0,
+  stats: 0,
+  export: 0,
+  'version-diff': 2,
+  index: 0,
+  search: Infinity
+};
+
+/**
+ * Parse a numeric setting
+ * @param {string} name - Setting name for error messages
+ * @param {string | number} value - Raw value ('Infinity' allowed)
+ * @param {number} [min] - Smallest accepted value
+ * @returns {number}
+ * @throws {UsageError} If the value is not a number
+ */
+function parseNumber(name, value, min = 0) {
+  // Number('') is 0, so an empty value (--max-pages=) would pass as 0
+  const number = value === 'Infinity' ? Infinity : String(value).trim() === '' ? NaN : Number(value);
+  if (isNaN(number) || number < min) {
+    throw new UsageError(`${name} must be a number${min > 0 ? ` >= ${min}` : ''} (got "${value}")`);
+  }
+  return number;
+}
+
+/**
+ * Parse an on/off setting
+ * @param {string} name - Setting name for error messages
+ * @param {string | boolean} value - Raw value: true/false, 1/0 or yes/no (booleans from the config file)
+ * @returns {boolean}
+ * @throws {UsageError} If the value is not one of those
+ */
+function parseBoolean(name, value) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  const normalized = String(value).trim().toLowerCase();
+  if (['true', '1', 'yes'].includes(normalized)) {
+    return true;
+  }
+  if (['false', '0', 'no'].includes(normalized)) {
+    return false;
+  }
+  throw new UsageError(`${name} must be true or false (got "${value}")`);
+}
+
+/**
+ * Split comma-separated list values
+ * @param {string[] | string | undefined} values - One or more values
+ * @returns {string[]}
+ */
+function splitList(values) {
+  if (values === undefined) {
+    return [];
+  }
+  return (Array.isArray(values) ? values : [values])
+    .flatMap(value => value.split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Read the JSON config file
+ * @param {string | undefined} filepath - Explicit config path (must exist)
+ * @returns {Record<string, any>}
+ * @throws {UsageError} If an explicit config file is missing or invalid
+ */
+function readConfigFile(filepath) {
+  const configPath = filepath || DEFAULT_CONFIG_FILE;
+  if (!fs.existsSync(configPath)) {
+    if (filepath) {
+      throw new UsageError(`Config file not found: ${filepath}`);
+    }
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : String(error);
+    throw new UsageError(`Invalid config file ${configPath}: ${errorMessage}`);
+  }
+}
+
+/**
+ * Resolve settings from flags, environment and config file (in that order of precedence)
+ * @param {Record<string, any>} flags - Parsed command-line flags
+ * @param {string[]} positionals - Legacy crawl positionals: maxPages, staleThreshold, concurrency
+ * @param {NodeJS.ProcessEnv} env - Environment variables
+ * @returns {CliSettings}
+ */
+export function resolveSettings(flags, positionals = [], env = process.env) {
+  const config = readConfigFile(flags.config || env.SITEFINITY_DOCS_CONFIG);
+
+  /**
+   * @param {string | undefined} flag - Value from the command line
+   * @param {string | undefined} envValue - Value from the environment
+   * @param {any} configValue - Value from the config file
+   * @returns {any}
+   */
+  const pick = (flag, envValue, configValue) => flag ?? envValue ?? configValue;
+
+  const maxPages = pick(flags['max-pages'] ?? positionals[0], env.SITEFINITY_DOCS_MAX_PAGES, config.maxPages);
+  const staleThreshold = pick(flags['stale-threshold'] ?? positionals[1], env.SITEFINITY_DOCS_STALE_THRESHOLD, config.staleThreshold);
+  const concurrency = pick(flags.concurrency ?? positionals[2], env.SITEFINITY_DOCS_CONCURRENCY, config.concurrency);
+  const minQuality = pick(flags['min-quality'], env.SITEFINITY_DOCS_MIN_QUALITY, config.minQuality);
+  const chunkSize = pick(flags['chunk-size'], env.SITEFINITY_DOCS_CHUNK_SIZE, config.chunkSize);
+  const chunkOverlap = pick(flags['chunk-overlap'], env.SITEFINITY_DOCS_CHUNK_OVERLAP, config.chunkOverlap);
+  const respectRobots = pick(flags['ignore-robots'] ? 'false' : undefined, env.SITEFINITY_DOCS_RESPECT_ROBOTS, config.respectRobots);
+  const useSitemap = pick(flags['no-sitemap'] ? 'false' : undefined, env.SITEFINITY_DOCS_USE_SITEMAP, config.useSitemap);
+  const downloadAssets = pick(flags['no-assets'] ? 'false' : undefined, env.SITEFINITY_DOCS_DOWNLOAD_ASSETS, config.downloadAssets);
+  const refetchLowQuality = pick(flags['refetch-low-quality'] ? 'true' : undefined, env.SITEFINITY_DOCS_REFETCH_LOW_QUALITY, config.refetchLowQuality);
+  const llmsLinks = pick(flags['llms-links'], env.SITEFINITY_DOCS_LLMS_LINKS, config.llmsLinks) || 'url';
+  if (llmsLinks !== 'url' && llmsLinks !== 'local') {
+    throw new UsageError(`llmsLinks must be "url" or "local", got "${llmsLinks}"`);
+  }
+  const linkMode = pick(flags['link-mode'], env.SITEFINITY_DOCS_LINK_MODE, config.linkMode) || 'absolute';
+  if (linkMode !== 'absolute' && linkMode !== 'local') {
+    throw new UsageError(`linkMode must be "absolute" or "local", got "${linkMode}"`);
+  }
+  const frontmatter = pick(flags.frontmatter, env.SITEFINITY_DOCS_FRONTMATTER, config.frontmatter) || 'header';
+  if (frontmatter !== 'header' && frontmatter !== 'yaml') {
+    throw new UsageError(`frontmatter must be "header" or "yaml", got "${frontmatter}"`);
+  }
+  const har = pick(flags.har, env.SITEFINITY_DOCS_HAR, config.har);
+  if (har !== undefined && har !== 'record' && har !== 'replay') {
+    throw new UsageError(`har must be "record" or "replay", got "${har}"`);
+  }
+  const nearDuplicates = pick(flags['near-duplicates'], env.SITEFINITY_DOCS_NEAR_DUPLICATES, config.nearDuplicates) || 'keep';
+  if (nearDuplicates !== 'keep' && nearDuplicates !== 'skip') {
+    throw new UsageError(`nearDuplicates must be "keep" or "skip", got "${nearDuplicates}"`);
+  }
+  if (flags.quiet && flags.verbose) {
+    throw new UsageError('--quiet and --verbose cannot be combined');
+  }
+  const logLevel = pick(flags.quiet ? 'warn' : flags.verbose ? 'debug' : undefined, env.SITEFINITY_DOCS_LOG_LEVEL, config.logLevel) || 'info';
+  if (!LOG_LEVELS.includes(logLevel)) {
+    throw new UsageError(`logLevel must be "error", "warn", "info" or "debug", got "${logLevel}"`);
+  }
+  const logFormat = pick(flags['log-format'], env.SITEFINITY_DOCS_LOG_FORMAT, config.logFormat) || 'text';
+  if (logFormat !== 'text' && logFormat !== 'json') {
+    throw new UsageError(`logFormat must be "text" or "json", got "${logFormat}"`);
+  }
+  const profileFlag = splitList(flags.profile);
+  const profileEnv = splitList(env.SITEFINITY_DOCS_PROFILES || env.SITE_PROFILES);
+
+  return {
+    outputDir: pick(flags['output-dir'], env.SITEFINITY_DOCS_OUTPUT_DIR, config.outputDir),
+    maxPages: maxPages === undefined ? Infinity : parseNumber('maxPages', maxPages),
+    staleThreshold: staleThreshold === undefined ? 86400 : parseNumber('staleThreshold', staleThreshold),
+    concurrency: concurrency === undefined ? 4 : parseNumber('concurrency', concurrency, 1),
+    selectorsFile: pick(flags.selectors, env.SITEFINITY_DOCS_SELECTORS, config.selectors),
+    noiseRulesFile: pick(flags['noise-rules'], env.SITEFINITY_DOCS_NOISE_RULES, config.noiseRules),
+    profiles: profileFlag.length > 0
+      ? profileFlag
+      : profileEnv.length > 0 ? profileEnv : splitList(config.profiles || 'sitefinity-cms'),
+    profilesFile: pick(
+      flags['profiles-file'],
+      env.SITEFINITY_DOCS_PROFILES_FILE || env.SITE_PROFILES_FILE,
+      config.profilesFile
+    ) || DEFAULT_PROFILES_FILE,
+    userAgent: pick(flags['user-agent'], env.SITEFINITY_DOCS_USER_AGENT, config.userAgent),
+    respectRobots: respectRobots === undefined ? true : parseBoolean('respectRobots', respectRobots),
+    useSitemap: useSitemap === undefined ? true : parseBoolean('useSitemap', useSitemap),
+    downloadAssets: downloadAssets === undefined ? true : parseBoolean('downloadAssets', downloadAssets),
+    minQuality: minQuality === undefined ? DEFAULT_MIN_QUALITY : parseNumber('minQuality', minQuality),
+    refetchLowQuality: refetchLowQuality === undefined ? false : parseBoolean('refetchLowQuality', refetchLowQuality),
+    har,
+    harDir: pick(flags['har-dir'], env.SITEFINITY_DOCS_HAR_DIR, config.harDir),
+    versions: splitList(pick(flags.versions, env.SITEFINITY_DOCS_VERSIONS, config.versions)),
+    chunkSize: chunkSize === undefined ? DEFAULT_CHUNK_SIZE : parseNumber('chunkSize', chunkSize, 1),
+    chunkOverlap: chunkOverlap === undefined ? DEFAULT_CHUNK_OVERLAP : parseNumber('chunkOverlap', chunkOverlap),
+    llmsLinks,
+    linkMode,
+    frontmatter,
+    nearDuplicates,
+    logLevel,
+    logFormat
+  };
+}
+
+/**
+ * Select the site profiles and apply output-dir, selector and noise rule overrides
+ * @param {CliSettings} settings - Resolved settings
+ * @returns {import('./profiles.mjs').SiteProfile[]}
+ * @throws {UsageError} If a profile, the selectors file or a noise rules file is invalid
+ */
+export function buildProfiles(settings) {
+  /** @type {import('./profiles.mjs').SiteProfile[]} */
+  let profiles;
+  try {
+    profiles = selectProfiles(settings.profiles, settings.profilesFile);
+  } catch (error) {
+    throw new UsageError(error instanceof Error ? error.message : String(error));
+  }
+
+  /** @type {import('./profiles.mjs').ProfileSelectors} */
+  let selectorOverrides = {};
+  if (settings.selectorsFile) {
+    try {
+      selectorOverrides = JSON.parse(fs.readFileSync(settings.selectorsFile, 'utf-8'));
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      throw new UsageError(`Cannot read selectors file ${settings.selectorsFile}: ${errorMessage}`);
+    }
+  }
+
+  return profiles.map(profile => {
+    const resolved = {
+      ...profile,
+      selectors: { ...profile.selectors, ...selectorOverrides },
+      noiseRules: settings.noiseRulesFile || profile.noiseRules,
+      // One profile writes straight into --output-dir, several get a subdirectory each
+      outputDir: settings.outputDir
+        ? (profiles.length === 1 ? settings.outputDir : path.join(settings.outputDir, profile.name))
+        : profile.outputDir
+    };
+    // Fail before crawling rather than on the first page
+    try {
+      resolveNoiseRules(resolved);
+    } catch (error) {
+      throw new UsageError(error instanceof Error ? error.message : String(error));
+    }
+    return resolved;
+  });
+}
+
+/**
+ * Format a duration in seconds as "Xh Ym"
+ * @param {number} seconds - Duration in seconds
+ * @returns {string}
+ */
+function formatDuration(seconds) {
+  return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+}
+
+/**
+ * `crawl` command
+ * @param {CliSettings} settings - Resolved settings
+ * @returns {Promise<number>} Exit code
+ */
+async function crawlCommand(settings) {
+  const profiles = buildProfiles(settings);
+  const logger = new Logger({ level: settings.logLevel, format: settings.logFormat });
+
+  logger.info(`Starting crawler with maxPages: ${settings.maxPages === Infinity ? 'unlimited' : settings.maxPages}`);
+  logger.info(`Stale threshold: ${settings.staleThreshold}s (${settings.staleThreshold === 0 ? 'no cache' : formatDuration(settings.staleThreshold)})`);
+  logger.info(`Concurrency: ${settings.concurrency} page(s)`);
+  logger.info(`Profiles: ${profiles.map(profile => profile.name).join(', ')}`);
+
+  const options = {
+    maxPages: settings.maxPages,
+    staleThreshold: settings.staleThreshold,
+    concurrency: settings.concurrency,
+    userAgent: settings.userAgent,
+    respectRobots: settings.respectRobots,
+    useSitemap: settings.useSitemap,
+    downloadAssets: settings.downloadAssets,
+    minQuality: settings.minQuality,
+    refetchLowQuality: settings.refetchLowQuality,
+    harMode: settings.har,
+    harDir: settings.harDir,
+    llmsLinks: settings.llmsLinks,
+    linkMode: settings.linkMode,
+    frontmatter: settings.frontmatter,
+    nearDuplicates: settings.nearDuplicates,
+    logger
+  };
+
+  if (settings.versions.length > 0) {
+    const unversioned = profiles.find(profile => !profile.versionPattern);
+    if (unversioned) {
+      throw new UsageError(`--versions needs a versioned site profile ("${unversioned.name}" has no versionPattern)`);
+    }
+    logger.info(`Versions: ${settings.versions.join(', ')}`);
+  }
+
+  try {
+    if (settings.versions.length > 0) {
+      /** @type {string[]} */
+      const failed = [];
+      for (const profile of profiles) {
+        try {
+          await crawlVersions(profile, settings.versions, options);
+        } catch (error) {
+          const errorMessage = error instanceof Error ? error.message : String(error);
+          failed.push(`${profile.name} (${errorMessage})`);
+        }
+      }
+      if (failed.length > 0) {
+        throw new Error(`Crawl failed for profile(s): ${failed.join(', ')}`);
+      }
+    } else {
+      try {
+        await crawlProfiles(profiles, options);
+      } finally {
+        indexProfiles(profiles, logger);
+      }
+    }
+    return EXIT_CODES.OK;
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : String(error);
+    logger.error(`❌ ${errorMessage}`);
+    return EXIT_CODES.FAILURE;
+  }
+}
+
+/**
+ * Rebuild the search index of every profile that has saved pages
+ * @param {import('./profiles.mjs').SiteProfile[]} profiles - Site profiles
+ * @param {Logger} [logger] - Where to report the indexes (default: readable info lines)
+ * @returns {boolean} True if every index was written
+ */
+function indexProfiles(profiles, logger = new Logger()) {
+  let ok = true;
+
+  for (const profile of profiles) {
+    if (!fs.existsSync(path.join(profile.outputDir, 'progress'))) {
+      continue;
+    }
+    try {
+      const { index, indexPath } = writeSearchIndex(profile.outputDir);
+      logger.info(`✓ Search index: ${indexPath} (${index.pages} pages, ${index.sections.length} sections)`, { profile: profile.name, pages: index.pages });
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      logger.error(`❌ ${profile.name}: cannot build search index: ${errorMessage}`, { profile: profile.name });
+      ok = false;
+    }
+  }
+
+  return ok;
+}
+
+/**
+ * `index` command
+ * @param {CliSettings} settings - Resolved settings
+ * @returns {Promise<number>} Exit code
+ */
+async function indexCommand(settings) {
+  const profiles = buildProfiles(settings);
+  const missing = profiles.filter(profile => !fs.existsSync(path.join(profile.outputDir, 'progress')));
+  for (const profile of missing) {
+    console.error(`❌ ${profile.name}: no saved pages in ${profile.outputDir}`);
+  }
+
+  return indexProfiles(profiles) && missing.length === 0 ? EXIT_CODES.OK : EXIT_CODES.FAILURE;
+}
+
+/**
+ * `search` command
+ * @param {CliSettings} settings - Resolved settings
+ * @param {string[]} args - Query words
+ * @param {string | undefined} limit - Maximum pages to show
+ * @param {boolean} json - Print machine-readable JSON
+ * @returns {Promise<number>} Exit code
+ */
+async function searchCommand(settings, args, limit, json) {
+  const query = args.join(' ').trim();
+  if (!query) {
+    throw new UsageError('search needs a query, e.g. `search "configure ssl"`');
+  }
+
+  const profiles = buildProfiles(settings);
+  if (profiles.length > 1) {
+    throw new UsageError('search works on one profile at a time');
+  }
+  const [profile] = profiles;
+
+  let index = loadSearchIndex(profile.outputDir);
+  if (!index) {
+    if (!fs.existsSync(path.join(profile.outputDir, 'progress'))) {
+      console.error(`❌ No saved pages in ${profile.outputDir}`);
+      return EXIT_CODES.FAILURE;
+    }
+    ({ index } = writeSearchIndex(profile.outputDir));
+  }
+
+  const results = searchIndex(index, query, { limit: limit === undefined ? 10 : parseNumber('limit', limit, 1) });
+
+  if (json) {
+    console.log(JSON.stringify(results, null, 2));
+    return EXIT_CODES.OK;
+  }
+
+  if (results.length === 0) {
+    console.log(`No results for "${query}"`);
+    return EXIT_CODES.OK;
+  }
+
+  console.log(`🔎 ${results.length} result(s) for "${query}" in ${profile.name}\n`);
+  results.forEach((page, i) => {
+    console.log(`${i + 1}. ${page.title || page.url} (${page.score.toFixed(2)})`);
+    console.log(`   ${page.url}`);
+    for (const section of page.sections) {
+      console.log(`   › ${section.headingPath.slice(1).join(' › ') || 'Introduction'}  ${section.url}`);
+      console.log(`     ${section.snippet}`);
+    }
+    console.log('');
+  });
+
+  return EXIT_CODES.OK;
+}
+
+/**
+ * `regenerate` command
+ * @param {CliSettings} settings - Resolved settings
+ * @returns {Promise<number>} Exit code
+ */
+async function regenerateCommand(settings) {
+  let exitCode = EXIT_CODES.OK;
+
+  for (const profile of buildProfiles(settings)) {
+    try {
+      const result = await regenerateMarkdown({
+        outputDir: profile.outputDir,
+        profile,
+        llmsLinks: settings.llmsLinks,
+        linkMode: settings.linkMode,
+        frontmatter: settings.frontmatter,
+        nearDuplicates: settings.nearDuplicates
+      });
+      if (result.errorCount > 0) {
+        exitCode = EXIT_CODES.FAILURE;
+      }
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      console.error(`❌ Error: ${errorMessage}`);
+      exitCode = EXIT_CODES.FAILURE;
+    }
+  }
+
+  return exitCode;
+}
+
+/**
+ * Describe how the content area of a page was found
+ * @param {import('./crawler.mjs').ExtractionInfo} extraction - Extraction strategy
+ * @returns {string}
+ */
+function formatExtraction(extraction) {
+  if (extraction.strategy === 'main-content') {
+    return `main content area (${extraction.selector})`;
+  }
+  return extraction.strategy === 'readability'
+    ? 'no main content selector matched, densest text block (readability fallback)'
+    : 'no main content selector matched and no text block stood out, whole page body';
+}
+
+/**
+ * Print what each noise rule matched on a page
+ * @param {import('./noise-rules.mjs').NoiseRuleHit[]} hits - Hits per rule
+ * @returns {void}
+ */
+function printNoiseRuleHits(hits) {
+  const total = hits.reduce((sum, hit) => sum + hit.count, 0);
+  console.log(`\n🧹 Noise rules (dry run, nothing saved): ${total} removal(s) from ${hits.filter(hit => hit.count > 0).length} of ${hits.length} rules`);
+  for (const hit of hits) {
+    console.log(`  ${hit.count > 0 ? '✓' : '·'} ${hit.id} (${hit.type}): ${hit.count}`);
+    for (const node of hit.nodes) {
+      console.log(`      - ${node}`);
+    }
+  }
+}
+
+/**
+ * `extract` command
+ * @param {CliSettings} settings - Resolved settings
+ * @param {string[]} urls - URLs to extract
+ * @param {boolean} sample - Use the built-in sample URLs
+ * @param {boolean} dryRun - Only show what the noise rules would remove
+ * @returns {Promise<number>} Exit code
+ */
+async function extractCommand(settings, urls, sample, dryRun) {
+  const targets = sample ? [...SAMPLE_URLS, ...urls] : urls;
+  if (targets.length === 0) {
+    throw new UsageError('extract needs at least one URL (or --sample)');
+  }
+
+  const [profile] = buildProfiles(settings);
+  const crawler = new SitefinityCrawler({
+    profile,
+    outputDir: profile.outputDir,
+    checkpointInterval: 0,
+    userAgent: settings.userAgent,
+    linkMode: settings.linkMode,
+    frontmatter: settings.frontmatter,
+    downloadAssets: settings.downloadAssets,
+    minQuality: settings.minQuality,
+    refetchLowQuality: settings.refetchLowQuality
+  });
+  if (!dryRun) {
+    fs.mkdirSync(crawler.progressDir, { recursive: true });
+  }
+  crawler.loadAllRedirects();
+  if (crawler.downloadAssets) {
+    crawler.assets.load();
+  }
+
+  let exitCode = EXIT_CODES.OK;
+  await crawler.launchBrowser();
+
+  try {
+    for (const url of targets) {
+      console.log(`\n${'='.repeat(80)}`);
+      console.log(`Extracting: ${url}`);
+      console.log('='.repeat(80));
+
+      const page = await /** @type {import('playwright').BrowserContext} */ (crawler.context).newPage();
+      try {
+        await crawler.gotoWithRetry(page, url);
+
+        const finalUrl = page.url().split('#')[0].split('?')[0];
+        if (finalUrl !== url) {
+          console.log(`\n⚠️  Redirect detected: ${url} → ${finalUrl}`);
+        }
+
+        if (dryRun) {
+          const { extraction, hits } = await previewNoiseRules(page, crawler.selectors.excludeSelectors, {
+            mainContent: crawler.selectors.mainContent,
+            noiseRules: crawler.noiseRules
+          });
+          console.log(`\n✓ Content: ${formatExtraction(extraction)}`);
+          printNoiseRuleHits(hits);
+          continue;
+        }
+
+        const content = await crawler.extractContent(page, url);
+        console.log(`\n✓ Title: ${content.title}`);
+        console.log(`✓ Heading: ${content.heading}`);
+        console.log(`✓ Breadcrumb: ${(content.breadcrumb || []).join(' > ')}`);
+        if (content.extraction) {
+          console.log(`✓ Content: ${formatExtraction(content.extraction)}`);
+        }
+        if (content.quality) {
+          const { score, issues } = content.quality;
+          console.log(`${score < settings.minQuality ? '⚠️ ' : '✓'} Quality: ${score}/100${issues.length > 0 ? ` (${issues.join(', ')})` : ''}`);
+        }
+        console.log(`✓ Text length: ${content.text.length} chars`);
+        console.log(`✓ HTML length: ${content.html.length} chars`);
+
+        crawler.saveContent(content);
+
+        console.log(`\nPreview (first 300 chars):\n${'─'.repeat(80)}`);
+        console.log(content.text.substring(0, 300).replace(/\n+/g, '\n'));
+        console.log('─'.repeat(80));
+      } catch (error) {
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        console.error(`❌ Error extracting ${url}:`, errorMessage);
+        exitCode = EXIT_CODES.FAILURE;
+      } finally {
+        await page.close();
+      }
+    }
+  } finally {
+    await crawler.browser?.close();
+  }
+
+  return exitCode;
+}
+
+/**
+ * `verify` command
+ * @param {CliSettings} settings - Resolved settings
+ * @returns {Promise<number>} Exit code
+ */
+async function verifyCommand(settings) {
+  let exitCode = EXIT_CODES.OK;
+
+  for (const profile of buildProfiles(settings)) {
+    const result = verifyOutput(profile.outputDir);
+    console.log(`\n🔍 ${profile.name}: ${profile.outputDir} (${result.pages} pages)`);
+
+    for (const warning of result.warnings) {
+      console.log(`⚠️  ${warning}`);
+    }
+    for (const problem of result.problems) {
+      console.log(`❌ ${problem}`);
+    }
+
+    if (result.problems.length > 0) {
+      console.log(`✗ ${result.problems.length} problem(s) found`);
+      exitCode = EXIT_CODES.VERIFY_FAILED;
+    } else {
+      console.log('✓ Output is consistent');
+    }
+  }
+
+  return exitCode;
+}
+
+/**
+ * `stats` command
+ * @param {CliSettings} settings - Resolved settings
+ * @param {boolean} json - Print machine-readable JSON
+ * @returns {Promise<number>} Exit code
+ */
+async function statsCommand(settings, json) {
+  const profiles = buildProfiles(settings);
+  const allStats = profiles.map(profile => ({ profile: profile.name, outputDir: profile.outputDir, ...collectStats(profile.outputDir) }));
+
+  if (json) {
+    console.log(JSON.stringify(allStats.length === 1 ? allStats[0] : allStats, null, 2));
+    return EXIT_CODES.OK;
+  }
+
+  for (const stats of allStats) {
+    console.log(`\n📊 ${stats.profile}: ${stats.outputDir}`);
+    console.log(`  Pages:        ${stats.pages}`);
+    console.log(`  Redirects:    ${stats.redirects}`);
+    console.log(`  Markdown:     ${(stats.markdownBytes / 1024 / 1024).toFixed(2)} MB`);
+    console.log(`  HTML:         ${(stats.htmlBytes / 1024 / 1024).toFixed(2)} MB`);
+    console.log(`  Oldest crawl: ${stats.oldestCrawl || '-'}`);
+    console.log(`  Newest crawl: ${stats.newestCrawl || '-'}`);
+    console.log('  Sections:');
+    const sections = Object.entries(stats.sections).sort((a, b) => b[1] - a[1]);
+    for (const [section, count] of sections) {
+      console.log(`    ${String(count).padStart(5)}  ${section}`);
+    }
+  }
+
+  return EXIT_CODES.OK;
+}
+
+/**
+ * `export` command
+ * @param {CliSettings} settings - Resolved settings
+ * @param {string} format - Export format
+ * @param {string | undefined} out - Output file (stdout if omitted)
+ * @returns {Promise<number>} Exit code
+ */
+async function exportCommand(settings, format, out) {
+  if (format !== 'llms' && format !== 'chunks') {
+    throw new UsageError(`Unknown export format "${format}" (available: llms, chunks)`);
+  }
+  if (format === 'chunks' && settings.chunkOverlap >= settings.chunkSize) {
+    throw new UsageError(`chunkOverlap (${settings.chunkOverlap}) must be smaller than chunkSize (${settings.chunkSize})`);
+  }
+
+  const profiles = buildProfiles(settings);
+  if (profiles.length > 1) {
+    throw new UsageError('export works on one profile at a time');
+  }
+  const [profile] = profiles;
+
+  const pages = loadSavedPages(path.join(profile.outputDir, 'progress'))
+    .filter(saved => fs.existsSync(saved.mdPath));
+  if (pages.length === 0) {
+    console.error(`❌ No saved pages in ${profile.outputDir}`);
+    return EXIT_CODES.FAILURE;
+  }
+
+  let output;
+  let summary = `${pages.length} pages`;
+  if (format === 'chunks') {
+    const records = buildChunkRecords(profile.outputDir, {
+      chunkSize: settings.chunkSize,
+      overlap: settings.chunkOverlap,
+      getVersion: url => extractVersion(url, profile)
+    });
+    output = records.map(record => JSON.stringify(record)).join('\n');
+    summary = `${records.length} chunks from ${pages.length} pages`;
+  } else {
+    const targets = loadLocalPathTargets(profile.outputDir);
+    const markdownDocs = pages.map(saved => absolutizeLocalPaths(fs.readFileSync(saved.mdPath, 'utf-8'), targets));
+    const skipUrls = settings.nearDuplicates === 'skip' ? nearDuplicateUrls(pages.map(saved => saved.json)) : new Set();
+    output = buildLlmsFullFromDocuments(markdownDocs, profile.title, { 'Total Pages': pages.length }, skipUrls).content;
+    if (skipUrls.size > 0) {
+      summary = `${pages.length - skipUrls.size} pages (${skipUrls.size} near-duplicates skipped)`;
+    }
+  }
+
+  if (out) {
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    fs.writeFileSync(out, output + (format === 'chunks' ? '\n' : ''));
+    console.error(`✓ Exported ${summary} to ${out}`);
+  } else {
+    process.stdout.write(output + '\n');
+  }
+
+  return EXIT_CODES.OK;
+}
+
+/**
+ * `version-diff` command
+ * @param {CliSettings} settings - Resolved settings
+ * @param {string[]} args - Positionals: older and newer version
+ * @returns {Promise<number>} Exit code
+ */
+async function versionDiffCommand(settings, args) {
+  if (args.length !== 2) {
+    throw new UsageError('version-diff needs two versions, e.g. `version-diff 143 152`');
+  }
+  const [from, to] = args;
+
+  let exitCode = EXIT_CODES.OK;
+  for (const profile of buildProfiles(settings)) {
+    try {
+      const { report, markdownPath } = writeVersionDiff(profile.outputDir, from, to, {
+        title: profile.title,
+        getCanonicalUrl: url => getCanonicalUrl(url, profile)
+      });
+      const { counts } = report;
+      console.log(`✓ ${profile.name} ${from} → ${to}: ${counts.added} added, ${counts.changed} changed, ${counts.removed} removed, ${counts.unchanged} unchanged`);
+      console.log(`✓ Report: ${markdownPath}`);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      console.error(`❌ ${profile.name}: ${errorMessage}`);
+      exitCode = EXIT_CODES.FAILURE;
+    }
+  }
+
+  return exitCode;
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the executable (e.g. ['crawl', '--max-pages', '10'])
+ * @returns {Promise<number>} Process exit code
+ */
+export async function main(argv) {
+  try {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+    const [command, ...args] = positionals;
+
+    if (!command) {
+      if (values.help) {
+        console.log(GLOBAL_HELP);
+        return EXIT_CODES.OK;
+      }
+      throw new UsageError('Missing command');
+    }
+    if (!COMMAND_HELP[command]) {
+      throw new UsageError(`Unknown command "${command}"`);
+    }
+    if (values.help) {
+      console.log(COMMAND_HELP[command]);
+      return EXIT_CODES.OK;
+    }
+    if (args.length > MAX_POSITIONALS[command]) {
+      const [usage] = COMMAND_HELP[command].split('\n');
+      throw new UsageError(`Unexpected argument "${args[MAX_POSITIONALS[command]]}" for ${command}\n${usage}`);
+    }
+
+    const settings = resolveSettings(values, command === 'crawl' ? args : []);
+
+    switch (command) {
+      case 'crawl':
+        return await crawlCommand(settings);
+      case 'regenerate':
+        return await regenerateCommand(settings);
+      case 'extract':
+        return await extractCommand(settings, args, Boolean(values.sample), Boolean(values['dry-run']));
+      case 'verify':
+        return await verifyCommand(settings);
+      case 'stats':
+        return await statsCommand(settings, Boolean(values.json));
+      case 'version-diff':
+        return await versionDiffCommand(settings, args);
+      case 'index':
+        return await indexCommand(settings);
+      case 'search':
+        return await searchCommand(settings, args, values.limit, Boolean(values.json));
+      default:
+        return await exportCommand(settings, values.format || 'llms', values.out);
+    }
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : String(error);
+
+    // parseArgs reports unknown/malformed flags with ERR_PARSE_ARGS_* codes
+    const code = /** @type {{code?: string}} */ (error).code;
+    if (error instanceof UsageError || (code && code.startsWith('ERR_PARSE_ARGS'))) {
+      console.error(`Error: ${errorMessage}`);
+      console.error('Run `sitefinity-docs --help` for usage.');
+      return EXIT_CODES.USAGE;
+    }
+
+    console.error('❌ Fatal error:', errorMessage);
+    return EXIT_CODES.FAILURE;
+  }
+}
+
+// Run when executed directly (also through the npm bin symlink)
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  process.exitCode = await main(process.argv.slice(2));
+}
@@ -0,0 +1,81 @@
+/**
+ * @typedef {'main-content' | 'readability' | 'body'} ExtractionStrategy
+ * - main-content: a `mainContent` selector matched
+ * - readability: no selector matched, the densest block of paragraph text was used
+ * - body: nothing stood out, the whole (cleaned) body was used
+ */
+
+/**
+ * @typedef {Object} ContentRoot
+ * @property {Element} element - Element whose content is extracted
+ * @property {ExtractionStrategy} strategy - How the element was found
+ * @property {string | null} selector - The mainContent selector that matched (main-content only)
+ */
+
+/**
+ * Find the element that holds the page content, inside an already cleaned copy of the body.
+ * The comma-separated `mainContent` selectors are tried in order and the first one matching an
+ * element with text wins. Without a match, blocks are scored readability-style: every paragraph-like
+ * element with at least 25 characters adds to its parent's score (half to the grandparent), more for
+ * longer text and commas; scores are scaled down by the share of link text. The best block wins if
+ * it holds at least half of the body's non-link text, otherwise the whole body is used.
+ *
+ * Runs inside the browser page (its source is passed to page.evaluate), so it must not use
+ * anything from outside its own body.
+ * @param {Element} body - Cleaned copy of document.body
+ * @param {string} [mainContent] - Comma-separated main content selectors, in order of preference
+ * @returns {ContentRoot}
+ */
+export function selectContentRoot(body, mainContent = '') {
+  /** @param {Element} element */
+  const textLength = element => (element.textContent || '').replace(/\s+/g, ' ').trim().length;
+  /** @param {Element} element */
+  const linkTextLength = element => Array.from(element.querySelectorAll('a')).reduce((sum, link) => sum + textLength(link), 0);
+
+  // Split at commas outside attribute selectors and parentheses
+  const selectors = mainContent.match(/(?:[^,[(]|\[[^\]]*\]|\([^)]*\))+/g) || [];
+  for (const raw of selectors) {
+    const selector = raw.trim();
+    const element = selector ? body.querySelector(selector) : null;
+    if (element && textLength(element) > 0) {
+      return { element, strategy: 'main-content', selector };
+    }
+  }
+
+  /** @type {Map<Element, number>} */
+  const scores = new Map();
+  Array.from(body.querySelectorAll('p, pre, td, li, blockquote, dd')).forEach(block => {
+    const text = (block.textContent || '').trim();
+    if (text.length < 25) {
+      return;
+    }
+    const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+    const parent = block.parentElement;
+    const grandparent = parent && parent !== body ? parent.parentElement : null;
+    if (parent && parent !== body) {
+      scores.set(parent, (scores.get(parent) || 0) + score);
+    }
+    if (grandparent && grandparent !== body) {
+      scores.set(grandparent, (scores.get(grandparent) || 0) + score / 2);
+    }
+  });
+
+  /** @type {Element | null} */
+  let best = null;
+  let bestScore = 0;
+  scores.forEach((score, element) => {
+    const length = textLength(element);
+    const linkLength = linkTextLength(element);
+    const adjusted = score * (1 - (length > 0 ? Math.min(linkLength / length, 1) : 1));
+    if (adjusted > bestScore) {
+      best = element;
+      bestScore = adjusted;
+    }
+  });
+
+  const chosen = /** @type {Element | null} */ (best);
+  if (chosen && (textLength(chosen) - linkTextLength(chosen)) * 2 >= textLength(body) - linkTextLength(body)) {
+    return { element: chosen, strategy: 'readability', selector: null };
+  }
+  return { element: body, strategy: 'body', selector: null };
+}
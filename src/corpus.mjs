@@ -0,0 +1,278 @@
+import fs from 'fs';
+import path from 'path';
+import { Logger } from './logger.mjs';
+import { ASSETS_DIR, readAssetManifest } from './assets.mjs';
+
+/**
+ * @typedef {Object} PageJson
+ * @property {string} url - Page URL
+ * @property {string} title - Page title
+ * @property {string} heading - Main heading (H1)
+ * @property {string[]} breadcrumb - Breadcrumb navigation items
+ * @property {string} text - Extracted text content
+ * @property {string} crawledAt - ISO timestamp when page was crawled
+ * @property {string} [htmlHash] - SHA-256 of the cleaned HTML
+ * @property {string} [markdownHash] - SHA-256 of the markdown document
+ * @property {string | null} [etag] - ETag of the page response
+ * @property {string | null} [lastModified] - Last-Modified of the page response
+ * @property {string} [lastCheckedAt] - ISO timestamp of the last fetch or revalidation
+ * @property {string} [lastChangedAt] - ISO timestamp of the last content change
+ * @property {import('./quality.mjs').QualitySignals | null} [quality] - Extraction quality signals
+ * @property {string | null} [simhash] - Text fingerprint for near-duplicate detection (null for short pages)
+ * @property {import('./near-duplicates.mjs').NearDuplicateInfo | null} [nearDuplicates] - Near-duplicate cluster of the page
+ */
+
+/**
+ * @typedef {Object} SavedPage
+ * @property {string} filename - JSON filename in the progress directory
+ * @property {string} jsonPath - Path of the page JSON file
+ * @property {string} htmlPath - Path of the cleaned HTML file
+ * @property {string} mdPath - Path of the markdown file
+ * @property {PageJson} json - Parsed page metadata
+ */
+
+/**
+ * List page JSON files in a progress directory (excluding redirect mappings)
+ * @param {string} progressDir - Directory holding the per-page files
+ * @returns {string[]} Sorted JSON filenames
+ */
+export function listPageFiles(progressDir) {
+  if (!fs.existsSync(progressDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(progressDir)
+    .filter(f => f.endsWith('.json') && !f.endsWith('.redirect.json') && f !== '_summary.json')
+    .sort();
+}
+
+/**
+ * Read one saved page's metadata
+ * @param {string} progressDir - Directory holding the per-page files
+ * @param {string} filename - JSON filename
+ * @returns {SavedPage}
+ * @throws {Error} If the JSON file cannot be read or parsed
+ */
+export function readSavedPage(progressDir, filename) {
+  const jsonPath = path.join(progressDir, filename);
+  return {
+    filename,
+    jsonPath,
+    htmlPath: jsonPath.replace(/\.json$/, '.html'),
+    mdPath: jsonPath.replace(/\.json$/, '.md'),
+    json: JSON.parse(fs.readFileSync(jsonPath, 'utf-8'))
+  };
+}
+
+/**
+ * Load all saved pages from a progress directory, skipping unreadable files
+ * @param {string} progressDir - Directory holding the per-page files
+ * @param {Logger} [logger] - Where skipped files are reported
+ * @returns {SavedPage[]}
+ */
+export function loadSavedPages(progressDir, logger = new Logger()) {
+  /** @type {SavedPage[]} */
+  const pages = [];
+
+  for (const filename of listPageFiles(progressDir)) {
+    try {
+      pages.push(readSavedPage(progressDir, filename));
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      logger.warn(`⚠️  Skipping ${filename}: ${errorMessage}`, { file: filename });
+    }
+  }
+
+  return pages;
+}
+
+/**
+ * Local paths the saved markdown may link to (pages and downloaded images), with the URLs they stand for
+ * (see absolutizeLocalPaths in links.mjs)
+ * @param {string} outputDir - Crawl output directory
+ * @param {Logger} [logger] - Where skipped files are reported
+ * @returns {Map<string, string>} Local path relative to progress/ -> absolute URL
+ */
+export function loadLocalPathTargets(outputDir, logger = new Logger()) {
+  /** @type {Map<string, string>} */
+  const targets = new Map();
+  const progressDir = path.join(outputDir, 'progress');
+  // Links saved before a redirect was known name the redirect source
+  for (const redirect of loadSavedRedirects(progressDir)) {
+    targets.set(redirect.filename.replace(/\.redirect\.json$/, '.md'), redirect.target);
+  }
+  for (const saved of loadSavedPages(progressDir, logger)) {
+    targets.set(path.basename(saved.mdPath), saved.json.url);
+  }
+  // An image served under several URLs is stored once; the first URL stands for it
+  for (const [url, entry] of readAssetManifest(path.join(outputDir, ASSETS_DIR), logger)) {
+    const localPath = `../${ASSETS_DIR}/${entry.file}`;
+    if (!targets.has(localPath)) {
+      targets.set(localPath, url);
+    }
+  }
+  return targets;
+}
+
+/**
+ * Load redirect mappings saved as *.redirect.json files
+ * @param {string} progressDir - Directory holding the per-page files
+ * @returns {{filename: string, source: string, target: string, cachedAt: string}[]}
+ */
+export function loadSavedRedirects(progressDir) {
+  if (!fs.existsSync(progressDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(progressDir)
+    .filter(f => f.endsWith('.redirect.json'))
+    .sort()
+    .flatMap(filename => {
+      try {
+        const data = JSON.parse(fs.readFileSync(path.join(progressDir, filename), 'utf-8'));
+        return [{ filename, ...data }];
+      } catch (error) {
+        return [];
+      }
+    });
+}
+
+/**
+ * @typedef {Object} VerifyResult
+ * @property {number} pages - Page JSON files checked
+ * @property {string[]} problems - Integrity errors (missing/invalid files)
+ * @property {string[]} warnings - Non-fatal findings (e.g. unfinished crawl)
+ */
+
+/**
+ * Check the integrity of a crawl output directory
+ * @param {string} outputDir - Crawl output directory
+ * @returns {VerifyResult}
+ */
+export function verifyOutput(outputDir) {
+  const progressDir = path.join(outputDir, 'progress');
+  /** @type {string[]} */
+  const problems = [];
+  /** @type {string[]} */
+  const warnings = [];
+
+  if (!fs.existsSync(progressDir)) {
+    return { pages: 0, problems: [`Missing progress directory: ${progressDir}`], warnings };
+  }
+
+  const files = listPageFiles(progressDir);
+  if (files.length === 0) {
+    problems.push(`No page files in ${progressDir}`);
+  }
+
+  for (const filename of files) {
+    /** @type {SavedPage} */
+    let saved;
+    try {
+      saved = readSavedPage(progressDir, filename);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      problems.push(`${filename}: invalid JSON (${errorMessage})`);
+      continue;
+    }
+
+    if (!saved.json.url) {
+      problems.push(`${filename}: missing url`);
+    }
+    if (!saved.json.crawledAt || isNaN(new Date(saved.json.crawledAt).getTime())) {
+      problems.push(`${filename}: missing or invalid crawledAt`);
+    }
+    if (!fs.existsSync(saved.htmlPath)) {
+      problems.push(`${filename}: missing HTML file`);
+    }
+    if (!fs.existsSync(saved.mdPath)) {
+      problems.push(`${filename}: missing markdown file`);
+    } else if (fs.statSync(saved.mdPath).size === 0) {
+      problems.push(`${filename}: empty markdown file`);
+    }
+  }
+
+  for (const redirect of loadSavedRedirects(progressDir)) {
+    if (!redirect.source || !redirect.target) {
+      problems.push(`${redirect.filename}: redirect is missing source or target`);
+    }
+  }
+
+  const summaryPath = path.join(outputDir, '_summary.json');
+  if (!fs.existsSync(summaryPath)) {
+    problems.push('Missing _summary.json');
+  } else {
+    try {
+      JSON.parse(fs.readFileSync(summaryPath, 'utf-8'));
+    } catch (error) {
+      problems.push('_summary.json is not valid JSON');
+    }
+  }
+
+  if (!fs.existsSync(path.join(outputDir, 'llms-full.txt'))) {
+    problems.push('Missing llms-full.txt');
+  }
+
+  if (fs.existsSync(path.join(outputDir, 'frontier.jsonl'))) {
+    warnings.push('frontier.jsonl present: the last crawl did not finish');
+  }
+
+  return { pages: files.length, problems, warnings };
+}
+
+/**
+ * @typedef {Object} CorpusStats
+ * @property {number} pages - Saved pages
+ * @property {number} redirects - Cached redirect mappings
+ * @property {number} markdownBytes - Total size of markdown files
+ * @property {number} htmlBytes - Total size of HTML files
+ * @property {string | null} oldestCrawl - Oldest crawledAt timestamp
+ * @property {string | null} newestCrawl - Newest crawledAt timestamp
+ * @property {Record<string, number>} sections - Page count per top-level breadcrumb section
+ */
+
+/**
+ * Collect statistics about a crawl output directory
+ * @param {string} outputDir - Crawl output directory
+ * @returns {CorpusStats}
+ */
+export function collectStats(outputDir) {
+  const progressDir = path.join(outputDir, 'progress');
+  const pages = loadSavedPages(progressDir);
+
+  /** @type {CorpusStats} */
+  const stats = {
+    pages: pages.length,
+    redirects: loadSavedRedirects(progressDir).length,
+    markdownBytes: 0,
+    htmlBytes: 0,
+    oldestCrawl: null,
+    newestCrawl: null,
+    sections: {}
+  };
+
+  for (const saved of pages) {
+    if (fs.existsSync(saved.mdPath)) {
+      stats.markdownBytes += fs.statSync(saved.mdPath).size;
+    }
+    if (fs.existsSync(saved.htmlPath)) {
+      stats.htmlBytes += fs.statSync(saved.htmlPath).size;
+    }
+
+    const crawledAt = saved.json.crawledAt;
+    if (crawledAt) {
+      if (!stats.oldestCrawl || crawledAt < stats.oldestCrawl) {
+        stats.oldestCrawl = crawledAt;
+      }
+      if (!stats.newestCrawl || crawledAt > stats.newestCrawl) {
+        stats.newestCrawl = crawledAt;
+      }
+    }
+
+    // breadcrumb[0] is "Home"; the next item is the top-level section
+    const section = (saved.json.breadcrumb || [])[1] || '(no section)';
+    stats.sections[section] = (stats.sections[section] || 0) + 1;
+  }
+
+  return stats;
+}
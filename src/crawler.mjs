@@ -1,13 +1,129 @@
 import { chromium } from 'playwright';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
 import fs from 'fs';
 import path from 'path';
 import TurndownService from 'turndown';
+import { CrawlFrontier } from './frontier.mjs';
+import { DEFAULT_PROFILE, escapeRegExp, extractVersion, getCanonicalUrl, getVersionRegex } from './profiles.mjs';
+import { buildLlmsFull, buildLlmsTxt, describePage } from './llms.mjs';
+import { parseYamlFrontmatter, renderYamlFrontmatter } from './frontmatter.mjs';
+import { buildTocTree, orderDocumentsByToc, renderToc } from './toc.mjs';
+import { DEFAULT_LINK_MODE, absolutizeLocalPaths, rewriteLinks } from './links.mjs';
+import { addDocumentationRules } from './turndown-rules.mjs';
+import { ASSETS_DIR, AssetStore, extractImageUrls, replaceEmbeddedMedia } from './assets.mjs';
+import { selectContentRoot } from './content-root.mjs';
+import { DEFAULT_MIN_QUALITY, assessQuality, buildQualityReport, measureContent, renderQualityReportMarkdown } from './quality.mjs';
+import { applyNoiseRules, loadNoiseRules, resolveNoiseRules } from './noise-rules.mjs';
+import { buildBrokenLinkReport, isGoneStatus, renderBrokenLinksMarkdown } from './broken-links.mjs';
+import { loadLocalPathTargets, loadSavedPages } from './corpus.mjs';
+import { mergeChangeHistory, renderAtomFeed, renderChangesMarkdown, unifiedDiff } from './changes.mjs';
+import { writeVersionDiff } from './versions.mjs';
+import { DEFAULT_USER_AGENT, createFetcher } from './http.mjs';
+import { simhash, updateNearDuplicates } from './near-duplicates.mjs';
+import { chainMarkdownPostProcessors, findUrlFilter, transformContent, writePluginOutputs } from './plugins.mjs';
+import { HAR_FILES, HarArchive, createRecordingFetcher, createReplayFetcher } from './har.mjs';
+import { Logger, formatBytes, formatElapsed } from './logger.mjs';
+import { createRobotsPolicy } from './robots.mjs';
+import { collectSitemapEntries } from './sitemap.mjs';
 
 /**
  * @typedef {Object} CrawlerOptions
  * @property {string} [outputDir] - Directory to save crawled content
  * @property {number} [maxPages] - Maximum number of pages to crawl
  * @property {number} [staleThreshold] - Time in seconds before cached data is considered stale (default: 86400 = 1 day, 0 = always re-download)
+ * @property {number} [concurrency] - Number of pages fetched in parallel (default: 4)
+ * @property {number} [checkpointInterval] - Compact the frontier journal every N newly fetched pages (default: 25, 0 = only on exit)
+ * @property {import('./profiles.mjs').SiteProfile} [profile] - Documentation site to crawl (default: Sitefinity CMS)
+ * @property {string} [baseUrl] - Start URL instead of the profile's, e.g. a local mirror or test server; its path must lie within the profile scope
+ * @property {import('playwright').Browser} [browser] - Browser to open pages in instead of launching Chromium; close() leaves it open
+ * @property {string} [userAgent] - User agent for pages, robots.txt and sitemaps (default: DEFAULT_USER_AGENT)
+ * @property {boolean} [respectRobots] - Honor robots.txt rules, Crawl-delay and meta robots noindex/nofollow (default: true)
+ * @property {boolean} [useSitemap] - Seed the crawl from sitemap.xml (default: true)
+ * @property {import('./http.mjs').Fetcher} [fetcher] - Fetcher for robots.txt and sitemaps (default: fetch with userAgent)
+ * @property {string} [version] - Crawl only this documentation version (e.g. '152') instead of the canonical pages; needs a profile with versionPattern
+ * @property {LlmsLinks} [llmsLinks] - Link targets in llms.txt (default: 'url')
+ * @property {import('./links.mjs').LinkMode} [linkMode] - Links in the markdown: 'absolute' URLs or 'local' .md files (default: 'absolute')
+ * @property {boolean} [downloadAssets] - Download content images into assets/ and point the markdown at them (default: true)
+ * @property {FrontmatterStyle} [frontmatter] - Header of the progress/*.md files (default: 'header')
+ * @property {number} [minQuality] - Quality score below which pages are listed in quality-report.md (default: DEFAULT_MIN_QUALITY)
+ * @property {boolean} [refetchLowQuality] - Load pages scoring below minQuality once more and keep the better extraction (default: false)
+ * @property {import('./har.mjs').HarMode} [harMode] - Record every response into HAR archives, or replay a recorded crawl without network (default: neither)
+ * @property {string} [harDir] - Directory of the HAR archives (default: <outputDir>/har)
+ * @property {import('./near-duplicates.mjs').NearDuplicateMode} [nearDuplicates] - Keep near-duplicate pages in llms-full.txt or skip all but each cluster's representative (default: 'keep')
+ * @property {import('./plugins.mjs').CrawlerPlugin[]} [plugins] - URL filter, content transform, markdown post-processing and extra output hooks
+ * @property {Logger} [logger] - Where log lines go, at which level and in which format (default: readable info lines)
+ * @property {number} [progressInterval] - Seconds between progress lines with rate, queue and ETA (default: 30, 0 = after every page)
+ */
+
+/**
+ * @typedef {'robots' | 'filtered' | 'canonical-crawled' | 'redirected-to-visited' | 'out-of-version' | 'noindex' | 'http-error'} SkipReason
+ * - robots: disallowed by robots.txt
+ * - filtered: rejected by a plugin's filterUrl
+ * - canonical-crawled: versioned URL whose canonical page is crawled instead
+ * - redirected-to-visited: redirects (live or cached) to a page that was already crawled
+ * - out-of-version: a pinned-version page redirecting out of its version
+ * - noindex: meta robots noindex
+ * - http-error: answered with an HTTP error status
+ */
+
+/**
+ * @typedef {SaveResult['status'] | 'not-modified' | 'skipped' | 'http-error' | 'error'} PageOutcome
+ * - new, changed, unchanged: the page was saved (see SaveResult)
+ * - not-modified: revalidation answered 304, the saved copy is reused
+ * - skipped: loaded but not saved (reason: redirected-to-visited, out-of-version or noindex)
+ * - http-error: answered with an HTTP error status
+ * - error: failed to load or extract (reason: the error message)
+ */
+
+/**
+ * @typedef {Object} PageLogRecord - What the log records for every page the crawler fetches
+ * @property {string} url - Page URL
+ * @property {string | null} finalUrl - URL after redirects (null without redirect)
+ * @property {number | null} status - HTTP status (null if nothing was received)
+ * @property {number | null} bytes - Size of the response body
+ * @property {PageOutcome} outcome - What became of the page
+ * @property {string | null} reason - Skip reason or error message
+ */
+
+/**
+ * @typedef {Object} CrawlerEventMap - Events emitted by SitefinityCrawler, with their listener arguments
+ * @property {[{url: string, finalUrl: string, status: number | null}]} pageFetched - A page was loaded in the browser (any HTTP status)
+ * @property {[{url: string, filename: string, status: SaveResult['status'], content: ExtractedContent}]} pageSaved - Extracted content was saved to progress/
+ * @property {[{url: string, reason: 'fresh' | 'not-modified'}]} pageCached - A saved page is reused: still fresh, or revalidated with 304
+ * @property {[{from: string, to: string}]} redirect - A redirect was discovered (and cached)
+ * @property {[{url: string, reason: SkipReason, detail: string | null}]} skipped - A URL is not crawled or not saved, once per URL and reason
+ * @property {[{url: string | null, error: Error}]} error - A page failed, or a plugin failed while closing (the crawl goes on; without listeners nothing is thrown)
+ * @property {[CrawlDoneEvent]} done - close() has written all outputs
+ */
+
+/**
+ * @typedef {Object} CrawlDoneEvent
+ * @property {string} outputDir - Crawl output directory
+ * @property {boolean} complete - The crawl finished (not interrupted or capped by maxPages)
+ * @property {boolean} interrupted - The crawl was stopped by SIGINT/SIGTERM
+ * @property {number} totalPages - Cached plus newly fetched pages
+ * @property {number} cachedPages - Pages reused from a previous crawl
+ * @property {number} newlyFetchedPages - Pages fetched by this crawl
+ * @property {Record<SaveResult['status'], number>} changes - Fetched pages by change status
+ * @property {string[]} pluginOutputs - Files written by plugin outputs hooks
+ */
+
+/**
+ * @typedef {'header' | 'yaml'} FrontmatterStyle - progress/*.md files start with the readable
+ * `# title` / `**URL:**` / `**Breadcrumb:**` header or with YAML frontmatter
+ */
+
+/**
+ * @typedef {Object} MarkdownHeaderOptions
+ * @property {FrontmatterStyle} [style] - Header style (default: 'header')
+ * @property {string} [canonicalUrl] - Canonical (non-versioned) page URL, YAML only (default: the page URL)
+ * @property {string | null} [version] - Documentation version of the page, YAML only
+ * @property {string} [crawledAt] - When the current content was fetched, YAML only
+ */
+
+/**
+ * @typedef {'url' | 'local'} LlmsLinks - llms.txt links to the page URL or to the local progress/*.md file
  */
 
 /**
@@ -18,6 +134,23 @@ import TurndownService from 'turndown';
  * @property {string} html - Extracted HTML content
  * @property {string} url - Page URL
  * @property {string[]} [breadcrumb] - Breadcrumb navigation items
+ * @property {ExtractionInfo} [extraction] - How the content area was found
+ * @property {import('./noise-rules.mjs').NoiseRuleHit[]} [noiseRuleHits] - What each noise rule removed
+ * @property {import('./quality.mjs').QualitySignals} [quality] - Extraction quality signals
+ */
+
+/**
+ * @typedef {Object} ExtractionInfo
+ * @property {import('./content-root.mjs').ExtractionStrategy} strategy - How the content area was found
+ * @property {string | null} selector - The mainContent selector that matched (main-content only)
+ */
+
+/**
+ * @typedef {Object} ExtractionOptions
+ * @property {string} [mainContent] - Main content selectors, in order of preference (default: DEFAULT_SELECTORS.mainContent, '' = readability fallback only)
+ * @property {import('./noise-rules.mjs').NoiseRule[]} [noiseRules] - Boilerplate removal rules (default: noise-rules.json)
+ * @property {string} [breadcrumbSelector] - Breadcrumb container selector
+ * @property {Logger} [logger] - Where extraction warnings go (default: readable info lines)
  */
 
 /**
@@ -28,6 +161,19 @@ import TurndownService from 'turndown';
  * @property {string} crawledAt - ISO timestamp when page was crawled
  */
 
+/**
+ * @typedef {Object} PageValidators
+ * @property {string | null} etag - ETag response header
+ * @property {string | null} lastModified - Last-Modified response header
+ */
+
+/**
+ * @typedef {Object} SaveResult
+ * @property {string} filename - JSON filename in the progress directory
+ * @property {'new' | 'changed' | 'unchanged'} status - How the content compares to the previously saved copy
+ * @property {string} [previousMarkdown] - Markdown document that was replaced ('changed' only)
+ */
+
 /**
  * Default selectors for content extraction
  */
@@ -100,27 +246,32 @@ export const DEFAULT_SELECTORS = {
 
   // Links to follow
   documentationLinks: 'a[href*="/documentation/sitefinity-cms"]',
+
+  // Breadcrumb navigation
+  breadcrumb: '.sf-breadcrumb, nav[aria-label*="breadcrumb"]',
 };
 
 /**
- * Create a configured TurndownService instance
+ * Create a configured TurndownService instance with the documentation rules
+ * (GFM tables, code languages, admonitions, definition lists, captions)
  * @returns {TurndownService}
  */
 export function createTurndownService() {
-  return new TurndownService({
+  return addDocumentationRules(new TurndownService({
     headingStyle: 'atx',
     codeBlockStyle: 'fenced'
-  });
+  }));
 }
 
 /**
  * Extracts breadcrumb navigation from the page
  * @param {import('playwright').Page} page - Playwright page object
+ * @param {string} [selector] - Breadcrumb container selector
  * @returns {Promise<string[]>} Array of breadcrumb items
  */
-export async function extractBreadcrumb(page) {
-  return await page.evaluate(() => {
-    const breadcrumbNav = document.querySelector('.sf-breadcrumb, nav[aria-label*="breadcrumb"]');
+export async function extractBreadcrumb(page, selector = DEFAULT_SELECTORS.breadcrumb) {
+  return await page.evaluate((/** @type {string} */ breadcrumbSelector) => {
+    const breadcrumbNav = document.querySelector(breadcrumbSelector);
     if (!breadcrumbNav) {
       return /** @type {string[]} */ ([]);
     }
@@ -137,155 +288,146 @@ export async function extractBreadcrumb(page) {
     });
 
     return breadcrumbs;
+  }, selector);
+}
+
+/**
+ * @typedef {Object} PageHelpers
+ * @property {typeof selectContentRoot} selectContentRoot - Main content lookup (content-root.mjs)
+ * @property {typeof applyNoiseRules} applyNoiseRules - The noise rule engine (noise-rules.mjs)
+ * @property {typeof measureContent} measureContent - Content measurements for the quality signals (quality.mjs)
+ */
+
+/**
+ * @typedef {Object} CleanPageArgs
+ * @property {string[]} excludeSels - Selectors for elements to exclude
+ * @property {string} mainContent - Main content selectors
+ * @property {import('./noise-rules.mjs').NoiseRule[]} rules - Noise rules
+ * @property {boolean} dryRun - Only report what the rules match
+ */
+
+/**
+ * Clean a copy of the page body: drop excluded elements, scripts and styles, scope it to the
+ * main content and apply the noise rules. Runs inside the browser page (its source is passed
+ * to page.evaluate).
+ * @param {CleanPageArgs} args - Extraction arguments
+ * @param {PageHelpers} helpers - Module functions passed into the page
+ * @returns {Omit<ExtractedContent, 'breadcrumb'> & {
+ *   extraction: ExtractionInfo,
+ *   noiseRules: import('./noise-rules.mjs').NoiseRuleHit[],
+ *   measurements: import('./quality.mjs').ContentMeasurements
+ * }}
+ */
+function cleanPageBody({ excludeSels, mainContent, rules, dryRun }, helpers) {
+  // Clone body to avoid modifying the actual page
+  const bodyClone = /** @type {HTMLElement} */ (document.body.cloneNode(true));
+  const totalNodes = bodyClone.getElementsByTagName('*').length;
+
+  // Remove unwanted elements by selector
+  excludeSels.forEach(sel => {
+    bodyClone.querySelectorAll(sel).forEach(el => el.remove());
   });
+
+  // Remove script and style tags (iframes are kept for replaceEmbeddedMedia)
+  bodyClone.querySelectorAll('script, style, noscript').forEach(el => el.remove());
+
+  // Whatever the exclude list misses outside the content area stays out
+  const { element, strategy, selector } = helpers.selectContentRoot(bodyClone, mainContent);
+  const root = /** @type {HTMLElement} */ (element);
+
+  // Promotional sections, feedback widgets and other boilerplate that repeats across pages
+  const noiseRules = helpers.applyNoiseRules(root, rules, dryRun);
+
+  return {
+    title: document.title,
+    heading: document.querySelector('h1')?.textContent?.trim() || '',
+    text: root.innerText?.trim() || '',
+    html: root.innerHTML || '',
+    url: window.location.href,
+    extraction: { strategy, selector },
+    noiseRules,
+    measurements: helpers.measureContent(root, totalNodes)
+  };
+}
+
+/**
+ * Run cleanPageBody in the page. The helpers are passed as source, so the main content lookup
+ * and the rule engine are available inside the page.
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {CleanPageArgs} args - Extraction arguments
+ * @returns {Promise<ReturnType<typeof cleanPageBody>>}
+ */
+async function evaluateCleanPageBody(page, args) {
+  const helpers = `{ selectContentRoot: ${selectContentRoot}, applyNoiseRules: ${applyNoiseRules}, measureContent: ${measureContent} }`;
+  return await page.evaluate(`(${cleanPageBody})(${JSON.stringify(args)}, ${helpers})`);
+}
+
+/**
+ * Size of a page response body
+ * @param {import('playwright').Response} response - Page response
+ * @returns {Promise<number | null>} Null if the browser no longer holds the body
+ */
+async function responseSize(response) {
+  try {
+    return (await response.body()).length;
+  } catch {
+    return null;
+  }
 }
 
 /**
  * Extract content from a page using the provided selectors
  * @param {import('playwright').Page} page - Playwright page object
  * @param {string[]} [excludeSelectors] - Selectors for elements to exclude
+ * @param {ExtractionOptions} [options] - Site-specific extraction options
  * @returns {Promise<ExtractedContent>}
  */
-export async function extractPageContent(page, excludeSelectors = DEFAULT_SELECTORS.excludeSelectors) {
+export async function extractPageContent(page, excludeSelectors = DEFAULT_SELECTORS.excludeSelectors, options = {}) {
   // Extract breadcrumb first (before content extraction that may remove it)
-  const breadcrumb = await extractBreadcrumb(page);
+  const breadcrumb = await extractBreadcrumb(page, options.breadcrumbSelector);
 
   // Wait for main content to load
   try {
     await page.waitForLoadState('networkidle', { timeout: 30000 });
   } catch (e) {
-    console.warn('Warning: Network idle timeout, proceeding anyway...');
+    (options.logger || new Logger()).warn('Warning: Network idle timeout, proceeding anyway...', { url: page.url() });
   }
 
   // Extract main content with improved cleaning
-  const content = await page.evaluate((/** @type {string[]} */ excludeSels) => {
-    // Clone body to avoid modifying the actual page
-    const bodyClone = /** @type {HTMLElement} */ (document.body.cloneNode(true));
-
-    // Remove unwanted elements by selector
-    excludeSels.forEach(sel => {
-      bodyClone.querySelectorAll(sel).forEach(el => el.remove());
-    });
-
-    // Remove script and style tags
-    bodyClone.querySelectorAll('script, style, noscript, iframe').forEach(el => el.remove());
-
-    // Remove elements by text content (repeating sections across pages)
-    // These patterns identify promotional/noise sections that repeat across pages
-    const removalPatterns = [
-      { pattern: /^NEW TO SITEFINITY\?/i, heading: true },
-      { pattern: /^Want to learn more\?/i, heading: true },
-      { pattern: /^Was this article helpful\?/i, heading: true },
-      { pattern: /^Would you like to submit additional feedback\?/i, heading: true },
-      { pattern: /^Next article$/i, heading: true },
-      { pattern: /We use cookies to personalize content/i, heading: false },
-      { pattern: /Cookie Settings/i, heading: false },
-      { pattern: /Cookies Settings Accept Cookies/i, heading: false }
-    ];
-
-    // Find and remove heading-based sections (h2, h3, h4, h5 that start these sections)
-    bodyClone.querySelectorAll('h2, h3, h4, h5').forEach(heading => {
-      const headingText = heading.textContent?.trim() || '';
-
-      // Check if this heading matches our removal patterns
-      const matchesPattern = removalPatterns
-        .filter(p => p.heading)
-        .some(p => p.pattern.test(headingText));
-
-      if (matchesPattern) {
-        // Remove the heading and all following siblings until the next heading of same or higher level
-        const headingLevel = parseInt(heading.tagName.charAt(1)); // Get the number from H2, H3, etc.
-
-        // Collect elements to remove
-        const toRemove = [heading];
-        let sibling = heading.nextElementSibling;
-
-        while (sibling) {
-          const siblingTag = sibling.tagName;
-
-          // Stop if we hit a heading of same or higher level
-          if (/^H[1-6]$/.test(siblingTag)) {
-            const siblingLevel = parseInt(siblingTag.charAt(1));
-            if (siblingLevel <= headingLevel) {
-              break;
-            }
-          }
-
-          toRemove.push(sibling);
-          sibling = sibling.nextElementSibling;
-        }
-
-        // Remove all collected elements
-        toRemove.forEach(el => el.remove());
-      }
-    });
-
-    // Remove non-heading noise elements
-    const nonHeadingPatterns = removalPatterns.filter(p => !p.heading);
-    bodyClone.querySelectorAll('div, p, section').forEach(el => {
-      const text = el.textContent?.trim() || '';
-      if (nonHeadingPatterns.some(p => p.pattern.test(text))) {
-        el.remove();
-      }
-    });
-
-    // Remove training course listings (these appear after the main content)
-    // Look for elements with course-related content patterns
-    bodyClone.querySelectorAll('a').forEach(link => {
-      const href = link.getAttribute('href') || '';
-      const text = link.textContent || '';
-
-      // Remove links to Progress education/training
-      if (href.includes('/services/education/') ||
-          text.includes('free lesson') ||
-          text.includes('free on-demand video course')) {
-        // Remove the link and nearby course description elements
-        let parent = link.parentElement;
-        while (parent && parent !== bodyClone) {
-          const parentText = parent.textContent || '';
-          if (parentText.includes('This free lesson') ||
-              parentText.includes('free on-demand video course')) {
-            parent.remove();
-            break;
-          }
-          parent = parent.parentElement;
-        }
-      }
-    });
-
-    // Remove orphaned course icon images
-    bodyClone.querySelectorAll('img[src*="course_book"]').forEach(img => img.remove());
-
-    // Remove "Thank you for your feedback!" text nodes
-    bodyClone.querySelectorAll('*').forEach(el => {
-      if (el.textContent?.trim() === 'Thank you for your feedback!') {
-        el.remove();
-      }
-    });
-
-    // Remove elements with tracking/analytics attributes
-    bodyClone.querySelectorAll('[onclick*="__doPostBack"]').forEach(el => el.remove());
-    bodyClone.querySelectorAll('a[href^="javascript:"]').forEach(el => el.remove());
-
-    // Get clean text
-    const text = bodyClone.innerText?.trim() || '';
-
-    return {
-      title: document.title,
-      heading: document.querySelector('h1')?.textContent?.trim() || '',
-      text: text,
-      html: bodyClone.innerHTML || '',
-      url: window.location.href
-    };
-  }, excludeSelectors);
+  const { noiseRules: noiseRuleHits, measurements, ...content } = await evaluateCleanPageBody(page, {
+    excludeSels: excludeSelectors,
+    mainContent: options.mainContent ?? DEFAULT_SELECTORS.mainContent,
+    rules: options.noiseRules || loadNoiseRules(),
+    dryRun: false
+  });
 
-  // Add breadcrumb to the content object
+  // Add breadcrumb to the content object; embedded videos become links
   return {
     ...content,
-    breadcrumb: breadcrumb
+    html: replaceEmbeddedMedia(content.html, content.url),
+    breadcrumb: breadcrumb,
+    noiseRuleHits,
+    quality: assessQuality(content, measurements)
   };
 }
 
+/**
+ * Show which nodes each noise rule would remove from a page, without removing anything
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {string[]} [excludeSelectors] - Selectors for elements excluded before the rules run
+ * @param {ExtractionOptions} [options] - Main content selectors and the rules to check (breadcrumbSelector is not used)
+ * @returns {Promise<{extraction: ExtractionInfo, hits: import('./noise-rules.mjs').NoiseRuleHit[]}>}
+ */
+export async function previewNoiseRules(page, excludeSelectors = DEFAULT_SELECTORS.excludeSelectors, options = {}) {
+  const { extraction, noiseRules: hits } = await evaluateCleanPageBody(page, {
+    excludeSels: excludeSelectors,
+    mainContent: options.mainContent ?? DEFAULT_SELECTORS.mainContent,
+    rules: options.noiseRules || loadNoiseRules(),
+    dryRun: true
+  });
+  return { extraction, hits };
+}
+
 /**
  * Normalizes whitespace in markdown content
  * - Trims excessive blank lines (max 2 consecutive newlines)
@@ -306,17 +448,74 @@ export function normalizeMarkdownWhitespace(markdown) {
     .trim();
 }
 
+/**
+ * Convert cleaned page HTML to normalized markdown (page body only, no header)
+ * @param {string} html - Cleaned HTML content
+ * @param {TurndownService} turndownService - Turndown service instance
+ * @returns {string} Markdown body
+ */
+export function htmlToMarkdown(html, turndownService) {
+  return normalizeMarkdownWhitespace(turndownService.turndown(html));
+}
+
 /**
  * Convert extracted content to markdown document with frontmatter
  * @param {ExtractedContent} content - Extracted page content
  * @param {TurndownService} turndownService - Turndown service instance
+ * @param {import('./links.mjs').LinkOptions} [links] - Link rewriting (default: absolute URLs)
+ * @param {MarkdownHeaderOptions} [header] - Header style and YAML fields (default: readable header)
+ * @returns {string} Markdown document
+ */
+export function contentToMarkdown(content, turndownService, links, header = {}) {
+  // Resolve links against the page URL, then convert and normalize whitespace
+  const normalizedMarkdown = htmlToMarkdown(rewriteLinks(content.html, content.url, links), turndownService);
+
+  return renderMarkdownDocument(content, normalizedMarkdown, header);
+}
+
+/**
+ * Convert extracted content to its markdown document and the hash change detection compares.
+ * The hash only covers the markdown below the header: crawledAt (YAML frontmatter) moves with
+ * every fetch, and files saved before the hash existed can be hashed the same way.
+ * @param {ExtractedContent} content - Extracted page content
+ * @param {TurndownService} turndownService - Turndown service instance
+ * @param {import('./links.mjs').LinkOptions} [links] - Link rewriting (default: absolute URLs)
+ * @param {MarkdownHeaderOptions} [header] - Header style and YAML fields (default: readable header)
+ * @param {(markdown: string, content: ExtractedContent) => string} [postProcess] - Rewrites the converted markdown below the header (plugins)
+ * @returns {{markdownDoc: string, markdownHash: string}}
+ */
+export function buildMarkdownDocument(content, turndownService, links, header = {}, postProcess) {
+  const convertedMarkdown = htmlToMarkdown(rewriteLinks(content.html, content.url, links), turndownService);
+  const normalizedMarkdown = postProcess ? postProcess(convertedMarkdown, content) : convertedMarkdown;
+
+  return {
+    markdownDoc: renderMarkdownDocument(content, normalizedMarkdown, header),
+    markdownHash: hashContent(normalizedMarkdown)
+  };
+}
+
+/**
+ * Put the header (or YAML frontmatter) above converted page markdown
+ * @param {ExtractedContent} content - Extracted page content
+ * @param {string} normalizedMarkdown - Page markdown body
+ * @param {MarkdownHeaderOptions} [header] - Header style and YAML fields (default: readable header)
  * @returns {string} Markdown document
  */
-export function contentToMarkdown(content, turndownService) {
-  const markdown = turndownService.turndown(content.html);
-  
-  // Normalize whitespace in the converted markdown
-  const normalizedMarkdown = normalizeMarkdownWhitespace(markdown);
+export function renderMarkdownDocument(content, normalizedMarkdown, header = {}) {
+  if (header.style === 'yaml') {
+    const frontmatter = renderYamlFrontmatter({
+      title: content.title,
+      heading: content.heading,
+      url: content.url,
+      canonicalUrl: header.canonicalUrl || content.url,
+      version: header.version || null,
+      breadcrumb: content.breadcrumb || [],
+      crawledAt: header.crawledAt || null,
+      contentHash: hashContent(content.html),
+      description: describePage(normalizedMarkdown)
+    });
+    return `${frontmatter}\n\n${normalizedMarkdown}`;
+  }
 
   // Build breadcrumb trail if available
   const breadcrumbLine = content.breadcrumb && content.breadcrumb.length > 0
@@ -339,15 +538,129 @@ export function contentToMarkdown(content, turndownService) {
   ].join('\n');
 }
 
+/**
+ * Strip the header or YAML frontmatter that contentToMarkdown puts above the page markdown
+ * @param {string} markdownDoc - Markdown document as saved in progress/*.md
+ * @returns {string} Page markdown body
+ */
+export function markdownDocumentBody(markdownDoc) {
+  const yaml = parseYamlFrontmatter(markdownDoc);
+  if (yaml) {
+    return yaml.body;
+  }
+  if (!markdownDoc.startsWith('# ')) {
+    return markdownDoc;
+  }
+
+  const separator = markdownDoc.indexOf('\n---\n');
+  return separator === -1 ? markdownDoc : markdownDoc.slice(separator + '\n---\n'.length);
+}
+
+/**
+ * Read the header fields (or YAML frontmatter) that contentToMarkdown writes above the page markdown
+ * @param {string} markdownDoc - Markdown document as saved in progress/*.md
+ * @returns {{title: string, url: string, breadcrumb: string[], body: string}}
+ */
+export function parseMarkdownDocument(markdownDoc) {
+  const yaml = parseYamlFrontmatter(markdownDoc);
+  if (yaml) {
+    const { heading, title, url, breadcrumb } = yaml.fields;
+    return {
+      title: String(heading || title || ''),
+      url: String(url || ''),
+      breadcrumb: Array.isArray(breadcrumb) ? breadcrumb : [],
+      body: yaml.body
+    };
+  }
+
+  const body = markdownDocumentBody(markdownDoc);
+  const header = markdownDoc.slice(0, markdownDoc.length - body.length);
+  const title = header.match(/^# (.*)$/m);
+  const url = header.match(/^\*\*URL:\*\* (.*)$/m);
+  const breadcrumb = header.match(/^\*\*Breadcrumb:\*\* (.*)$/m);
+
+  return {
+    title: title ? title[1].trim() : '',
+    url: url ? url[1].trim() : '',
+    breadcrumb: breadcrumb ? breadcrumb[1].split(' > ') : [],
+    body
+  };
+}
+
+/**
+ * Give a markdown document the readable header, whatever its style, so documents
+ * concatenated or compared across crawls look the same
+ * @param {string} markdownDoc - Markdown document as saved in progress/*.md
+ * @returns {string}
+ */
+export function toHeaderDocument(markdownDoc) {
+  if (!parseYamlFrontmatter(markdownDoc)) {
+    return markdownDoc;
+  }
+  const doc = parseMarkdownDocument(markdownDoc);
+  return renderMarkdownDocument({ title: doc.title, heading: doc.title, url: doc.url, breadcrumb: doc.breadcrumb, text: '', html: '' }, doc.body);
+}
+
+/**
+ * Build llms-full.txt ordered depth-first by the breadcrumb hierarchy, with a table of contents
+ * @param {string[]} markdownDocs - Per-page markdown documents, in any order
+ * @param {string} title - Documentation title
+ * @param {Record<string, string | number | boolean>} [metadata] - Extra header fields
+ * @param {Set<string>} [skipUrls] - Pages left out of llms-full.txt (they stay in the returned tree)
+ * @returns {{content: string, toc: import('./toc.mjs').TocTree}} llms-full.txt content and the tree (for toc.json)
+ */
+export function buildLlmsFullFromDocuments(markdownDocs, title, metadata = {}, skipUrls = new Set()) {
+  /** @type {Map<string, string>} */
+  const documentsByUrl = new Map();
+  /** @type {import('./toc.mjs').TocPage[]} */
+  const pages = [];
+  for (const markdownDoc of markdownDocs) {
+    const doc = parseMarkdownDocument(markdownDoc);
+    if (!documentsByUrl.has(doc.url)) {
+      documentsByUrl.set(doc.url, toHeaderDocument(markdownDoc));
+      pages.push({ title: doc.title || doc.url, url: doc.url, breadcrumb: doc.breadcrumb });
+    }
+  }
+
+  const toc = buildTocTree(title, pages);
+  const included = skipUrls.size > 0 ? buildTocTree(title, pages.filter(page => !skipUrls.has(page.url))) : toc;
+  return {
+    content: buildLlmsFull(title, orderDocumentsByToc(included, documentsByUrl), metadata, renderToc(included)),
+    toc
+  };
+}
+
+/**
+ * Build llms.txt from the same markdown documents as llms-full.txt
+ * @param {string[]} markdownDocs - Per-page markdown documents
+ * @param {import('./profiles.mjs').SiteProfile} profile - Site profile (title, description, scope)
+ * @param {LlmsLinks} [links] - Link to page URLs or to the local .md files (default: 'url')
+ * @returns {string} llms.txt content
+ */
+export function buildLlmsTxtFromDocuments(markdownDocs, profile, links = 'url') {
+  const pages = markdownDocs.map(parseMarkdownDocument).map(doc => ({
+    title: doc.title || doc.url,
+    link: links === 'local'
+      ? `progress/${urlToFilename(doc.url, profile.scope).replace(/\.json$/, '.md')}`
+      : doc.url,
+    breadcrumb: doc.breadcrumb,
+    markdown: doc.body
+  }));
+  const summary = profile.description || `${profile.title}, converted to markdown from ${profile.baseUrl}.`;
+
+  return buildLlmsTxt(profile.title, summary, pages);
+}
+
 /**
  * Convert URL to safe filename
  * @param {string} url - Page URL
+ * @param {string} [scope] - Documentation path prefix stripped from the filename
  * @returns {string} Safe filename with .json extension
  */
-export function urlToFilename(url) {
+export function urlToFilename(url, scope = DEFAULT_PROFILE.scope) {
   const urlObj = new URL(url);
   let filename = urlObj.pathname
-    .replace(/^\/documentation\/sitefinity-cms\/?/, '')
+    .replace(new RegExp(`^${escapeRegExp(scope)}/?`), '')
     .replace(/\//g, '_')
     .replace(/[^a-z0-9_-]/gi, '_')
     .replace(/_+/g, '_')
@@ -361,14 +674,76 @@ export function urlToFilename(url) {
 }
 
 /**
- * Save extracted content to JSON, HTML, and Markdown files
+ * Hash page content for change detection
+ * @param {string} text - Content to hash
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+export function hashContent(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Read the metadata previously saved for a page, if any
+ * @param {string} jsonFilepath - Path of the page JSON file
+ * @returns {Record<string, any> | null}
+ */
+function readPreviousPage(jsonFilepath) {
+  try {
+    return JSON.parse(fs.readFileSync(jsonFilepath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Save extracted content to JSON, HTML, and Markdown files.
+ * When the cleaned HTML and markdown hash the same as the saved copy, only the
+ * JSON is rewritten (with a new lastCheckedAt); lastChangedAt is kept.
  * @param {ExtractedContent} content - Extracted page content
  * @param {string} progressDir - Directory to save files
  * @param {TurndownService} turndownService - Turndown service instance
  * @param {string[]} allMarkdownContent - Array to collect markdown for concatenation
+ * @param {Object} [options] - Save options
+ * @param {string} [options.scope] - Documentation path prefix stripped from filenames
+ * @param {PageValidators} [options.validators] - ETag/Last-Modified of the page response
+ * @param {import('./links.mjs').LinkOptions} [options.links] - Link rewriting for the markdown (default: absolute URLs)
+ * @param {MarkdownHeaderOptions} [options.header] - Header style and YAML fields (crawledAt is set here)
+ * @param {(markdown: string, content: ExtractedContent) => string} [options.postProcessMarkdown] - Rewrites the converted markdown below the header (plugins)
+ * @returns {SaveResult}
  */
-export function savePageContent(content, progressDir, turndownService, allMarkdownContent) {
-  const filename = urlToFilename(content.url);
+export function savePageContent(content, progressDir, turndownService, allMarkdownContent, options = {}) {
+  const filename = urlToFilename(content.url, options.scope);
+  const jsonFilepath = path.join(progressDir, filename);
+  const htmlFilepath = path.join(progressDir, filename.replace('.json', '.html'));
+  const mdFilepath = path.join(progressDir, filename.replace('.json', '.md'));
+
+  const now = new Date().toISOString();
+  const { markdownDoc, markdownHash } = buildMarkdownDocument(content, turndownService, options.links, {
+    ...options.header,
+    crawledAt: now
+  }, options.postProcessMarkdown);
+  const htmlHash = hashContent(content.html);
+
+  // Pages saved before hashes were recorded are compared against the files on disk
+  const previous = readPreviousPage(jsonFilepath);
+  const previousMarkdown = fs.existsSync(mdFilepath) ? fs.readFileSync(mdFilepath, 'utf-8') : null;
+  const previousHtmlHash = previous?.htmlHash
+    || (fs.existsSync(htmlFilepath) ? hashContent(fs.readFileSync(htmlFilepath, 'utf-8')) : null);
+  const previousMarkdownHash = previous?.markdownHash
+    || (previousMarkdown !== null ? hashContent(markdownDocumentBody(previousMarkdown)) : null);
+
+  // The markdown hash leaves the header out, so its fields and style are compared on their own
+  const sameHeader = previous !== null && previousMarkdown !== null
+    && previous.title === content.title
+    && previous.heading === content.heading
+    && (previous.breadcrumb || []).join(' > ') === (content.breadcrumb || []).join(' > ')
+    && (parseYamlFrontmatter(previousMarkdown) !== null) === (options.header?.style === 'yaml');
+
+  /** @type {SaveResult['status']} */
+  let status = 'new';
+  if (previous) {
+    status = sameHeader && previousHtmlHash === htmlHash && previousMarkdownHash === markdownHash ? 'unchanged' : 'changed';
+  }
 
   const data = {
     url: content.url,
@@ -376,37 +751,98 @@ export function savePageContent(content, progressDir, turndownService, allMarkdo
     heading: content.heading,
     breadcrumb: content.breadcrumb || [],
     text: content.text,
-    crawledAt: new Date().toISOString()
+    extraction: content.extraction || null,
+    quality: content.quality || null,
+    simhash: simhash(content.text),
+    crawledAt: now,
+    htmlHash,
+    markdownHash,
+    etag: options.validators?.etag || null,
+    lastModified: options.validators?.lastModified || null,
+    lastCheckedAt: now,
+    lastChangedAt: status === 'unchanged' ? (previous?.lastChangedAt || previous?.crawledAt || now) : now
   };
 
   // Save JSON in progress subdirectory
-  const jsonFilepath = path.join(progressDir, filename);
   fs.writeFileSync(jsonFilepath, JSON.stringify(data, null, 2));
 
-  // Save HTML in progress subdirectory
-  const htmlFilepath = path.join(progressDir, filename.replace('.json', '.html'));
-  fs.writeFileSync(htmlFilepath, content.html);
+  /** @type {SaveResult} */
+  const result = { filename, status };
+  if (status === 'changed' && previousMarkdown !== null) {
+    result.previousMarkdown = previousMarkdown;
+  }
 
-  // Convert to Markdown and save in progress subdirectory
-  const markdownDoc = contentToMarkdown(content, turndownService);
-  const mdFilepath = path.join(progressDir, filename.replace('.json', '.md'));
-  fs.writeFileSync(mdFilepath, markdownDoc);
+  // Save HTML and Markdown in progress subdirectory (untouched when unchanged)
+  if (status !== 'unchanged') {
+    fs.writeFileSync(htmlFilepath, content.html);
+    fs.writeFileSync(mdFilepath, markdownDoc);
+  }
 
   // Collect for concatenated output
   allMarkdownContent.push(markdownDoc);
 
-  return filename;
+  return result;
+}
+
+/**
+ * Mark a saved page as verified unchanged without re-extracting it
+ * (e.g. after a 304 Not Modified response)
+ * @param {string} jsonFilepath - Path of the page JSON file
+ * @param {PageValidators} [validators] - Validators from the revalidation response
+ * @returns {Record<string, any>} Updated page metadata
+ */
+export function markPageUnchanged(jsonFilepath, validators) {
+  const data = JSON.parse(fs.readFileSync(jsonFilepath, 'utf-8'));
+  const now = new Date().toISOString();
+
+  data.lastChangedAt = data.lastChangedAt || data.crawledAt;
+  data.crawledAt = now;
+  data.lastCheckedAt = now;
+  if (validators?.etag) {
+    data.etag = validators.etag;
+  }
+  if (validators?.lastModified) {
+    data.lastModified = validators.lastModified;
+  }
+
+  fs.writeFileSync(jsonFilepath, JSON.stringify(data, null, 2));
+  return data;
 }
 
-export class SitefinityCrawler {
+/**
+ * @extends {EventEmitter<CrawlerEventMap>}
+ */
+export class SitefinityCrawler extends EventEmitter {
   /**
    * Create a new Sitefinity documentation crawler
    * @param {CrawlerOptions} options - Crawler configuration options
    */
   constructor(options = {}) {
-    this.baseUrl = 'https://www.progress.com/documentation/sitefinity-cms';
+    super();
+    /** @type {import('./profiles.mjs').SiteProfile} */
+    this.profile = options.profile || DEFAULT_PROFILE;
+    if (options.baseUrl) {
+      const baseUrl = options.baseUrl.replace(/\/+$/, '');
+      if (!new URL(baseUrl).pathname.startsWith(this.profile.scope)) {
+        throw new Error(`Base URL ${baseUrl} is outside the scope ${this.profile.scope} of site profile "${this.profile.name}"`);
+      }
+      this.profile = { ...this.profile, baseUrl };
+    }
+    /** @type {string} - Path prefix that documentation pages live under */
+    this.scope = this.profile.scope;
+    /** @type {RegExp | null} - Matches the version segment right after the scope */
+    this.versionRegex = getVersionRegex(this.profile);
+    /** @type {string | null} - Pinned documentation version (multi-version mode) */
+    this.version = options.version || null;
+    if (this.version && !this.versionRegex) {
+      throw new Error(`Site profile "${this.profile.name}" has no versionPattern, cannot crawl version ${this.version}`);
+    }
+    /** @type {string} */
+    this.baseUrl = this.version ? this.toVersionUrl(this.profile.baseUrl) : this.profile.baseUrl;
+    /** @type {string} - Unpinned start URL: links below it are followed, enqueue() maps them onto the pinned version */
+    this.linkBaseUrl = this.profile.baseUrl;
     /** @type {string} */
-    this.outputDir = options.outputDir || './output';
+    this.outputDir = options.outputDir || this.profile.outputDir;
     /** @type {string} */
     this.progressDir = path.join(this.outputDir, 'progress');
     /** @type {Set<string>} */
@@ -417,12 +853,16 @@ export class SitefinityCrawler {
     this.maxPages = options.maxPages !== undefined ? options.maxPages : 100;
     /** @type {number} - Stale threshold in seconds (default: 86400 = 1 day) */
     this.staleThreshold = options.staleThreshold !== undefined ? options.staleThreshold : 86400;
-    /** @type {number} */
+    /** @type {number} - Pages downloaded by this crawl (counted against maxPages) */
     this.pageCount = 0;
-    /** @type {number} */
+    /** @type {number} - Saved pages reused: fresh ones and those revalidated with a 304 */
     this.cachedCount = 0;
+    /** @type {number} - Saved pages reused because revalidation answered 304 (part of cachedCount) */
+    this.revalidatedCount = 0;
     /** @type {import('playwright').Browser | undefined} */
     this.browser = undefined;
+    /** @type {import('playwright').Browser | null} - Browser passed in by the caller, who closes it */
+    this.sharedBrowser = options.browser || null;
     /** @type {import('playwright').BrowserContext | undefined} */
     this.context = undefined;
     /** @type {TurndownService} */
@@ -435,9 +875,128 @@ export class SitefinityCrawler {
     this.urlQueue = new Set();
     /** @type {Map<string, string>} - Redirect mappings: source URL -> final URL */
     this.redirectCache = new Map();
+    /** @type {number} - Number of pages crawled in parallel */
+    this.concurrency = Math.max(1, options.concurrency || 4);
+    /** @type {number} - Browser pages open right now (worker pages and canonical checks) */
+    this.openPages = 0;
+    /** @type {(() => void)[]} - Callers waiting for a free page slot */
+    this.pageWaiters = [];
+    /** @type {Map<string, Promise<{exists: boolean, finalUrl: string, status: number | undefined}>>} - In-flight/finished canonical URL checks */
+    this.canonicalProbes = new Map();
+    /** @type {CrawlFrontier} - Persistent pending/in-flight/done URL journal */
+    this.frontier = new CrawlFrontier(path.join(this.outputDir, 'frontier.jsonl'));
+    /** @type {number} - Newly fetched pages between checkpoints (0 = only on exit) */
+    this.checkpointInterval = options.checkpointInterval !== undefined ? options.checkpointInterval : 25;
+    /** @type {number} - Pages saved since the last checkpoint */
+    this.savedSinceCheckpoint = 0;
+    /** @type {boolean} - Set when SIGINT/SIGTERM stops the crawl */
+    this.interrupted = false;
+    /** @type {boolean} - Set when run() fails */
+    this.failed = false;
+    /** @type {Set<Promise<void>>} - Crawl tasks of the running workers */
+    this.activeTasks = new Set();
+    /** @type {Promise<void> | undefined} */
+    this.closing = undefined;
+    /** @type {Record<SaveResult['status'], number>} - Fetched pages by change status */
+    this.changeCounts = { new: 0, changed: 0, unchanged: 0 };
+    /** @type {Map<string, string>} - Pages saved before this crawl: URL -> title */
+    this.previousPages = new Map();
+    /** @type {import('./changes.mjs').PageChange[]} - Added/changed pages found by this crawl */
+    this.pageChanges = [];
+    /** @type {Map<string, string>} - Redirects first seen by this crawl: source URL -> final URL */
+    this.discoveredRedirects = new Map();
+    /** @type {LlmsLinks} */
+    this.llmsLinks = options.llmsLinks || 'url';
+    /** @type {Map<string, Set<string>>} - Linked URL -> pages linking to it (for the broken-link report) */
+    this.referrers = new Map();
+    /** @type {Map<string, {status: number | null, error: string | null, finalUrl: string | null}>} - URLs that returned an HTTP error or failed to load */
+    this.failedUrls = new Map();
+    /** @type {Set<string>} - Pages whose crawl threw, kept out of the frontier's done set */
+    this.erroredUrls = new Set();
+    /** @type {Record<string, number>} - Fetched pages per HTTP status ('failed' = no response) */
+    this.statusCounts = {};
+    /** @type {import('./links.mjs').LinkOptions} */
+    this.links = {
+      mode: options.linkMode || DEFAULT_LINK_MODE,
+      toLocalPath: url => this.toLocalPath(url),
+      assetPath: url => {
+        const file = this.assets.lookup(url);
+        return file ? `../${ASSETS_DIR}/${file}` : null;
+      }
+    };
 
     // Selectors for content extraction
-    this.selectors = DEFAULT_SELECTORS;
+    this.selectors = {
+      ...DEFAULT_SELECTORS,
+      documentationLinks: `a[href*="${this.scope}"]`,
+      ...this.profile.selectors
+    };
+    /** @type {import('./noise-rules.mjs').NoiseRule[]} */
+    this.noiseRules = resolveNoiseRules(this.profile);
+    /** @type {Record<string, number>} - Removals per noise rule id */
+    this.noiseRuleCounts = Object.fromEntries(this.noiseRules.map(rule => [rule.id, 0]));
+    /** @type {Record<import('./content-root.mjs').ExtractionStrategy, number>} - Extracted pages per content strategy */
+    this.extractionCounts = { 'main-content': 0, readability: 0, body: 0 };
+
+    /** @type {string} */
+    this.userAgent = options.userAgent || DEFAULT_USER_AGENT;
+    /** @type {boolean} */
+    this.respectRobots = options.respectRobots !== undefined ? options.respectRobots : true;
+    /** @type {boolean} - Sitemaps only list the latest pages, so pinned-version crawls skip them */
+    this.useSitemap = (options.useSitemap !== undefined ? options.useSitemap : true) && !this.version;
+    /** @type {import('./har.mjs').HarMode | null} */
+    this.harMode = options.harMode || null;
+    /** @type {string} */
+    this.harDir = options.harDir || path.join(this.outputDir, 'har');
+    /** @type {HarArchive} - Responses to the crawler's own requests: recorded in record mode, served in replay mode */
+    this.harArchive = new HarArchive();
+    const fetcher = options.fetcher || createFetcher(this.userAgent);
+    /** @type {import('./http.mjs').Fetcher} */
+    this.fetcher = this.harMode === 'record'
+      ? createRecordingFetcher(fetcher, this.harArchive)
+      : this.harMode === 'replay' ? createReplayFetcher(this.harArchive) : fetcher;
+    /** @type {FrontmatterStyle} */
+    this.frontmatter = options.frontmatter || 'header';
+    /** @type {number} */
+    this.minQuality = options.minQuality !== undefined ? options.minQuality : DEFAULT_MIN_QUALITY;
+    /** @type {boolean} */
+    this.refetchLowQuality = options.refetchLowQuality || false;
+    /** Quality of the pages extracted in this run */
+    this.qualityCounts = { belowThreshold: 0, refetched: 0, improved: 0 };
+    /** @type {import('./near-duplicates.mjs').NearDuplicateMode} */
+    this.nearDuplicates = options.nearDuplicates || 'keep';
+    /** @type {Set<string>} - Saved pages that are near-duplicates of another page, as of the last clustering */
+    this.nearDuplicateUrls = new Set();
+    /** Near-duplicate clusters and the pages in them, as of the last clustering */
+    this.nearDuplicateCounts = { clusters: 0, pages: 0 };
+    /** @type {import('./plugins.mjs').CrawlerPlugin[]} */
+    this.plugins = options.plugins || [];
+    /** @type {((markdown: string, content: ExtractedContent) => string) | undefined} - The plugins' postProcessMarkdown hooks, chained */
+    this.postProcessMarkdown = chainMarkdownPostProcessors(this.plugins);
+    /** @type {Map<string, string | null>} - URL -> plugin that filtered it out (null = accepted) */
+    this.urlFilterDecisions = new Map();
+    /** @type {Set<string>} - 'reason url' of the skipped events already emitted */
+    this.reportedSkips = new Set();
+    /** @type {Logger} */
+    this.logger = options.logger || new Logger();
+    /** @type {number} - Milliseconds between progress lines */
+    this.progressInterval = (options.progressInterval !== undefined ? options.progressInterval : 30) * 1000;
+    /** @type {number | null} - When the worker pool started (epoch ms), for the fetch rate */
+    this.crawlStartedAt = null;
+    /** @type {ReturnType<typeof setInterval> | null} - Writes the progress line while the worker pool runs */
+    this.progressTimer = null;
+    /** @type {boolean} */
+    this.downloadAssets = options.downloadAssets !== undefined ? options.downloadAssets : true;
+    /** @type {AssetStore} - Downloaded content images, shared by all pages; downloads wait for the crawl delay */
+    this.assets = new AssetStore(path.join(this.outputDir, ASSETS_DIR), this.fetcher, this.logger, () => this.waitForCrawlDelay());
+    /** @type {import('./robots.mjs').RobotsPolicy | null} - Parsed robots.txt for the site origin */
+    this.robots = null;
+    /** @type {number} - Minimum delay between page and image fetches from robots.txt Crawl-delay */
+    this.crawlDelayMs = 0;
+    /** @type {number} - Earliest time (epoch ms) the next page or image fetch may start */
+    this.nextFetchAt = 0;
+    /** @type {Map<string, string | null>} - Sitemap page URL -> lastmod */
+    this.sitemapLastmod = new Map();
   }
 
   /**
@@ -446,7 +1005,7 @@ export class SitefinityCrawler {
    * @returns {string} Cache filename
    */
   getRedirectCacheFilename(url) {
-    const filename = urlToFilename(url).replace('.json', '.redirect.json');
+    const filename = urlToFilename(url, this.scope).replace('.json', '.redirect.json');
     return path.join(this.progressDir, filename);
   }
 
@@ -491,6 +1050,8 @@ export class SitefinityCrawler {
       cachedAt: new Date().toISOString()
     };
     fs.writeFileSync(filename, JSON.stringify(data, null, 2));
+    this.discoveredRedirects.set(source, target);
+    this.emit('redirect', { from: source, to: target });
   }
 
   /**
@@ -528,27 +1089,28 @@ export class SitefinityCrawler {
     }
 
     if (loadedCount > 0) {
-      console.log(`Loaded ${loadedCount} redirect mappings from cache`);
+      this.logger.info(`Loaded ${loadedCount} redirect mappings from cache`);
     }
   }
 
   /**
    * Load existing progress files and check for fresh cached data
+   * @param {boolean} [discoverLinks] - Extract links from cached HTML to seed the crawl (skipped when resuming from a saved frontier)
    * @returns {Promise<Set<string>>} Set of URLs to crawl from cached pages
    */
-  async loadCachedProgress() {
+  async loadCachedProgress(discoverLinks = true) {
     const urlsToCrawl = new Set();
 
     if (!fs.existsSync(this.progressDir)) {
-      console.log('No existing progress directory found, starting fresh crawl');
+      this.logger.info('No existing progress directory found, starting fresh crawl');
       return urlsToCrawl;
     }
 
-    console.log('Checking for cached progress files...');
+    this.logger.debug('Checking for cached progress files...');
     const files = fs.readdirSync(this.progressDir).filter(f => f.endsWith('.json'));
 
     if (files.length === 0) {
-      console.log('No cached progress files found, starting fresh crawl');
+      this.logger.info('No cached progress files found, starting fresh crawl');
       return urlsToCrawl;
     }
 
@@ -559,7 +1121,7 @@ export class SitefinityCrawler {
 
     // If staleThreshold is 0, skip all cached data
     if (this.staleThreshold === 0) {
-      console.log(`Stale threshold is 0, re-downloading all ${files.length} pages`);
+      this.logger.info(`Stale threshold is 0, re-downloading all ${files.length} pages`);
       return urlsToCrawl;
     }
 
@@ -582,10 +1144,10 @@ export class SitefinityCrawler {
         const htmlContent = fs.readFileSync(htmlPath, 'utf-8');
         const mdContent = fs.readFileSync(mdPath, 'utf-8');
 
-        // Check if data is fresh
+        // Check if data is fresh (or unchanged since the crawl according to the sitemap)
         const crawledAt = new Date(jsonData.crawledAt).getTime();
         const age = now - crawledAt;
-        const isFresh = age < staleThresholdMs;
+        const isFresh = age < staleThresholdMs || this.isUnchangedPerSitemap(jsonData.url, jsonData.crawledAt);
 
         if (isFresh) {
           // Store cached data
@@ -603,6 +1165,7 @@ export class SitefinityCrawler {
 
           // Add to markdown collection
           this.allMarkdownContent.push(mdContent);
+          this.emit('pageCached', { url: jsonData.url, reason: 'fresh' });
 
           // Track fresh filenames (without extension)
           freshFilenames.add(file);
@@ -613,11 +1176,19 @@ export class SitefinityCrawler {
         }
       } catch (error) {
         const errorMessage = error instanceof Error ? error.message : String(error);
-        console.error(`Error loading cached file ${file}:`, errorMessage);
+        this.logger.error(`Error loading cached file ${file}: ${errorMessage}`);
         staleCount++;
       }
     }
 
+    this.logger.info(`Loaded ${freshCount} fresh cached pages (threshold: ${this.staleThreshold}s)`);
+    this.logger.info(`Found ${staleCount} stale/missing pages to re-crawl`);
+    this.cachedCount = freshCount;
+
+    if (!discoverLinks) {
+      return urlsToCrawl;
+    }
+
     // Second pass: extract links from cached HTML and deduplicate
     let extractedCount = 0;
     for (const [url, cachedData] of this.cachedPages) {
@@ -625,6 +1196,7 @@ export class SitefinityCrawler {
 
       for (const link of links) {
         extractedCount++;
+        this.recordReferrer(link, url);
 
         // Check if we've already visited this URL (more reliable than filename check)
         if (!this.visited.has(link)) {
@@ -634,10 +1206,7 @@ export class SitefinityCrawler {
       }
     }
 
-    console.log(`Loaded ${freshCount} fresh cached pages (threshold: ${this.staleThreshold}s)`);
-    console.log(`Found ${staleCount} stale/missing pages to re-crawl`);
-    console.log(`Extracted ${extractedCount} URLs from cached HTML, ${urlsToCrawl.size} are new/uncached`);
-    this.cachedCount = freshCount;
+    this.logger.info(`Extracted ${extractedCount} URLs from cached HTML, ${urlsToCrawl.size} are new/uncached`);
 
     return urlsToCrawl;
   }
@@ -658,14 +1227,14 @@ export class SitefinityCrawler {
       const href = match[1];
 
       // Check if it's a documentation link
-      if (href && href.includes('/documentation/sitefinity-cms')) {
+      if (href && href.includes(this.scope)) {
         try {
           // Handle both absolute and relative URLs
           const fullUrl = href.startsWith('http') ? href : new URL(href, baseUrl).href;
           // Clean up URL (remove hash, query params)
           const cleanUrl = fullUrl.split('#')[0].split('?')[0];
 
-          if (cleanUrl.startsWith(this.baseUrl)) {
+          if (cleanUrl.startsWith(this.linkBaseUrl)) {
             urls.add(cleanUrl);
           }
         } catch (error) {
@@ -690,44 +1259,311 @@ export class SitefinityCrawler {
       fs.mkdirSync(this.progressDir, { recursive: true });
     }
 
+    // Replay answers everything from the recorded archives, so they must exist before anything is fetched
+    if (this.harMode === 'replay') {
+      this.harArchive.load(path.join(this.harDir, HAR_FILES.fetcher));
+      const browserHar = path.join(this.harDir, HAR_FILES.browser);
+      if (!fs.existsSync(browserHar)) {
+        throw new Error(`Cannot read HAR archive ${browserHar}: file not found`);
+      }
+      this.logger.info(`Replaying recorded responses from ${this.harDir} (no network)`);
+    } else if (this.harMode === 'record') {
+      fs.mkdirSync(this.harDir, { recursive: true });
+      this.logger.info(`Recording responses into ${this.harDir}`);
+    }
+
+    // Remember what the previous crawl saved, for the change report
+    for (const saved of loadSavedPages(this.progressDir, this.logger)) {
+      this.previousPages.set(saved.json.url, saved.json.title || '');
+    }
+
     // Load redirect mappings from individual cache files
     this.loadAllRedirects();
 
+    if (this.downloadAssets) {
+      this.assets.load();
+    }
+
+    // robots.txt and sitemaps come first: sitemap lastmod feeds cache freshness
+    if (this.respectRobots) {
+      await this.loadRobots();
+    }
+    const sitemapUrls = this.useSitemap ? await this.seedFromSitemaps() : [];
+
+    // Resume from the saved frontier if the previous crawl did not finish
+    const resuming = this.frontier.load();
+
     // Load cached progress and get URLs to crawl
-    const urlsToCrawl = await this.loadCachedProgress();
+    let urlsToCrawl = await this.loadCachedProgress(!resuming);
 
-    // Launch browser
-    this.browser = await chromium.launch({
-      headless: true,
-      timeout: 60000
-    });
-    this.context = await this.browser.newContext({
-      viewport: { width: 1920, height: 1080 },
-      userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
-    });
+    if (resuming) {
+      urlsToCrawl = this.resumeFromFrontier();
+    } else {
+      // Start a fresh journal for this crawl
+      this.frontier.clear();
+    }
+
+    for (const url of sitemapUrls) {
+      if (!this.visited.has(url)) {
+        urlsToCrawl.add(url);
+      }
+    }
+
+    await this.launchBrowser();
 
     return urlsToCrawl;
   }
 
   /**
-   * Extract content from a page
-   * @param {import('playwright').Page} page - Playwright page object
-   * @param {string} url - Page URL
-   * @returns {Promise<ExtractedContent>}
+   * Fetch and parse robots.txt for the site origin.
+   * A missing or unreachable robots.txt allows everything.
+   * @returns {Promise<void>}
    */
-  async extractContent(page, url) {
-    console.log(`\nExtracting content from: ${url}`);
-    return extractPageContent(page, this.selectors.excludeSelectors);
+  async loadRobots() {
+    const robotsUrl = new URL('/robots.txt', this.baseUrl).href;
+    let text = '';
+
+    try {
+      const response = await this.fetcher(robotsUrl);
+      if (response.ok) {
+        text = response.body.toString('utf-8');
+      } else {
+        this.logger.info(`No robots.txt at ${robotsUrl} (${response.status}), crawling without restrictions`);
+      }
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      this.logger.warn(`Warning: Could not fetch ${robotsUrl}: ${errorMessage}`, { url: robotsUrl });
+    }
+
+    this.robots = createRobotsPolicy(text, this.userAgent);
+
+    // Replayed responses need no politeness delay
+    if (this.robots.crawlDelay && this.harMode !== 'replay') {
+      this.crawlDelayMs = this.robots.crawlDelay * 1000;
+      this.logger.info(`robots.txt Crawl-delay: ${this.robots.crawlDelay}s between page fetches`);
+    }
+    if (!this.robots.isAllowed(this.baseUrl)) {
+      this.logger.warn(`Warning: robots.txt disallows the base URL ${this.baseUrl} for ${this.userAgent}`);
+    }
   }
 
   /**
-   * Extract documentation links from a page
-   * @param {import('playwright').Page} page - Playwright page object
+   * Check a URL against robots.txt (always true when robots are ignored or not loaded)
+   * @param {string} url - URL to check
+   * @returns {boolean}
+   */
+  isAllowedByRobots(url) {
+    return !this.respectRobots || !this.robots || this.robots.isAllowed(url);
+  }
+
+  /**
+   * Collect in-scope page URLs and their lastmod values from the site's sitemaps.
+   * Sitemaps come from the profile, then robots.txt, then /sitemap.xml.
+   * @returns {Promise<string[]>} Seed URLs, most recently modified first
+   */
+  async seedFromSitemaps() {
+    const sitemapUrls = this.profile.sitemaps && this.profile.sitemaps.length > 0
+      ? this.profile.sitemaps
+      : this.robots && this.robots.sitemaps.length > 0
+        ? this.robots.sitemaps
+        : [new URL('/sitemap.xml', this.baseUrl).href];
+
+    const entries = await collectSitemapEntries(sitemapUrls, this.fetcher, {
+      onError: (url, error) => this.logger.warn(`Warning: Could not load sitemap ${url}: ${error}`, { url })
+    });
+
+    /** @type {{url: string, lastmod: string | null}[]} */
+    const seeds = [];
+    for (const [loc, lastmod] of entries) {
+      const url = loc.split('#')[0].split('?')[0].replace(/\/+$/, '');
+      if (!url.startsWith(this.linkBaseUrl) || !this.isAllowedByRobots(url)) {
+        continue;
+      }
+      this.sitemapLastmod.set(url, lastmod);
+      seeds.push({ url, lastmod });
+    }
+
+    // Recently changed pages first; entries without lastmod last
+    seeds.sort((a, b) => (b.lastmod || '').localeCompare(a.lastmod || ''));
+
+    this.logger.info(`Found ${seeds.length} in-scope URLs in ${sitemapUrls.length} sitemap(s) (${entries.size} entries total)`);
+    return seeds.map(seed => seed.url);
+  }
+
+  /**
+   * Whether the sitemap says a cached page has not changed since it was crawled
+   * @param {string} url - Page URL
+   * @param {string} crawledAt - ISO timestamp of the cached copy
+   * @returns {boolean}
+   */
+  isUnchangedPerSitemap(url, crawledAt) {
+    const lastmod = this.sitemapLastmod.get(url);
+    if (!lastmod) {
+      return false;
+    }
+    const lastmodTime = new Date(lastmod).getTime();
+    return !isNaN(lastmodTime) && lastmodTime <= new Date(crawledAt).getTime();
+  }
+
+  /**
+   * Wait until robots.txt Crawl-delay allows the next page or image fetch.
+   * Slots are reserved synchronously so concurrent workers are spaced out too.
+   * @returns {Promise<void>}
+   */
+  async waitForCrawlDelay() {
+    if (this.crawlDelayMs <= 0) {
+      return;
+    }
+
+    const now = Date.now();
+    const startAt = Math.max(now, this.nextFetchAt);
+    this.nextFetchAt = startAt + this.crawlDelayMs;
+
+    if (startAt > now) {
+      await new Promise(resolve => setTimeout(resolve, startAt - now));
+    }
+  }
+
+  /**
+   * Read the page's meta robots directives
+   * @param {import('playwright').Page} page - Playwright page object
+   * @returns {Promise<{noindex: boolean, nofollow: boolean}>}
+   */
+  async getMetaRobots(page) {
+    const content = await page.evaluate(() => {
+      return Array.from(document.querySelectorAll('meta[name="robots" i], meta[name="googlebot" i]'))
+        .map(meta => meta.getAttribute('content') || '')
+        .join(',')
+        .toLowerCase();
+    });
+
+    return {
+      noindex: /\b(noindex|none)\b/.test(content),
+      nofollow: /\b(nofollow|none)\b/.test(content)
+    };
+  }
+
+  /**
+   * Launch the browser (or use the one passed in) and create the shared browser context
+   * @returns {Promise<void>}
+   */
+  async launchBrowser() {
+    this.browser = this.sharedBrowser || await chromium.launch({
+      headless: true,
+      timeout: 60000
+    });
+    const browserHar = path.join(this.harDir, HAR_FILES.browser);
+    this.context = await this.browser.newContext({
+      viewport: { width: 1920, height: 1080 },
+      userAgent: this.userAgent,
+      ...(this.harMode === 'record' ? { recordHar: { path: browserHar, content: 'embed' } } : {})
+    });
+    if (this.harMode === 'replay') {
+      // Requests missing from the archive are aborted instead of going to the network
+      await this.context.routeFromHAR(browserHar, { notFound: 'abort' });
+    }
+  }
+
+  /**
+   * Restore crawl state from the saved frontier: finished pages are marked
+   * visited (and their saved markdown reused), pending and interrupted pages
+   * are returned to be crawled again.
+   * @returns {Set<string>} URLs to crawl
+   */
+  resumeFromFrontier() {
+    const { pending, done } = this.frontier.stats();
+    this.logger.info(`Resuming previous crawl from frontier: ${pending} pending, ${done} done`);
+
+    let restoredCount = 0;
+    for (const url of this.frontier.done) {
+      this.visited.add(url);
+      this.visitedCanonical.add(this.getCanonicalUrl(url));
+
+      if (this.cachedPages.has(url)) {
+        continue;
+      }
+
+      // Pages finished in the interrupted crawl count as cached even if they are
+      // older than the stale threshold by now
+      const mdPath = path.join(this.progressDir, urlToFilename(url, this.scope).replace('.json', '.md'));
+      if (fs.existsSync(mdPath)) {
+        this.allMarkdownContent.push(fs.readFileSync(mdPath, 'utf-8'));
+        this.cachedCount++;
+        restoredCount++;
+      }
+    }
+
+    if (restoredCount > 0) {
+      this.logger.info(`Restored ${restoredCount} pages finished before the interruption`);
+    }
+
+    return new Set(Array.from(this.frontier.pending).filter(url => !this.visited.has(url)));
+  }
+
+  /**
+   * Extract content from a page
+   * @param {import('playwright').Page} page - Playwright page object
+   * @param {string} url - Page URL
+   * @returns {Promise<ExtractedContent>}
+   */
+  async extractContent(page, url) {
+    this.logger.debug(`\nExtracting content from: ${url}`);
+    const options = {
+      mainContent: this.selectors.mainContent,
+      noiseRules: this.noiseRules,
+      breadcrumbSelector: this.selectors.breadcrumb,
+      logger: this.logger
+    };
+    let content = await extractPageContent(page, this.selectors.excludeSelectors, options);
+
+    // Consent walls, bot checks and half-rendered pages often look fine on a second load
+    if (this.refetchLowQuality && content.quality && content.quality.score < this.minQuality) {
+      this.logger.info(`🔁 Quality ${content.quality.score} (${content.quality.issues.join(', ')}), re-fetching: ${url}`, { url, quality: content.quality.score });
+      this.qualityCounts.refetched++;
+      await this.gotoWithRetry(page, url, '(quality re-fetch)');
+      const retry = await extractPageContent(page, this.selectors.excludeSelectors, options);
+      if (retry.quality && retry.quality.score > content.quality.score) {
+        this.logger.info(`✓ Quality improved to ${retry.quality.score}: ${url}`, { url, quality: retry.quality.score });
+        this.qualityCounts.improved++;
+        content = retry;
+      }
+    }
+    if (content.quality && content.quality.score < this.minQuality) {
+      this.qualityCounts.belowThreshold++;
+      this.logger.warn(`⚠️  Low extraction quality ${content.quality.score} (${content.quality.issues.join(', ')}): ${url}`, { url, quality: content.quality.score });
+    }
+
+    if (content.extraction) {
+      this.extractionCounts[content.extraction.strategy]++;
+    }
+    for (const hit of content.noiseRuleHits || []) {
+      this.noiseRuleCounts[hit.id] = (this.noiseRuleCounts[hit.id] || 0) + hit.count;
+    }
+    content = await transformContent(this.plugins, content);
+    await this.localizeAssets(content);
+    return content;
+  }
+
+  /**
+   * Download the images of extracted content so the markdown can point at the local copies
+   * @param {ExtractedContent} content - Extracted page content
+   * @returns {Promise<void>}
+   */
+  async localizeAssets(content) {
+    if (!this.downloadAssets) {
+      return;
+    }
+    await this.assets.download(extractImageUrls(content.html, content.url));
+  }
+
+  /**
+   * Extract documentation links from a page
+   * @param {import('playwright').Page} page - Playwright page object
    * @returns {Promise<string[]>}
    */
   async extractLinks(page) {
     const selector = this.selectors.documentationLinks;
-    const baseUrl = this.baseUrl;
+    const baseUrl = this.linkBaseUrl;
 
     const links = await page.evaluate(
       /**
@@ -756,7 +1592,86 @@ export class SitefinityCrawler {
   }
 
   /**
-   * Crawl a single page and recursively crawl linked pages
+   * Navigate a page to a URL, retrying with a progressively longer timeout
+   * @param {import('playwright').Page} page - Playwright page object
+   * @param {string} url - URL to load
+   * @param {string} [label] - Label used in retry log messages
+   * @returns {Promise<import('playwright').Response | null>}
+   */
+  async gotoWithRetry(page, url, label = '') {
+    const maxRetries = 3;
+    const prefix = label ? `${label} ` : '';
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      const timeout = 10000 * attempt; // 10s, 20s, 30s
+
+      try {
+        if (attempt > 1) {
+          this.logger.debug(`Re-attempt ${attempt}/${maxRetries} ${prefix}(timeout: ${timeout / 1000}s) ${url}`);
+        }
+        await this.waitForCrawlDelay();
+        return await page.goto(url, {
+          waitUntil: 'domcontentloaded',
+          timeout: timeout
+        });
+      } catch (error) {
+        if (attempt >= maxRetries) {
+          // Final attempt failed
+          throw error;
+        }
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        this.logger.warn(`${prefix}Attempt ${attempt} failed: ${errorMessage}`, { url, attempt });
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether the canonical (non-versioned) version of a page exists.
+   * Concurrent callers for the same canonical URL share a single probe.
+   * @param {string} canonicalUrl - Canonical URL to probe
+   * @returns {Promise<{exists: boolean, finalUrl: string, status: number | undefined}>}
+   */
+  probeCanonical(canonicalUrl) {
+    const pending = this.canonicalProbes.get(canonicalUrl);
+    if (pending) {
+      return pending;
+    }
+
+    const probe = (async () => {
+      const testPage = await this.openPage();
+
+      try {
+        const response = await this.gotoWithRetry(testPage, canonicalUrl, 'canonical check');
+
+        // Get the final URL after redirects
+        const finalUrl = testPage.url().split('#')[0].split('?')[0];
+
+        // Cache the redirect mapping if URL changed
+        if (finalUrl !== canonicalUrl) {
+          this.redirectCache.set(canonicalUrl, finalUrl);
+          this.saveRedirectToCache(canonicalUrl, finalUrl);
+        }
+
+        // Check if the page loaded successfully (not 404)
+        return {
+          exists: response ? response.ok() : false,
+          finalUrl,
+          status: response?.status()
+        };
+      } finally {
+        await this.closePage(testPage);
+      }
+    })();
+
+    this.canonicalProbes.set(canonicalUrl, probe);
+    return probe;
+  }
+
+  /**
+   * Crawl a single page and queue the documentation links found on it.
+   * Linked pages are picked up by the worker pool in processQueue().
    * @param {string} url - URL to crawl
    * @returns {Promise<void>}
    */
@@ -765,10 +1680,17 @@ export class SitefinityCrawler {
       return;
     }
 
+    if (!this.isAllowedByRobots(url)) {
+      this.logger.debug(`Skipping URL disallowed by robots.txt: ${url}`);
+      this.skip(url, 'robots');
+      return;
+    }
+
     // Check redirect cache - if this URL redirects to something we've visited, skip it
     const cachedRedirect = this.redirectCache.get(url);
     if (cachedRedirect && this.visited.has(cachedRedirect)) {
-      console.log(`Using cached redirect: ${url} → ${cachedRedirect} (already visited)`);
+      this.logger.debug(`Using cached redirect: ${url} → ${cachedRedirect} (already visited)`);
+      this.skip(url, 'redirected-to-visited', cachedRedirect);
       return;
     }
 
@@ -777,93 +1699,52 @@ export class SitefinityCrawler {
     const hasVersion = this.extractVersion(url);
 
     if (hasVersion && this.visitedCanonical.has(canonicalUrl)) {
-      console.log(`Skipping versioned URL (already crawled canonical): ${url}`);
+      this.logger.debug(`Skipping versioned URL (already crawled canonical): ${url}`);
+      this.skip(url, 'canonical-crawled', canonicalUrl);
       return;
     }
 
     // If this is a versioned URL, try to crawl the non-versioned (latest) version first
-    if (hasVersion && !this.visitedCanonical.has(canonicalUrl)) {
-      console.log(`Found versioned URL: ${url} (version ${hasVersion})`);
-      console.log(`Attempting to crawl canonical (latest) version first: ${canonicalUrl}`);
+    // (unless the crawl is pinned to a version)
+    if (hasVersion && !this.version && !this.visitedCanonical.has(canonicalUrl)) {
+      this.logger.debug(`Found versioned URL: ${url} (version ${hasVersion})`);
+      this.logger.debug(`Attempting to crawl canonical (latest) version first: ${canonicalUrl}`);
 
       // Check redirect cache first
       const cachedRedirect = this.redirectCache.get(canonicalUrl);
       if (cachedRedirect) {
-        console.log(`Using cached redirect: ${canonicalUrl} → ${cachedRedirect}`);
+        this.logger.debug(`Using cached redirect: ${canonicalUrl} → ${cachedRedirect}`);
         if (this.visited.has(cachedRedirect)) {
-          console.log(`Canonical version redirects to already-visited URL: ${cachedRedirect}`);
+          this.logger.debug(`Canonical version redirects to already-visited URL: ${cachedRedirect}`);
+          this.skip(url, 'redirected-to-visited', cachedRedirect);
           return; // Skip since we already have this content
         }
         // Crawl the canonical URL (will redirect to cached destination)
-        await this.crawlPage(canonicalUrl);
+        this.skip(url, 'canonical-crawled', canonicalUrl);
+        await this.crawlAndRecord(canonicalUrl);
         return;
       }
 
-      // Try to crawl the canonical URL first
-      if (!this.context) {
-        throw new Error('Browser context not initialized');
-      }
-
-      const testPage = await this.context.newPage();
-      let canonicalExists = false;
-      let finalUrl = canonicalUrl;
-
       try {
-        // Retry logic with progressive timeout
-        const maxRetries = 3;
-        let response = null;
-
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-          const timeout = 10000 * attempt; // 10s, 20s, 30s
-
-          try {
-            if (attempt > 1) {
-              console.log(`Re-attempt ${attempt}/${maxRetries} for canonical check (timeout: ${timeout / 1000}s)`);
-            }
-            response = await testPage.goto(canonicalUrl, {
-              waitUntil: 'domcontentloaded',
-              timeout: timeout
-            });
-            break; // Success
-          } catch (error) {
-            if (attempt < maxRetries) {
-              console.log(`Canonical check attempt ${attempt} failed, retrying...`);
-            } else {
-              throw error;
-            }
-          }
-        }
-
-        // Get the final URL after redirects
-        finalUrl = testPage.url().split('#')[0].split('?')[0];
-
-        // Cache the redirect mapping if URL changed
-        if (finalUrl !== canonicalUrl) {
-          this.redirectCache.set(canonicalUrl, finalUrl);
-          this.saveRedirectToCache(canonicalUrl, finalUrl);
-        }
-
-        // Check if the page loaded successfully (not 404)
-        canonicalExists = response ? response.ok() : false;
-        await testPage.close();
+        const probe = await this.probeCanonical(canonicalUrl);
 
         // Check if the final URL (after redirect) is already visited
-        if (canonicalExists && this.visited.has(finalUrl)) {
-          console.log(`Canonical version redirects to already-visited URL: ${finalUrl}`);
+        if (probe.exists && this.visited.has(probe.finalUrl)) {
+          this.logger.debug(`Canonical version redirects to already-visited URL: ${probe.finalUrl}`);
+          this.skip(url, 'redirected-to-visited', probe.finalUrl);
           return; // Skip since we already have this content
         }
 
-        if (canonicalExists) {
-          console.log(`Canonical version exists, crawling: ${canonicalUrl}`);
-          // Recursively crawl the canonical version
-          await this.crawlPage(canonicalUrl);
+        if (probe.exists) {
+          this.logger.debug(`Canonical version exists, crawling: ${canonicalUrl}`);
+          this.skip(url, 'canonical-crawled', canonicalUrl);
+          await this.crawlAndRecord(canonicalUrl);
           return; // Skip the versioned URL since we crawled the canonical
         } else {
-          console.log(`Canonical version doesn't exist (${response?.status()}), crawling versioned URL as exception`);
+          this.logger.debug(`Canonical version doesn't exist (${probe.status}), crawling versioned URL as exception`);
         }
       } catch (error) {
-        console.log(`Canonical version failed to load, crawling versioned URL as exception`);
-        await testPage.close();
+        this.logger.debug(`Canonical version failed to load, crawling versioned URL as exception`);
       }
     }
 
@@ -874,6 +1755,15 @@ export class SitefinityCrawler {
       return;
     }
 
+    // Another worker may have claimed this page (or another version of it)
+    // while we were waiting on the canonical check
+    if (this.visited.has(url) || this.pageCount >= this.maxPages) {
+      return;
+    }
+    if (hasVersion && this.visitedCanonical.has(canonicalUrl)) {
+      return;
+    }
+
     // No cached data or data is stale, fetch from network
     // Mark both the actual URL and canonical URL as visited
     this.visited.add(url);
@@ -883,49 +1773,86 @@ export class SitefinityCrawler {
     // Remove from queue if it was queued
     this.urlQueue.delete(url);
 
-    const totalPages = this.cachedCount + this.pageCount;
     const maxTotal = this.maxPages === Infinity ? 'unlimited' : this.maxPages;
-    const queueInfo = this.urlQueue.size > 0 ? ` [queue: ${this.urlQueue.size} URLs]` : '';
-    console.log(`\n[${totalPages} total: ${this.cachedCount} cached + ${this.pageCount} new] [fetching ${this.pageCount}/${maxTotal}]${queueInfo} ${url}`);
+    this.logger.debug(`\n[fetching ${this.pageCount}/${maxTotal}] ${url}`);
 
     if (!this.context) {
       throw new Error('Browser context not initialized');
     }
 
-    const page = await this.context.newPage();
-
+    /** @type {PageLogRecord} */
+    const record = { url, finalUrl: null, status: null, bytes: null, outcome: 'error', reason: null };
+    const startedAt = Date.now();
     try {
-      // Retry logic with progressive timeout
-      const maxRetries = 3;
-
-      for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        const timeout = 10000 * attempt; // 10s, 20s, 30s
+      // A 304 for a saved page means we can reuse it without rendering
+      if (await this.revalidate(url)) {
+        // Nothing was downloaded: the page counts as cached and frees its maxPages slot
+        this.pageCount--;
+        this.cachedCount++;
+        this.revalidatedCount++;
+        Object.assign(record, { status: 304, bytes: 0, outcome: 'not-modified' });
+        return;
+      }
+      await this.fetchPage(url, record);
+    } finally {
+      this.logPage(record, Date.now() - startedAt);
+    }
+  }
 
-        try {
-          if (attempt > 1) {
-            console.log(`Re-attempt ${attempt}/${maxRetries} (timeout: ${timeout / 1000}s)`);
-          }
-          await page.goto(url, {
-            waitUntil: 'domcontentloaded',
-            timeout: timeout
-          });
+  /**
+   * Crawl a page and record it in the frontier journal: it is marked done once crawled, or
+   * put back to pending if the crawl failed so a resumed crawl retries it
+   * @param {string} url - URL to crawl
+   * @returns {Promise<void>}
+   */
+  async crawlAndRecord(url) {
+    // A URL in flight belongs to another worker, which records it
+    if (this.frontier.inFlight.has(url)) {
+      return;
+    }
+    this.frontier.start(url);
+    try {
+      await this.crawlPage(url);
+    } catch (error) {
+      this.reportError(url, error);
+      throw error;
+    } finally {
+      if (this.erroredUrls.has(url)) {
+        this.frontier.fail(url);
+      } else {
+        this.frontier.finish(url);
+      }
+    }
+  }
 
-          // Success - break out of retry loop
-          break;
-        } catch (error) {
-          const errorMessage = error instanceof Error ? error.message : String(error);
+  /**
+   * Load a claimed page in the browser, save its content and queue its links,
+   * filling in the page's log record on the way
+   * @param {string} url - URL to fetch
+   * @param {PageLogRecord} record - Log record of the page
+   * @returns {Promise<void>}
+   */
+  async fetchPage(url, record) {
+    const page = await this.openPage();
 
-          if (attempt < maxRetries) {
-            console.log(`Attempt ${attempt} failed: ${errorMessage}`);
-          } else {
-            // Final attempt failed
-            throw error;
-          }
-        }
+    try {
+      /** @type {import('playwright').Response | null} */
+      let response;
+      try {
+        response = await this.gotoWithRetry(page, url);
+      } catch (error) {
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        this.recordFetch(url, null, { error: errorMessage });
+        throw error;
       }
+      const responseHeaders = response ? await response.allHeaders() : {};
 
       // Get the final URL after any redirects
       const finalUrl = page.url().split('#')[0].split('?')[0];
+      this.emit('pageFetched', { url, finalUrl, status: response ? response.status() : null });
+      record.finalUrl = finalUrl !== url ? finalUrl : null;
+      record.status = response ? response.status() : null;
+      record.bytes = response ? await responseSize(response) : null;
 
       // Cache the redirect mapping if URL changed
       if (finalUrl !== url) {
@@ -933,118 +1860,732 @@ export class SitefinityCrawler {
         this.saveRedirectToCache(url, finalUrl);
       }
 
+      // Error pages are reported, never saved; a page that is gone loses its saved copy
+      const status = response ? response.status() : null;
+      if (response && !response.ok()) {
+        this.recordFetch(url, status, { error: response.statusText(), finalUrl: finalUrl !== url ? finalUrl : null });
+        this.logger.debug(`HTTP ${status}, not saving: ${url}`);
+        this.skip(url, 'http-error', `HTTP ${status}`);
+        record.outcome = 'http-error';
+        if (isGoneStatus(status)) {
+          this.removeSavedPage(url);
+        }
+        return;
+      }
+      this.recordFetch(url, status);
+
       // If the page redirected to a different URL that we've already visited, skip it
       if (finalUrl !== url && this.visited.has(finalUrl)) {
-        console.log(`Page redirected to already-visited URL: ${finalUrl}, skipping`);
-        await page.close();
+        this.logger.debug(`Page redirected to already-visited URL: ${finalUrl}, skipping`);
+        this.skip(url, 'redirected-to-visited', finalUrl);
+        Object.assign(record, { outcome: 'skipped', reason: 'redirected-to-visited' });
+        return;
+      }
+
+      // A pinned-version page that redirects elsewhere (usually the latest docs) has no content for this version
+      if (finalUrl !== url && this.pinToVersion(finalUrl) !== finalUrl) {
+        this.logger.debug(`Page redirected out of version ${this.version}: ${finalUrl}, skipping`);
+        this.skip(url, 'out-of-version', finalUrl);
+        Object.assign(record, { outcome: 'skipped', reason: 'out-of-version' });
         return;
       }
 
       // Mark the final URL as visited too (in case of redirect)
       if (finalUrl !== url) {
-        console.log(`Page redirected from ${url} to ${finalUrl}`);
+        this.logger.debug(`Page redirected from ${url} to ${finalUrl}`);
         this.visited.add(finalUrl);
         this.visitedCanonical.add(this.getCanonicalUrl(finalUrl));
       }
 
-      // Extract content
-      const content = await this.extractContent(page, url);
-
-      // Save content
-      this.saveContent(content);
+      const metaRobots = this.respectRobots ? await this.getMetaRobots(page) : { noindex: false, nofollow: false };
 
-      // Extract and queue links
-      const links = await this.extractLinks(page);
-      console.log(`Found ${links.length} documentation links`);
+      if (metaRobots.noindex) {
+        this.logger.debug(`Page has meta robots noindex, not saving: ${url}`);
+        this.skip(url, 'noindex');
+        Object.assign(record, { outcome: 'skipped', reason: 'noindex' });
+      } else {
+        // Extract content
+        const content = await this.extractContent(page, url);
 
-      // Add new links to queue
-      for (const link of links) {
-        if (!this.visited.has(link) && !this.urlQueue.has(link)) {
-          this.urlQueue.add(link);
-        }
+        // Save content
+        const result = this.saveContent(content, {
+          etag: responseHeaders['etag'] || null,
+          lastModified: responseHeaders['last-modified'] || null
+        });
+        record.outcome = result.status;
       }
 
-      await page.close();
-
-      // Recursively crawl found links
-      for (const link of links) {
-        if (this.pageCount >= this.maxPages) {
-          break;
-        }
-        await this.crawlPage(link);
+      if (metaRobots.nofollow) {
+        this.logger.debug(`Page has meta robots nofollow, not following its links: ${url}`);
+      } else {
+        // Extract and queue links
+        const links = await this.extractLinks(page);
+        this.logger.debug(`Found ${links.length} documentation links`);
+        this.enqueue(links, url);
       }
-
     } catch (error) {
       const errorMessage = error instanceof Error ? error.message : String(error);
-      console.error(`Error crawling ${url}:`, errorMessage);
-      await page.close();
+      this.logger.error(`Error crawling ${url}: ${errorMessage}`, { url });
+      Object.assign(record, { outcome: 'error', reason: errorMessage });
+      this.reportError(url, error);
+    } finally {
+      await this.closePage(page);
     }
   }
 
   /**
-   * Save extracted content to files
-   * @param {ExtractedContent} content - Extracted page content
-   * @returns {void}
+   * Open a browser page as soon as fewer than `concurrency` pages are open, so worker
+   * pages and canonical checks together stay within the limit. A worker never holds
+   * two pages at once, so waiting for a slot cannot deadlock.
+   * @returns {Promise<import('playwright').Page>}
    */
-  saveContent(content) {
-    const filename = savePageContent(content, this.progressDir, this.turndownService, this.allMarkdownContent);
-    console.log(`Saved: ${filename}`);
+  async openPage() {
+    if (!this.context) {
+      throw new Error('Browser context not initialized');
+    }
+    while (this.openPages >= this.concurrency) {
+      await new Promise(resolve => this.pageWaiters.push(() => resolve(undefined)));
+    }
+    this.openPages++;
+
+    try {
+      return await this.context.newPage();
+    } catch (error) {
+      this.releasePageSlot();
+      throw error;
+    }
   }
 
   /**
-   * Extracts the version number from a Sitefinity documentation URL
-   * @param {string} url - The URL to check
-   * @returns {string | null} - The version number (e.g., '152', '133') or null if no version found
+   * Close a page opened with openPage() and hand its slot to the next waiter
+   * @param {import('playwright').Page} page - Page to close
+   * @returns {Promise<void>}
    */
-  extractVersion(url) {
-    // Match patterns like /documentation/sitefinity-cms/152/...
-    const versionMatch = url.match(/\/documentation\/sitefinity-cms\/(\d+)\//);
-    return versionMatch ? versionMatch[1] : null;
+  async closePage(page) {
+    try {
+      await page.close();
+    } finally {
+      this.releasePageSlot();
+    }
   }
 
   /**
-   * Normalizes a URL by removing the version slug if present
-   * @param {string} url - The URL to normalize
-   * @returns {string} - The normalized URL without version
+   * Free a page slot and wake the next caller waiting in openPage()
+   * @returns {void}
    */
-  normalizeUrl(url) {
-    // Remove version pattern: /documentation/sitefinity-cms/152/ -> /documentation/sitefinity-cms/
-    return url.replace(/\/documentation\/sitefinity-cms\/\d+\//, '/documentation/sitefinity-cms/');
+  releasePageSlot() {
+    this.openPages--;
+    const next = this.pageWaiters.shift();
+    if (next) {
+      next();
+    }
   }
 
   /**
-   * Gets the canonical (non-versioned) URL for deduplication
-   * @param {string} url - The URL to get canonical form of
-   * @returns {string} - The canonical URL
+   * Write the log record of a fetched page
+   * @param {PageLogRecord} record - What became of the page
+   * @param {number} durationMs - Time spent on the page, including retries and extraction
+   * @returns {void}
    */
-  getCanonicalUrl(url) {
-    const version = this.extractVersion(url);
-    if (version) {
-      // Has a version, return the normalized (versionless) URL
-      return this.normalizeUrl(url);
+  logPage(record, durationMs) {
+    const totalPages = this.cachedCount + this.pageCount;
+    const details = [
+      record.status !== null ? String(record.status) : '---',
+      record.reason ? `${record.outcome} (${record.reason})` : record.outcome,
+      formatElapsed(durationMs),
+      ...(record.bytes !== null ? [formatBytes(record.bytes)] : []),
+      record.finalUrl ? `${record.url} → ${record.finalUrl}` : record.url
+    ];
+    this.logger.info(`[${totalPages} total: ${this.cachedCount} cached + ${this.pageCount} new] ${details.join(' ')}`, {
+      event: 'page',
+      ...record,
+      durationMs
+    });
+  }
+
+  /**
+   * Write a progress line with the fetch rate, the queue and an ETA.
+   * The ETA only counts the URLs queued so far.
+   * @returns {void}
+   */
+  logProgress() {
+    const now = Date.now();
+    if (this.crawlStartedAt === null) {
+      return;
     }
-    // Already canonical (no version)
-    return url;
+
+    const elapsedMs = now - this.crawlStartedAt;
+    const pagesPerMinute = elapsedMs > 0 ? this.pageCount / (elapsedMs / 60000) : 0;
+    const queue = this.urlQueue.size;
+    const remaining = Math.min(queue, this.maxPages - this.pageCount);
+    const etaSeconds = pagesPerMinute > 0 ? Math.ceil(remaining / pagesPerMinute * 60) : null;
+    const totalPages = this.cachedCount + this.pageCount;
+    this.logger.info(
+      `⏱  ${totalPages} pages (${this.cachedCount} cached + ${this.pageCount} new) in ${formatElapsed(elapsedMs)}, ${pagesPerMinute.toFixed(1)} pages/min, queue ${queue}, ETA ${etaSeconds !== null ? formatElapsed(etaSeconds * 1000) : 'unknown'}`,
+      {
+        event: 'progress',
+        totalPages,
+        cachedPages: this.cachedCount,
+        newPages: this.pageCount,
+        elapsedMs,
+        pagesPerMinute: Math.round(pagesPerMinute * 10) / 10,
+        queue,
+        etaSeconds
+      }
+    );
   }
 
   /**
-   * Close browser and generate summary
-   * @returns {Promise<void>}
+   * Revalidate a previously saved page with a conditional HEAD request
+   * (If-None-Match / If-Modified-Since). On 304 Not Modified the saved copy
+   * is reused: its markdown goes into llms-full.txt and the links in its HTML
+   * are queued, without opening a browser page. A changed page is only
+   * downloaded once, by the browser.
+   * @param {string} url - Page URL
+   * @returns {Promise<boolean>} True if the saved copy is still current
    */
-  async close() {
-    if (this.browser) {
-      await this.browser.close();
+  async revalidate(url) {
+    const jsonPath = path.join(this.progressDir, urlToFilename(url, this.scope));
+    const htmlPath = jsonPath.replace('.json', '.html');
+    const mdPath = jsonPath.replace('.json', '.md');
+
+    if (!fs.existsSync(jsonPath) || !fs.existsSync(htmlPath) || !fs.existsSync(mdPath)) {
+      return false;
     }
 
-    // Note: Redirects are saved individually as they're discovered, no need to save here
+    try {
+      const saved = JSON.parse(fs.readFileSync(jsonPath, 'utf-8'));
 
-    // Generate summary
-    const summary = {
-      totalPages: this.pageCount,
+      /** @type {Record<string, string>} */
+      const headers = {};
+      if (saved.etag) {
+        headers['If-None-Match'] = saved.etag;
+      }
+      if (saved.lastModified) {
+        headers['If-Modified-Since'] = saved.lastModified;
+      }
+      if (Object.keys(headers).length === 0) {
+        return false;
+      }
+
+      await this.waitForCrawlDelay();
+      const response = await this.fetcher(url, { method: 'HEAD', headers });
+      if (response.status !== 304) {
+        return false;
+      }
+
+      markPageUnchanged(jsonPath, {
+        etag: response.headers['etag'] || null,
+        lastModified: response.headers['last-modified'] || null
+      });
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      this.logger.debug(`Conditional request failed for ${url}: ${errorMessage}`);
+      return false;
+    }
+
+    this.logger.debug(`Not modified (304): ${url}`);
+    this.changeCounts.unchanged++;
+    this.allMarkdownContent.push(fs.readFileSync(mdPath, 'utf-8'));
+    this.recordFetch(url, 304);
+    this.emit('pageCached', { url, reason: 'not-modified' });
+    this.enqueue(this.extractLinksFromHtml(fs.readFileSync(htmlPath, 'utf-8'), url), url);
+    return true;
+  }
+
+  /**
+   * Add URLs to the crawl queue, skipping visited and already-queued ones and
+   * those disallowed by robots.txt or rejected by a plugin's filterUrl.
+   * Pinned-version crawls map links onto their version.
+   * @param {Iterable<string>} urls - URLs to queue
+   * @param {string} [referrer] - Page the URLs were found on
+   * @returns {void}
+   */
+  enqueue(urls, referrer) {
+    for (const link of urls) {
+      if (referrer) {
+        this.recordReferrer(link, referrer);
+      }
+      const url = this.pinToVersion(link);
+      if (!url || this.visited.has(url) || this.urlQueue.has(url)) {
+        continue;
+      }
+      if (!this.isAllowedByRobots(url)) {
+        this.skip(url, 'robots');
+        continue;
+      }
+      if (this.isFilteredOut(url, referrer || null)) {
+        continue;
+      }
+      this.urlQueue.add(url);
+      this.frontier.add(url);
+    }
+  }
+
+  /**
+   * Ask the plugins' filterUrl hooks about a URL; each URL is decided once
+   * @param {string} url - URL about to be queued
+   * @param {string | null} referrer - Page the URL was found on
+   * @returns {boolean} True if a plugin rejected the URL
+   */
+  isFilteredOut(url, referrer) {
+    if (!this.urlFilterDecisions.has(url)) {
+      const plugin = findUrlFilter(this.plugins, url, referrer);
+      this.urlFilterDecisions.set(url, plugin);
+      if (plugin) {
+        this.logger.debug(`Skipping URL filtered out by plugin ${plugin}: ${url}`);
+        this.skip(url, 'filtered', plugin);
+      }
+    }
+    return this.urlFilterDecisions.get(url) !== null;
+  }
+
+  /**
+   * Emit a skipped event, once per URL and reason
+   * @param {string} url - Skipped URL
+   * @param {SkipReason} reason - Why it is skipped
+   * @param {string | null} [detail] - Redirect target, canonical URL, HTTP status or plugin name
+   * @returns {void}
+   */
+  skip(url, reason, detail = null) {
+    const key = `${reason} ${url}`;
+    if (!this.reportedSkips.has(key)) {
+      this.reportedSkips.add(key);
+      this.emit('skipped', { url, reason, detail });
+    }
+  }
+
+  /**
+   * Emit an error event if anyone listens (an unhandled 'error' event would throw)
+   * @param {string | null} url - Page the error belongs to (null for plugin outputs)
+   * @param {unknown} error - What was thrown
+   * @returns {void}
+   */
+  reportError(url, error) {
+    if (url) {
+      this.erroredUrls.add(url);
+    }
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', { url, error: error instanceof Error ? error : new Error(String(error)) });
+    }
+  }
+
+  /**
+   * Remember that a page links to a URL
+   * @param {string} link - Linked URL
+   * @param {string} referrer - Page the link was found on
+   * @returns {void}
+   */
+  recordReferrer(link, referrer) {
+    const url = this.pinToVersion(link);
+    if (!url || url === referrer) {
+      return;
+    }
+
+    let pages = this.referrers.get(url);
+    if (!pages) {
+      pages = new Set();
+      this.referrers.set(url, pages);
+    }
+    pages.add(referrer);
+  }
+
+  /**
+   * Record the outcome of fetching a page
+   * @param {string} url - Fetched URL
+   * @param {number | null} status - HTTP status (null if the request failed)
+   * @param {Object} [failure] - Failure details for HTTP errors and failed requests
+   * @param {string | null} [failure.error] - Status text or error message
+   * @param {string | null} [failure.finalUrl] - URL the request ended at after redirects
+   * @returns {void}
+   */
+  recordFetch(url, status, failure) {
+    const key = status === null ? 'failed' : String(status);
+    this.statusCounts[key] = (this.statusCounts[key] || 0) + 1;
+
+    if (failure) {
+      this.failedUrls.set(url, { status, error: failure.error || null, finalUrl: failure.finalUrl || null });
+    } else {
+      this.failedUrls.delete(url);
+    }
+  }
+
+  /**
+   * Delete the saved files of a page that no longer exists
+   * @param {string} url - Page URL
+   * @returns {void}
+   */
+  removeSavedPage(url) {
+    const jsonPath = path.join(this.progressDir, urlToFilename(url, this.scope));
+    const paths = [jsonPath, jsonPath.replace('.json', '.html'), jsonPath.replace('.json', '.md')];
+    if (!paths.some(filepath => fs.existsSync(filepath))) {
+      return;
+    }
+
+    for (const filepath of paths) {
+      fs.rmSync(filepath, { force: true });
+    }
+    this.logger.info(`Removed saved copy of gone page: ${url}`, { url });
+  }
+
+  /**
+   * Write broken-links.json and broken-links.md: every URL that returned an
+   * HTTP error or failed to load, with the pages linking to it
+   * @returns {import('./broken-links.mjs').BrokenLinkReport}
+   */
+  writeBrokenLinkReport() {
+    const report = buildBrokenLinkReport(this.failedUrls, this.referrers, this.baseUrl);
+
+    fs.writeFileSync(path.join(this.outputDir, 'broken-links.json'), JSON.stringify(report, null, 2));
+    fs.writeFileSync(path.join(this.outputDir, 'broken-links.md'), renderBrokenLinksMarkdown(report, this.profile.title));
+
+    return report;
+  }
+
+  /**
+   * Write quality-report.md: saved pages whose extraction quality scores below minQuality
+   * @returns {import('./quality.mjs').QualityReport}
+   */
+  writeQualityReport() {
+    const report = buildQualityReport(loadSavedPages(this.progressDir, this.logger).map(page => page.json), this.minQuality);
+    fs.writeFileSync(path.join(this.outputDir, 'quality-report.md'), renderQualityReportMarkdown(report, this.profile.title));
+    return report;
+  }
+
+  /**
+   * Cluster the saved pages by text fingerprint and record each page's near-duplicate
+   * cluster in its JSON
+   * @returns {import('./near-duplicates.mjs').NearDuplicateCluster[]}
+   */
+  writeNearDuplicates() {
+    const { clusters, duplicates } = updateNearDuplicates(this.progressDir);
+    this.nearDuplicateUrls = duplicates;
+    this.nearDuplicateCounts = {
+      clusters: clusters.length,
+      pages: clusters.reduce((sum, cluster) => sum + cluster.members.length, 0)
+    };
+    return clusters;
+  }
+
+  /**
+   * Drain the crawl queue with a pool of concurrent workers.
+   * Each worker crawls one page at a time in its own Playwright page on the
+   * shared browser context; pages queue their links back onto this.urlQueue.
+   * @returns {Promise<void>}
+   */
+  async processQueue() {
+    const active = this.activeTasks;
+    this.crawlStartedAt = Date.now();
+
+    // A timer writes the progress line, so it keeps coming while slow pages are in flight;
+    // with progressInterval 0 it is written after every page instead
+    if (this.progressInterval > 0 && !this.progressTimer) {
+      this.progressTimer = setInterval(() => this.logProgress(), this.progressInterval);
+      this.progressTimer.unref();
+    }
+
+    while (true) {
+      // Fill free worker slots from the front of the queue
+      while (!this.interrupted && active.size < this.concurrency && this.urlQueue.size > 0 && this.pageCount < this.maxPages) {
+        const url = /** @type {string} */ (this.urlQueue.values().next().value);
+        this.urlQueue.delete(url);
+
+        const task = this.crawlAndRecord(url)
+          .catch(error => {
+            const errorMessage = error instanceof Error ? error.message : String(error);
+            this.logger.error(`Error crawling ${url}: ${errorMessage}`, { url });
+          })
+          .finally(() => {
+            active.delete(task);
+            if (this.progressInterval === 0) {
+              this.logProgress();
+            }
+          });
+        active.add(task);
+      }
+
+      if (active.size === 0) {
+        break;
+      }
+
+      // Wait for any worker to finish; it may have queued new links
+      await Promise.race(active);
+    }
+  }
+
+  /**
+   * Save extracted content to files
+   * @param {ExtractedContent} content - Extracted page content
+   * @param {PageValidators} [validators] - ETag/Last-Modified of the page response
+   * @returns {SaveResult}
+   */
+  saveContent(content, validators) {
+    const result = savePageContent(content, this.progressDir, this.turndownService, this.allMarkdownContent, {
+      scope: this.scope,
+      validators,
+      links: this.links,
+      header: {
+        style: this.frontmatter,
+        canonicalUrl: this.getCanonicalUrl(content.url),
+        version: this.extractVersion(content.url)
+      },
+      postProcessMarkdown: this.postProcessMarkdown
+    });
+    this.changeCounts[result.status]++;
+    this.recordChange(content, result);
+    this.logger.debug(result.status === 'unchanged' ? `Unchanged: ${result.filename}` : `Saved (${result.status}): ${result.filename}`);
+    this.emit('pageSaved', { url: content.url, filename: result.filename, status: result.status, content });
+
+    this.savedSinceCheckpoint++;
+    if (this.checkpointInterval > 0 && this.savedSinceCheckpoint >= this.checkpointInterval) {
+      this.checkpoint();
+    }
+
+    return result;
+  }
+
+  /**
+   * Remember an added or changed page for the change report
+   * @param {ExtractedContent} content - Saved page content
+   * @param {SaveResult} result - Outcome of savePageContent
+   * @returns {void}
+   */
+  recordChange(content, result) {
+    const detectedAt = new Date().toISOString();
+
+    if (result.status === 'new') {
+      this.pageChanges.push({ kind: 'added', url: content.url, title: content.title, detectedAt });
+    } else if (result.status === 'changed' && result.previousMarkdown !== undefined) {
+      const currentMarkdown = fs.readFileSync(path.join(this.progressDir, result.filename.replace('.json', '.md')), 'utf-8');
+      const diff = unifiedDiff(result.previousMarkdown, currentMarkdown, {
+        fromFile: `a/${result.filename.replace('.json', '.md')}`,
+        toFile: `b/${result.filename.replace('.json', '.md')}`
+      });
+      const diffLines = diff.split('\n').slice(2);
+
+      this.pageChanges.push({
+        kind: 'changed',
+        url: content.url,
+        title: content.title,
+        detectedAt,
+        diff,
+        linesAdded: diffLines.filter(line => line.startsWith('+')).length,
+        linesRemoved: diffLines.filter(line => line.startsWith('-')).length
+      });
+    }
+  }
+
+  /**
+   * Build the report of pages added, removed, changed or redirected since the previous crawl
+   * @param {boolean} complete - Whether the crawl covered the whole site (required to report removals)
+   * @returns {import('./changes.mjs').ChangeReport}
+   */
+  buildChangeReport(complete) {
+    const generatedAt = new Date().toISOString();
+    /** @type {import('./changes.mjs').PageChange[]} */
+    const redirected = [];
+    for (const [source, target] of this.discoveredRedirects) {
+      if (this.previousPages.has(source)) {
+        redirected.push({ kind: 'redirected', url: source, title: this.previousPages.get(source) || '', redirectTo: target, detectedAt: generatedAt });
+      }
+    }
+
+    /** @type {import('./changes.mjs').PageChange[]} */
+    const removed = [];
+    for (const [url, title] of this.previousPages) {
+      const gone = isGoneStatus(this.failedUrls.get(url)?.status ?? null);
+      const unseen = complete && !this.visited.has(url) && !this.discoveredRedirects.has(url);
+      if (gone || unseen) {
+        removed.push({ kind: 'removed', url, title, detectedAt: generatedAt });
+      }
+    }
+
+    const changes = [...this.pageChanges, ...removed, ...redirected];
+    const changedUrls = new Set(changes.map(change => change.url));
+    const unchanged = Array.from(this.previousPages.keys())
+      .filter(url => this.visited.has(url) && !changedUrls.has(url)).length;
+
+    return {
+      generatedAt,
+      baseUrl: this.baseUrl,
+      complete,
+      counts: {
+        added: this.pageChanges.filter(change => change.kind === 'added').length,
+        removed: removed.length,
+        changed: this.pageChanges.filter(change => change.kind === 'changed').length,
+        redirected: redirected.length,
+        unchanged
+      },
+      changes
+    };
+  }
+
+  /**
+   * Write changes.json, CHANGES.md and the changes.atom feed.
+   * The feed keeps the latest entries across crawls in change-history.json.
+   * @param {boolean} complete - Whether the crawl covered the whole site
+   * @returns {import('./changes.mjs').ChangeReport}
+   */
+  writeChangeReport(complete) {
+    const report = this.buildChangeReport(complete);
+
+    fs.writeFileSync(path.join(this.outputDir, 'changes.json'), JSON.stringify(report, null, 2));
+    fs.writeFileSync(path.join(this.outputDir, 'CHANGES.md'), renderChangesMarkdown(report, this.profile.title));
+
+    const historyPath = path.join(this.outputDir, 'change-history.json');
+    let history = [];
+    if (fs.existsSync(historyPath)) {
+      try {
+        history = JSON.parse(fs.readFileSync(historyPath, 'utf-8'));
+      } catch (error) {
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        this.logger.error(`Error loading change history, starting a new one: ${errorMessage}`);
+      }
+    }
+    history = mergeChangeHistory(history, report.changes);
+    fs.writeFileSync(historyPath, JSON.stringify(history, null, 2));
+    fs.writeFileSync(path.join(this.outputDir, 'changes.atom'), renderAtomFeed(history, {
+      title: `${this.profile.title} Changes`,
+      link: this.baseUrl
+    }));
+
+    return report;
+  }
+
+  /**
+   * Extracts the version number from a documentation URL
+   * @param {string} url - The URL to check
+   * @returns {string | null} - The version number (e.g., '152', '133') or null if no version found
+   */
+  extractVersion(url) {
+    return extractVersion(url, this.profile);
+  }
+
+  /**
+   * Normalizes a URL by removing the version slug if present
+   * @param {string} url - The URL to normalize
+   * @returns {string} - The normalized URL without version
+   */
+  normalizeUrl(url) {
+    return getCanonicalUrl(url, this.profile);
+  }
+
+  /**
+   * Rewrite a documentation URL to the pinned version
+   * (e.g. /documentation/sitefinity-cms/install -> /documentation/sitefinity-cms/152/install)
+   * @param {string} url - Canonical or versioned URL
+   * @returns {string} - URL of the same page in this.version
+   */
+  toVersionUrl(url) {
+    const canonical = this.getCanonicalUrl(url);
+    const scopeIndex = canonical.indexOf(this.scope);
+    if (!this.version || scopeIndex === -1) {
+      return canonical;
+    }
+
+    const afterScope = scopeIndex + this.scope.length;
+    const rest = canonical.slice(afterScope).replace(/^\//, '');
+    return `${canonical.slice(0, afterScope)}/${this.version}${rest ? `/${rest}` : ''}`;
+  }
+
+  /**
+   * Map a URL onto the pinned version: canonical URLs get the version segment,
+   * URLs of other versions are dropped. Without a pinned version URLs pass through.
+   * @param {string} url - URL to map
+   * @returns {string | null} - URL to crawl, or null to skip it
+   */
+  pinToVersion(url) {
+    if (!this.version || !url.includes(this.scope)) {
+      return url;
+    }
+
+    // The trailing slash lets the version root (/documentation/sitefinity-cms/152) match too
+    const version = this.extractVersion(url.endsWith('/') ? url : `${url}/`);
+    if (version) {
+      return version === this.version ? url : null;
+    }
+    return this.toVersionUrl(url);
+  }
+
+  /**
+   * Markdown file a documentation link points to in 'local' link mode.
+   * Follows cached redirects and maps versions the way the crawl saves pages:
+   * onto the pinned version, otherwise onto the canonical URL. A link that
+   * version mapping moves to another page only points there once that page is
+   * saved (a version-only page has no canonical copy); until then it points at
+   * the page it names if that is saved, or stays an online link.
+   * @param {string} url - Absolute link URL without fragment
+   * @returns {string | null} - File name in progress/, or null for links outside the documentation
+   */
+  toLocalPath(url) {
+    /**
+     * @param {string} start - URL to resolve
+     * @returns {string} - Final URL after cached redirects
+     */
+    const followRedirects = start => {
+      let target = start;
+      const seen = new Set();
+      while (this.redirectCache.has(target) && !seen.has(target)) {
+        seen.add(target);
+        target = /** @type {string} */ (this.redirectCache.get(target));
+      }
+      return target;
+    };
+
+    const resolved = followRedirects(url.split('?')[0]);
+    if (!resolved.includes(this.scope)) {
+      return null;
+    }
+    const mapped = this.version ? this.pinToVersion(resolved) : this.getCanonicalUrl(resolved);
+    if (!mapped) {
+      return null;
+    }
+
+    const target = followRedirects(mapped);
+    if (target === resolved) {
+      return target.startsWith(this.baseUrl) ? urlToFilename(target, this.scope).replace(/\.json$/, '.md') : null;
+    }
+
+    for (const candidate of [target, resolved]) {
+      const filename = urlToFilename(candidate, this.scope);
+      if (candidate.startsWith(this.baseUrl) && fs.existsSync(path.join(this.progressDir, filename))) {
+        return filename.replace(/\.json$/, '.md');
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Gets the canonical (non-versioned) URL for deduplication
+   * @param {string} url - The URL to get canonical form of
+   * @returns {string} - The canonical URL
+   */
+  getCanonicalUrl(url) {
+    return getCanonicalUrl(url, this.profile);
+  }
+
+  /**
+   * Write _summary.json with crawl statistics
+   * @returns {void}
+   */
+  writeSummary() {
+    const summary = {
+      totalPages: this.pageCount + this.cachedCount,
       cachedPages: this.cachedCount,
+      revalidatedPages: this.revalidatedCount,
       newlyFetchedPages: this.pageCount,
       crawledAt: new Date().toISOString(),
       baseUrl: this.baseUrl,
+      interrupted: this.interrupted,
+      frontier: this.frontier.stats(),
+      changes: this.changeCounts,
+      httpStatuses: this.statusCounts,
+      brokenLinks: this.failedUrls.size,
+      assets: { ...this.assets.counts, files: this.assets.fileCount() },
+      extraction: this.extractionCounts,
+      quality: { minQuality: this.minQuality, ...this.qualityCounts },
+      nearDuplicates: { mode: this.nearDuplicates, ...this.nearDuplicateCounts },
+      noiseRules: this.noiseRuleCounts,
       pages: Array.from(this.visited)
     };
 
@@ -1052,73 +2593,355 @@ export class SitefinityCrawler {
       path.join(this.outputDir, '_summary.json'),
       JSON.stringify(summary, null, 2)
     );
+  }
 
-    // Save concatenated markdown file as llms-full.txt
-    const totalPages = this.pageCount + this.cachedCount;
-    const markdownOutput = [
-      '# Sitefinity CMS Documentation',
-      '',
-      `**Generated:** ${new Date().toISOString()}`,
-      `**Total Pages:** ${totalPages}`,
-      `**Cached Pages:** ${this.cachedCount}`,
-      `**Newly Fetched Pages:** ${this.pageCount}`,
-      '',
-      '---',
-      '',
-      ...this.allMarkdownContent.map(md => `\n\n${md}`)
-    ].join('\n');
+  /**
+   * Write the concatenated markdown file llms-full.txt, its index llms.txt and the hierarchy toc.json.
+   * With nearDuplicates 'skip', llms-full.txt leaves out the near-duplicates found by the last
+   * writeNearDuplicates().
+   * @returns {void}
+   */
+  writeLlmsFull() {
+    const skipUrls = this.nearDuplicates === 'skip' ? this.nearDuplicateUrls : new Set();
+    /** @type {Record<string, string | number | boolean>} */
+    const metadata = {
+      'Total Pages': this.pageCount + this.cachedCount,
+      'Cached Pages': this.cachedCount,
+      'Newly Fetched Pages': this.pageCount
+    };
+    if (skipUrls.size > 0) {
+      metadata['Near-Duplicates Skipped'] = skipUrls.size;
+    }
+    // The saved markdown links relative to progress/, these files live next to it
+    const targets = loadLocalPathTargets(this.outputDir, this.logger);
+    const documents = this.allMarkdownContent.map(doc => absolutizeLocalPaths(doc, targets));
+    const { content, toc } = buildLlmsFullFromDocuments(documents, this.profile.title, metadata, skipUrls);
 
     fs.writeFileSync(
       path.join(this.outputDir, 'llms-full.txt'),
-      markdownOutput
+      content
+    );
+    fs.writeFileSync(
+      path.join(this.outputDir, 'toc.json'),
+      JSON.stringify(toc, null, 2)
+    );
+    fs.writeFileSync(
+      path.join(this.outputDir, 'llms.txt'),
+      buildLlmsTxtFromDocuments(documents, this.profile, this.llmsLinks)
     );
+  }
+
+  /**
+   * Compact the frontier journal so it stays small on long crawls. Every page is
+   * already journaled and saved as it finishes; the aggregate outputs are only
+   * written by close().
+   * @returns {void}
+   */
+  checkpoint() {
+    this.savedSinceCheckpoint = 0;
+    this.frontier.compact();
+    this.logger.info(`Checkpoint saved (${this.frontier.pending.size + this.frontier.inFlight.size} URLs left in frontier)`);
+  }
+
+  /**
+   * Close browser and generate summary.
+   * Safe to call more than once (e.g. from a signal handler and from run()).
+   * @returns {Promise<void>}
+   */
+  close() {
+    if (!this.closing) {
+      this.closing = this.doClose();
+    }
+    return this.closing;
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async doClose() {
+    // Note: Redirects are saved individually as they're discovered, no need to save here
+
+    if (this.progressTimer) {
+      clearInterval(this.progressTimer);
+      this.progressTimer = null;
+    }
+
+    // An interrupted or failed crawl keeps its frontier for resume; a crawl that stopped on its
+    // own (finished or capped by maxPages) removes it, so the next run starts fresh
+    const complete = !this.interrupted && this.urlQueue.size === 0 && this.frontier.inFlight.size === 0;
+    const resumable = this.interrupted || this.failed;
+    if (resumable) {
+      this.frontier.compact();
+    } else {
+      this.frontier.clear();
+    }
+
+    this.writeNearDuplicates();
+    this.writeSummary();
+    this.writeLlmsFull();
+    const report = this.writeChangeReport(complete);
+    const brokenLinks = this.writeBrokenLinkReport();
+    const quality = this.writeQualityReport();
+    const pluginOutputs = await this.writePluginOutputs(complete);
+
+    // Closing the context writes the browser's HAR archive
+    await this.context?.close();
+    if (this.browser && !this.sharedBrowser) {
+      await this.browser.close();
+    }
+    if (this.harMode === 'record') {
+      this.harArchive.save(path.join(this.harDir, HAR_FILES.fetcher));
+    }
+
+    const totalPages = this.pageCount + this.cachedCount;
+    this.logger.info(`\n✓ Crawling ${this.interrupted ? 'interrupted' : 'completed'}!`);
+    this.logger.info(`✓ Total pages: ${totalPages} (${this.cachedCount} cached, ${this.pageCount} newly fetched)`, {
+      event: 'done',
+      totalPages,
+      cachedPages: this.cachedCount,
+      newPages: this.pageCount,
+      elapsedMs: this.crawlStartedAt !== null ? Date.now() - this.crawlStartedAt : null,
+      changes: this.changeCounts,
+      statusCounts: this.statusCounts
+    });
+    const { counts } = report;
+    this.logger.info(`✓ Changes since previous crawl: ${counts.added} added, ${counts.changed} changed, ${counts.removed} removed, ${counts.redirected} redirected`);
+    if (this.harMode === 'record') {
+      this.logger.info(`✓ Responses recorded in ${this.harDir} (${HAR_FILES.browser}, ${HAR_FILES.fetcher})`);
+    }
+    if (brokenLinks.count > 0) {
+      this.logger.warn(`⚠️  ${brokenLinks.count} broken link(s), see broken-links.md`);
+    }
+    if (quality.outliers.length > 0) {
+      this.logger.warn(`⚠️  ${quality.outliers.length} page(s) with extraction quality below ${this.minQuality}, see quality-report.md`);
+    }
+    if (this.nearDuplicateCounts.clusters > 0) {
+      const { clusters, pages } = this.nearDuplicateCounts;
+      this.logger.info(`✓ ${pages} near-duplicate pages in ${clusters} cluster(s)${this.nearDuplicates === 'skip' ? `, ${this.nearDuplicateUrls.size} left out of llms-full.txt` : ''}`);
+    }
+    if (pluginOutputs.length > 0) {
+      this.logger.info(`✓ ${pluginOutputs.length} plugin output file(s): ${pluginOutputs.map(file => path.relative(this.outputDir, file)).join(', ')}`);
+    }
+    if (resumable) {
+      this.logger.info(`✓ ${this.frontier.pending.size + this.frontier.inFlight.size} URLs left in frontier.jsonl, run again to resume`);
+    }
+    this.logger.debug([
+      `✓ Output structure:`,
+      `  - ${this.outputDir}/`,
+      `    - llms-full.txt (concatenated markdown for LLMs)`,
+      `    - llms.txt (page index with descriptions)`,
+      `    - toc.json (documentation hierarchy from breadcrumbs)`,
+      `    - _summary.json (crawl metadata)`,
+      `    - changes.json, CHANGES.md, changes.atom (changes since the previous crawl)`,
+      `    - broken-links.json, broken-links.md (dead URLs and the pages linking to them)`,
+      `    - quality-report.md (pages with suspicious extraction quality)`,
+      ...(resumable ? [`    - frontier.jsonl (pending/in-flight/done URLs for resume)`] : []),
+      ...(this.downloadAssets ? [`    - assets/ (${this.assets.fileCount()} downloaded images, manifest.json)`] : []),
+      `    - progress/`,
+      `      - *.json (page metadata)`,
+      `      - *.md (individual markdown files)`,
+      `      - *.html (cleaned HTML files)`
+    ].join('\n'));
+
+    this.emit('done', {
+      outputDir: this.outputDir,
+      complete,
+      interrupted: this.interrupted,
+      totalPages,
+      cachedPages: this.cachedCount,
+      newlyFetchedPages: this.pageCount,
+      changes: { ...this.changeCounts },
+      pluginOutputs
+    });
+  }
+
+  /**
+   * Write the extra files of the plugins' outputs hooks. A failing plugin is
+   * logged and reported as an error event; the other plugins still run.
+   * @param {boolean} complete - Whether the crawl finished
+   * @returns {Promise<string[]>} Paths of the written files
+   */
+  async writePluginOutputs(complete) {
+    const plugins = this.plugins.filter(plugin => plugin.outputs);
+    if (plugins.length === 0) {
+      return [];
+    }
+
+    /** @type {import('./plugins.mjs').PluginOutputContext} */
+    const context = {
+      outputDir: this.outputDir,
+      progressDir: this.progressDir,
+      profile: this.profile,
+      pages: loadSavedPages(this.progressDir, this.logger),
+      complete
+    };
+    /** @type {string[]} */
+    const written = [];
+    for (const plugin of plugins) {
+      try {
+        written.push(...await writePluginOutputs(plugin, context));
+      } catch (error) {
+        const errorMessage = error instanceof Error ? error.message : String(error);
+        this.logger.error(`❌ Plugin ${plugin.name} failed: ${errorMessage}`, { plugin: plugin.name });
+        this.reportError(null, error);
+      }
+    }
+    return written;
+  }
+
+  /**
+   * Stop the crawl on SIGINT/SIGTERM: stop scheduling pages, let the pages in
+   * flight finish, then close (which keeps the frontier for resume) and exit.
+   * A second signal exits at once; its unfinished pages are retried on resume.
+   * @returns {() => void} Function that removes the handlers
+   */
+  installSignalHandlers() {
+    /** @param {NodeJS.Signals} signal */
+    const onSignal = (signal) => {
+      const exitCode = signal === 'SIGINT' ? 130 : 143;
+      if (this.interrupted) {
+        process.exit(exitCode);
+      }
+      this.interrupted = true;
+      this.logger.warn(`\n⚠️  Received ${signal}, finishing ${this.activeTasks.size} page(s) in flight before exit (send it again to exit now)...`);
+      Promise.allSettled(Array.from(this.activeTasks))
+        .then(() => this.close())
+        .finally(() => {
+          process.exit(exitCode);
+        });
+    };
 
-    console.log(`\n✓ Crawling completed!`);
-    console.log(`✓ Total pages: ${totalPages} (${this.cachedCount} cached, ${this.pageCount} newly fetched)`);
-    console.log(`✓ Output structure:`);
-    console.log(`  - ${this.outputDir}/`);
-    console.log(`    - llms-full.txt (concatenated markdown for LLMs)`);
-    console.log(`    - _summary.json (crawl metadata)`);
-    console.log(`    - progress/`);
-    console.log(`      - *.json (page metadata)`);
-    console.log(`      - *.md (individual markdown files)`);
-    console.log(`      - *.html (cleaned HTML files)`);
+    process.on('SIGINT', onSignal);
+    process.on('SIGTERM', onSignal);
+
+    return () => {
+      process.off('SIGINT', onSignal);
+      process.off('SIGTERM', onSignal);
+    };
   }
 
   /**
    * Run the crawler
    * @returns {Promise<void>}
+   * @throws {Error} If the crawl fails (outputs are still written before rethrowing)
    */
   async run() {
+    const removeSignalHandlers = this.installSignalHandlers();
+
     try {
       const urlsToCrawl = await this.initialize();
 
-      // Initialize the queue with URLs from cache
-      this.urlQueue = new Set(urlsToCrawl);
+      // Initialize the queue with URLs from the frontier or cache
+      this.enqueue(urlsToCrawl);
 
-      // If we have cached URLs to crawl, crawl them
       if (urlsToCrawl.size > 0) {
-        console.log(`\nCrawling ${urlsToCrawl.size} URLs from cached pages...`);
-        for (const url of urlsToCrawl) {
-          if (this.pageCount >= this.maxPages) {
-            break;
-          }
-          await this.crawlPage(url);
-        }
+        this.logger.info(`\nCrawling ${urlsToCrawl.size} URLs from saved frontier/cached pages...`);
       }
 
       // Always crawl the base URL (in case there are new pages or no cache)
-      if (!this.visited.has(this.baseUrl)) {
-        this.urlQueue.add(this.baseUrl);
-      }
-      await this.crawlPage(this.baseUrl);
+      this.enqueue([this.baseUrl]);
+
+      this.logger.info(`Crawling with ${this.concurrency} concurrent page(s)`);
+      await this.processQueue();
 
       await this.close();
     } catch (error) {
       const errorMessage = error instanceof Error ? error.message : String(error);
-      console.error('Crawler error:', errorMessage);
+      this.logger.error(`Crawler error: ${errorMessage}`);
+      this.failed = true;
       await this.close();
-      process.exit(1);
+      throw error;
+    } finally {
+      removeSignalHandlers();
+    }
+  }
+}
+
+/**
+ * Crawl several site profiles one after another, each into its own output tree.
+ * A failing profile does not stop the remaining ones.
+ * @param {import('./profiles.mjs').SiteProfile[]} profiles - Profiles to crawl
+ * @param {Omit<CrawlerOptions, 'profile'>} [options] - Options shared by all crawls (outputDir is taken from each profile, several profiles get a harDir subdirectory each)
+ * @returns {Promise<void>}
+ * @throws {Error} If any profile failed, after all profiles have been attempted
+ */
+export async function crawlProfiles(profiles, options = {}) {
+  const logger = options.logger || new Logger();
+  /** @type {string[]} */
+  const failed = [];
+
+  for (const profile of profiles) {
+    logger.section(`Crawling profile: ${profile.name} (${profile.baseUrl}) → ${profile.outputDir}`, { profile: profile.name });
+
+    const crawler = new SitefinityCrawler({
+      ...options,
+      outputDir: profile.outputDir,
+      harDir: options.harDir && profiles.length > 1 ? path.join(options.harDir, profile.name) : options.harDir,
+      profile
+    });
+    try {
+      await crawler.run();
+    } catch (error) {
+      failed.push(profile.name);
     }
   }
+
+  if (failed.length > 0) {
+    throw new Error(`Crawl failed for profile(s): ${failed.join(', ')}`);
+  }
+}
+
+/**
+ * Crawl several documentation versions of one profile, each into
+ * <outputDir>/versions/<version>/ with its own llms-full.txt, then write
+ * version-to-version diffs for each consecutive pair to <outputDir>/versions/diffs/.
+ * A failing version does not stop the remaining ones.
+ * @param {import('./profiles.mjs').SiteProfile} profile - Versioned site profile
+ * @param {string[]} versions - Version segments in ascending order (e.g. ['133', '143', '152'])
+ * @param {Omit<CrawlerOptions, 'profile' | 'version'>} [options] - Options shared by all crawls (outputDir and harDir are the roots of the per-version directories)
+ * @returns {Promise<void>}
+ * @throws {Error} If any version failed, after all versions have been attempted
+ */
+export async function crawlVersions(profile, versions, options = {}) {
+  const rootDir = options.outputDir || profile.outputDir;
+  const logger = options.logger || new Logger();
+  /** @type {string[]} */
+  const failed = [];
+
+  for (const version of versions) {
+    const outputDir = path.join(rootDir, 'versions', version);
+    logger.section(`Crawling ${profile.name} version ${version} → ${outputDir}`, { profile: profile.name, version });
+
+    const crawler = new SitefinityCrawler({
+      ...options,
+      outputDir,
+      harDir: options.harDir && path.join(options.harDir, version),
+      profile: { ...profile, title: `${profile.title} (version ${version})` },
+      version
+    });
+    try {
+      await crawler.run();
+    } catch (error) {
+      failed.push(version);
+    }
+  }
+
+  for (let i = 1; i < versions.length; i++) {
+    const from = versions[i - 1];
+    const to = versions[i];
+    if (failed.includes(from) || failed.includes(to)) {
+      continue;
+    }
+
+    const { report, markdownPath } = writeVersionDiff(rootDir, from, to, {
+      title: profile.title,
+      getCanonicalUrl: url => getCanonicalUrl(url, profile)
+    });
+    const { counts } = report;
+    logger.info(`✓ ${from} → ${to}: ${counts.added} added, ${counts.changed} changed, ${counts.removed} removed (${markdownPath})`, { from, to, ...counts });
+  }
+
+  if (failed.length > 0) {
+    throw new Error(`Crawl failed for version(s): ${failed.join(', ')}`);
+  }
 }
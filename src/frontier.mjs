@@ -0,0 +1,193 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * @typedef {'pending' | 'inFlight' | 'done'} FrontierState
+ */
+
+/**
+ * @typedef {Object} FrontierEntry
+ * @property {FrontierState} state - State of the URL in the crawl
+ * @property {string} url - Page URL
+ */
+
+/**
+ * Persistent crawl frontier backed by an append-only JSON-lines journal.
+ *
+ * Every state change (URL queued, started, finished) is appended to the journal
+ * as it happens, so a crash loses at most the line being written. On load the
+ * journal is replayed (last state wins) and URLs that were in flight when the
+ * process died are treated as pending again.
+ *
+ * State changes are only journaled after load() has attached the frontier to
+ * its file, so a crawler that never runs does not touch the disk.
+ */
+export class CrawlFrontier {
+  /**
+   * @param {string} filepath - Path of the journal file (e.g. output/frontier.jsonl)
+   */
+  constructor(filepath) {
+    /** @type {string} */
+    this.filepath = filepath;
+    /** @type {Set<string>} - URLs discovered but not started */
+    this.pending = new Set();
+    /** @type {Set<string>} - URLs currently being crawled */
+    this.inFlight = new Set();
+    /** @type {Set<string>} - URLs fully processed */
+    this.done = new Set();
+    /** @type {boolean} - Whether state changes are written to the journal */
+    this.attached = false;
+  }
+
+  /**
+   * Replay the journal from disk
+   * @returns {boolean} True if the saved frontier has unfinished work to resume
+   */
+  load() {
+    this.pending.clear();
+    this.inFlight.clear();
+    this.done.clear();
+    this.attached = true;
+
+    if (!fs.existsSync(this.filepath)) {
+      return false;
+    }
+
+    const lines = fs.readFileSync(this.filepath, 'utf-8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        /** @type {FrontierEntry} */
+        const entry = JSON.parse(line);
+        this.setState(entry.url, entry.state);
+      } catch (error) {
+        // Skip a torn last line from a crash mid-write
+      }
+    }
+
+    // Pages that were in flight when the crawl stopped never finished
+    for (const url of this.inFlight) {
+      this.pending.add(url);
+    }
+    this.inFlight.clear();
+
+    return this.pending.size > 0;
+  }
+
+  /**
+   * Move a URL into a state in memory
+   * @param {string} url - Page URL
+   * @param {FrontierState} state - New state
+   * @returns {void}
+   */
+  setState(url, state) {
+    this.pending.delete(url);
+    this.inFlight.delete(url);
+    this.done.delete(url);
+    this[state].add(url);
+  }
+
+  /**
+   * Record a state change in memory and in the journal
+   * @param {string} url - Page URL
+   * @param {FrontierState} state - New state
+   * @returns {void}
+   */
+  record(url, state) {
+    this.setState(url, state);
+    if (!this.attached) {
+      return;
+    }
+    fs.appendFileSync(this.filepath, JSON.stringify({ state, url }) + '\n');
+  }
+
+  /**
+   * Record a newly queued URL
+   * @param {string} url - Page URL
+   * @returns {void}
+   */
+  add(url) {
+    if (!this.pending.has(url)) {
+      this.record(url, 'pending');
+    }
+  }
+
+  /**
+   * Record that a worker started crawling a URL
+   * @param {string} url - Page URL
+   * @returns {void}
+   */
+  start(url) {
+    this.record(url, 'inFlight');
+  }
+
+  /**
+   * Record that a URL was fully processed
+   * @param {string} url - Page URL
+   * @returns {void}
+   */
+  finish(url) {
+    this.record(url, 'done');
+  }
+
+  /**
+   * Record that crawling a URL failed: it goes back to pending so a resumed crawl retries it
+   * @param {string} url - Page URL
+   * @returns {void}
+   */
+  fail(url) {
+    this.record(url, 'pending');
+  }
+
+  /**
+   * Rewrite the journal as one line per URL (atomic via rename)
+   * @returns {void}
+   */
+  compact() {
+    if (!this.attached) {
+      return;
+    }
+
+    /** @type {string[]} */
+    const lines = [];
+    /** @type {FrontierState[]} */
+    const states = ['done', 'inFlight', 'pending'];
+    for (const state of states) {
+      for (const url of this[state]) {
+        lines.push(JSON.stringify({ state, url }));
+      }
+    }
+
+    fs.mkdirSync(path.dirname(this.filepath), { recursive: true });
+    const tmpPath = `${this.filepath}.tmp`;
+    fs.writeFileSync(tmpPath, lines.length > 0 ? lines.join('\n') + '\n' : '');
+    fs.renameSync(tmpPath, this.filepath);
+  }
+
+  /**
+   * Remove the journal once the crawl has completed
+   * @returns {void}
+   */
+  clear() {
+    this.pending.clear();
+    this.inFlight.clear();
+    this.done.clear();
+    if (fs.existsSync(this.filepath)) {
+      fs.unlinkSync(this.filepath);
+    }
+  }
+
+  /**
+   * Counts of URLs in each state
+   * @returns {{pending: number, inFlight: number, done: number}}
+   */
+  stats() {
+    return {
+      pending: this.pending.size,
+      inFlight: this.inFlight.size,
+      done: this.done.size
+    };
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * @typedef {string | number | boolean | null | string[]} FrontmatterValue
+ */
+
+/**
+ * @typedef {Object} YamlDocument
+ * @property {Record<string, FrontmatterValue>} fields - Frontmatter fields
+ * @property {string} body - Markdown below the frontmatter
+ */
+
+/**
+ * Serialize one scalar. Strings are written as double-quoted scalars
+ * (JSON strings are valid YAML), so titles with colons or quotes stay intact.
+ * @param {string | number | boolean | null | undefined} value - Scalar value
+ * @returns {string}
+ */
+function yamlScalar(value) {
+  return value === null || value === undefined ? 'null' : JSON.stringify(value);
+}
+
+/**
+ * Parse one scalar as written by renderYamlFrontmatter, tolerating hand-edited plain and single-quoted values
+ * @param {string} text - Scalar text
+ * @returns {string | number | boolean | null}
+ */
+function parseYamlScalar(text) {
+  const value = text.trim();
+  if (value === '' || value === 'null' || value === '~') {
+    return null;
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (value.startsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value.slice(1, -1);
+    }
+  }
+  if (value.startsWith("'") && value.endsWith("'")) {
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  if (/^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  return value;
+}
+
+/**
+ * Render YAML frontmatter (including the --- fences)
+ * @param {Record<string, FrontmatterValue | undefined>} fields - Fields in output order
+ * @returns {string}
+ */
+export function renderYamlFrontmatter(fields) {
+  const lines = ['---'];
+  for (const [key, value] of Object.entries(fields)) {
+    if (Array.isArray(value)) {
+      lines.push(value.length > 0 ? `${key}:` : `${key}: []`, ...value.map(item => `  - ${yamlScalar(item)}`));
+    } else {
+      lines.push(`${key}: ${yamlScalar(value)}`);
+    }
+  }
+  lines.push('---');
+  return lines.join('\n');
+}
+
+/**
+ * Split a markdown document into its YAML frontmatter fields and body.
+ * Supports the flat `key: value` / `key:` + `- item` subset that renderYamlFrontmatter writes.
+ * @param {string} markdownDoc - Markdown document
+ * @returns {YamlDocument | null} null if the document has no YAML frontmatter
+ */
+export function parseYamlFrontmatter(markdownDoc) {
+  if (!markdownDoc.startsWith('---\n')) {
+    return null;
+  }
+  const end = markdownDoc.indexOf('\n---\n', 3);
+  const closing = end === -1 && markdownDoc.endsWith('\n---') ? markdownDoc.length - 4 : end;
+  if (closing === -1) {
+    return null;
+  }
+
+  /** @type {Record<string, FrontmatterValue>} */
+  const fields = {};
+  /** @type {string[] | null} */
+  let list = null;
+  for (const line of markdownDoc.slice(4, closing).split('\n')) {
+    const item = line.match(/^\s+-\s+(.*)$/);
+    if (item && list) {
+      list.push(String(parseYamlScalar(item[1])));
+      continue;
+    }
+    const field = line.match(/^([\w-]+):\s*(.*)$/);
+    if (!field) {
+      continue;
+    }
+    if (field[2].trim() === '') {
+      list = [];
+      fields[field[1]] = list;
+    } else {
+      list = null;
+      fields[field[1]] = field[2].trim() === '[]' ? [] : parseYamlScalar(field[2]);
+    }
+  }
+
+  return {
+    fields,
+    body: markdownDoc.slice(closing + '\n---\n'.length).replace(/^\n/, '')
+  };
+}
@@ -0,0 +1,212 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * @typedef {'record' | 'replay'} HarMode
+ * - record: every response of the crawl is written to HAR archives in the HAR directory
+ * - replay: pages, robots.txt, sitemaps and images are served from those archives, nothing goes to the network
+ */
+
+/**
+ * @typedef {Object} HarHeader
+ * @property {string} name - Header name
+ * @property {string} value - Header value
+ */
+
+/**
+ * @typedef {Object} HarEntry - One request/response pair (HAR 1.2, only the fields we read and write)
+ * @property {string} startedDateTime - ISO timestamp of the request
+ * @property {number} time - Total time in milliseconds
+ * @property {{method: string, url: string, httpVersion: string, headers: HarHeader[], queryString: HarHeader[], cookies: [], headersSize: number, bodySize: number}} request - Request
+ * @property {{status: number, statusText: string, httpVersion: string, headers: HarHeader[], cookies: [], content: {size: number, mimeType: string, text?: string, encoding?: string}, redirectURL: string, headersSize: number, bodySize: number}} response - Response
+ * @property {Object} cache - Unused
+ * @property {{send: number, wait: number, receive: number}} timings - Timings in milliseconds
+ */
+
+/**
+ * Archive files in the HAR directory: the browser's page loads (written by Playwright's
+ * recordHar, replayed with routeFromHAR) and the crawler's own requests (robots.txt,
+ * sitemaps, revalidation, image downloads)
+ */
+export const HAR_FILES = {
+  browser: 'browser.har',
+  fetcher: 'fetcher.har'
+};
+
+/** Content types stored as text in the archive; everything else is base64 */
+const TEXT_CONTENT = /^(text\/|application\/(json|xml|javascript|xhtml\+xml|rss\+xml|atom\+xml)|[^;]*\+xml)/i;
+
+/**
+ * Headers as a HAR name/value list
+ * @param {Record<string, string>} headers - Headers
+ * @returns {HarHeader[]}
+ */
+function toHarHeaders(headers) {
+  return Object.entries(headers).map(([name, value]) => ({ name, value }));
+}
+
+/**
+ * HAR archive of request/response pairs, read and written as a whole
+ */
+export class HarArchive {
+  constructor() {
+    /** @type {HarEntry[]} */
+    this.entries = [];
+  }
+
+  /**
+   * Read the archive from disk, replacing the entries in memory
+   * @param {string} filepath - HAR file
+   * @returns {HarArchive}
+   * @throws {Error} If the file is missing or not a HAR archive
+   */
+  load(filepath) {
+    try {
+      const har = JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+      if (!har || !har.log || !Array.isArray(har.log.entries)) {
+        throw new Error('no log.entries');
+      }
+      this.entries = har.log.entries;
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      throw new Error(`Cannot read HAR archive ${filepath}: ${errorMessage}`);
+    }
+    return this;
+  }
+
+  /**
+   * Record a GET or HEAD request and its response
+   * @param {string} url - Requested URL
+   * @param {Record<string, string>} requestHeaders - Request headers
+   * @param {import('./http.mjs').FetchResult & {statusText?: string}} response - Response
+   * @param {Date} startedAt - When the request started
+   * @param {string} [method] - Request method
+   * @returns {HarEntry}
+   */
+  add(url, requestHeaders, response, startedAt, method = 'GET') {
+    const mimeType = response.headers['content-type'] || '';
+    const text = TEXT_CONTENT.test(mimeType);
+    const time = Date.now() - startedAt.getTime();
+
+    /** @type {HarEntry} */
+    const entry = {
+      startedDateTime: startedAt.toISOString(),
+      time,
+      request: {
+        method,
+        url,
+        httpVersion: 'HTTP/1.1',
+        headers: toHarHeaders(requestHeaders),
+        queryString: Array.from(new URL(url).searchParams, ([name, value]) => ({ name, value })),
+        cookies: [],
+        headersSize: -1,
+        bodySize: 0
+      },
+      response: {
+        status: response.status,
+        statusText: response.statusText || '',
+        httpVersion: 'HTTP/1.1',
+        headers: toHarHeaders(response.headers),
+        cookies: [],
+        content: text
+          ? { size: response.body.length, mimeType, text: response.body.toString('utf-8') }
+          : { size: response.body.length, mimeType, text: response.body.toString('base64'), encoding: 'base64' },
+        redirectURL: response.headers['location'] || '',
+        headersSize: -1,
+        bodySize: response.body.length
+      },
+      cache: {},
+      timings: { send: 0, wait: time, receive: 0 }
+    };
+    this.entries.push(entry);
+    return entry;
+  }
+
+  /**
+   * Find the recorded response for a request. The latest entry for the URL wins; a 304
+   * only answers a request that was conditional too, and a recorded GET also answers a HEAD.
+   * @param {string} url - Requested URL
+   * @param {Record<string, string>} [headers] - Request headers
+   * @param {string} [method] - Request method
+   * @returns {HarEntry | null}
+   */
+  find(url, headers = {}, method = 'GET') {
+    const conditional = Object.keys(headers).some(name => /^if-(none-match|modified-since)$/i.test(name));
+    const methods = method === 'HEAD' ? ['HEAD', 'GET'] : [method];
+    for (let i = this.entries.length - 1; i >= 0; i--) {
+      const entry = this.entries[i];
+      if (entry.request.url === url && methods.includes(entry.request.method) && (conditional || entry.response.status !== 304)) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Write the archive as HAR 1.2
+   * @param {string} filepath - HAR file
+   * @returns {void}
+   */
+  save(filepath) {
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+    const har = {
+      log: {
+        version: '1.2',
+        creator: { name: 'sitefinity-docs-crawler', version: '1.0' },
+        entries: this.entries
+      }
+    };
+    fs.writeFileSync(filepath, JSON.stringify(har, null, 2));
+  }
+}
+
+/**
+ * Turn a recorded response back into a fetch result
+ * @param {HarEntry} entry - Archive entry
+ * @returns {import('./http.mjs').FetchResult}
+ */
+export function harEntryToFetchResult(entry) {
+  const { status, headers, content } = entry.response;
+  /** @type {Record<string, string>} */
+  const responseHeaders = {};
+  for (const header of headers) {
+    responseHeaders[header.name.toLowerCase()] = header.value;
+  }
+  return {
+    status,
+    ok: status >= 200 && status < 300,
+    headers: responseHeaders,
+    body: Buffer.from(content.text || '', content.encoding === 'base64' ? 'base64' : 'utf-8')
+  };
+}
+
+/**
+ * Wrap a fetcher so every response is also added to an archive
+ * @param {import('./http.mjs').Fetcher} fetcher - Fetcher doing the requests
+ * @param {HarArchive} archive - Archive to record into
+ * @returns {import('./http.mjs').Fetcher}
+ */
+export function createRecordingFetcher(fetcher, archive) {
+  return async (url, init = {}) => {
+    const startedAt = new Date();
+    const response = await fetcher(url, init);
+    archive.add(url, init.headers || {}, response, startedAt, init.method);
+    return response;
+  };
+}
+
+/**
+ * Fetcher that answers from an archive only. Requests that were not recorded fail
+ * like a network error, so nothing reaches the network.
+ * @param {HarArchive} archive - Recorded responses
+ * @returns {import('./http.mjs').Fetcher}
+ */
+export function createReplayFetcher(archive) {
+  return async (url, init = {}) => {
+    const entry = archive.find(url, init.headers, init.method);
+    if (!entry) {
+      throw new Error(`Not in HAR archive: ${url}`);
+    }
+    return harEntryToFetchResult(entry);
+  };
+}
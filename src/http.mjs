@@ -0,0 +1,50 @@
+/**
+ * Identifiable default user agent. Site owners can match the product token
+ * (`sitefinity-docs-crawler`) in robots.txt.
+ */
+export const DEFAULT_USER_AGENT = 'sitefinity-docs-crawler/1.0 (+https://github.com/chenyuAC/sitefinity-docs-crawler)';
+
+/**
+ * @typedef {Object} FetchResult
+ * @property {number} status - HTTP status code
+ * @property {boolean} ok - True for 2xx responses
+ * @property {Record<string, string>} headers - Lower-cased response headers
+ * @property {Buffer} body - Response body (empty for HEAD requests)
+ */
+
+/**
+ * @callback Fetcher
+ * @param {string} url - URL to fetch
+ * @param {{method?: 'GET' | 'HEAD', headers?: Record<string, string>}} [init] - Request method (default: GET) and extra headers
+ * @returns {Promise<FetchResult>}
+ */
+
+/**
+ * Create a fetcher for non-page resources (robots.txt, sitemaps) that sends our user agent
+ * @param {string} [userAgent] - User-Agent header value
+ * @param {number} [timeout] - Request timeout in milliseconds
+ * @returns {Fetcher}
+ */
+export function createFetcher(userAgent = DEFAULT_USER_AGENT, timeout = 30000) {
+  return async (url, init = {}) => {
+    const response = await fetch(url, {
+      method: init.method || 'GET',
+      headers: { 'User-Agent': userAgent, ...init.headers },
+      redirect: 'follow',
+      signal: AbortSignal.timeout(timeout)
+    });
+
+    /** @type {Record<string, string>} */
+    const headers = {};
+    response.headers.forEach((value, key) => {
+      headers[key.toLowerCase()] = value;
+    });
+
+    return {
+      status: response.status,
+      ok: response.ok,
+      headers,
+      body: Buffer.from(await response.arrayBuffer())
+    };
+  };
+}
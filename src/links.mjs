@@ -0,0 +1,99 @@
+/**
+ * @typedef {'absolute' | 'local'} LinkMode - How links and image paths are written to the markdown:
+ * 'absolute' resolves them against the page URL, 'local' additionally points
+ * documentation links at the saved progress/*.md files
+ */
+
+/**
+ * @typedef {Object} LinkOptions
+ * @property {LinkMode} [mode] - Link mode (default: 'absolute')
+ * @property {(url: string) => string | null} [toLocalPath] - progress/ markdown file of a page URL, null if the URL is not a documentation page ('local' mode)
+ * @property {(url: string) => string | null} [assetPath] - Downloaded copy of an image URL relative to progress/, null if there is none (any mode)
+ */
+
+export const DEFAULT_LINK_MODE = 'absolute';
+
+/**
+ * Resolve one href/src value. Fragment-only links and non-HTTP schemes (mailto:, data:, ...) are kept.
+ * @param {string} value - Attribute value as found in the HTML
+ * @param {string} pageUrl - URL of the page the HTML comes from
+ * @param {LinkOptions} options - Link options
+ * @param {boolean} isLink - True for <a href>, false for image sources
+ * @returns {string}
+ */
+function rewriteUrl(value, pageUrl, options, isLink) {
+  const trimmed = value.trim();
+  if (!trimmed || trimmed.startsWith('#')) {
+    return value;
+  }
+
+  let url;
+  try {
+    url = new URL(trimmed, pageUrl);
+  } catch {
+    return value;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return value;
+  }
+
+  if (!isLink && options.assetPath) {
+    const assetPath = options.assetPath(url.href);
+    if (assetPath) {
+      return assetPath;
+    }
+  }
+
+  if (isLink && options.mode === 'local' && options.toLocalPath) {
+    const fragment = url.hash;
+    url.hash = '';
+    const localPath = options.toLocalPath(url.href);
+    if (localPath) {
+      return `${localPath}${fragment}`;
+    }
+    url.hash = fragment;
+  }
+
+  return url.href;
+}
+
+/**
+ * Rewrite <a href> and <img src> values in cleaned HTML before it is converted to markdown
+ * @param {string} html - Cleaned HTML content
+ * @param {string} pageUrl - URL of the page (base for relative links)
+ * @param {LinkOptions} [options] - Link options
+ * @returns {string} HTML with rewritten links
+ */
+export function rewriteLinks(html, pageUrl, options = {}) {
+  const resolved = { ...options, mode: options.mode || DEFAULT_LINK_MODE };
+
+  return html.replace(/<(a|img)\b[^>]*>/gi, (tag, name) => {
+    const isLink = name.toLowerCase() === 'a';
+    const attribute = isLink ? 'href' : 'src';
+    return tag.replace(
+      new RegExp(`(\\s${attribute}\\s*=\\s*)(?:"([^"]*)"|'([^']*)')`, 'i'),
+      (_match, prefix, doubleQuoted, singleQuoted) => {
+        const value = doubleQuoted !== undefined ? doubleQuoted : singleQuoted;
+        return `${prefix}"${rewriteUrl(value, pageUrl, resolved, isLink).replace(/"/g, '&quot;')}"`;
+      }
+    );
+  });
+}
+
+/**
+ * Point the progress/-relative paths of a saved markdown document back at the URLs
+ * they were rewritten from, for outputs that do not live in progress/ (llms-full.txt, export).
+ * A link to a file that was never saved (a 404 page, say) keeps only its text.
+ * @param {string} markdown - Markdown document as saved in progress/
+ * @param {Map<string, string>} targets - Local path (e.g. 'setup_install.md', '../assets/<hash>.png') -> absolute URL
+ * @returns {string} Markdown without local paths
+ */
+export function absolutizeLocalPaths(markdown, targets) {
+  return markdown.replace(/(!?)\[((?:\\.|[^\]\\])*)\]\(([^\s()#:]+)(#[^\s()]*)?((?: "[^"]*")?)\)/g, (match, image, text, localPath, fragment = '', title) => {
+    const url = targets.get(localPath);
+    if (url) {
+      return `${image}[${text}](${url}${fragment}${title})`;
+    }
+    return !image && localPath.endsWith('.md') ? text : match;
+  });
+}
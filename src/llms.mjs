@@ -0,0 +1,113 @@
+/**
+ * Build the concatenated llms-full.txt document
+ * @param {string} title - Documentation title (e.g. 'Sitefinity CMS Documentation')
+ * @param {string[]} markdownDocs - Per-page markdown documents, in output order
+ * @param {Record<string, string | number | boolean>} [metadata] - Extra header fields (e.g. { 'Cached Pages': 120 })
+ * @param {string} [tableOfContents] - Markdown table of contents placed under the header (see renderToc)
+ * @returns {string} llms-full.txt content
+ */
+export function buildLlmsFull(title, markdownDocs, metadata = {}, tableOfContents = '') {
+  return [
+    `# ${title}`,
+    '',
+    `**Generated:** ${new Date().toISOString()}`,
+    ...Object.entries(metadata).map(([key, value]) => `**${key}:** ${value}`),
+    '',
+    ...(tableOfContents ? ['## Table of Contents', '', tableOfContents, ''] : []),
+    '---',
+    '',
+    ...markdownDocs.map(md => `\n\n${md}`)
+  ].join('\n');
+}
+
+/**
+ * @typedef {Object} LlmsTxtPage
+ * @property {string} title - Page title
+ * @property {string} link - Link target (page URL or local .md path)
+ * @property {string[]} breadcrumb - Breadcrumb navigation items
+ * @property {string} markdown - Page markdown body (the description comes from its first paragraph)
+ */
+
+/**
+ * Section name used for pages without a top-level breadcrumb item
+ */
+const OTHER_SECTION = 'Other';
+
+/**
+ * One-line description of a page: its first prose paragraph as plain text
+ * @param {string} markdown - Page markdown body
+ * @param {number} [maxLength] - Longest description in characters (default: 200)
+ * @returns {string} Description ('' if the page has no prose paragraph)
+ */
+export function describePage(markdown, maxLength = 200) {
+  const paragraph = markdown
+    .replace(/^\s*(`{3,}|~{3,})[\s\S]*?^\s*\1\s*$/gm, '')
+    .split(/\n\s*\n/)
+    .map(block => block.trim())
+    .find(block => block && !/^(#|\||>|!\[|[-*+]\s|\d+\.\s|<)/.test(block) && /\p{L}/u.test(block));
+
+  if (!paragraph) {
+    return '';
+  }
+
+  const text = paragraph
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\\([\\`*_{}[\]()#+\-.!])/g, '$1')
+    .replace(/[*`]|(?<!\w)_|_(?!\w)/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (text.length <= maxLength) {
+    return text;
+  }
+  const cut = text.slice(0, maxLength - 1);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}…`;
+}
+
+/**
+ * Build the llms.txt index (https://llmstxt.org): title, summary and one link
+ * line per page, grouped by top-level breadcrumb section
+ * @param {string} title - Documentation title
+ * @param {string} summary - One-paragraph summary of the documentation
+ * @param {LlmsTxtPage[]} pages - Pages to list
+ * @returns {string} llms.txt content
+ */
+export function buildLlmsTxt(title, summary, pages) {
+  /** @type {Map<string, LlmsTxtPage[]>} */
+  const sections = new Map();
+  for (const page of pages) {
+    // The first breadcrumb item is the site root ("Home")
+    const section = page.breadcrumb[1] || OTHER_SECTION;
+    sections.set(section, [...(sections.get(section) || []), page]);
+  }
+
+  const sectionNames = Array.from(sections.keys()).sort((a, b) => {
+    if (a === OTHER_SECTION || b === OTHER_SECTION) {
+      return a === OTHER_SECTION ? 1 : -1;
+    }
+    return a.localeCompare(b);
+  });
+
+  const lines = [
+    `# ${title}`,
+    '',
+    `> ${summary}`,
+    '',
+    `${pages.length} pages. The full text of every page is in [llms-full.txt](llms-full.txt).`
+  ];
+
+  for (const name of sectionNames) {
+    lines.push('', `## ${name}`, '');
+    const sectionPages = /** @type {LlmsTxtPage[]} */ (sections.get(name))
+      .slice()
+      .sort((a, b) => a.title.localeCompare(b.title));
+    for (const page of sectionPages) {
+      const description = describePage(page.markdown);
+      const label = page.title.replace(/([[\]])/g, '\\$1');
+      lines.push(`- [${label}](${page.link})${description ? `: ${description}` : ''}`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
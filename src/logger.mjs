@@ -0,0 +1,155 @@
+/**
+ * @typedef {'error' | 'warn' | 'info' | 'debug'} LogLevel
+ * - error: failures
+ * - warn: problems the crawl works around
+ * - info: setup, one line per page, progress and the final summary (default)
+ * - debug: every step of every page
+ */
+
+/**
+ * @typedef {'text' | 'json'} LogFormat
+ * - text: readable lines; errors go to stderr, everything else to stdout
+ * - json: one JSON object per line on stdout, with time, level, msg and the record's fields
+ */
+
+/**
+ * @typedef {Object} LoggerOptions
+ * @property {LogLevel} [level] - Most detailed level that is written (default: 'info')
+ * @property {LogFormat} [format] - Line format (default: 'text')
+ */
+
+/** Log levels from the most to the least severe */
+export const LOG_LEVELS = /** @type {const} */ (['error', 'warn', 'info', 'debug']);
+
+/** Log formats */
+export const LOG_FORMATS = /** @type {const} */ (['text', 'json']);
+
+/**
+ * Leveled logger with readable and JSON-lines output. It writes through console.log,
+ * console.warn and console.error at call time, so anything that redirects the console
+ * (tests, embedding tools) redirects the log too.
+ */
+export class Logger {
+  /**
+   * @param {LoggerOptions} [options] - Level and format
+   */
+  constructor(options = {}) {
+    /** @type {LogLevel} */
+    this.level = options.level || 'info';
+    /** @type {LogFormat} */
+    this.format = options.format || 'text';
+  }
+
+  /**
+   * Whether messages of a level are written
+   * @param {LogLevel} level - Message level
+   * @returns {boolean}
+   */
+  enabled(level) {
+    return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(this.level);
+  }
+
+  /**
+   * Write a message. Text mode prints the message as is; JSON mode trims it and adds
+   * the fields, which are meant for machines (URL, status, durations, counts).
+   * @param {LogLevel} level - Message level
+   * @param {string} message - Readable message
+   * @param {Record<string, unknown>} [fields] - Structured fields for JSON mode
+   * @returns {void}
+   */
+  log(level, message, fields = {}) {
+    if (!this.enabled(level)) {
+      return;
+    }
+    if (this.format === 'json') {
+      console.log(JSON.stringify({ time: new Date().toISOString(), level, msg: message.trim(), ...fields }));
+    } else if (level === 'error') {
+      console.error(message);
+    } else if (level === 'warn') {
+      console.warn(message);
+    } else {
+      console.log(message);
+    }
+  }
+
+  /**
+   * @param {string} message - Readable message
+   * @param {Record<string, unknown>} [fields] - Structured fields for JSON mode
+   * @returns {void}
+   */
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  /**
+   * @param {string} message - Readable message
+   * @param {Record<string, unknown>} [fields] - Structured fields for JSON mode
+   * @returns {void}
+   */
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  /**
+   * @param {string} message - Readable message
+   * @param {Record<string, unknown>} [fields] - Structured fields for JSON mode
+   * @returns {void}
+   */
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  /**
+   * @param {string} message - Readable message
+   * @param {Record<string, unknown>} [fields] - Structured fields for JSON mode
+   * @returns {void}
+   */
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  /**
+   * Write an info-level title between two rules of '=' (text mode), e.g. at the start of each profile crawl
+   * @param {string} title - Section title
+   * @param {Record<string, unknown>} [fields] - Structured fields for JSON mode
+   * @returns {void}
+   */
+  section(title, fields) {
+    const rule = '='.repeat(80);
+    this.info(this.format === 'json' ? title : `\n${rule}\n${title}\n${rule}`, fields);
+  }
+}
+
+/**
+ * Format a duration for log lines, e.g. "850ms", "42s", "3m 10s", "2h 05m"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string}
+ */
+export function formatElapsed(ms) {
+  if (ms < 1000) {
+    return `${Math.round(ms)}ms`;
+  }
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) {
+    return `${seconds}s`;
+  }
+  if (seconds < 3600) {
+    return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+  }
+  return `${Math.floor(seconds / 3600)}h ${String(Math.floor((seconds % 3600) / 60)).padStart(2, '0')}m`;
+}
+
+/**
+ * Format a byte count for log lines, e.g. "512 B", "23.5 KB", "1.20 MB"
+ * @param {number} bytes - Size in bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
@@ -0,0 +1,234 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { loadSavedPages } from './corpus.mjs';
+
+/**
+ * @typedef {'keep' | 'skip'} NearDuplicateMode
+ * - keep: llms-full.txt holds every page
+ * - skip: llms-full.txt holds only the representative of each near-duplicate cluster
+ */
+
+/**
+ * @typedef {Object} NearDuplicateInfo - Saved as nearDuplicates in the page JSON of every clustered page
+ * @property {string} representative - URL of the page that stands for the cluster
+ * @property {string[]} cluster - URLs of all pages in the cluster, representative first
+ * @property {number} distance - Bits in which this page's simhash differs from the representative's
+ */
+
+/**
+ * @typedef {Object} NearDuplicateCluster
+ * @property {string} representative - URL of the page that stands for the cluster
+ * @property {{url: string, distance: number}[]} members - All pages, representative first, then by distance and URL
+ */
+
+/**
+ * @typedef {Object} FingerprintedPage
+ * @property {string} url - Page URL
+ * @property {string | null} simhash - Text fingerprint (null for pages too short to compare)
+ * @property {{score: number} | null} [quality] - Extraction quality signals
+ */
+
+/**
+ * Pages whose simhashes differ in at most this many of the 64 bits are near-duplicates.
+ * A handful of edited words move a page of 200 words by 3-7 bits; pages sharing half
+ * their text are around 18 bits apart, unrelated pages on the same product 25-32.
+ */
+export const NEAR_DUPLICATE_DISTANCE = 7;
+
+/** Pages with fewer words get no fingerprint: short stubs look alike without being copies */
+export const MIN_SIMHASH_WORDS = 50;
+
+/** Words per shingle: longer shingles make short pages too sensitive to single edited words */
+const SHINGLE_SIZE = 2;
+
+/**
+ * Count the set bits of a 32-bit integer
+ * @param {number} n - Integer
+ * @returns {number}
+ */
+function popcount(n) {
+  n = n - ((n >>> 1) & 0x55555555);
+  n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+  return (((n + (n >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+/**
+ * 64-bit simhash of a page text: the text is lower-cased and reduced to words, every
+ * pair of adjacent words is hashed, and each fingerprint bit is set when most
+ * shingle hashes have it set. Similar texts get fingerprints that differ in few bits.
+ * @param {string} text - Page text
+ * @returns {string | null} 16 hex digits, or null for texts under MIN_SIMHASH_WORDS words
+ */
+export function simhash(text) {
+  const words = text.normalize('NFKC').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  if (words.length < MIN_SIMHASH_WORDS) {
+    return null;
+  }
+
+  const weights = new Int32Array(64);
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    const digest = crypto.createHash('md5').update(words.slice(i, i + SHINGLE_SIZE).join(' ')).digest();
+    for (let half = 0; half < 2; half++) {
+      const bits = digest.readUInt32BE(half * 4);
+      for (let bit = 0; bit < 32; bit++) {
+        weights[half * 32 + bit] += (bits >>> (31 - bit)) & 1 ? 1 : -1;
+      }
+    }
+  }
+
+  let hex = '';
+  for (let nibble = 0; nibble < 16; nibble++) {
+    let value = 0;
+    for (let bit = 0; bit < 4; bit++) {
+      value = (value << 1) | (weights[nibble * 4 + bit] > 0 ? 1 : 0);
+    }
+    hex += value.toString(16);
+  }
+  return hex;
+}
+
+/**
+ * Number of bits in which two simhashes differ
+ * @param {string} a - Simhash (16 hex digits)
+ * @param {string} b - Simhash (16 hex digits)
+ * @returns {number}
+ */
+export function hammingDistance(a, b) {
+  return popcount((parseInt(a.slice(0, 8), 16) ^ parseInt(b.slice(0, 8), 16)) >>> 0)
+    + popcount((parseInt(a.slice(8), 16) ^ parseInt(b.slice(8), 16)) >>> 0);
+}
+
+/**
+ * Order in which pages qualify as cluster representative: best extraction quality,
+ * then the shortest URL (copies tend to live deeper), then alphabetical
+ * @param {FingerprintedPage} a - Page
+ * @param {FingerprintedPage} b - Page
+ * @returns {number}
+ */
+function compareRepresentatives(a, b) {
+  return ((b.quality?.score ?? 0) - (a.quality?.score ?? 0))
+    || (a.url.length - b.url.length)
+    || a.url.localeCompare(b.url);
+}
+
+/**
+ * Group pages whose simhashes lie within maxDistance bits of each other (transitively).
+ * Candidates are found by splitting the fingerprints into maxDistance + 1 bands: two
+ * fingerprints that differ in at most maxDistance bits agree on at least one band, so
+ * only pages sharing a band are compared.
+ * @param {FingerprintedPage[]} pages - Pages with their simhashes
+ * @param {number} [maxDistance] - Largest Hamming distance of near-duplicates (default: NEAR_DUPLICATE_DISTANCE)
+ * @returns {NearDuplicateCluster[]} Clusters of two or more pages, sorted by representative URL
+ */
+export function clusterNearDuplicates(pages, maxDistance = NEAR_DUPLICATE_DISTANCE) {
+  const fingerprinted = pages.filter(page => page.simhash);
+  const bands = maxDistance + 1;
+
+  /** @type {number[]} */
+  const parent = fingerprinted.map((_, i) => i);
+  /** @param {number} i */
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  /** @type {Map<string, number[]>} */
+  const buckets = new Map();
+  fingerprinted.forEach((page, i) => {
+    const bits = BigInt(`0x${page.simhash}`).toString(2).padStart(64, '0');
+    for (let band = 0; band < bands; band++) {
+      const key = `${band}:${bits.slice(Math.round(band * 64 / bands), Math.round((band + 1) * 64 / bands))}`;
+      const bucket = buckets.get(key);
+      if (bucket) {
+        bucket.push(i);
+      } else {
+        buckets.set(key, [i]);
+      }
+    }
+  });
+
+  for (const bucket of buckets.values()) {
+    for (let x = 0; x < bucket.length; x++) {
+      for (let y = x + 1; y < bucket.length; y++) {
+        const [i, j] = [bucket[x], bucket[y]];
+        if (find(i) !== find(j) && hammingDistance(/** @type {string} */ (fingerprinted[i].simhash), /** @type {string} */ (fingerprinted[j].simhash)) <= maxDistance) {
+          parent[find(i)] = find(j);
+        }
+      }
+    }
+  }
+
+  /** @type {Map<number, FingerprintedPage[]>} */
+  const groups = new Map();
+  fingerprinted.forEach((page, i) => {
+    const group = groups.get(find(i));
+    if (group) {
+      group.push(page);
+    } else {
+      groups.set(find(i), [page]);
+    }
+  });
+
+  return Array.from(groups.values())
+    .filter(group => group.length > 1)
+    .map(group => {
+      const [representative] = [...group].sort(compareRepresentatives);
+      const members = group
+        .map(page => ({ url: page.url, distance: hammingDistance(/** @type {string} */ (representative.simhash), /** @type {string} */ (page.simhash)) }))
+        .sort((a, b) => (a.url === representative.url ? -1 : b.url === representative.url ? 1 : a.distance - b.distance || a.url.localeCompare(b.url)));
+      return { representative: representative.url, members };
+    })
+    .sort((a, b) => a.representative.localeCompare(b.representative));
+}
+
+/**
+ * URLs of saved pages that are near-duplicates of another page (not their cluster's representative)
+ * @param {import('./corpus.mjs').PageJson[]} pages - Saved page metadata
+ * @returns {Set<string>}
+ */
+export function nearDuplicateUrls(pages) {
+  return new Set(pages
+    .filter(page => page.nearDuplicates && page.nearDuplicates.representative !== page.url)
+    .map(page => page.url));
+}
+
+/**
+ * Cluster the saved pages of a progress directory and record each page's cluster as
+ * nearDuplicates in its JSON (null outside clusters). Pages saved before simhashes were
+ * recorded get theirs computed from the saved text. Only JSON files that change are written.
+ * @param {string} progressDir - Directory holding the per-page files
+ * @param {number} [maxDistance] - Largest Hamming distance of near-duplicates (default: NEAR_DUPLICATE_DISTANCE)
+ * @returns {{clusters: NearDuplicateCluster[], duplicates: Set<string>}} Clusters and the URLs of non-representative pages
+ */
+export function updateNearDuplicates(progressDir, maxDistance = NEAR_DUPLICATE_DISTANCE) {
+  const saved = loadSavedPages(progressDir);
+  const pages = saved.map(page => ({
+    url: page.json.url,
+    simhash: page.json.simhash !== undefined ? page.json.simhash : simhash(page.json.text || ''),
+    quality: page.json.quality
+  }));
+  const clusters = clusterNearDuplicates(pages, maxDistance);
+
+  /** @type {Map<string, NearDuplicateInfo>} */
+  const infoByUrl = new Map();
+  for (const cluster of clusters) {
+    const urls = cluster.members.map(member => member.url);
+    for (const member of cluster.members) {
+      infoByUrl.set(member.url, { representative: cluster.representative, cluster: urls, distance: member.distance });
+    }
+  }
+
+  saved.forEach((page, i) => {
+    const nearDuplicates = infoByUrl.get(page.json.url) || null;
+    const updated = { ...page.json, simhash: pages[i].simhash, nearDuplicates };
+    if (JSON.stringify(updated) !== JSON.stringify(page.json)) {
+      fs.writeFileSync(page.jsonPath, JSON.stringify(updated, null, 2));
+    }
+  });
+
+  const duplicates = new Set(clusters.flatMap(cluster => cluster.members.slice(1).map(member => member.url)));
+  return { clusters, duplicates };
+}
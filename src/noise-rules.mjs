@@ -0,0 +1,203 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+/**
+ * @typedef {'selector' | 'heading-section' | 'text-pattern' | 'ancestor-text'} NoiseRuleType
+ * - selector: remove every element matching `selector`
+ * - heading-section: remove a heading whose text matches `pattern` and its following siblings up to
+ *   the next heading of the same or a higher level (`selector` default: h2, h3, h4, h5)
+ * - text-pattern: remove elements whose trimmed text matches `pattern` (`selector` default: div, p, section)
+ * - ancestor-text: for elements matching `selector` (and `pattern`, if set), remove the nearest
+ *   ancestor whose text matches `ancestorPattern`
+ */
+
+/**
+ * @typedef {Object} NoiseRule
+ * @property {string} id - Unique rule name, used in the hit counters
+ * @property {NoiseRuleType} type - How matching elements are removed
+ * @property {string} [selector] - Candidate elements (required for selector and ancestor-text rules)
+ * @property {string} [pattern] - Regular expression source matched against the candidate's text
+ * @property {string} [flags] - Regular expression flags for pattern and ancestorPattern (e.g. 'i')
+ * @property {string} [ancestorPattern] - Regular expression source matched against ancestor text (ancestor-text only)
+ */
+
+/**
+ * @typedef {Object} NoiseRuleHit
+ * @property {string} id - Rule id
+ * @property {NoiseRuleType} type - Rule type
+ * @property {number} count - Number of removals (a heading section counts once)
+ * @property {string[]} nodes - Short description of each removed node
+ */
+
+/**
+ * Default rules file, shipped next to the package
+ */
+export const DEFAULT_NOISE_RULES_FILE = fileURLToPath(new URL('../noise-rules.json', import.meta.url));
+
+/** @type {NoiseRuleType[]} */
+export const NOISE_RULE_TYPES = ['selector', 'heading-section', 'text-pattern', 'ancestor-text'];
+
+/**
+ * Check a rule list and return it typed
+ * @param {unknown} rules - Parsed "rules" array
+ * @param {string} source - Where the rules came from, for error messages
+ * @returns {NoiseRule[]}
+ * @throws {Error} If a rule is malformed
+ */
+export function validateNoiseRules(rules, source) {
+  if (!Array.isArray(rules)) {
+    throw new Error(`${source}: "rules" must be an array`);
+  }
+
+  const ids = new Set();
+  return rules.map((/** @type {Partial<NoiseRule>} */ rule, index) => {
+    const label = `${source}: rule ${rule && rule.id ? `"${rule.id}"` : `#${index + 1}`}`;
+    if (!rule || typeof rule.id !== 'string' || !rule.id) {
+      throw new Error(`${label} needs an id`);
+    }
+    if (ids.has(rule.id)) {
+      throw new Error(`${label} is defined twice`);
+    }
+    ids.add(rule.id);
+    if (!rule.type || !NOISE_RULE_TYPES.includes(rule.type)) {
+      throw new Error(`${label} has unknown type "${rule.type}" (expected ${NOISE_RULE_TYPES.join(', ')})`);
+    }
+    if ((rule.type === 'selector' || rule.type === 'ancestor-text') && !rule.selector) {
+      throw new Error(`${label} needs a selector`);
+    }
+    if ((rule.type === 'heading-section' || rule.type === 'text-pattern') && !rule.pattern) {
+      throw new Error(`${label} needs a pattern`);
+    }
+    if (rule.type === 'ancestor-text' && !rule.ancestorPattern) {
+      throw new Error(`${label} needs an ancestorPattern`);
+    }
+    if (rule.flags && /[gy]/.test(rule.flags)) {
+      throw new Error(`${label}: flags "g" and "y" are not supported`);
+    }
+    for (const pattern of [rule.pattern, rule.ancestorPattern]) {
+      if (pattern) {
+        try {
+          new RegExp(pattern, rule.flags);
+        } catch (error) {
+          const errorMessage = error instanceof Error ? error.message : String(error);
+          throw new Error(`${label}: ${errorMessage}`);
+        }
+      }
+    }
+    return /** @type {NoiseRule} */ (rule);
+  });
+}
+
+/**
+ * Load noise rules from a JSON file with a "rules" array
+ * @param {string} [filepath] - Rules file (default: DEFAULT_NOISE_RULES_FILE)
+ * @returns {NoiseRule[]}
+ * @throws {Error} If the file cannot be read or a rule is malformed
+ */
+export function loadNoiseRules(filepath = DEFAULT_NOISE_RULES_FILE) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+  } catch (error) {
+    const errorMessage = error instanceof Error ? error.message : String(error);
+    throw new Error(`Cannot read noise rules file ${filepath}: ${errorMessage}`);
+  }
+  return validateNoiseRules(config.rules, filepath);
+}
+
+/**
+ * Rules for a site profile: its noiseRules file or the default file
+ * @param {import('./profiles.mjs').SiteProfile} profile - Site profile
+ * @returns {NoiseRule[]}
+ * @throws {Error} If the rules file cannot be read or a rule is malformed
+ */
+export function resolveNoiseRules(profile) {
+  return loadNoiseRules(profile.noiseRules || DEFAULT_NOISE_RULES_FILE);
+}
+
+/**
+ * Apply noise rules to a DOM subtree, in rule order. Elements inside an earlier removal are
+ * skipped, so every node is counted by one rule at most. With dryRun nothing is removed, the
+ * hits show what would be.
+ *
+ * Runs inside the browser page (its source is passed to page.evaluate), so it must not use
+ * anything from outside its own body.
+ * @param {Element} root - Subtree to clean (e.g. a clone of document.body)
+ * @param {NoiseRule[]} rules - Rules to apply
+ * @param {boolean} [dryRun] - Only report matches
+ * @returns {NoiseRuleHit[]} One entry per rule, in rule order
+ */
+export function applyNoiseRules(root, rules, dryRun = false) {
+  /** @type {Element[]} */
+  const removed = [];
+
+  /**
+   * @param {Element} element - Element to describe
+   * @returns {string} e.g. `<div#cookie.banner> "We use cookies..."`
+   */
+  const describe = element => {
+    const id = element.id ? `#${element.id}` : '';
+    const classes = (element.getAttribute('class') || '').split(/\s+/).filter(Boolean).map(name => `.${name}`).join('');
+    const text = (element.textContent || '').replace(/\s+/g, ' ').trim();
+    const preview = text.length > 60 ? `${text.slice(0, 57)}...` : text;
+    return `<${element.tagName.toLowerCase()}${id}${classes}>${preview ? ` "${preview}"` : ''}`;
+  };
+
+  return rules.map(rule => {
+    const pattern = rule.pattern ? new RegExp(rule.pattern, rule.flags) : null;
+    const ancestorPattern = rule.ancestorPattern ? new RegExp(rule.ancestorPattern, rule.flags) : null;
+    /** @type {string[]} */
+    const nodes = [];
+
+    /**
+     * @param {Element[]} elements - Elements removed together
+     * @param {string} description - Description for the hit list
+     */
+    const remove = (elements, description) => {
+      removed.push(...elements);
+      nodes.push(description);
+      if (!dryRun) {
+        elements.forEach(element => element.remove());
+      }
+    };
+
+    const defaultSelector = rule.type === 'heading-section' ? 'h2, h3, h4, h5' : 'div, p, section';
+    Array.from(root.querySelectorAll(rule.selector || defaultSelector)).forEach(element => {
+      if (removed.some(node => node.contains(element))) {
+        return;
+      }
+      if (pattern && !pattern.test((element.textContent || '').trim())) {
+        return;
+      }
+
+      if (rule.type === 'heading-section') {
+        // The heading and its content, up to the next heading of the same or a higher level
+        const level = parseInt(element.tagName.charAt(1), 10);
+        const section = [element];
+        let sibling = element.nextElementSibling;
+        while (sibling && !(/^H[1-6]$/.test(sibling.tagName) && parseInt(sibling.tagName.charAt(1), 10) <= level)) {
+          // Siblings taken by an earlier rule are only still there in a dry run
+          if (!removed.includes(sibling)) {
+            section.push(sibling);
+          }
+          sibling = sibling.nextElementSibling;
+        }
+        const following = section.length > 1 ? ` + ${section.length - 1} following element(s)` : '';
+        remove(section, `${describe(element)}${following}`);
+      } else if (rule.type === 'ancestor-text') {
+        let parent = element.parentElement;
+        while (parent && parent !== root) {
+          if (ancestorPattern && ancestorPattern.test(parent.textContent || '')) {
+            remove([parent], describe(parent));
+            break;
+          }
+          parent = parent.parentElement;
+        }
+      } else {
+        remove([element], describe(element));
+      }
+    });
+
+    return { id: rule.id, type: rule.type, count: nodes.length, nodes };
+  });
+}
@@ -0,0 +1,98 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * @typedef {Object} CrawlerPlugin
+ * Hooks a tool embedding SitefinityCrawler can attach (CrawlerOptions.plugins). Every hook is
+ * optional; plugins run in the order they are listed, each one seeing the previous one's result.
+ * @property {string} name - Plugin name for log and error messages
+ * @property {(url: string, referrer: string | null) => boolean} [filterUrl] - Return false to keep a URL out of the crawl queue (asked once per URL)
+ * @property {(content: import('./crawler.mjs').ExtractedContent) => import('./crawler.mjs').ExtractedContent | void | Promise<import('./crawler.mjs').ExtractedContent | void>} [transformContent] - Change extracted content before it is saved (return nothing to keep the object, possibly mutated)
+ * @property {(markdown: string, content: import('./crawler.mjs').ExtractedContent) => string} [postProcessMarkdown] - Rewrite the converted markdown below the page header, before it is hashed and saved
+ * @property {(context: PluginOutputContext) => Record<string, string | Buffer> | Promise<Record<string, string | Buffer>>} [outputs] - Extra files to write when the crawler closes, by path relative to the output directory
+ */
+
+/**
+ * @typedef {Object} PluginOutputContext
+ * @property {string} outputDir - Crawl output directory
+ * @property {string} progressDir - Directory of the per-page files
+ * @property {import('./profiles.mjs').SiteProfile} profile - Site profile of the crawl
+ * @property {import('./corpus.mjs').SavedPage[]} pages - All saved pages, including cached ones
+ * @property {boolean} complete - Whether the crawl finished (not interrupted or capped)
+ */
+
+/**
+ * Ask the plugins whether a URL may be queued
+ * @param {CrawlerPlugin[]} plugins - Plugins
+ * @param {string} url - URL about to be queued
+ * @param {string | null} referrer - Page the URL was found on (null for seeds)
+ * @returns {string | null} Name of the plugin that rejected the URL, or null if all accept it
+ */
+export function findUrlFilter(plugins, url, referrer) {
+  for (const plugin of plugins) {
+    if (plugin.filterUrl && plugin.filterUrl(url, referrer) === false) {
+      return plugin.name;
+    }
+  }
+  return null;
+}
+
+/**
+ * Run the plugins' content transforms in order
+ * @param {CrawlerPlugin[]} plugins - Plugins
+ * @param {import('./crawler.mjs').ExtractedContent} content - Extracted content
+ * @returns {Promise<import('./crawler.mjs').ExtractedContent>}
+ */
+export async function transformContent(plugins, content) {
+  let transformed = content;
+  for (const plugin of plugins) {
+    if (plugin.transformContent) {
+      transformed = (await plugin.transformContent(transformed)) || transformed;
+    }
+  }
+  return transformed;
+}
+
+/**
+ * Chain the plugins' markdown post-processors into one function
+ * @param {CrawlerPlugin[]} plugins - Plugins
+ * @returns {((markdown: string, content: import('./crawler.mjs').ExtractedContent) => string) | undefined} Undefined if no plugin post-processes markdown
+ */
+export function chainMarkdownPostProcessors(plugins) {
+  const processors = plugins.filter(plugin => plugin.postProcessMarkdown);
+  if (processors.length === 0) {
+    return undefined;
+  }
+  return (markdown, content) => processors.reduce(
+    (result, plugin) => /** @type {NonNullable<CrawlerPlugin['postProcessMarkdown']>} */ (plugin.postProcessMarkdown)(result, content),
+    markdown
+  );
+}
+
+/**
+ * Write the extra files of one plugin into the output directory
+ * @param {CrawlerPlugin} plugin - Plugin with an outputs hook
+ * @param {PluginOutputContext} context - What the plugin can build its files from
+ * @returns {Promise<string[]>} Paths of the written files
+ * @throws {Error} If the hook fails or a file would land outside the output directory
+ */
+export async function writePluginOutputs(plugin, context) {
+  if (!plugin.outputs) {
+    return [];
+  }
+
+  const files = await plugin.outputs(context);
+  /** @type {string[]} */
+  const written = [];
+  for (const [file, content] of Object.entries(files)) {
+    const filepath = path.resolve(context.outputDir, file);
+    const relative = path.relative(path.resolve(context.outputDir), filepath);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`Plugin "${plugin.name}" output ${file} is outside the output directory`);
+    }
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+    fs.writeFileSync(filepath, content);
+    written.push(path.join(context.outputDir, relative));
+  }
+  return written;
+}
@@ -0,0 +1,162 @@
+import fs from 'fs';
+
+/**
+ * @typedef {Object} ProfileSelectors
+ * @property {string} [mainContent] - Main content area
+ * @property {string[]} [excludeSelectors] - Elements to exclude from content extraction
+ * @property {string} [documentationLinks] - Links to follow (default: links containing the profile scope)
+ * @property {string} [breadcrumb] - Breadcrumb navigation container
+ */
+
+/**
+ * @typedef {Object} SiteProfile
+ * @property {string} name - Profile name (e.g. 'sitefinity-cms')
+ * @property {string} title - Documentation title used in llms-full.txt
+ * @property {string} [description] - One-paragraph summary used in llms.txt
+ * @property {string} baseUrl - Start URL of the documentation portal
+ * @property {string} scope - URL path prefix that documentation pages live under
+ * @property {string | null} versionPattern - Regex source for the version segment right after the scope (null = unversioned site)
+ * @property {ProfileSelectors} selectors - Selector overrides (merged over DEFAULT_SELECTORS)
+ * @property {string | null} [noiseRules] - Noise rules file (null = the default noise-rules.json)
+ * @property {string} outputDir - Output directory for this profile
+ * @property {string[]} [sitemaps] - Sitemap URLs to seed from (default: robots.txt Sitemap lines, then /sitemap.xml)
+ */
+
+/**
+ * Default profile file, relative to the working directory
+ */
+export const DEFAULT_PROFILES_FILE = './site-profiles.json';
+
+/**
+ * Built-in profile for the Sitefinity CMS documentation
+ * @type {SiteProfile}
+ */
+export const DEFAULT_PROFILE = {
+  name: 'sitefinity-cms',
+  title: 'Sitefinity CMS Documentation',
+  description: 'Documentation for Progress Sitefinity CMS: installation, development, administration, content management and upgrades.',
+  baseUrl: 'https://www.progress.com/documentation/sitefinity-cms',
+  scope: '/documentation/sitefinity-cms',
+  versionPattern: '\\d+',
+  selectors: {},
+  noiseRules: null,
+  outputDir: './output/sitefinity-cms'
+};
+
+/**
+ * Fill in defaults for a partial profile definition
+ * @param {Partial<SiteProfile> & {name: string}} definition - Profile as written in the config file
+ * @returns {SiteProfile}
+ */
+export function resolveProfile(definition) {
+  if (!definition.baseUrl) {
+    throw new Error(`Site profile "${definition.name}" is missing baseUrl`);
+  }
+
+  const baseUrl = definition.baseUrl.replace(/\/+$/, '');
+  const scope = (definition.scope || new URL(baseUrl).pathname).replace(/\/+$/, '');
+
+  return {
+    name: definition.name,
+    title: definition.title || `${definition.name} Documentation`,
+    description: definition.description,
+    baseUrl,
+    scope,
+    versionPattern: definition.versionPattern || null,
+    selectors: definition.selectors || {},
+    noiseRules: definition.noiseRules || null,
+    outputDir: definition.outputDir || `./output/${definition.name}`,
+    sitemaps: definition.sitemaps || []
+  };
+}
+
+/**
+ * Load all profiles from a site-profile configuration file.
+ * The built-in sitefinity-cms profile is always available and can be overridden by the file.
+ * @param {string} [filepath] - Path to the profile file (JSON with a "profiles" object keyed by name)
+ * @returns {Map<string, SiteProfile>} Profiles by name
+ */
+export function loadProfiles(filepath = DEFAULT_PROFILES_FILE) {
+  /** @type {Map<string, SiteProfile>} */
+  const profiles = new Map([[DEFAULT_PROFILE.name, DEFAULT_PROFILE]]);
+
+  if (!fs.existsSync(filepath)) {
+    return profiles;
+  }
+
+  const config = JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+  for (const [name, definition] of Object.entries(config.profiles || {})) {
+    profiles.set(name, resolveProfile({ ...definition, name }));
+  }
+
+  return profiles;
+}
+
+/**
+ * Look up profiles by name
+ * @param {string[]} names - Profile names to select
+ * @param {string} [filepath] - Path to the profile file
+ * @returns {SiteProfile[]}
+ */
+export function selectProfiles(names, filepath = DEFAULT_PROFILES_FILE) {
+  const profiles = loadProfiles(filepath);
+
+  return names.map(name => {
+    const profile = profiles.get(name);
+    if (!profile) {
+      throw new Error(`Unknown site profile "${name}" (available: ${Array.from(profiles.keys()).join(', ')})`);
+    }
+    return profile;
+  });
+}
+
+/**
+ * Escape a string for literal use inside a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+export function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** @type {WeakMap<Pick<SiteProfile, 'scope' | 'versionPattern'>, RegExp | null>} - Compiled version regexes per profile */
+const versionRegexes = new WeakMap();
+
+/**
+ * Regex matching the version segment right after a profile's scope
+ * (e.g. /documentation/sitefinity-cms/152/)
+ * @param {Pick<SiteProfile, 'scope' | 'versionPattern'>} profile - Site profile
+ * @returns {RegExp | null} - Null for unversioned sites
+ */
+export function getVersionRegex(profile) {
+  if (!versionRegexes.has(profile)) {
+    versionRegexes.set(profile, profile.versionPattern
+      ? new RegExp(`${escapeRegExp(profile.scope)}/(${profile.versionPattern})/`)
+      : null);
+  }
+  return /** @type {RegExp | null} */ (versionRegexes.get(profile));
+}
+
+/**
+ * Extract the version segment from a documentation URL
+ * @param {string} url - The URL to check
+ * @param {Pick<SiteProfile, 'scope' | 'versionPattern'>} profile - Site profile the URL belongs to
+ * @returns {string | null} - The version (e.g. '152', '133') or null for a canonical URL
+ */
+export function extractVersion(url, profile) {
+  const versionRegex = getVersionRegex(profile);
+  const versionMatch = versionRegex ? url.match(versionRegex) : null;
+  return versionMatch ? versionMatch[1] : null;
+}
+
+/**
+ * Canonical (non-versioned) URL of a documentation page, used for deduplication
+ * (e.g. /documentation/sitefinity-cms/152/install -> /documentation/sitefinity-cms/install)
+ * @param {string} url - The URL to get the canonical form of
+ * @param {Pick<SiteProfile, 'scope' | 'versionPattern'>} profile - Site profile the URL belongs to
+ * @returns {string} - The canonical URL
+ */
+export function getCanonicalUrl(url, profile) {
+  const versionRegex = getVersionRegex(profile);
+  return versionRegex ? url.replace(versionRegex, `${profile.scope}/`) : url;
+}
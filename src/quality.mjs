@@ -0,0 +1,240 @@
+/**
+ * @typedef {Object} ContentMeasurements
+ * @property {number} textLength - Characters of text in the content area (whitespace collapsed)
+ * @property {number} linkTextLength - Characters of that text inside links
+ * @property {number} headings - h1-h6 elements in the content area
+ * @property {number} codeBlocks - <pre> elements in the content area
+ * @property {number} totalNodes - Elements in the page body before cleaning
+ * @property {number} keptNodes - Elements left in the content area after cleaning
+ */
+
+/**
+ * @typedef {'empty' | 'thin' | 'interstitial' | 'link-heavy' | 'mostly-removed' | 'no-heading' | 'heading-mismatch'} QualityIssue
+ */
+
+/**
+ * @typedef {Object} QualitySignals
+ * @property {number} score - 0-100, 100 minus the penalties of the issues
+ * @property {QualityIssue[]} issues - What looks wrong with the page
+ * @property {number} textLength - Characters of text in the content area
+ * @property {number} linkDensity - Share of the text inside links (0-1)
+ * @property {number} headings - Headings in the content area
+ * @property {number} codeBlocks - Code blocks in the content area
+ * @property {number} removedNodes - Elements removed by scoping, excludes and noise rules
+ * @property {number} keptNodes - Elements kept
+ * @property {number} removedToKept - removedNodes / keptNodes
+ * @property {boolean} headingMatchesTitle - The main heading appears in the page title (or the other way round)
+ */
+
+/**
+ * @typedef {Object} QualityOutlier
+ * @property {string} url - Page URL
+ * @property {string} title - Page title
+ * @property {QualitySignals} quality - Quality signals of the page
+ */
+
+/**
+ * @typedef {Object} QualityReport
+ * @property {string} generatedAt - ISO timestamp of the report
+ * @property {number} minQuality - Pages scoring below this are outliers
+ * @property {number} pages - Pages with quality signals
+ * @property {Partial<Record<QualityIssue, number>>} issues - Pages per issue
+ * @property {QualityOutlier[]} outliers - Pages below minQuality, worst first
+ */
+
+/** Default score below which a page counts as an outlier (and is re-fetched with refetchLowQuality) */
+export const DEFAULT_MIN_QUALITY = 50;
+
+/** Limits behind the quality issues */
+export const QUALITY_THRESHOLDS = {
+  /** Fewer characters of text is a thin page */
+  thinText: 300,
+  /** A larger share of link text is a link list rather than an article */
+  linkDensity: 0.5,
+  /** More removed elements per kept element means the page was almost all chrome */
+  removedToKept: 30,
+  /** Error and consent pages are short; longer pages that mention these words are real docs */
+  interstitialText: 1000
+};
+
+/** @type {Record<QualityIssue, number>} */
+const ISSUE_PENALTIES = {
+  empty: 100,
+  interstitial: 60,
+  thin: 40,
+  'link-heavy': 25,
+  'mostly-removed': 15,
+  'no-heading': 10,
+  'heading-mismatch': 10
+};
+
+/** Titles and texts of error pages, bot checks and consent walls */
+const INTERSTITIAL_PATTERN = /\b(?:page not found|404|not found|access denied|forbidden|internal server error|service unavailable|bad gateway|just a moment|checking your browser|verify you are (?:a )?human|enable javascript|cookie (?:consent|preferences)|accept (?:all )?cookies)\b/i;
+
+/**
+ * Measure the cleaned content area. Runs inside the browser page (its source is passed to
+ * page.evaluate), so it must not use anything from outside its own body.
+ * @param {Element} root - Cleaned content area
+ * @param {number} totalNodes - Elements in the page body before cleaning
+ * @returns {ContentMeasurements}
+ */
+export function measureContent(root, totalNodes) {
+  /** @param {Element} element */
+  const textLength = element => (element.textContent || '').replace(/\s+/g, ' ').trim().length;
+
+  return {
+    textLength: textLength(root),
+    linkTextLength: Array.from(root.querySelectorAll('a')).reduce((sum, link) => sum + textLength(link), 0),
+    headings: root.querySelectorAll('h1, h2, h3, h4, h5, h6').length,
+    codeBlocks: root.querySelectorAll('pre').length,
+    totalNodes,
+    keptNodes: root.querySelectorAll('*').length
+  };
+}
+
+/**
+ * Lowercase words of a text, for comparing headings and titles
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function normalizeWords(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Whether the main heading and the page title name the same thing. Titles usually carry a
+ * site suffix ("Install | Sitefinity CMS"), so containment either way counts.
+ * @param {string} heading - Main heading (h1)
+ * @param {string} title - Page title
+ * @returns {boolean}
+ */
+export function headingMatchesTitle(heading, title) {
+  const normalizedHeading = normalizeWords(heading);
+  const normalizedTitle = normalizeWords(title.split(/\s+[|–—-]\s+/)[0] || title);
+  if (!normalizedHeading || !normalizedTitle) {
+    return false;
+  }
+  return normalizeWords(title).includes(normalizedHeading) || normalizedHeading.includes(normalizedTitle);
+}
+
+/**
+ * Turn content measurements into quality signals, issues and a score
+ * @param {{title: string, heading: string, text: string}} content - Extracted page content
+ * @param {ContentMeasurements} measurements - Measurements of the content area
+ * @returns {QualitySignals}
+ */
+export function assessQuality(content, measurements) {
+  const { textLength, linkTextLength, headings, codeBlocks, totalNodes, keptNodes } = measurements;
+  const removedNodes = Math.max(totalNodes - keptNodes, 0);
+  const linkDensity = textLength > 0 ? Math.min(linkTextLength / textLength, 1) : 0;
+  const removedToKept = removedNodes / Math.max(keptNodes, 1);
+  const matchesTitle = headingMatchesTitle(content.heading, content.title);
+
+  /** @type {QualityIssue[]} */
+  const issues = [];
+  if (textLength === 0) {
+    issues.push('empty');
+  } else if (textLength < QUALITY_THRESHOLDS.thinText) {
+    issues.push('thin');
+  }
+  if (textLength < QUALITY_THRESHOLDS.interstitialText
+      && [content.title, content.heading, content.text].some(text => INTERSTITIAL_PATTERN.test(text))) {
+    issues.push('interstitial');
+  }
+  if (linkDensity > QUALITY_THRESHOLDS.linkDensity) {
+    issues.push('link-heavy');
+  }
+  if (removedToKept > QUALITY_THRESHOLDS.removedToKept) {
+    issues.push('mostly-removed');
+  }
+  if (!content.heading && headings === 0) {
+    issues.push('no-heading');
+  } else if (content.heading && !matchesTitle) {
+    issues.push('heading-mismatch');
+  }
+
+  const penalty = issues.reduce((sum, issue) => sum + ISSUE_PENALTIES[issue], 0);
+  return {
+    score: Math.max(0, 100 - penalty),
+    issues,
+    textLength,
+    linkDensity: Math.round(linkDensity * 100) / 100,
+    headings,
+    codeBlocks,
+    removedNodes,
+    keptNodes,
+    removedToKept: Math.round(removedToKept * 10) / 10,
+    headingMatchesTitle: matchesTitle
+  };
+}
+
+/**
+ * Build the quality report from the saved pages
+ * @param {{url: string, title: string, quality?: QualitySignals | null}[]} pages - Page metadata (pages without quality signals are skipped)
+ * @param {number} [minQuality] - Pages scoring below this are outliers
+ * @returns {QualityReport}
+ */
+export function buildQualityReport(pages, minQuality = DEFAULT_MIN_QUALITY) {
+  /** @type {QualityReport['issues']} */
+  const issues = {};
+  /** @type {QualityOutlier[]} */
+  const outliers = [];
+  let count = 0;
+
+  for (const page of pages) {
+    if (!page.quality) {
+      continue;
+    }
+    count++;
+    for (const issue of page.quality.issues) {
+      issues[issue] = (issues[issue] || 0) + 1;
+    }
+    if (page.quality.score < minQuality) {
+      outliers.push({ url: page.url, title: page.title, quality: page.quality });
+    }
+  }
+  outliers.sort((a, b) => a.quality.score - b.quality.score || a.url.localeCompare(b.url));
+
+  return {
+    generatedAt: new Date().toISOString(),
+    minQuality,
+    pages: count,
+    issues,
+    outliers
+  };
+}
+
+/**
+ * Render the quality report as markdown
+ * @param {QualityReport} report - Quality report
+ * @param {string} title - Documentation title
+ * @returns {string}
+ */
+export function renderQualityReportMarkdown(report, title) {
+  const lines = [
+    `# ${title}: Extraction Quality`,
+    '',
+    `**Generated:** ${report.generatedAt}`,
+    `**Pages scored:** ${report.pages}`,
+    `**Below ${report.minQuality}:** ${report.outliers.length}`,
+    ''
+  ];
+
+  const issueCounts = Object.entries(report.issues);
+  if (issueCounts.length > 0) {
+    lines.push('| Issue | Pages |', '| --- | ---: |', ...issueCounts.map(([issue, pages]) => `| ${issue} | ${pages} |`), '');
+  }
+
+  if (report.outliers.length === 0) {
+    lines.push('No suspicious pages found.');
+    return lines.join('\n') + '\n';
+  }
+
+  lines.push('| Score | Page | Issues | Text | Links | Headings | Code | Removed/kept |', '| ---: | --- | --- | ---: | ---: | ---: | ---: | ---: |');
+  for (const { url, title: pageTitle, quality } of report.outliers) {
+    const label = (pageTitle || url).replace(/\|/g, '\\|');
+    lines.push(`| ${quality.score} | [${label}](${url}) | ${quality.issues.join(', ') || '-'} | ${quality.textLength} | ${Math.round(quality.linkDensity * 100)}% | ${quality.headings} | ${quality.codeBlocks} | ${quality.removedToKept} |`);
+  }
+
+  return lines.join('\n') + '\n';
+}
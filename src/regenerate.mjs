@@ -0,0 +1,178 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  SitefinityCrawler,
+  createTurndownService,
+  buildMarkdownDocument,
+  buildLlmsFullFromDocuments,
+  buildLlmsTxtFromDocuments
+} from './crawler.mjs';
+import { listPageFiles, loadLocalPathTargets, readSavedPage } from './corpus.mjs';
+import { absolutizeLocalPaths } from './links.mjs';
+import { updateNearDuplicates } from './near-duplicates.mjs';
+import { chainMarkdownPostProcessors } from './plugins.mjs';
+import { DEFAULT_PROFILE } from './profiles.mjs';
+
+/**
+ * @typedef {Object} RegenerateOptions
+ * @property {string} [outputDir] - Crawl output directory (default: from the profile, ./output/sitefinity-cms)
+ * @property {string} [title] - Documentation title for llms-full.txt (default: from the profile)
+ * @property {import('./profiles.mjs').SiteProfile} [profile] - Site profile for the llms.txt summary and local links (default: Sitefinity CMS)
+ * @property {import('./crawler.mjs').LlmsLinks} [llmsLinks] - Link targets in llms.txt (default: 'url')
+ * @property {import('./links.mjs').LinkMode} [linkMode] - Links in the markdown: 'absolute' URLs or 'local' .md files (default: 'absolute')
+ * @property {import('./crawler.mjs').FrontmatterStyle} [frontmatter] - Readable 'header' or 'yaml' frontmatter (default: 'header')
+ * @property {import('./near-duplicates.mjs').NearDuplicateMode} [nearDuplicates] - Keep near-duplicate pages in llms-full.txt or skip all but each cluster's representative (default: 'keep')
+ * @property {import('./plugins.mjs').CrawlerPlugin[]} [plugins] - Plugins whose postProcessMarkdown hooks rewrite the regenerated markdown (the other hooks only run during crawls)
+ */
+
+/**
+ * @typedef {Object} RegenerateResult
+ * @property {number} successCount - Markdown files regenerated
+ * @property {number} errorCount - Pages that could not be regenerated
+ * @property {string} llmsFullPath - Path of the regenerated llms-full.txt
+ * @property {string} llmsTxtPath - Path of the regenerated llms.txt
+ * @property {string} tocPath - Path of the regenerated toc.json
+ */
+
+/**
+ * Regenerate all markdown files from existing JSON and HTML files.
+ * This is useful when you've changed the markdown template and want to update all files.
+ * The new markdownHash is written to each page JSON, so the next crawl compares against the regenerated files.
+ * @param {RegenerateOptions} [options] - Regeneration options
+ * @returns {Promise<RegenerateResult>}
+ * @throws {Error} If there is no crawled content to regenerate
+ */
+export async function regenerateMarkdown(options = {}) {
+  console.log('🔄 Regenerating markdown files from JSON and HTML...\n');
+
+  const profile = options.profile || DEFAULT_PROFILE;
+  const title = options.title || profile.title;
+  const outputDir = options.outputDir || profile.outputDir;
+  const progressDir = path.join(outputDir, 'progress');
+
+  if (!fs.existsSync(progressDir)) {
+    throw new Error(`No progress directory found at: ${progressDir} (run the crawler first to generate content)`);
+  }
+
+  // Find all JSON files (excluding redirects and summary)
+  const jsonFiles = listPageFiles(progressDir);
+
+  if (jsonFiles.length === 0) {
+    throw new Error(`No JSON files found in progress directory: ${progressDir}`);
+  }
+
+  console.log(`Found ${jsonFiles.length} pages to regenerate\n`);
+
+  const turndownService = createTurndownService();
+  const postProcessMarkdown = chainMarkdownPostProcessors(options.plugins || []);
+  // Local links follow every saved redirect, however old; images point at the downloaded copies
+  const linkResolver = new SitefinityCrawler({ profile, outputDir, staleThreshold: 0, linkMode: options.linkMode });
+  linkResolver.loadAllRedirects();
+  linkResolver.assets.load();
+  /** @type {string[]} */
+  const allMarkdownContent = [];
+  let successCount = 0;
+  let errorCount = 0;
+
+  for (const jsonFile of jsonFiles) {
+    try {
+      const saved = readSavedPage(progressDir, jsonFile);
+
+      // Check if HTML file exists
+      if (!fs.existsSync(saved.htmlPath)) {
+        console.error(`⚠️  Skipping ${jsonFile}: HTML file not found`);
+        errorCount++;
+        continue;
+      }
+
+      // Read HTML content
+      const htmlContent = fs.readFileSync(saved.htmlPath, 'utf-8');
+
+      // Create content object for markdown conversion
+      const content = {
+        url: saved.json.url,
+        title: saved.json.title,
+        heading: saved.json.heading,
+        breadcrumb: saved.json.breadcrumb || [],
+        html: htmlContent,
+        text: saved.json.text || ''
+      };
+
+      // Convert to markdown using the shared function; crawledAt is when the current content was fetched
+      const { markdownDoc, markdownHash } = buildMarkdownDocument(content, turndownService, linkResolver.links, {
+        style: options.frontmatter,
+        canonicalUrl: linkResolver.getCanonicalUrl(content.url),
+        version: linkResolver.extractVersion(content.url),
+        crawledAt: saved.json.lastChangedAt || saved.json.crawledAt
+      }, postProcessMarkdown);
+
+      // Save markdown file
+      fs.writeFileSync(saved.mdPath, markdownDoc);
+      if (saved.json.markdownHash !== markdownHash) {
+        fs.writeFileSync(saved.jsonPath, JSON.stringify({ ...saved.json, markdownHash }, null, 2));
+      }
+
+      // Collect for concatenated output
+      allMarkdownContent.push(markdownDoc);
+
+      successCount++;
+      if (successCount % 100 === 0) {
+        console.log(`✓ Processed ${successCount}/${jsonFiles.length} files...`);
+      }
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      console.error(`❌ Error processing ${jsonFile}:`, errorMessage);
+      errorCount++;
+    }
+  }
+
+  console.log(`\n✓ Regenerated ${successCount} markdown files`);
+  if (errorCount > 0) {
+    console.log(`⚠️  ${errorCount} files had errors`);
+  }
+
+  // Clusters are recomputed, so crawls from before near-duplicate detection get them too
+  const { clusters, duplicates } = updateNearDuplicates(progressDir);
+  if (clusters.length > 0) {
+    console.log(`✓ Found ${clusters.length} near-duplicate cluster(s)`);
+  }
+
+  // Regenerate llms-full.txt
+  console.log('\n📝 Generating llms-full.txt...');
+
+  const skipUrls = options.nearDuplicates === 'skip' ? duplicates : new Set();
+  /** @type {Record<string, string | number | boolean>} */
+  const metadata = {
+    'Total Pages': successCount,
+    'Regenerated from cache': true
+  };
+  if (skipUrls.size > 0) {
+    metadata['Near-Duplicates Skipped'] = skipUrls.size;
+  }
+  const targets = loadLocalPathTargets(outputDir);
+  const documents = allMarkdownContent.map(doc => absolutizeLocalPaths(doc, targets));
+  const { content: markdownOutput, toc } = buildLlmsFullFromDocuments(documents, title, metadata, skipUrls);
+
+  const outputFilepath = path.join(outputDir, 'llms-full.txt');
+  fs.writeFileSync(outputFilepath, markdownOutput);
+
+  console.log(`✓ Generated ${outputFilepath}`);
+  console.log(`✓ Total size: ${(markdownOutput.length / 1024 / 1024).toFixed(2)} MB`);
+
+  const llmsTxtPath = path.join(outputDir, 'llms.txt');
+  fs.writeFileSync(llmsTxtPath, buildLlmsTxtFromDocuments(documents, { ...profile, title }, options.llmsLinks));
+  console.log(`✓ Generated ${llmsTxtPath}`);
+
+  const tocPath = path.join(outputDir, 'toc.json');
+  fs.writeFileSync(tocPath, JSON.stringify(toc, null, 2));
+  console.log(`✓ Generated ${tocPath}`);
+
+  console.log('\n✅ All done!');
+  console.log(`\nRegenerated files:`);
+  console.log(`  - ${successCount} individual markdown files in ${progressDir}/`);
+  console.log(`  - ${outputFilepath}`);
+  console.log(`  - ${llmsTxtPath}`);
+  console.log(`  - ${tocPath}`);
+
+  return { successCount, errorCount, llmsFullPath: outputFilepath, llmsTxtPath, tocPath };
+}
@@ -0,0 +1,158 @@
+/**
+ * @typedef {Object} RobotsRule
+ * @property {boolean} allow - True for Allow, false for Disallow
+ * @property {string} path - Path pattern (may contain * and a trailing $)
+ */
+
+/**
+ * @typedef {Object} RobotsGroup
+ * @property {string[]} agents - Lower-cased user-agent tokens the group applies to
+ * @property {RobotsRule[]} rules - Allow/Disallow rules
+ * @property {number | null} crawlDelay - Crawl-delay in seconds
+ */
+
+/**
+ * @typedef {Object} ParsedRobots
+ * @property {RobotsGroup[]} groups - Rule groups in file order
+ * @property {string[]} sitemaps - Sitemap URLs listed in the file
+ */
+
+/**
+ * @typedef {Object} RobotsPolicy
+ * @property {(url: string) => boolean} isAllowed - Whether the URL may be crawled
+ * @property {number | null} crawlDelay - Crawl-delay in seconds for our user agent
+ * @property {string[]} sitemaps - Sitemap URLs listed in robots.txt
+ */
+
+/**
+ * Parse a robots.txt file
+ * @param {string} text - robots.txt content
+ * @returns {ParsedRobots}
+ */
+export function parseRobotsTxt(text) {
+  /** @type {RobotsGroup[]} */
+  const groups = [];
+  /** @type {string[]} */
+  const sitemaps = [];
+  /** @type {RobotsGroup | null} */
+  let current = null;
+  // Consecutive User-agent lines share one group until a rule starts it
+  let collectingAgents = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+      continue;
+    }
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'sitemap') {
+      if (value) {
+        sitemaps.push(value);
+      }
+      continue;
+    }
+
+    if (field === 'user-agent') {
+      if (!current || !collectingAgents) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+        collectingAgents = true;
+      }
+      current.agents.push(value.toLowerCase());
+      continue;
+    }
+
+    if (!current) {
+      continue;
+    }
+    collectingAgents = false;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow means "allow everything" and adds no rule
+      if (value) {
+        current.rules.push({ allow: field === 'allow', path: value });
+      }
+    } else if (field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (!isNaN(delay) && delay >= 0) {
+        current.crawlDelay = delay;
+      }
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+/**
+ * Check whether a robots.txt path pattern matches a URL path
+ * @param {string} pattern - Pattern with optional * wildcards and trailing $
+ * @param {string} urlPath - Path plus query string
+ * @returns {boolean}
+ */
+export function robotsPatternMatches(pattern, urlPath) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const regexSource = body
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${regexSource}${anchored ? '$' : ''}`).test(urlPath);
+}
+
+/**
+ * Build the crawl policy for one user agent from robots.txt content.
+ * The group with the longest user-agent token contained in our product token
+ * applies, falling back to `*`. Within a group the longest matching rule wins
+ * and Allow wins ties, as in RFC 9309.
+ * @param {string} text - robots.txt content ('' = allow everything)
+ * @param {string} userAgent - Full user-agent string (product token is the part before '/')
+ * @returns {RobotsPolicy}
+ */
+export function createRobotsPolicy(text, userAgent) {
+  const parsed = parseRobotsTxt(text);
+  const productToken = userAgent.split('/')[0].trim().toLowerCase();
+
+  /** @type {RobotsGroup | null} */
+  let group = null;
+  let bestLength = -1;
+  for (const candidate of parsed.groups) {
+    for (const agent of candidate.agents) {
+      if (agent !== '*' && productToken.includes(agent) && agent.length > bestLength) {
+        group = candidate;
+        bestLength = agent.length;
+      }
+    }
+  }
+  if (!group) {
+    group = parsed.groups.find(candidate => candidate.agents.includes('*')) || null;
+  }
+
+  const rules = group ? group.rules : [];
+
+  return {
+    isAllowed(url) {
+      const urlObj = new URL(url);
+      const urlPath = urlObj.pathname + urlObj.search;
+
+      /** @type {RobotsRule | null} */
+      let match = null;
+      for (const rule of rules) {
+        if (!robotsPatternMatches(rule.path, urlPath)) {
+          continue;
+        }
+        if (!match || rule.path.length > match.path.length || (rule.path.length === match.path.length && rule.allow)) {
+          match = rule;
+        }
+      }
+
+      return match ? match.allow : true;
+    },
+    crawlDelay: group ? group.crawlDelay : null,
+    sitemaps: parsed.sitemaps
+  };
+}
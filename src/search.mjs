@@ -0,0 +1,270 @@
+import fs from 'fs';
+import path from 'path';
+import { markdownDocumentBody } from './crawler.mjs';
+import { chunkMarkdown, headingAnchors } from './chunks.mjs';
+import { loadSavedPages } from './corpus.mjs';
+
+/**
+ * @typedef {Object} IndexedSection
+ * @property {string} url - Page URL
+ * @property {string} title - Page title
+ * @property {string[]} headingPath - Headings from the page title down to the section
+ * @property {string} anchor - Fragment of the section heading ('' for the page intro)
+ * @property {string} text - Section markdown (used for snippets)
+ * @property {number} length - Weighted term count of the section
+ */
+
+/**
+ * @typedef {Object} SearchIndex
+ * @property {number} formatVersion - Index file format
+ * @property {string} builtAt - ISO timestamp of the build
+ * @property {number} pages - Pages indexed
+ * @property {IndexedSection[]} sections - Indexed sections
+ * @property {Record<string, number[]>} postings - Term -> flat [section, titleTf, headingTf, bodyTf, ...] list
+ * @property {number} averageLength - Average weighted section length
+ */
+
+/**
+ * @typedef {Object} SectionHit
+ * @property {string[]} headingPath - Headings from the page title down to the section
+ * @property {string} anchor - Section fragment
+ * @property {string} url - Section URL (page URL with #anchor)
+ * @property {number} score - BM25 score
+ * @property {string} snippet - Text around the first matching term, terms in **bold**
+ */
+
+/**
+ * @typedef {Object} PageHit
+ * @property {string} url - Page URL
+ * @property {string} title - Page title
+ * @property {number} score - Score of the best matching section
+ * @property {SectionHit[]} sections - Best matching sections of the page
+ */
+
+export const SEARCH_INDEX_FILE = 'search-index.json';
+const FORMAT_VERSION = 1;
+
+// Field weights for the term frequency of a section
+const TITLE_BOOST = 3;
+const HEADING_BOOST = 2;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'for', 'from', 'how', 'i', 'if', 'in',
+  'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'what', 'when', 'which', 'with', 'you', 'your'
+]);
+
+/**
+ * Split text into lower-case search terms. Link targets and stopwords are dropped.
+ * @param {string} text - Markdown or query text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  const words = text
+    .replace(/\]\([^)]*\)/g, ']')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+  return words.filter(word => !STOPWORDS.has(word) && (word.length > 1 || /\d/.test(word)));
+}
+
+/**
+ * Count term occurrences
+ * @param {string[]} terms - Terms
+ * @returns {Map<string, number>}
+ */
+function termFrequencies(terms) {
+  /** @type {Map<string, number>} */
+  const counts = new Map();
+  for (const term of terms) {
+    counts.set(term, (counts.get(term) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Build the inverted index from the pages saved in an output directory
+ * @param {string} outputDir - Crawl output directory
+ * @returns {SearchIndex}
+ */
+export function buildSearchIndex(outputDir) {
+  /** @type {IndexedSection[]} */
+  const sections = [];
+  /** @type {Record<string, number[]>} */
+  const postings = {};
+  let pages = 0;
+  let totalLength = 0;
+
+  for (const saved of loadSavedPages(path.join(outputDir, 'progress'))) {
+    if (!fs.existsSync(saved.mdPath)) {
+      continue;
+    }
+    pages++;
+
+    const markdown = markdownDocumentBody(fs.readFileSync(saved.mdPath, 'utf-8'));
+    const html = fs.existsSync(saved.htmlPath) ? fs.readFileSync(saved.htmlPath, 'utf-8') : '';
+    const title = saved.json.heading || saved.json.title || '';
+    const titleTf = termFrequencies(tokenize(`${saved.json.title || ''} ${saved.json.heading || ''}`));
+
+    // One chunk per heading section
+    const chunks = chunkMarkdown(markdown, {
+      title,
+      anchors: headingAnchors(html),
+      chunkSize: Number.MAX_SAFE_INTEGER,
+      overlap: 0
+    });
+
+    for (const chunk of chunks) {
+      const headingTf = termFrequencies(tokenize(chunk.headingPath.slice(1).join(' ')));
+      const bodyTf = termFrequencies(tokenize(chunk.text));
+      const terms = new Set([...titleTf.keys(), ...headingTf.keys(), ...bodyTf.keys()]);
+
+      let length = 0;
+      const sectionIndex = sections.length;
+      for (const term of terms) {
+        const title = titleTf.get(term) || 0;
+        const heading = headingTf.get(term) || 0;
+        const body = bodyTf.get(term) || 0;
+        length += TITLE_BOOST * title + HEADING_BOOST * heading + body;
+        (postings[term] ||= []).push(sectionIndex, title, heading, body);
+      }
+
+      sections.push({
+        url: saved.json.url,
+        title: saved.json.title || title,
+        headingPath: chunk.headingPath,
+        // The intro below the page title links to the page itself
+        anchor: chunk.headingPath.length > 1 ? chunk.anchor : '',
+        text: chunk.text,
+        length
+      });
+      totalLength += length;
+    }
+  }
+
+  return {
+    formatVersion: FORMAT_VERSION,
+    builtAt: new Date().toISOString(),
+    pages,
+    sections,
+    postings,
+    averageLength: sections.length > 0 ? totalLength / sections.length : 0
+  };
+}
+
+/**
+ * Build the search index and save it as <outputDir>/search-index.json
+ * @param {string} outputDir - Crawl output directory
+ * @returns {{index: SearchIndex, indexPath: string}}
+ */
+export function writeSearchIndex(outputDir) {
+  const index = buildSearchIndex(outputDir);
+  const indexPath = path.join(outputDir, SEARCH_INDEX_FILE);
+  fs.writeFileSync(indexPath, JSON.stringify(index));
+  return { index, indexPath };
+}
+
+/**
+ * Load a saved search index
+ * @param {string} outputDir - Crawl output directory
+ * @returns {SearchIndex | null} Null if there is no index or it was written by another format version
+ */
+export function loadSearchIndex(outputDir) {
+  const indexPath = path.join(outputDir, SEARCH_INDEX_FILE);
+  if (!fs.existsSync(indexPath)) {
+    return null;
+  }
+
+  const index = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+  return index.formatVersion === FORMAT_VERSION ? index : null;
+}
+
+/**
+ * Cut a snippet around the first query term and bold the matches
+ * @param {string} text - Section markdown
+ * @param {string[]} terms - Query terms
+ * @param {number} [width] - Snippet length in characters (default: 200)
+ * @returns {string}
+ */
+export function makeSnippet(text, terms, width = 200) {
+  const plain = text
+    .replace(/```[^\n]*\n?/g, '')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^#{1,6}\s+/gm, '')
+    .replace(/[*_`|>]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (terms.length === 0) {
+    return plain.slice(0, width);
+  }
+
+  const termPattern = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+  const first = plain.search(new RegExp(`(?<![\\p{L}\\p{N}])(?:${termPattern})`, 'iu'));
+  const start = Math.max(0, (first === -1 ? 0 : first) - Math.floor(width / 3));
+  const end = Math.min(plain.length, start + width);
+
+  const snippet = plain.slice(start, end)
+    .replace(new RegExp(`(?<![\\p{L}\\p{N}])(${termPattern})(?![\\p{L}\\p{N}])`, 'giu'), '**$1**');
+  return `${start > 0 ? '…' : ''}${snippet}${end < plain.length ? '…' : ''}`;
+}
+
+/**
+ * Rank pages and sections for a query with BM25 (title and heading matches weigh more)
+ * @param {SearchIndex} index - Search index
+ * @param {string} query - Free-text query
+ * @param {Object} [options] - Search options
+ * @param {number} [options.limit] - Maximum pages returned (default: 10)
+ * @param {number} [options.sectionsPerPage] - Maximum sections per page (default: 3)
+ * @returns {PageHit[]}
+ */
+export function searchIndex(index, query, options = {}) {
+  const limit = options.limit || 10;
+  const sectionsPerPage = options.sectionsPerPage || 3;
+  const terms = Array.from(new Set(tokenize(query)));
+  const sectionCount = index.sections.length;
+
+  /** @type {Map<number, number>} */
+  const scores = new Map();
+  for (const term of terms) {
+    const postings = index.postings[term];
+    if (!postings) {
+      continue;
+    }
+
+    const documentFrequency = postings.length / 4;
+    const idf = Math.log(1 + (sectionCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+
+    for (let i = 0; i < postings.length; i += 4) {
+      const sectionIndex = postings[i];
+      const tf = TITLE_BOOST * postings[i + 1] + HEADING_BOOST * postings[i + 2] + postings[i + 3];
+      const lengthNorm = 1 - B + B * (index.sections[sectionIndex].length / (index.averageLength || 1));
+      const score = idf * (tf * (K1 + 1)) / (tf + K1 * lengthNorm);
+      scores.set(sectionIndex, (scores.get(sectionIndex) || 0) + score);
+    }
+  }
+
+  /** @type {Map<string, PageHit>} */
+  const pages = new Map();
+  const ranked = Array.from(scores).sort((a, b) => b[1] - a[1]);
+  for (const [sectionIndex, score] of ranked) {
+    const section = index.sections[sectionIndex];
+    let page = pages.get(section.url);
+    if (!page) {
+      page = { url: section.url, title: section.title, score, sections: [] };
+      pages.set(section.url, page);
+    }
+    if (page.sections.length < sectionsPerPage) {
+      page.sections.push({
+        headingPath: section.headingPath,
+        anchor: section.anchor,
+        url: section.anchor ? `${section.url}#${section.anchor}` : section.url,
+        score,
+        snippet: makeSnippet(section.text, terms)
+      });
+    }
+  }
+
+  return Array.from(pages.values()).slice(0, limit);
+}
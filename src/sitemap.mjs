@@ -0,0 +1,122 @@
+import zlib from 'zlib';
+
+/**
+ * @typedef {Object} SitemapEntry
+ * @property {string} loc - Page (or child sitemap) URL
+ * @property {string | null} lastmod - Last modification date as given in the sitemap
+ */
+
+/**
+ * @typedef {Object} ParsedSitemap
+ * @property {'urlset' | 'sitemapindex'} type - Regular sitemap or sitemap index
+ * @property {SitemapEntry[]} entries - <url> or <sitemap> entries
+ */
+
+/**
+ * Decode the XML entities that appear in sitemap URLs
+ * @param {string} text - Text content of an XML element
+ * @returns {string}
+ */
+function decodeXmlEntities(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+/**
+ * Read the text of the first child element with the given local name
+ * @param {string} xml - XML fragment
+ * @param {string} name - Element local name (namespace prefixes are ignored)
+ * @returns {string | null}
+ */
+function childText(xml, name) {
+  const match = xml.match(new RegExp(`<(?:\\w+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${name}>`, 'i'));
+  return match ? decodeXmlEntities(match[1]) : null;
+}
+
+/**
+ * Parse a sitemap or sitemap index document
+ * @param {string} xml - Sitemap XML
+ * @returns {ParsedSitemap}
+ */
+export function parseSitemap(xml) {
+  const type = /<(?:\w+:)?sitemapindex[\s>]/i.test(xml) ? 'sitemapindex' : 'urlset';
+  const entryTag = type === 'sitemapindex' ? 'sitemap' : 'url';
+  const entryRegex = new RegExp(`<(?:\\w+:)?${entryTag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${entryTag}>`, 'gi');
+
+  /** @type {SitemapEntry[]} */
+  const entries = [];
+  let match;
+  while ((match = entryRegex.exec(xml)) !== null) {
+    const loc = childText(match[1], 'loc');
+    if (loc) {
+      entries.push({ loc, lastmod: childText(match[1], 'lastmod') });
+    }
+  }
+
+  return { type, entries };
+}
+
+/**
+ * Decode a fetched sitemap body, gunzipping .xml.gz files
+ * @param {Buffer} body - Raw response body
+ * @returns {string}
+ */
+export function decodeSitemapBody(body) {
+  // gzip magic number
+  if (body.length > 2 && body[0] === 0x1f && body[1] === 0x8b) {
+    return zlib.gunzipSync(body).toString('utf-8');
+  }
+  return body.toString('utf-8');
+}
+
+/**
+ * Fetch sitemaps (following sitemap indexes) and collect page entries
+ * @param {string[]} sitemapUrls - Sitemap or sitemap index URLs to start from
+ * @param {import('./http.mjs').Fetcher} fetcher - Fetcher used for the requests
+ * @param {Object} [options] - Collection options
+ * @param {number} [options.maxSitemaps] - Upper bound on sitemap documents fetched (default: 200)
+ * @param {(url: string, error: string) => void} [options.onError] - Called for sitemaps that fail to load
+ * @returns {Promise<Map<string, string | null>>} Page URL -> lastmod
+ */
+export async function collectSitemapEntries(sitemapUrls, fetcher, options = {}) {
+  const maxSitemaps = options.maxSitemaps || 200;
+  /** @type {Map<string, string | null>} */
+  const pages = new Map();
+  const queue = [...sitemapUrls];
+  const seen = new Set();
+
+  while (queue.length > 0 && seen.size < maxSitemaps) {
+    const sitemapUrl = /** @type {string} */ (queue.shift());
+    if (seen.has(sitemapUrl)) {
+      continue;
+    }
+    seen.add(sitemapUrl);
+
+    try {
+      const response = await fetcher(sitemapUrl);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const sitemap = parseSitemap(decodeSitemapBody(response.body));
+      for (const entry of sitemap.entries) {
+        if (sitemap.type === 'sitemapindex') {
+          queue.push(entry.loc);
+        } else {
+          pages.set(entry.loc, entry.lastmod);
+        }
+      }
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      options.onError?.(sitemapUrl, errorMessage);
+    }
+  }
+
+  return pages;
+}
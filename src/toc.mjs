@@ -0,0 +1,150 @@
+/**
+ * @typedef {Object} TocPage
+ * @property {string} title - Page title (heading)
+ * @property {string} url - Page URL
+ * @property {string[]} breadcrumb - Breadcrumb navigation items, starting at the site root
+ */
+
+/**
+ * @typedef {Object} TocNode
+ * @property {string} title - Page or section title
+ * @property {string | null} url - Page URL (null for sections known only from breadcrumbs)
+ * @property {TocNode[]} children - Child pages and sections, sorted by title
+ */
+
+/**
+ * @typedef {Object} TocTree
+ * @property {string} title - Documentation title
+ * @property {string} generatedAt - ISO timestamp
+ * @property {number} pages - Pages in the tree
+ * @property {TocNode[]} children - Top-level sections
+ */
+
+/**
+ * @param {string} text - Title or breadcrumb item
+ * @returns {string}
+ */
+function normalizeTitle(text) {
+  return text.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Build the documentation hierarchy from page breadcrumbs.
+ * The first breadcrumb item is the site root and is dropped; the last one is
+ * usually the page itself. Breadcrumb items without a crawled page become
+ * sections with a null URL.
+ * @param {string} title - Documentation title
+ * @param {TocPage[]} pages - Pages to place in the tree
+ * @returns {TocTree}
+ */
+export function buildTocTree(title, pages) {
+  /** @type {TocNode} */
+  const root = { title, url: null, children: [] };
+  /** @type {Set<string>} */
+  const placed = new Set();
+  let pageCount = 0;
+
+  for (const page of pages) {
+    if (page.url) {
+      if (placed.has(page.url)) {
+        continue;
+      }
+      placed.add(page.url);
+    }
+    pageCount++;
+
+    const trail = page.breadcrumb.slice(1);
+    const isSelf = trail.length > 0 && normalizeTitle(trail[trail.length - 1]) === normalizeTitle(page.title);
+    const ancestors = isSelf ? trail.slice(0, -1) : trail;
+
+    let parent = root;
+    for (const ancestor of ancestors) {
+      let node = parent.children.find(child => normalizeTitle(child.title) === normalizeTitle(ancestor));
+      if (!node) {
+        node = { title: ancestor, url: null, children: [] };
+        parent.children.push(node);
+      }
+      parent = node;
+    }
+
+    // A section created from other pages' breadcrumbs takes the page's URL
+    const section = parent.children.find(child => child.url === null && normalizeTitle(child.title) === normalizeTitle(page.title));
+    if (section) {
+      section.url = page.url;
+      section.title = page.title;
+    } else {
+      parent.children.push({ title: page.title, url: page.url, children: [] });
+    }
+  }
+
+  sortChildren(root);
+
+  return {
+    title,
+    generatedAt: new Date().toISOString(),
+    pages: pageCount,
+    children: root.children
+  };
+}
+
+/**
+ * Sort a subtree by title, recursively
+ * @param {TocNode} node - Subtree root
+ * @returns {void}
+ */
+function sortChildren(node) {
+  node.children.sort((a, b) => a.title.localeCompare(b.title));
+  node.children.forEach(sortChildren);
+}
+
+/**
+ * Walk the tree depth-first, parents before their children
+ * @param {TocNode[]} nodes - Nodes to visit
+ * @param {(node: TocNode, path: string[]) => void} visit - Called with each node and its title path
+ * @param {string[]} [parentPath] - Titles of the enclosing sections
+ * @returns {void}
+ */
+export function walkToc(nodes, visit, parentPath = []) {
+  for (const node of nodes) {
+    const nodePath = [...parentPath, node.title];
+    visit(node, nodePath);
+    walkToc(node.children, visit, nodePath);
+  }
+}
+
+/**
+ * Render the tree as a nested markdown list
+ * @param {TocTree} tree - Documentation tree
+ * @returns {string}
+ */
+export function renderToc(tree) {
+  /** @type {string[]} */
+  const lines = [];
+  walkToc(tree.children, (node, nodePath) => {
+    const indent = '  '.repeat(nodePath.length - 1);
+    lines.push(`${indent}- ${node.url ? `[${node.title}](${node.url})` : node.title}`);
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Order markdown documents depth-first by the tree, with a separator heading
+ * before every section that has child pages
+ * @param {TocTree} tree - Documentation tree
+ * @param {Map<string, string>} documentsByUrl - Markdown document per page URL
+ * @returns {string[]} Separators and documents in output order
+ */
+export function orderDocumentsByToc(tree, documentsByUrl) {
+  /** @type {string[]} */
+  const ordered = [];
+  walkToc(tree.children, (node, nodePath) => {
+    if (node.children.length > 0) {
+      ordered.push(`# Section: ${nodePath.join(' > ')}`);
+    }
+    const doc = node.url !== null ? documentsByUrl.get(node.url) : undefined;
+    if (doc !== undefined) {
+      ordered.push(doc);
+    }
+  });
+  return ordered;
+}
@@ -0,0 +1,324 @@
+/**
+ * Turndown rules for documentation markup that plain Turndown flattens:
+ * GitHub-flavored tables, code block languages, callout boxes, definition
+ * lists and image captions.
+ */
+
+/** Admonition types supported by GitHub alerts, keyed by the words docs use for them */
+/** @type {Record<string, string>} */
+const CALLOUT_TYPES = {
+  note: 'NOTE',
+  info: 'NOTE',
+  information: 'NOTE',
+  tip: 'TIP',
+  hint: 'TIP',
+  important: 'IMPORTANT',
+  warning: 'WARNING',
+  caution: 'CAUTION',
+  danger: 'CAUTION'
+};
+
+/** Class tokens that mark a callout box, optionally with its type (e.g. `note`, `alert-warning`) */
+const CALLOUT_CLASS = /^(?:(?:alert|callout|admonition|message|box)[-_])?(note|info|information|tip|hint|important|warning|caution|danger)$/i;
+
+/** Class tokens of callout boxes that carry no type themselves */
+const GENERIC_CALLOUT_CLASS = /^(?:alert|callout|admonition)$/i;
+
+/** Leading "Note:" / "**NOTE**" label of a callout */
+const CALLOUT_LABEL = /^(?:(\*\*|__)(note|info|tip|important|warning|caution)\s*:?\s*\1\s*:?|(note|info|tip|important|warning|caution)\s*:)\s*/i;
+
+/** Code block class names that are not languages */
+const NOT_A_LANGUAGE = new Set(['none', 'text', 'plain', 'plaintext', 'nohighlight', 'no-highlight', 'line-numbers', 'hljs', 'prettyprint', 'linenums', 'code']);
+
+/** @type {Record<string, string>} */
+const LANGUAGE_ALIASES = {
+  cs: 'csharp',
+  'c#': 'csharp',
+  js: 'javascript',
+  ts: 'typescript',
+  ps: 'powershell',
+  ps1: 'powershell',
+  sh: 'bash',
+  shell: 'bash',
+  htm: 'html',
+  xhtml: 'html',
+  vb: 'vbnet',
+  yml: 'yaml'
+};
+
+/**
+ * Element children of a node (domino nodes have no `children` on every node type)
+ * @param {Node} node - Parent node
+ * @returns {HTMLElement[]}
+ */
+function elementChildren(node) {
+  return /** @type {HTMLElement[]} */ (Array.from(node.childNodes).filter(child => child.nodeType === 1));
+}
+
+/**
+ * Class tokens of an element
+ * @param {Element | null | undefined} element - Element
+ * @returns {string[]}
+ */
+function classTokens(element) {
+  return ((element && element.getAttribute('class')) || '').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Language of a <pre> block from `language-*` / `lang-*` classes (Prism, highlight.js,
+ * prettify), `data-lang(uage)` attributes or a SyntaxHighlighter `brush:` class
+ * @param {HTMLElement} pre - <pre> element
+ * @returns {string} Language name, '' if none is marked
+ */
+export function detectCodeLanguage(pre) {
+  const code = elementChildren(pre).find(child => child.nodeName === 'CODE');
+
+  for (const element of [code, pre]) {
+    if (!element) {
+      continue;
+    }
+
+    /** @type {string[]} */
+    const candidates = [
+      element.getAttribute('data-language') || '',
+      element.getAttribute('data-lang') || ''
+    ];
+    const className = element.getAttribute('class') || '';
+    const brush = className.match(/brush:\s*([\w#+-]+)/i);
+    if (brush) {
+      candidates.push(brush[1]);
+    }
+    const tokens = classTokens(element);
+    for (const token of tokens) {
+      const prefixed = token.match(/^(?:language|lang)-(.+)$/i);
+      if (prefixed) {
+        candidates.push(prefixed[1]);
+      }
+    }
+    // highlight.js: <code class="hljs csharp">
+    if (tokens.includes('hljs')) {
+      candidates.push(...tokens.filter(token => !token.includes('-')));
+    }
+
+    for (const candidate of candidates) {
+      const language = candidate.trim().toLowerCase();
+      if (language && !NOT_A_LANGUAGE.has(language)) {
+        return LANGUAGE_ALIASES[language] || language;
+      }
+    }
+  }
+
+  return '';
+}
+
+/**
+ * Callout type of an element from its classes
+ * @param {HTMLElement} node - Element
+ * @returns {string | null} Admonition type, 'GENERIC' for untyped callout boxes, null if the element is no callout
+ */
+function calloutClassType(node) {
+  const tokens = classTokens(node);
+  for (const token of tokens) {
+    const match = token.match(CALLOUT_CLASS);
+    if (match) {
+      return CALLOUT_TYPES[match[1].toLowerCase()];
+    }
+  }
+  return tokens.some(token => GENERIC_CALLOUT_CLASS.test(token)) ? 'GENERIC' : null;
+}
+
+/**
+ * Markdown of one table cell on a single line: paragraphs and list items are
+ * separated with <br>, nested list items indented with non-breaking spaces and
+ * pipes escaped
+ * @param {string} markdown - Cell content converted on its own
+ * @returns {string}
+ */
+function tableCellText(markdown) {
+  return markdown
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      const item = line.match(/^(\s*)(?:[*+-]|(\d+)\.)\s+(.*)$/);
+      if (!item) {
+        return line.trim();
+      }
+      const depth = Math.floor(item[1].length / 4);
+      return `${'&nbsp;&nbsp;'.repeat(depth)}${item[2] ? `${item[2]}.` : '-'} ${item[3]}`;
+    })
+    .join('<br>')
+    .replace(/\|/g, '\\|');
+}
+
+/**
+ * Rows of a table (in thead, tbody, tfoot or directly below the table)
+ * @param {HTMLElement} table - <table> element
+ * @returns {HTMLElement[]}
+ */
+function tableRows(table) {
+  /** @type {HTMLElement[]} */
+  const rows = [];
+  for (const child of elementChildren(table)) {
+    if (child.nodeName === 'TR') {
+      rows.push(child);
+    } else if (['THEAD', 'TBODY', 'TFOOT'].includes(child.nodeName)) {
+      rows.push(...elementChildren(child).filter(row => row.nodeName === 'TR'));
+    }
+  }
+  return rows;
+}
+
+/**
+ * Column alignment marker for a header cell
+ * @param {HTMLElement | undefined} cell - Header cell
+ * @returns {string}
+ */
+function alignmentMarker(cell) {
+  const align = ((cell && (cell.getAttribute('align') || (cell.getAttribute('style') || '').match(/text-align:\s*(\w+)/i)?.[1])) || '').toLowerCase();
+  if (align === 'center') {
+    return ':---:';
+  }
+  if (align === 'right') {
+    return '---:';
+  }
+  if (align === 'left') {
+    return ':---';
+  }
+  return '---';
+}
+
+/**
+ * Register the documentation rules on a Turndown service
+ * @param {import('turndown')} turndownService - Turndown service instance
+ * @returns {import('turndown')}
+ */
+export function addDocumentationRules(turndownService) {
+  // Keep image captions as their own italic line below the image
+  turndownService.addRule('figcaption', {
+    filter: 'figcaption',
+    replacement: content => (content.trim() ? `\n\n*${content.trim()}*\n\n` : '')
+  });
+
+  // Fenced code with the language from the highlighter markup, also for <pre> without <code>
+  turndownService.addRule('fencedCodeWithLanguage', {
+    filter: node => node.nodeName === 'PRE',
+    replacement: (_content, node, options) => {
+      const pre = /** @type {HTMLElement} */ (node);
+      const code = elementChildren(pre).find(child => child.nodeName === 'CODE');
+      const text = (code || pre).textContent || '';
+
+      const fenceChar = (options.fence || '```').charAt(0);
+      let fenceSize = 3;
+      for (const match of text.matchAll(new RegExp(`^${fenceChar}{3,}`, 'gm'))) {
+        fenceSize = Math.max(fenceSize, match[0].length + 1);
+      }
+      const fence = fenceChar.repeat(fenceSize);
+
+      return `\n\n${fence}${detectCodeLanguage(pre)}\n${text.replace(/\n$/, '')}\n${fence}\n\n`;
+    }
+  });
+
+  // Definition lists: bold term, then one ": definition" line per <dd>
+  turndownService.addRule('definitionList', {
+    filter: 'dl',
+    replacement: content => `\n\n${content.trim()}\n\n`
+  });
+  turndownService.addRule('definitionTerm', {
+    filter: 'dt',
+    replacement: content => {
+      const term = content.trim();
+      if (!term) {
+        return '';
+      }
+      return `\n\n${term.startsWith('**') ? term : `**${term}**`}\n`;
+    }
+  });
+  turndownService.addRule('definitionDescription', {
+    filter: 'dd',
+    replacement: content => `: ${content.trim().replace(/\n/g, '\n    ')}\n`
+  });
+
+  // Note/Tip/Important boxes become GitHub alerts (> [!NOTE])
+  turndownService.addRule('admonition', {
+    filter: node => {
+      if (!['DIV', 'ASIDE', 'SECTION', 'P', 'BLOCKQUOTE'].includes(node.nodeName)) {
+        return false;
+      }
+      if (calloutClassType(node)) {
+        return true;
+      }
+      // A plain blockquote that starts with a "Note:" label
+      return node.nodeName === 'BLOCKQUOTE' && CALLOUT_LABEL.test((node.textContent || '').trim());
+    },
+    replacement: (content, node) => {
+      let body = content.trim();
+      let type = calloutClassType(/** @type {HTMLElement} */ (node));
+
+      const label = body.match(CALLOUT_LABEL);
+      if (label) {
+        body = body.slice(label[0].length);
+        if (!type || type === 'GENERIC') {
+          type = CALLOUT_TYPES[(label[2] || label[3]).toLowerCase()];
+        }
+      }
+      if (!type || type === 'GENERIC') {
+        type = 'NOTE';
+      }
+      if (!body) {
+        return '';
+      }
+
+      const quoted = body.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+      return `\n\n> [!${type}]\n${quoted}\n\n`;
+    }
+  });
+
+  // GitHub-flavored tables; each cell is converted on its own and kept on one line
+  turndownService.addRule('table', {
+    filter: 'table',
+    replacement: (_content, node) => {
+      const table = /** @type {HTMLElement} */ (node);
+      // Nested tables cannot be expressed in GFM, keep them as HTML
+      if (table.querySelector('table')) {
+        return `\n\n${table.outerHTML}\n\n`;
+      }
+
+      const rows = tableRows(table).map(row => {
+        /** @type {string[]} */
+        const cells = [];
+        for (const cell of elementChildren(row).filter(child => child.nodeName === 'TH' || child.nodeName === 'TD')) {
+          cells.push(tableCellText(turndownService.turndown(cell.innerHTML)));
+          const colspan = Math.max(1, parseInt(cell.getAttribute('colspan') || '1', 10) || 1);
+          for (let i = 1; i < colspan; i++) {
+            cells.push('');
+          }
+        }
+        return { row, cells };
+      }).filter(({ cells }) => cells.length > 0);
+
+      if (rows.length === 0) {
+        return '';
+      }
+      // A single-cell layout table is just a box around its content
+      if (rows.length === 1 && rows[0].cells.length === 1) {
+        return `\n\n${turndownService.turndown(table.innerHTML)}\n\n`;
+      }
+
+      const columns = Math.max(...rows.map(({ cells }) => cells.length));
+      const headerCells = elementChildren(rows[0].row).filter(child => child.nodeName === 'TH' || child.nodeName === 'TD');
+      const format = (/** @type {string[]} */ cells) => {
+        const padded = [...cells, ...Array(columns - cells.length).fill('')];
+        return `| ${padded.join(' | ')} |`;
+      };
+
+      const lines = [
+        format(rows[0].cells),
+        `| ${Array.from({ length: columns }, (_, i) => alignmentMarker(headerCells[i])).join(' | ')} |`,
+        ...rows.slice(1).map(({ cells }) => format(cells))
+      ];
+      return `\n\n${lines.join('\n')}\n\n`;
+    }
+  });
+
+  return turndownService;
+}
@@ -0,0 +1,242 @@
+import fs from 'fs';
+import path from 'path';
+import { loadSavedPages } from './corpus.mjs';
+import { unifiedDiff } from './changes.mjs';
+import { parseYamlFrontmatter, renderYamlFrontmatter } from './frontmatter.mjs';
+
+/**
+ * @typedef {Object} VersionPageDiff
+ * @property {string} canonicalUrl - Canonical URL shared by both versions of the page
+ * @property {'added' | 'removed' | 'changed'} status - How the page differs in the newer version
+ * @property {string} title - Page title (from the newer version if present)
+ * @property {string | null} fromUrl - Page URL in the older version
+ * @property {string | null} toUrl - Page URL in the newer version
+ * @property {string} [diff] - Unified diff of the markdown ('changed' only)
+ * @property {number} [linesAdded] - Added markdown lines ('changed' only)
+ * @property {number} [linesRemoved] - Removed markdown lines ('changed' only)
+ */
+
+/**
+ * @typedef {Object} VersionDiffReport
+ * @property {string} from - Older version
+ * @property {string} to - Newer version
+ * @property {string} generatedAt - ISO timestamp of the report
+ * @property {{added: number, removed: number, changed: number, unchanged: number}} counts - Pages per status
+ * @property {VersionPageDiff[]} pages - Pages that differ, sorted by canonical URL
+ */
+
+/**
+ * Directory holding the output tree of one crawled version
+ * @param {string} rootDir - Root output directory of the profile
+ * @param {string} version - Version segment (e.g. '152')
+ * @returns {string}
+ */
+export function versionDir(rootDir, version) {
+  return path.join(rootDir, 'versions', version);
+}
+
+/**
+ * Replace versioned documentation URLs in a text by their canonical form,
+ * so links and the URL header do not show up as differences between versions
+ * @param {string} text - Markdown text
+ * @param {(url: string) => string} getCanonicalUrl - Maps a URL to its canonical form
+ * @returns {string}
+ */
+function canonicalizeLinks(text, getCanonicalUrl) {
+  return text.replace(/(?:https?:\/\/|\/)[^\s()<>"'[\]]+/g, url => getCanonicalUrl(url));
+}
+
+/**
+ * Reduce YAML frontmatter to the fields that describe the content; the URLs,
+ * version, crawledAt and hash always differ between versions
+ * @param {string} markdownDoc - Markdown document as saved in progress/*.md
+ * @returns {string}
+ */
+function comparableMarkdown(markdownDoc) {
+  const yaml = parseYamlFrontmatter(markdownDoc);
+  if (!yaml) {
+    return markdownDoc;
+  }
+  const { title, heading, breadcrumb } = yaml.fields;
+  return `${renderYamlFrontmatter({ title, heading, breadcrumb })}\n\n${yaml.body}`;
+}
+
+/**
+ * Load a version's saved pages keyed by canonical URL
+ * @param {string} outputDir - Output tree of one version
+ * @param {(url: string) => string} getCanonicalUrl - Maps a URL to its canonical form
+ * @returns {Map<string, {url: string, title: string, markdown: string}>}
+ */
+function loadVersionPages(outputDir, getCanonicalUrl) {
+  /** @type {Map<string, {url: string, title: string, markdown: string}>} */
+  const pages = new Map();
+
+  for (const saved of loadSavedPages(path.join(outputDir, 'progress'))) {
+    const canonicalUrl = getCanonicalUrl(saved.json.url);
+    if (pages.has(canonicalUrl) || !fs.existsSync(saved.mdPath)) {
+      continue;
+    }
+    pages.set(canonicalUrl, {
+      url: saved.json.url,
+      title: saved.json.title || '',
+      markdown: canonicalizeLinks(comparableMarkdown(fs.readFileSync(saved.mdPath, 'utf-8')), getCanonicalUrl)
+    });
+  }
+
+  return pages;
+}
+
+/**
+ * Compare two crawled versions page by page, keyed by canonical URL
+ * @param {string} fromDir - Output tree of the older version
+ * @param {string} toDir - Output tree of the newer version
+ * @param {Object} options - Comparison options
+ * @param {string} options.from - Older version
+ * @param {string} options.to - Newer version
+ * @param {(url: string) => string} options.getCanonicalUrl - Maps a URL to its canonical form (see getCanonicalUrl in profiles.mjs)
+ * @returns {VersionDiffReport}
+ */
+export function buildVersionDiff(fromDir, toDir, options) {
+  const fromPages = loadVersionPages(fromDir, options.getCanonicalUrl);
+  const toPages = loadVersionPages(toDir, options.getCanonicalUrl);
+  const canonicalUrls = Array.from(new Set([...fromPages.keys(), ...toPages.keys()])).sort();
+
+  /** @type {VersionPageDiff[]} */
+  const pages = [];
+  let unchanged = 0;
+
+  for (const canonicalUrl of canonicalUrls) {
+    const before = fromPages.get(canonicalUrl);
+    const after = toPages.get(canonicalUrl);
+
+    if (!before && after) {
+      pages.push({ canonicalUrl, status: 'added', title: after.title, fromUrl: null, toUrl: after.url });
+    } else if (before && !after) {
+      pages.push({ canonicalUrl, status: 'removed', title: before.title, fromUrl: before.url, toUrl: null });
+    } else if (before && after) {
+      if (before.markdown === after.markdown) {
+        unchanged++;
+        continue;
+      }
+
+      const diff = unifiedDiff(before.markdown, after.markdown, {
+        fromFile: `${options.from}${new URL(before.url).pathname}`,
+        toFile: `${options.to}${new URL(after.url).pathname}`
+      });
+      const diffBody = diff.split('\n').slice(2);
+      pages.push({
+        canonicalUrl,
+        status: 'changed',
+        title: after.title,
+        fromUrl: before.url,
+        toUrl: after.url,
+        diff,
+        linesAdded: diffBody.filter(line => line.startsWith('+')).length,
+        linesRemoved: diffBody.filter(line => line.startsWith('-')).length
+      });
+    }
+  }
+
+  return {
+    from: options.from,
+    to: options.to,
+    generatedAt: new Date().toISOString(),
+    counts: {
+      added: pages.filter(page => page.status === 'added').length,
+      removed: pages.filter(page => page.status === 'removed').length,
+      changed: pages.filter(page => page.status === 'changed').length,
+      unchanged
+    },
+    pages
+  };
+}
+
+/**
+ * Render a version diff report as markdown
+ * @param {VersionDiffReport} report - Version diff report
+ * @param {string} title - Documentation title
+ * @returns {string}
+ */
+export function renderVersionDiffMarkdown(report, title) {
+  const { counts } = report;
+  const lines = [
+    `# ${title}: ${report.from} → ${report.to}`,
+    '',
+    `**Generated:** ${report.generatedAt}`,
+    `**Added:** ${counts.added} | **Changed:** ${counts.changed} | **Removed:** ${counts.removed} | **Unchanged:** ${counts.unchanged}`,
+    ''
+  ];
+
+  if (report.pages.length === 0) {
+    lines.push(`No differences between ${report.from} and ${report.to}.`);
+    return lines.join('\n') + '\n';
+  }
+
+  /** @type {[VersionPageDiff['status'], string][]} */
+  const sections = [['added', `New in ${report.to}`], ['removed', `Not in ${report.to}`], ['changed', 'Changed']];
+  for (const [status, heading] of sections) {
+    const pages = report.pages.filter(page => page.status === status);
+    if (pages.length === 0) {
+      continue;
+    }
+
+    lines.push(`## ${heading} (${pages.length})`, '');
+    for (const page of pages) {
+      const url = page.toUrl || page.fromUrl;
+      if (status === 'changed') {
+        lines.push(
+          `### [${page.title || page.canonicalUrl}](${url})`,
+          '',
+          `\`${page.canonicalUrl}\` · +${page.linesAdded} / -${page.linesRemoved} lines`,
+          '',
+          '```diff',
+          page.diff || '',
+          '```',
+          ''
+        );
+      } else {
+        lines.push(`- [${page.title || page.canonicalUrl}](${url})`);
+      }
+    }
+    if (status !== 'changed') {
+      lines.push('');
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Compare two crawled versions and write
+ * <rootDir>/versions/diffs/<from>-<to>.json and .md
+ * @param {string} rootDir - Root output directory of the profile
+ * @param {string} from - Older version
+ * @param {string} to - Newer version
+ * @param {Object} options - Report options
+ * @param {string} options.title - Documentation title
+ * @param {(url: string) => string} options.getCanonicalUrl - Maps a URL to its canonical form
+ * @returns {{report: VersionDiffReport, jsonPath: string, markdownPath: string}}
+ * @throws {Error} If either version has not been crawled
+ */
+export function writeVersionDiff(rootDir, from, to, options) {
+  for (const version of [from, to]) {
+    if (!fs.existsSync(path.join(versionDir(rootDir, version), 'progress'))) {
+      throw new Error(`Version ${version} has not been crawled (no ${versionDir(rootDir, version)}/progress)`);
+    }
+  }
+
+  const report = buildVersionDiff(versionDir(rootDir, from), versionDir(rootDir, to), {
+    from,
+    to,
+    getCanonicalUrl: options.getCanonicalUrl
+  });
+
+  const diffsDir = path.join(rootDir, 'versions', 'diffs');
+  fs.mkdirSync(diffsDir, { recursive: true });
+  const jsonPath = path.join(diffsDir, `${from}-${to}.json`);
+  const markdownPath = path.join(diffsDir, `${from}-${to}.md`);
+  fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+  fs.writeFileSync(markdownPath, renderVersionDiffMarkdown(report, options.title));
+
+  return { report, jsonPath, markdownPath };
+}
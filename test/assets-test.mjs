@@ -0,0 +1,147 @@
+/**
+ * Test image downloads into assets/ and embedded video placeholders
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ASSETS_DIR, AssetStore, extractImageUrls, replaceEmbeddedMedia } from '../src/assets.mjs';
+import { SitefinityCrawler } from '../src/crawler.mjs';
+import { Logger } from '../src/logger.mjs';
+import { regenerateMarkdown } from '../src/regenerate.mjs';
+
+const baseUrl = 'https://www.progress.com/documentation/sitefinity-cms';
+const pageUrl = `${baseUrl}/setup/install`;
+
+/**
+ * Fetcher that answers from a table and counts requests
+ * @param {Record<string, {contentType: string, body: string} | number>} responses - Response (or HTTP status) per URL
+ * @returns {import('../src/http.mjs').Fetcher & {requests: string[]}}
+ */
+function stubFetcher(responses) {
+  /** @type {string[]} */
+  const requests = [];
+  /** @type {import('../src/http.mjs').Fetcher} */
+  const fetcher = async url => {
+    requests.push(url);
+    const response = responses[url];
+    if (response === undefined || typeof response === 'number') {
+      return { status: response || 404, ok: false, headers: {}, body: Buffer.from('') };
+    }
+    return { status: 200, ok: true, headers: { 'content-type': response.contentType }, body: Buffer.from(response.body) };
+  };
+  return Object.assign(fetcher, { requests });
+}
+
+test('Assets - embedded videos become link placeholders, other iframes are dropped', () => {
+  const html = [
+    '<iframe src="https://www.youtube.com/embed/abc-123?rel=0" title="Install &amp; configure"></iframe>',
+    '<iframe src="//player.vimeo.com/video/42"></iframe>',
+    '<iframe src="https://www.googletagmanager.com/ns.html?id=1"></iframe>',
+    '<video controls title="Page editor tour"><source src="/videos/editor.mp4" type="video/mp4"></video>'
+  ].join('\n');
+
+  assert.strictEqual(replaceEmbeddedMedia(html, pageUrl), [
+    '<p class="embedded-video"><a href="https://www.youtube.com/watch?v=abc-123">Video: Install &amp; configure</a></p>',
+    '<p class="embedded-video"><a href="https://vimeo.com/42">Video: Embedded video (player.vimeo.com)</a></p>',
+    '',
+    '<p class="embedded-video"><a href="https://www.progress.com/videos/editor.mp4">Video: Page editor tour</a></p>'
+  ].join('\n'));
+});
+
+test('Assets - images are stored once by content hash and reused from the manifest', async () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'assets-test-'));
+  const assetsDir = path.join(outputDir, 'assets');
+  const fetcher = stubFetcher({
+    [`${baseUrl}/images/diagram.png`]: { contentType: 'image/png', body: 'PNG-1' },
+    'https://cdn.example.com/diagram-copy': { contentType: 'image/png; charset=binary', body: 'PNG-1' },
+    [`${baseUrl}/images/login.html`]: { contentType: 'text/html', body: '<html></html>' }
+  });
+
+  const urls = extractImageUrls([
+    '<img src="../images/diagram.png" alt="Diagram">',
+    '<img src="https://cdn.example.com/diagram-copy">',
+    '<img src="../images/diagram.png">',
+    '<img src="../images/login.html">',
+    '<img src="../images/missing.gif">',
+    '<img src="data:image/gif;base64,R0lGOD">'
+  ].join(''), pageUrl);
+  assert.strictEqual(urls.length, 4, 'Duplicates and data: URIs are skipped');
+
+  const store = new AssetStore(assetsDir, fetcher, new Logger({ level: 'error' }));
+  await store.download(urls);
+
+  const file = store.lookup(`${baseUrl}/images/diagram.png`);
+  assert.match(file || '', /^[0-9a-f]{16}\.png$/);
+  assert.strictEqual(store.lookup('https://cdn.example.com/diagram-copy'), file, 'Same bytes, same file');
+  assert.strictEqual(store.lookup(`${baseUrl}/images/login.html`), null, 'Non-images are not stored');
+  assert.deepStrictEqual(store.counts, { downloaded: 2, reused: 0, failed: 2 });
+  assert.deepStrictEqual(fs.readdirSync(assetsDir).sort(), [file, 'manifest.json'].sort());
+
+  const reloaded = new AssetStore(assetsDir, fetcher, new Logger({ level: 'error' }));
+  reloaded.load();
+  const requestsBefore = fetcher.requests.length;
+  await reloaded.download([`${baseUrl}/images/diagram.png`]);
+  assert.strictEqual(fetcher.requests.length, requestsBefore, 'Downloaded images are not fetched again');
+  assert.strictEqual(reloaded.counts.reused, 1);
+});
+
+test('Assets - failed downloads are not retried in the same run, every download waits for the throttle', async () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'assets-test-'));
+  const fetcher = stubFetcher({ [`${baseUrl}/images/diagram.png`]: { contentType: 'image/png', body: 'PNG-1' } });
+  let throttled = 0;
+  const store = new AssetStore(path.join(outputDir, 'assets'), fetcher, new Logger({ level: 'error' }), async () => {
+    throttled++;
+  });
+
+  await store.download([`${baseUrl}/images/broken.png`, `${baseUrl}/images/diagram.png`]);
+  await store.download([`${baseUrl}/images/broken.png`]);
+  await store.download([`${baseUrl}/images/broken.png`, `${baseUrl}/images/diagram.png`]);
+
+  assert.deepStrictEqual(fetcher.requests, [`${baseUrl}/images/broken.png`, `${baseUrl}/images/diagram.png`], 'Each image is requested once');
+  assert.strictEqual(throttled, 2);
+  assert.deepStrictEqual(store.counts, { downloaded: 1, reused: 1, failed: 3 });
+});
+
+test('Assets - markdown points at local copies, keeps alt text and captions, survives regenerate', async () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'assets-test-'));
+  const crawler = new SitefinityCrawler({
+    outputDir,
+    checkpointInterval: 0,
+    logger: new Logger({ level: 'error' }),
+    fetcher: stubFetcher({ [`${baseUrl}/setup/images/setup.svg`]: { contentType: 'image/svg+xml', body: '<svg/>' } })
+  });
+  fs.mkdirSync(crawler.progressDir, { recursive: true });
+
+  const content = {
+    url: pageUrl,
+    title: 'Install',
+    heading: 'Install',
+    text: '',
+    html: [
+      '<figure><img alt="Setup wizard" src="images/setup.svg"><figcaption>The setup wizard</figcaption></figure>',
+      '<img alt="Offline" src="images/offline.png">'
+    ].join(''),
+    breadcrumb: []
+  };
+  crawler.crawlDelayMs = 1;
+  await crawler.localizeAssets(content);
+  assert.ok(crawler.nextFetchAt > 0, 'Image downloads take crawl delay slots');
+  crawler.saveContent(content);
+
+  const mdPath = path.join(crawler.progressDir, 'setup_install.md');
+  const file = crawler.assets.lookup(`${baseUrl}/setup/images/setup.svg`);
+  const expected = new RegExp(`!\\[Setup wizard\\]\\(\\.\\./assets/${file}\\)\\n\\n\\*The setup wizard\\*`);
+  assert.match(fs.readFileSync(mdPath, 'utf-8'), expected);
+  assert.match(fs.readFileSync(mdPath, 'utf-8'), new RegExp(`!\\[Offline\\]\\(${baseUrl}/setup/images/offline\\.png\\)`), 'Failed downloads stay online');
+  assert.ok(fs.existsSync(path.join(outputDir, 'assets', file || '')));
+
+  await regenerateMarkdown({ outputDir });
+  assert.match(fs.readFileSync(mdPath, 'utf-8'), expected);
+
+  const llmsFull = fs.readFileSync(path.join(outputDir, 'llms-full.txt'), 'utf-8');
+  assert.ok(llmsFull.includes(`![Setup wizard](${baseUrl}/setup/images/setup.svg)`), 'llms-full.txt is outside progress/ and links the image URL');
+  assert.ok(!llmsFull.includes(`../${ASSETS_DIR}/`));
+});
@@ -1,56 +1,62 @@
 /**
- * Test breadcrumb extraction functionality
+ * Test breadcrumb extraction functionality against the local fixture site
+ * (in Chromium when it is installed, otherwise in the DOM-backed test browser)
  */
 
 import { test } from 'node:test';
 import assert from 'node:assert';
 import { chromium } from 'playwright';
 import { extractBreadcrumb } from '../src/crawler.mjs';
+import { startFixtureSite } from './fixtures/fixture-site.mjs';
+import { createDomBrowser, hasChromium } from './fixtures/dom-browser.mjs';
 
-test('Breadcrumb extraction - nested page', async () => {
-  const browser = await chromium.launch({ headless: true });
-  const context = await browser.newContext();
-  const page = await context.newPage();
-
-  await page.goto('https://www.progress.com/documentation/sitefinity-cms/renderer-proxy-logic', {
-    waitUntil: 'domcontentloaded',
-    timeout: 60000
-  });
-
-  const breadcrumb = await extractBreadcrumb(page);
+/**
+ * Load a fixture page and extract its breadcrumb
+ * @param {string} pagePath - Page path below the fixture base URL
+ * @returns {Promise<string[]>}
+ */
+async function breadcrumbOf(pagePath) {
+  const site = await startFixtureSite();
+  const browser = hasChromium() ? await chromium.launch({ headless: true }) : createDomBrowser();
+  try {
+    const context = await browser.newContext();
+    const page = await context.newPage();
+
+    await page.goto(`${site.baseUrl}${pagePath}`, {
+      waitUntil: 'domcontentloaded',
+      timeout: 60000
+    });
+
+    return await extractBreadcrumb(page);
+  } finally {
+    await browser.close();
+    await site.close();
+  }
+}
 
-  await browser.close();
+test('Breadcrumb extraction - nested page', async () => {
+  const breadcrumb = await breadcrumbOf('/install-sitefinity');
 
   assert.ok(Array.isArray(breadcrumb), 'Breadcrumb should be an array');
   assert.ok(breadcrumb.length > 0, 'Breadcrumb should not be empty');
   assert.strictEqual(breadcrumb[0], 'Home', 'First breadcrumb should be Home');
   assert.strictEqual(
     breadcrumb[breadcrumb.length - 1],
-    'ASP.NET Core Renderer as a proxy',
+    'Install Sitefinity',
     'Last breadcrumb should be current page'
   );
+  assert.deepStrictEqual(breadcrumb, ['Home', 'Setup', 'Install Sitefinity']);
 });
 
 test('Breadcrumb extraction - top level page', async () => {
-  const browser = await chromium.launch({ headless: true });
-  const context = await browser.newContext();
-  const page = await context.newPage();
-
-  await page.goto('https://www.progress.com/documentation/sitefinity-cms/architecture-renderer', {
-    waitUntil: 'domcontentloaded',
-    timeout: 60000
-  });
-
-  const breadcrumb = await extractBreadcrumb(page);
-
-  await browser.close();
+  const breadcrumb = await breadcrumbOf('/widgets');
 
   assert.ok(Array.isArray(breadcrumb), 'Breadcrumb should be an array');
   assert.ok(breadcrumb.length > 0, 'Breadcrumb should not be empty');
   assert.strictEqual(breadcrumb[0], 'Home', 'First breadcrumb should be Home');
   assert.strictEqual(
     breadcrumb[breadcrumb.length - 1],
-    'Three-tier architecture',
+    'Widgets',
     'Last breadcrumb should be current page'
   );
 });
@@ -0,0 +1,123 @@
+/**
+ * Test HTTP status checks, referrer tracking and the broken-link report
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SitefinityCrawler, createTurndownService, savePageContent } from '../src/crawler.mjs';
+import { buildBrokenLinkReport, renderBrokenLinksMarkdown } from '../src/broken-links.mjs';
+
+const baseUrl = 'https://www.progress.com/documentation/sitefinity-cms';
+
+/**
+ * Give the crawler a fake browser context whose pages answer from a status table
+ * @param {SitefinityCrawler} crawler - Crawler under test
+ * @param {Record<string, number | Error>} responses - HTTP status (or thrown error) per URL
+ * @returns {void}
+ */
+function stubContext(crawler, responses) {
+  crawler.context = /** @type {any} */ ({
+    newPage: async () => {
+      let currentUrl = 'about:blank';
+      return {
+        goto: async (/** @type {string} */ url) => {
+          const outcome = responses[url];
+          if (outcome instanceof Error) {
+            throw outcome;
+          }
+          currentUrl = url;
+          return {
+            status: () => outcome,
+            ok: () => outcome >= 200 && outcome < 300,
+            statusText: () => (outcome === 404 ? 'Not Found' : 'Internal Server Error'),
+            allHeaders: async () => ({})
+          };
+        },
+        url: () => currentUrl,
+        close: async () => {}
+      };
+    }
+  });
+}
+
+test('Broken links - error responses are reported with referrers and never saved', async () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'broken-links-test-'));
+  const crawler = new SitefinityCrawler({ outputDir, maxPages: Infinity, checkpointInterval: 0 });
+  fs.mkdirSync(crawler.progressDir, { recursive: true });
+
+  // A page saved by an earlier crawl that is gone now
+  savePageContent(
+    { url: `${baseUrl}/retired`, title: 'Retired', heading: 'Retired', text: '', html: '<p>Old</p>' },
+    crawler.progressDir,
+    createTurndownService(),
+    []
+  );
+  crawler.previousPages.set(`${baseUrl}/retired`, 'Retired');
+
+  crawler.enqueue([`${baseUrl}/missing`, `${baseUrl}/retired`, `${baseUrl}/flaky`], `${baseUrl}/install`);
+  crawler.enqueue([`${baseUrl}/missing`], `${baseUrl}/upgrade`);
+  stubContext(crawler, {
+    [`${baseUrl}/missing`]: 404,
+    [`${baseUrl}/retired`]: 404,
+    [`${baseUrl}/flaky`]: new Error('net::ERR_CONNECTION_RESET')
+  });
+
+  const originalLog = console.log;
+  const originalError = console.error;
+  console.log = () => {};
+  console.error = () => {};
+  try {
+    for (const url of Array.from(crawler.urlQueue)) {
+      await crawler.crawlPage(url);
+    }
+  } finally {
+    console.log = originalLog;
+    console.error = originalError;
+  }
+
+  assert.deepStrictEqual(crawler.statusCounts, { 404: 2, failed: 1 });
+  assert.ok(!fs.existsSync(path.join(crawler.progressDir, 'retired.json')), 'Gone page loses its saved copy');
+  assert.ok(!fs.existsSync(path.join(crawler.progressDir, 'missing.json')), 'Error pages are not saved');
+
+  const report = crawler.writeBrokenLinkReport();
+  assert.deepStrictEqual(report.links.map(link => [link.url, link.status, link.referrers]), [
+    [`${baseUrl}/missing`, 404, [`${baseUrl}/install`, `${baseUrl}/upgrade`]],
+    [`${baseUrl}/flaky`, null, [`${baseUrl}/install`]],
+    [`${baseUrl}/retired`, 404, [`${baseUrl}/install`]]
+  ]);
+  assert.strictEqual(report.links[1].error, 'net::ERR_CONNECTION_RESET');
+  assert.ok(fs.existsSync(path.join(outputDir, 'broken-links.json')));
+  assert.match(fs.readFileSync(path.join(outputDir, 'broken-links.md'), 'utf-8'), /- \*\*Status:\*\* HTTP 404 Not Found/);
+
+  const changes = crawler.buildChangeReport(false);
+  assert.deepStrictEqual(changes.changes.map(change => [change.kind, change.url]), [['removed', `${baseUrl}/retired`]]);
+});
+
+test('Broken links - report order and markdown rendering', () => {
+  const referrers = new Map([[`${baseUrl}/old`, new Set([`${baseUrl}/b`, `${baseUrl}/a`])]]);
+  const report = buildBrokenLinkReport(
+    new Map([
+      [`${baseUrl}/old`, { status: 410, error: 'Gone', finalUrl: `${baseUrl}/old/` }],
+      [`${baseUrl}/start`, { status: 500, error: null, finalUrl: null }]
+    ]),
+    referrers,
+    baseUrl
+  );
+
+  assert.strictEqual(report.count, 2);
+  assert.deepStrictEqual(report.links[0].referrers, [`${baseUrl}/a`, `${baseUrl}/b`]);
+
+  const markdown = renderBrokenLinksMarkdown(report, 'Docs');
+  assert.match(markdown, /^# Docs: Broken Links$/m);
+  assert.match(markdown, /- \*\*Redirected to:\*\* .*\/old\/$/m);
+  assert.match(markdown, /- \*\*Linked from \(2\):\*\*\n {2}- .*\/a\n {2}- .*\/b/);
+  assert.match(markdown, /- \*\*Linked from:\*\* no crawled page/);
+  assert.strictEqual(renderBrokenLinksMarkdown({ ...report, count: 0, links: [] }, 'Docs').includes('No broken links found.'), true);
+
+  const crawler = new SitefinityCrawler({ outputDir: './test-output' });
+  crawler.recordReferrer(`${baseUrl}/page`, `${baseUrl}/page`);
+  assert.strictEqual(crawler.referrers.size, 0, 'Self-links are not referrers');
+});
@@ -0,0 +1,163 @@
+/**
+ * Test content-hash change detection and conditional revalidation
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SitefinityCrawler, createTurndownService, hashContent, markdownDocumentBody, savePageContent } from '../src/crawler.mjs';
+
+const baseUrl = 'https://www.progress.com/documentation/sitefinity-cms';
+
+/**
+ * @param {string} html - Cleaned HTML
+ * @returns {import('../src/crawler.mjs').ExtractedContent}
+ */
+function pageContent(html) {
+  return {
+    url: `${baseUrl}/install`,
+    title: 'Install',
+    heading: 'Install Sitefinity',
+    text: 'Install steps',
+    html,
+    breadcrumb: ['Sitefinity CMS', 'Install']
+  };
+}
+
+/**
+ * @returns {string} Fresh temp directory
+ */
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'change-detection-test-'));
+}
+
+test('Change detection - new, unchanged and changed saves', async () => {
+  const dir = tempDir();
+  const turndownService = createTurndownService();
+  /** @type {string[]} */
+  const markdown = [];
+
+  const first = savePageContent(pageContent('<p>Step one</p>'), dir, turndownService, markdown, {
+    validators: { etag: '"v1"', lastModified: null }
+  });
+  assert.deepStrictEqual(first, { filename: 'install.json', status: 'new' });
+
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, 'install.json'), 'utf-8'));
+  assert.strictEqual(saved.htmlHash, hashContent('<p>Step one</p>'));
+  assert.strictEqual(saved.markdownHash, hashContent(markdownDocumentBody(fs.readFileSync(path.join(dir, 'install.md'), 'utf-8'))), 'The header is not hashed');
+  assert.strictEqual(saved.etag, '"v1"');
+  assert.strictEqual(saved.lastChangedAt, saved.lastCheckedAt);
+
+  // Backdate the page so a later check is distinguishable
+  saved.lastChangedAt = '2025-01-01T00:00:00.000Z';
+  fs.writeFileSync(path.join(dir, 'install.json'), JSON.stringify(saved));
+  const mdMtime = fs.statSync(path.join(dir, 'install.md')).mtimeMs;
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  const second = savePageContent(pageContent('<p>Step one</p>'), dir, turndownService, markdown);
+  assert.strictEqual(second.status, 'unchanged');
+  const checked = JSON.parse(fs.readFileSync(path.join(dir, 'install.json'), 'utf-8'));
+  assert.strictEqual(checked.lastChangedAt, '2025-01-01T00:00:00.000Z', 'lastChangedAt is kept');
+  assert.notStrictEqual(checked.lastCheckedAt, checked.lastChangedAt);
+  assert.strictEqual(fs.statSync(path.join(dir, 'install.md')).mtimeMs, mdMtime, 'Markdown is not rewritten');
+
+  const third = savePageContent(pageContent('<p>Step one, revised</p>'), dir, turndownService, markdown);
+  assert.strictEqual(third.status, 'changed');
+  const changed = JSON.parse(fs.readFileSync(path.join(dir, 'install.json'), 'utf-8'));
+  assert.strictEqual(changed.lastChangedAt, changed.lastCheckedAt);
+  assert.match(fs.readFileSync(path.join(dir, 'install.md'), 'utf-8'), /revised/);
+  assert.strictEqual(markdown.length, 3, 'Every save contributes to llms-full.txt');
+});
+
+test('Change detection - pages saved without hashes compare against files on disk', () => {
+  const dir = tempDir();
+  const turndownService = createTurndownService();
+  savePageContent(pageContent('<p>Legacy</p>'), dir, turndownService, []);
+
+  // Strip the new fields to simulate an output tree from an older crawler
+  const jsonPath = path.join(dir, 'install.json');
+  const { htmlHash, markdownHash, lastChangedAt, ...legacy } = JSON.parse(fs.readFileSync(jsonPath, 'utf-8'));
+  legacy.crawledAt = '2025-01-01T00:00:00.000Z';
+  fs.writeFileSync(jsonPath, JSON.stringify(legacy));
+
+  const result = savePageContent(pageContent('<p>Legacy</p>'), dir, turndownService, []);
+  assert.strictEqual(result.status, 'unchanged');
+  assert.strictEqual(JSON.parse(fs.readFileSync(jsonPath, 'utf-8')).lastChangedAt, '2025-01-01T00:00:00.000Z');
+});
+
+test('Change detection - an output tree from before change detection is compared by its markdown body', async () => {
+  const dir = tempDir();
+  const turndownService = createTurndownService();
+  const jsonPath = path.join(dir, 'install.json');
+  const mdPath = path.join(dir, 'install.md');
+
+  // Files as the crawler wrote them before hashes, validators and YAML frontmatter
+  const content = pageContent('<p>Legacy</p>');
+  fs.writeFileSync(jsonPath, JSON.stringify({
+    url: content.url,
+    title: content.title,
+    heading: content.heading,
+    breadcrumb: content.breadcrumb,
+    text: content.text,
+    crawledAt: '2025-01-01T00:00:00.000Z'
+  }, null, 2));
+  fs.writeFileSync(path.join(dir, 'install.html'), content.html);
+  fs.writeFileSync(mdPath, [
+    '# Install Sitefinity',
+    `**URL:** ${content.url}`,
+    '**Breadcrumb:** Sitefinity CMS > Install',
+    '---',
+    'Legacy'
+  ].join('\n'));
+  const mdMtime = fs.statSync(mdPath).mtimeMs;
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  const result = savePageContent(content, dir, turndownService, []);
+  assert.strictEqual(result.status, 'unchanged');
+  const saved = JSON.parse(fs.readFileSync(jsonPath, 'utf-8'));
+  assert.strictEqual(saved.lastChangedAt, '2025-01-01T00:00:00.000Z');
+  assert.strictEqual(saved.markdownHash, hashContent('Legacy'));
+  assert.strictEqual(fs.statSync(mdPath).mtimeMs, mdMtime, 'Markdown is not rewritten');
+
+  const yaml = savePageContent(content, dir, turndownService, [], { header: { style: 'yaml' } });
+  assert.strictEqual(yaml.status, 'changed', 'A new header style rewrites the file');
+  assert.match(fs.readFileSync(mdPath, 'utf-8'), /^---\n/);
+});
+
+test('Change detection - 304 reuses the saved page, 200 falls through', async () => {
+  const outputDir = tempDir();
+  /** @type {{method?: string, headers?: Record<string, string>}[]} */
+  const requests = [];
+  let status = 304;
+
+  const crawler = new SitefinityCrawler({
+    outputDir,
+    fetcher: async (_url, init = {}) => {
+      requests.push(init);
+      return { status, ok: status === 200, headers: { etag: '"v1"' }, body: Buffer.from('') };
+    }
+  });
+  fs.mkdirSync(crawler.progressDir, { recursive: true });
+
+  assert.strictEqual(await crawler.revalidate(`${baseUrl}/install`), false, 'Nothing saved yet');
+
+  crawler.saveContent(
+    pageContent(`<p>See <a href="${baseUrl}/upgrade">upgrade</a></p>`),
+    { etag: '"v1"', lastModified: 'Wed, 01 Oct 2025 00:00:00 GMT' }
+  );
+  crawler.allMarkdownContent = [];
+
+  assert.strictEqual(await crawler.revalidate(`${baseUrl}/install`), true);
+  assert.deepStrictEqual(requests[0], {
+    method: 'HEAD',
+    headers: { 'If-None-Match': '"v1"', 'If-Modified-Since': 'Wed, 01 Oct 2025 00:00:00 GMT' }
+  }, 'A conditional HEAD never downloads a changed page, the browser loads it once');
+  assert.strictEqual(crawler.allMarkdownContent.length, 1);
+  assert.deepStrictEqual(Array.from(crawler.urlQueue), [`${baseUrl}/upgrade`]);
+  assert.deepStrictEqual(crawler.changeCounts, { new: 1, changed: 0, unchanged: 1 });
+
+  status = 200;
+  assert.strictEqual(await crawler.revalidate(`${baseUrl}/install`), false);
+});
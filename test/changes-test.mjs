@@ -0,0 +1,118 @@
+/**
+ * Test the crawl-to-crawl change report
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SitefinityCrawler } from '../src/crawler.mjs';
+import { mergeChangeHistory, renderAtomFeed, unifiedDiff } from '../src/changes.mjs';
+
+const baseUrl = 'https://www.progress.com/documentation/sitefinity-cms';
+
+test('Changes - unified diff with hunks and context', () => {
+  const oldText = ['# Title', 'a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j'].join('\n');
+  const newText = ['# Title', 'a', 'B', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j', 'k'].join('\n');
+
+  assert.strictEqual(unifiedDiff(oldText, oldText), '', 'Equal texts have no diff');
+  assert.strictEqual(unifiedDiff(oldText, newText, { fromFile: 'a/page.md', toFile: 'b/page.md' }), [
+    '--- a/page.md',
+    '+++ b/page.md',
+    '@@ -1,6 +1,6 @@',
+    ' # Title',
+    ' a',
+    '-b',
+    '+B',
+    ' c',
+    ' d',
+    ' e',
+    '@@ -9,3 +9,4 @@',
+    ' h',
+    ' i',
+    ' j',
+    '+k'
+  ].join('\n'));
+});
+
+test('Changes - Atom feed escapes content and links entries', () => {
+  const feed = renderAtomFeed([
+    { kind: 'changed', url: `${baseUrl}/install?a=1&b=2`, title: 'Install <v15>', detectedAt: '2025-10-29T00:00:00.000Z', diff: '-<old>\n+<new>', linesAdded: 1, linesRemoved: 1 },
+    { kind: 'redirected', url: `${baseUrl}/old`, title: 'Old', redirectTo: `${baseUrl}/new`, detectedAt: '2025-10-28T00:00:00.000Z' }
+  ], { title: 'Sitefinity CMS Documentation Changes', link: baseUrl });
+
+  assert.match(feed, /<feed xmlns="http:\/\/www.w3.org\/2005\/Atom">/);
+  assert.match(feed, /<updated>2025-10-29T00:00:00.000Z<\/updated>/);
+  assert.match(feed, /<title>Changed: Install &lt;v15&gt;<\/title>/);
+  assert.match(feed, /install\?a=1&amp;b=2/);
+  assert.match(feed, /<content type="text">-&lt;old&gt;\n\+&lt;new&gt;<\/content>/);
+  assert.match(feed, new RegExp(`<link href="${baseUrl}/new"/>`), 'Redirect entries link to the target');
+});
+
+test('Changes - history keeps the newest entries', () => {
+  const entry = (/** @type {number} */ n) => ({ kind: /** @type {'added'} */ ('added'), url: `${baseUrl}/${n}`, title: '', detectedAt: '' });
+  const history = mergeChangeHistory([entry(1), entry(2)], [entry(3)], 2);
+  assert.deepStrictEqual(history.map(change => change.url), [`${baseUrl}/3`, `${baseUrl}/1`]);
+});
+
+test('Changes - report of added, changed, removed and redirected pages', () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'changes-test-'));
+  const crawler = new SitefinityCrawler({ outputDir });
+  fs.mkdirSync(crawler.progressDir, { recursive: true });
+
+  /**
+   * @param {string} slug - URL path below the base URL
+   * @param {string} html - Cleaned HTML
+   */
+  const save = (slug, html) => crawler.saveContent({ url: `${baseUrl}/${slug}`, title: slug, heading: slug, text: '', html });
+
+  // Previous crawl
+  save('install', '<p>Step one</p>');
+  save('upgrade', '<p>Upgrade</p>');
+  save('legacy', '<p>Legacy</p>');
+  save('moved', '<p>Moved</p>');
+  crawler.previousPages = new Map([
+    [`${baseUrl}/install`, 'install'],
+    [`${baseUrl}/upgrade`, 'upgrade'],
+    [`${baseUrl}/legacy`, 'legacy'],
+    [`${baseUrl}/moved`, 'moved']
+  ]);
+  crawler.pageChanges = [];
+
+  // This crawl
+  save('install', '<p>Step one</p><p>Step two</p>');
+  save('upgrade', '<p>Upgrade</p>');
+  save('licensing', '<p>Licensing</p>');
+  crawler.saveRedirectToCache(`${baseUrl}/moved`, `${baseUrl}/licensing`);
+  for (const slug of ['install', 'upgrade', 'licensing', 'moved']) {
+    crawler.visited.add(`${baseUrl}/${slug}`);
+  }
+
+  const report = crawler.writeChangeReport(true);
+  assert.deepStrictEqual(report.counts, { added: 1, removed: 1, changed: 1, redirected: 1, unchanged: 1 });
+  assert.deepStrictEqual(report.changes.map(change => [change.kind, change.url]), [
+    ['changed', `${baseUrl}/install`],
+    ['added', `${baseUrl}/licensing`],
+    ['removed', `${baseUrl}/legacy`],
+    ['redirected', `${baseUrl}/moved`]
+  ]);
+
+  const changed = report.changes[0];
+  assert.match(changed.diff || '', /^\+Step two$/m);
+  assert.strictEqual(changed.linesAdded, 2, 'Blank separator line and the new paragraph');
+  assert.strictEqual(changed.linesRemoved, 0);
+
+  const changesMd = fs.readFileSync(path.join(outputDir, 'CHANGES.md'), 'utf-8');
+  assert.match(changesMd, /## Changed \(1\)/);
+  assert.match(changesMd, /```diff\n--- a\/install.md/);
+  assert.match(changesMd, new RegExp(`- ${baseUrl}/moved → ${baseUrl}/licensing`));
+  assert.ok(fs.existsSync(path.join(outputDir, 'changes.json')));
+  assert.match(fs.readFileSync(path.join(outputDir, 'changes.atom'), 'utf-8'), /<entry>/);
+
+  // Incomplete crawls do not claim removals; the feed keeps earlier entries
+  const partial = crawler.writeChangeReport(false);
+  assert.strictEqual(partial.counts.removed, 0);
+  const history = JSON.parse(fs.readFileSync(path.join(outputDir, 'change-history.json'), 'utf-8'));
+  assert.strictEqual(history.length, 7);
+});
@@ -0,0 +1,127 @@
+/**
+ * Test heading-based chunking for the RAG export
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { chunkMarkdown, estimateTokens, headingAnchors, slugify } from '../src/chunks.mjs';
+import { createTurndownService, savePageContent } from '../src/crawler.mjs';
+import { main, EXIT_CODES } from '../src/cli.mjs';
+
+const baseUrl = 'https://www.progress.com/documentation/sitefinity-cms';
+
+/**
+ * @param {number} words - Number of words
+ * @param {string} [word] - Word to repeat
+ * @returns {string} Sentence of the given length
+ */
+function sentence(words, word = 'lorem') {
+  return `${Array(words).fill(word).join(' ')}.`;
+}
+
+test('Chunks - one chunk per heading section with heading paths and anchors', () => {
+  const markdown = [
+    'Intro paragraph.',
+    '',
+    '## Prerequisites',
+    '',
+    'You need .NET.',
+    '',
+    '### Database',
+    '',
+    'SQL Server 2019.',
+    '',
+    '## Install',
+    '',
+    'Run the installer.'
+  ].join('\n');
+
+  const chunks = chunkMarkdown(markdown, {
+    title: 'Install Sitefinity',
+    anchors: new Map([['prerequisites', 'prereq-section']])
+  });
+
+  assert.deepStrictEqual(chunks.map(chunk => [chunk.headingPath, chunk.anchor]), [
+    [['Install Sitefinity'], ''],
+    [['Install Sitefinity', 'Prerequisites'], 'prereq-section'],
+    [['Install Sitefinity', 'Prerequisites', 'Database'], 'database'],
+    [['Install Sitefinity', 'Install'], 'install']
+  ]);
+  assert.strictEqual(chunks[2].text, '### Database\n\nSQL Server 2019.');
+  assert.strictEqual(chunks[2].tokens, estimateTokens(chunks[2].text));
+});
+
+test('Chunks - long sections split with overlap', () => {
+  const paragraphs = [sentence(60, 'alpha'), sentence(60, 'beta'), sentence(60, 'gamma'), sentence(60, 'delta')];
+  const markdown = ['## Long', '', ...paragraphs.flatMap(paragraph => [paragraph, ''])].join('\n');
+
+  const chunks = chunkMarkdown(markdown, { chunkSize: 200, overlap: 100 });
+
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(chunk.tokens <= 200, `Chunk of ${chunk.tokens} tokens exceeds the chunk size`);
+    assert.deepStrictEqual(chunk.headingPath, ['Long']);
+  }
+  assert.ok(chunks[0].text.startsWith('## Long'));
+  const lastOfFirst = chunks[0].text.split('\n\n').pop();
+  assert.ok(chunks[1].text.startsWith(lastOfFirst || '-'), 'Next chunk repeats the tail of the previous one');
+});
+
+test('Chunks - code blocks and tables are never split', () => {
+  const code = ['```csharp', ...Array(80).fill('var page = PageManager.GetManager();'), '', '## Not a heading', '```'].join('\n');
+  const table = ['| Setting | Value |', '| --- | --- |', ...Array(60).fill('| cacheProfile | Default |')].join('\n');
+  const markdown = ['## Code', '', 'Before.', '', code, '', 'After.', '', '## Table', '', table].join('\n');
+
+  const chunks = chunkMarkdown(markdown, { chunkSize: 100, overlap: 0 });
+
+  assert.ok(chunks.some(chunk => chunk.text.includes(code)), 'Code block kept whole');
+  assert.ok(chunks.some(chunk => chunk.text.includes(table)), 'Table kept whole');
+  assert.ok(!chunks.some(chunk => chunk.headingPath.includes('Not a heading')), 'Headings inside code are not sections');
+});
+
+test('Chunks - anchors from HTML heading ids and slugs', () => {
+  const anchors = headingAnchors('<h2 id="install-the-nuget-packages">Install the <code>NuGet</code> packages</h2><h3>No id</h3>');
+  assert.deepStrictEqual(Array.from(anchors), [['install the nuget packages', 'install-the-nuget-packages']]);
+  assert.strictEqual(slugify('Configure **SSL** & HTTPS (IIS)'), 'configure-ssl-https-iis');
+});
+
+test('Chunks - export --format chunks writes JSON lines', async () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chunks-test-'));
+  const progressDir = path.join(outputDir, 'progress');
+  fs.mkdirSync(progressDir);
+  savePageContent({
+    url: `${baseUrl}/152/install`,
+    title: 'Install',
+    heading: 'Install Sitefinity',
+    text: '',
+    html: '<h1>Install Sitefinity</h1><p>Overview.</p><h2 id="steps">Steps</h2><p>Run it.</p>',
+    breadcrumb: ['Sitefinity CMS', 'Install']
+  }, progressDir, createTurndownService(), []);
+
+  const out = path.join(outputDir, 'chunks.jsonl');
+  assert.strictEqual(await main(['export', '--format', 'chunks', '--output-dir', outputDir, '--out', out]), EXIT_CODES.OK);
+
+  const records = fs.readFileSync(out, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+  assert.strictEqual(records.length, 2);
+  assert.deepStrictEqual(records[1], {
+    id: `${baseUrl}/152/install#steps:1`,
+    url: `${baseUrl}/152/install`,
+    title: 'Install',
+    headingPath: ['Install Sitefinity', 'Steps'],
+    breadcrumb: ['Sitefinity CMS', 'Install'],
+    anchor: 'steps',
+    version: '152',
+    chunkIndex: 1,
+    tokens: records[1].tokens,
+    text: records[1].text
+  });
+  assert.match(records[1].text, /Run it\./);
+
+  assert.strictEqual(
+    await main(['export', '--format', 'chunks', '--chunk-size', '50', '--chunk-overlap', '50', '--output-dir', outputDir]),
+    EXIT_CODES.USAGE
+  );
+});
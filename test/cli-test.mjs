@@ -0,0 +1,135 @@
+/**
+ * Test the sitefinity-docs CLI: settings precedence, exit codes and offline commands
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { main, resolveSettings, buildProfiles, EXIT_CODES } from '../src/cli.mjs';
+
+/**
+ * Create a minimal crawl output directory with one saved page
+ * @returns {string} Output directory
+ */
+function createOutputDir() {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-test-'));
+  const progressDir = path.join(outputDir, 'progress');
+  fs.mkdirSync(progressDir);
+
+  fs.writeFileSync(path.join(progressDir, 'install.json'), JSON.stringify({
+    url: 'https://www.progress.com/documentation/sitefinity-cms/install',
+    title: 'Install',
+    heading: 'Install Sitefinity',
+    breadcrumb: ['Home', 'Setup', 'Install Sitefinity'],
+    text: 'Install it.',
+    crawledAt: '2025-10-29T00:00:00.000Z'
+  }));
+  fs.writeFileSync(path.join(progressDir, 'install.html'), '<h1>Install Sitefinity</h1><p>Install it.</p>');
+  fs.writeFileSync(path.join(progressDir, 'install.md'), '# Install Sitefinity\n\nInstall it.');
+  fs.writeFileSync(path.join(outputDir, '_summary.json'), '{}');
+  fs.writeFileSync(path.join(outputDir, 'llms-full.txt'), '# Sitefinity CMS Documentation');
+
+  return outputDir;
+}
+
+test('CLI - flags override environment, environment overrides config file', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-config-'));
+  const configPath = path.join(dir, 'config.json');
+  fs.writeFileSync(configPath, JSON.stringify({ concurrency: 2, maxPages: 10, staleThreshold: 60, outputDir: './from-config' }));
+
+  const settings = resolveSettings(
+    { config: configPath, concurrency: '8' },
+    [],
+    { SITEFINITY_DOCS_MAX_PAGES: '20' }
+  );
+
+  assert.strictEqual(settings.concurrency, 8, 'Flag wins');
+  assert.strictEqual(settings.maxPages, 20, 'Environment beats config file');
+  assert.strictEqual(settings.staleThreshold, 60, 'Config file beats default');
+  assert.strictEqual(settings.outputDir, './from-config');
+  assert.deepStrictEqual(settings.profiles, ['sitefinity-cms']);
+});
+
+test('CLI - on/off settings come from flags, environment or config file', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-config-'));
+  const configPath = path.join(dir, 'config.json');
+  fs.writeFileSync(configPath, JSON.stringify({ useSitemap: false, downloadAssets: true, refetchLowQuality: true }));
+
+  const defaults = resolveSettings({}, [], {});
+  assert.deepStrictEqual(
+    [defaults.respectRobots, defaults.useSitemap, defaults.downloadAssets, defaults.refetchLowQuality],
+    [true, true, true, false]
+  );
+
+  const settings = resolveSettings(
+    { config: configPath, 'ignore-robots': true },
+    [],
+    { SITEFINITY_DOCS_RESPECT_ROBOTS: 'true', SITEFINITY_DOCS_DOWNLOAD_ASSETS: 'no', SITEFINITY_DOCS_REFETCH_LOW_QUALITY: '0' }
+  );
+  assert.strictEqual(settings.respectRobots, false, 'Flag wins');
+  assert.strictEqual(settings.downloadAssets, false, 'Environment beats config file');
+  assert.strictEqual(settings.refetchLowQuality, false);
+  assert.strictEqual(settings.useSitemap, false, 'Config file beats default');
+
+  assert.throws(() => resolveSettings({}, [], { SITEFINITY_DOCS_USE_SITEMAP: 'maybe' }), /useSitemap must be true or false/);
+});
+
+test('CLI - empty numbers are rejected instead of read as 0', () => {
+  assert.throws(() => resolveSettings({ 'max-pages': '' }, [], {}), /maxPages must be a number \(got ""\)/);
+  assert.throws(() => resolveSettings({}, [], { SITEFINITY_DOCS_STALE_THRESHOLD: '  ' }), /staleThreshold must be a number/);
+  assert.strictEqual(resolveSettings({ 'max-pages': '0' }, [], {}).maxPages, 0);
+});
+
+test('CLI - legacy crawl positionals and defaults', () => {
+  const settings = resolveSettings({}, ['100', '3600'], {});
+
+  assert.strictEqual(settings.maxPages, 100);
+  assert.strictEqual(settings.staleThreshold, 3600);
+  assert.strictEqual(settings.concurrency, 4);
+  assert.strictEqual(resolveSettings({}, ['Infinity'], {}).maxPages, Infinity);
+});
+
+test('CLI - several profiles get their own subdirectory of --output-dir', () => {
+  const settings = resolveSettings({ 'output-dir': './out', profile: ['sitefinity-cms,telerik-aspnet-ajax'] }, [], {});
+  const profiles = buildProfiles(settings);
+
+  assert.deepStrictEqual(profiles.map(p => p.outputDir), [
+    path.join('./out', 'sitefinity-cms'),
+    path.join('./out', 'telerik-aspnet-ajax')
+  ]);
+});
+
+test('CLI - usage errors exit with code 2', async () => {
+  assert.strictEqual(await main([]), EXIT_CODES.USAGE);
+  assert.strictEqual(await main(['no-such-command']), EXIT_CODES.USAGE);
+  assert.strictEqual(await main(['stats', '--no-such-flag']), EXIT_CODES.USAGE);
+  assert.strictEqual(await main(['crawl', '--concurrency', '0']), EXIT_CODES.USAGE);
+  assert.strictEqual(await main(['stats', '--profile', 'no-such-profile']), EXIT_CODES.USAGE);
+  assert.strictEqual(await main(['crawl', '10', '7', '2', 'extra']), EXIT_CODES.USAGE);
+  assert.strictEqual(await main(['stats', 'extra']), EXIT_CODES.USAGE);
+  assert.strictEqual(await main(['version-diff', '143', '152', '153']), EXIT_CODES.USAGE);
+  assert.strictEqual(await main(['--help']), EXIT_CODES.OK);
+});
+
+test('CLI - verify passes on consistent output and fails on missing files', async () => {
+  const outputDir = createOutputDir();
+  assert.strictEqual(await main(['verify', '--output-dir', outputDir]), EXIT_CODES.OK);
+
+  fs.unlinkSync(path.join(outputDir, 'progress', 'install.md'));
+  assert.strictEqual(await main(['verify', '--output-dir', outputDir]), EXIT_CODES.VERIFY_FAILED);
+});
+
+test('CLI - stats and export work offline on saved pages', async () => {
+  const outputDir = createOutputDir();
+  const out = path.join(outputDir, 'export', 'llms.txt');
+
+  assert.strictEqual(await main(['stats', '--json', '--output-dir', outputDir]), EXIT_CODES.OK);
+  assert.strictEqual(await main(['export', '--output-dir', outputDir, '--out', out]), EXIT_CODES.OK);
+
+  const exported = fs.readFileSync(out, 'utf-8');
+  assert.ok(exported.startsWith('# Sitefinity CMS Documentation'));
+  assert.ok(exported.includes('# Install Sitefinity'));
+  assert.strictEqual(await main(['export', '--format', 'pdf', '--output-dir', outputDir]), EXIT_CODES.USAGE);
+});
@@ -0,0 +1,72 @@
+/**
+ * Test main content scoping: mainContent selectors, readability fallback and the saved strategy
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import domino from '@mixmark-io/domino';
+import { selectContentRoot } from '../src/content-root.mjs';
+import { DEFAULT_SELECTORS, createTurndownService, savePageContent } from '../src/crawler.mjs';
+
+const PARAGRAPHS = [
+  '<p>Sitefinity CMS stores pages, content items and media in the database, and caches output per page.</p>',
+  '<p>To configure the cache, open Administration, then Settings, and change the output cache profile.</p>',
+  '<p>After saving, restart the application pool so that all nodes in a load-balanced setup pick it up.</p>'
+].join('');
+
+const LINK_LIST = '<div class="toc"><ul>' +
+  Array.from({ length: 8 }, (_, i) => `<li><a href="/docs/page-${i}">Documentation page number ${i}, with a long title</a></li>`).join('') +
+  '</ul></div>';
+
+/**
+ * Parse an HTML fragment into a detached body element
+ * @param {string} html - HTML fragment
+ * @returns {HTMLElement}
+ */
+function body(html) {
+  return domino.createDocument(`<html><body>${html}</body></html>`, true).body;
+}
+
+test('Content root - mainContent selectors are tried in order of preference', () => {
+  const root = body(`<div role="main"><div class="promo">Buy now</div><article>${PARAGRAPHS}</article></div>`);
+  const found = selectContentRoot(root, DEFAULT_SELECTORS.mainContent);
+  assert.strictEqual(found.strategy, 'main-content');
+  assert.strictEqual(found.selector, 'article', 'article is preferred over the enclosing [role="main"]');
+  assert.strictEqual(found.element.tagName, 'ARTICLE');
+
+  const empty = selectContentRoot(body(`<article> </article><div role="main">${PARAGRAPHS}</div>`), DEFAULT_SELECTORS.mainContent);
+  assert.strictEqual(empty.selector, '[role="main"]', 'Containers without text are skipped');
+
+  const quoted = selectContentRoot(body(`<section data-kind="docs,main">${PARAGRAPHS}</section>`), 'main, [data-kind="docs,main"]');
+  assert.strictEqual(quoted.selector, '[data-kind="docs,main"]', 'Commas inside attribute selectors do not split the list');
+});
+
+test('Content root - readability fallback picks the dense text block over link lists', () => {
+  const root = body(`${LINK_LIST}<div class="layout"><div class="column"><h2>Output cache</h2>${PARAGRAPHS}</div></div><div class="footer-links">${LINK_LIST}</div>`);
+  const found = selectContentRoot(root, DEFAULT_SELECTORS.mainContent);
+  assert.strictEqual(found.strategy, 'readability');
+  assert.strictEqual(found.selector, null);
+  assert.strictEqual(found.element.getAttribute('class'), 'column');
+  assert.ok(!found.element.innerHTML.includes('Documentation page number'));
+
+  const short = selectContentRoot(body('<div><span>Page not found</span></div>'), DEFAULT_SELECTORS.mainContent);
+  assert.strictEqual(short.strategy, 'body', 'Nothing stands out on pages without paragraphs');
+});
+
+test('Content root - the strategy is recorded in the page JSON', () => {
+  const progressDir = fs.mkdtempSync(path.join(os.tmpdir(), 'content-root-test-'));
+  const { filename } = savePageContent({
+    url: 'https://www.progress.com/documentation/sitefinity-cms/output-cache',
+    title: 'Output cache',
+    heading: 'Output cache',
+    text: '',
+    html: PARAGRAPHS,
+    extraction: { strategy: 'main-content', selector: 'article' }
+  }, progressDir, createTurndownService(), []);
+
+  const json = JSON.parse(fs.readFileSync(path.join(progressDir, filename), 'utf-8'));
+  assert.deepStrictEqual(json.extraction, { strategy: 'main-content', selector: 'article' });
+});
@@ -0,0 +1,189 @@
+/**
+ * A stand-in for a Playwright browser that loads pages with fetch and evaluates page scripts
+ * against a domino DOM. It covers the part of the Page API that SitefinityCrawler uses (goto,
+ * url, evaluate, waitForLoadState, close) and the context's recordHar option and routeFromHAR,
+ * so whole crawls can run in tests without Chromium. Page scripts never run, subresources are
+ * not loaded and nothing is laid out, so it only fits server-rendered fixtures.
+ */
+
+import fs from 'fs';
+import domino from '@mixmark-io/domino';
+import { chromium } from 'playwright';
+import { HarArchive, harEntryToFetchResult } from '../../src/har.mjs';
+
+/**
+ * @typedef {Object} DomResponse
+ * @property {() => number} status - HTTP status
+ * @property {() => boolean} ok - True for 2xx responses
+ * @property {() => string} statusText - HTTP status text
+ * @property {() => string} url - Final URL after redirects
+ * @property {() => Promise<Record<string, string>>} allHeaders - Lower-cased response headers
+ * @property {() => Promise<Buffer>} body - Response body
+ */
+
+// Browsers give every querySelectorAll result forEach and every element innerText; domino
+// returns plain collections for some selectors and has no innerText
+const probe = domino.createDocument('<p class="probe">probe</p>', true);
+for (const list of [probe.querySelectorAll('.probe'), probe.querySelectorAll('p')]) {
+  const proto = Object.getPrototypeOf(list);
+  if (typeof proto.forEach !== 'function') {
+    proto.forEach = Array.prototype.forEach;
+  }
+}
+const elementProto = Object.getPrototypeOf(Object.getPrototypeOf(probe.body));
+if (!('innerText' in elementProto)) {
+  Object.defineProperty(elementProto, 'innerText', {
+    get() {
+      return this.textContent;
+    }
+  });
+}
+
+/**
+ * Whether Playwright's Chromium is installed, for tests that also run in a real browser
+ * @returns {boolean}
+ */
+export function hasChromium() {
+  try {
+    return fs.existsSync(chromium.executablePath());
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @typedef {Object} DomContext
+ * @property {string | undefined} userAgent - User-Agent header for page requests
+ * @property {HarArchive | null} recording - Archive that page loads are recorded into (recordHar)
+ * @property {HarArchive | null} replay - Archive that page loads are served from (routeFromHAR)
+ */
+
+class DomPage {
+  /**
+   * @param {DomContext} context - Browser context the page belongs to
+   */
+  constructor(context) {
+    this.context = context;
+    this.window = domino.createWindow('', 'about:blank');
+    this.currentUrl = 'about:blank';
+  }
+
+  /**
+   * Request one URL from the network or the replayed archive, without following redirects
+   * @param {string} url - URL to request
+   * @param {number} timeout - Timeout in milliseconds
+   * @returns {Promise<import('../../src/http.mjs').FetchResult & {statusText: string}>}
+   */
+  async request(url, timeout) {
+    const { userAgent, recording, replay } = this.context;
+    if (replay) {
+      const entry = replay.find(url);
+      if (!entry) {
+        throw new Error(`net::ERR_FAILED (not in HAR archive) at ${url}`);
+      }
+      return { ...harEntryToFetchResult(entry), statusText: entry.response.statusText };
+    }
+
+    /** @type {Record<string, string>} */
+    const requestHeaders = userAgent ? { 'User-Agent': userAgent } : {};
+    const startedAt = new Date();
+    const response = await fetch(url, { headers: requestHeaders, redirect: 'manual', signal: AbortSignal.timeout(timeout) });
+
+    /** @type {Record<string, string>} */
+    const headers = {};
+    response.headers.forEach((value, key) => {
+      headers[key.toLowerCase()] = value;
+    });
+    const result = { status: response.status, ok: response.ok, statusText: response.statusText, headers, body: Buffer.from(await response.arrayBuffer()) };
+    recording?.add(url, requestHeaders, result, startedAt);
+    return result;
+  }
+
+  /**
+   * Load a URL, following redirects
+   * @param {string} url - URL to load
+   * @param {{timeout?: number}} [options] - Navigation timeout in milliseconds
+   * @returns {Promise<DomResponse>}
+   */
+  async goto(url, options = {}) {
+    let finalUrl = url;
+    let response = await this.request(finalUrl, options.timeout || 30000);
+    for (let hops = 0; response.status >= 300 && response.status < 400 && response.headers['location'] && hops < 10; hops++) {
+      finalUrl = new URL(response.headers['location'], finalUrl).href;
+      response = await this.request(finalUrl, options.timeout || 30000);
+    }
+
+    this.currentUrl = finalUrl;
+    this.window = domino.createWindow(response.body.toString('utf-8'), finalUrl);
+
+    const { status, ok, statusText, headers, body } = response;
+    return {
+      status: () => status,
+      ok: () => ok,
+      statusText: () => statusText,
+      url: () => finalUrl,
+      allHeaders: async () => headers,
+      body: async () => body
+    };
+  }
+
+  /** @returns {string} */
+  url() {
+    return this.currentUrl;
+  }
+
+  /**
+   * Run a function (with its JSON argument) or an expression against the page, the way
+   * page.evaluate does: `window` and `document` are in scope and the result is serialized
+   * @param {Function | string} pageFunction - Function or expression source
+   * @param {unknown} [arg] - Argument passed to the function
+   * @returns {Promise<any>}
+   */
+  async evaluate(pageFunction, arg) {
+    const source = typeof pageFunction === 'function'
+      ? `(${pageFunction})(${arg === undefined ? '' : JSON.stringify(arg)})`
+      : pageFunction;
+    const result = await new Function('window', 'document', `return (${source});`)(this.window, this.window.document);
+    return result === undefined ? undefined : JSON.parse(JSON.stringify(result));
+  }
+
+  /** @returns {Promise<void>} */
+  async waitForLoadState() {}
+
+  /** @returns {Promise<void>} */
+  async close() {}
+}
+
+/**
+ * Create a browser whose pages are fetched over HTTP and parsed with domino
+ * @returns {import('playwright').Browser}
+ */
+export function createDomBrowser() {
+  const browser = {
+    /**
+     * @param {{userAgent?: string, recordHar?: {path: string}}} [options] - Context options (userAgent and recordHar.path are used)
+     */
+    newContext: async (options = {}) => {
+      /** @type {DomContext} */
+      const context = {
+        userAgent: options.userAgent,
+        recording: options.recordHar ? new HarArchive() : null,
+        replay: null
+      };
+      return {
+        newPage: async () => new DomPage(context),
+        /** @param {string} filepath - HAR file to serve page loads from */
+        routeFromHAR: async (filepath) => {
+          context.replay = new HarArchive().load(filepath);
+        },
+        close: async () => {
+          if (context.recording && options.recordHar) {
+            context.recording.save(options.recordHar.path);
+          }
+        }
+      };
+    },
+    close: async () => {}
+  };
+  return /** @type {any} */ (browser);
+}
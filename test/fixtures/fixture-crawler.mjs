@@ -0,0 +1,68 @@
+/**
+ * Crawlers for the end-to-end tests: each one crawls the fixture site into a temporary
+ * output directory with the DOM browser, and only logs errors. Tests remove the output
+ * directories with removeOutputDirs() when they are done.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SitefinityCrawler } from '../../src/crawler.mjs';
+import { Logger } from '../../src/logger.mjs';
+import { createDomBrowser } from './dom-browser.mjs';
+
+/** @type {Set<string>} - Output directories created by createOutputDir() and not removed yet */
+const outputDirs = new Set();
+
+/**
+ * Create a temporary output directory for a test crawl
+ * @returns {string}
+ */
+export function createOutputDir() {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixture-crawl-'));
+  outputDirs.add(outputDir);
+  return outputDir;
+}
+
+/**
+ * Remove every output directory created by createOutputDir()
+ * @returns {void}
+ */
+export function removeOutputDirs() {
+  for (const outputDir of outputDirs) {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+  outputDirs.clear();
+}
+
+/**
+ * Create a crawler for the fixture site: a new output directory, the DOM browser, no page
+ * limit, one page at a time, no checkpoints and a logger that only writes errors
+ * @param {string} baseUrl - Base URL of the running fixture site
+ * @param {import('../../src/crawler.mjs').CrawlerOptions} [options] - Options to override
+ * @returns {SitefinityCrawler}
+ */
+export function createFixtureCrawler(baseUrl, options = {}) {
+  return new SitefinityCrawler({
+    outputDir: options.outputDir || createOutputDir(),
+    baseUrl,
+    browser: createDomBrowser(),
+    maxPages: Infinity,
+    concurrency: 1,
+    checkpointInterval: 0,
+    logger: new Logger({ level: 'error' }),
+    ...options
+  });
+}
+
+/**
+ * Crawl the fixture site with createFixtureCrawler()
+ * @param {import('./fixture-site.mjs').FixtureSite} site - Running fixture site
+ * @param {import('../../src/crawler.mjs').CrawlerOptions} [options] - Options to override
+ * @returns {Promise<SitefinityCrawler>} The crawler after its run
+ */
+export async function crawlFixtureSite(site, options = {}) {
+  const crawler = createFixtureCrawler(site.baseUrl, options);
+  await crawler.run();
+  return crawler;
+}
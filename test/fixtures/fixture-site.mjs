@@ -0,0 +1,213 @@
+/**
+ * Local HTTP server with a small Sitefinity-like documentation site, so crawls can be
+ * tested without progress.com: a nav tree, breadcrumbs, noise sections, a versioned page,
+ * a version-only page, a version root for pinned crawls, a redirect, a 404, a robots.txt-disallowed page, a sitemap and an image.
+ * Pages carry an ETag and answer conditional requests with 304.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+
+/** URL path prefix of the fixture documentation */
+export const FIXTURE_SCOPE = '/documentation/sitefinity-cms';
+
+/**
+ * @typedef {Object} FixturePage
+ * @property {string} title - Page title (without the site suffix)
+ * @property {string[]} breadcrumb - Breadcrumb labels, the last one is the current page
+ * @property {string} content - Article HTML below the h1
+ */
+
+/**
+ * @typedef {Object} FixtureSite
+ * @property {string} origin - Server origin, e.g. http://127.0.0.1:12345
+ * @property {string} baseUrl - Documentation start URL (origin + FIXTURE_SCOPE)
+ * @property {string[]} requests - Paths requested so far, in order
+ * @property {() => Promise<void>} close - Stop the server
+ */
+
+const NOISE = [
+  '<h2>Was this article helpful?</h2>',
+  '<div class="rate"><button>Yes</button><button>No</button></div>',
+  '<h2>Want to learn more?</h2>',
+  '<div class="course-box"><p>Take the free on-demand video course <a href="/services/education/sitefinity">Sitefinity basics</a>.</p></div>'
+].join('\n');
+
+/** @type {Record<string, FixturePage>} - Pages by path below FIXTURE_SCOPE */
+export const FIXTURE_PAGES = {
+  '': {
+    title: 'Sitefinity CMS documentation',
+    breadcrumb: ['Home'],
+    content: [
+      '<p>Sitefinity CMS is a content management system for building websites, with pages, widgets and content types that editors manage without code.</p>',
+      `<p>Start with <a href="${FIXTURE_SCOPE}/install-sitefinity">installing Sitefinity</a>, then <a href="${FIXTURE_SCOPE}/configure-and-start-a-project">configure and start a project</a>.</p>`,
+      `<p>Older guides: <a href="${FIXTURE_SCOPE}/143/legacy-widgets">legacy widgets</a> and <a href="${FIXTURE_SCOPE}/removed-page">the removed page</a>.</p>`
+    ].join('\n')
+  },
+  'install-sitefinity': {
+    title: 'Install Sitefinity',
+    breadcrumb: ['Home', 'Setup', 'Install Sitefinity'],
+    content: [
+      '<p>Install Sitefinity CMS with the project manager or from the NuGet packages, then open the backend and finish the setup wizard with a license file.</p>',
+      `<p><img src="${FIXTURE_SCOPE}/images/install.png" alt="Project manager"></p>`,
+      '<pre><code class="language-powershell">Install-Package Telerik.Sitefinity.All</code></pre>',
+      '<p>The installation needs IIS with the ASP.NET features enabled, a SQL Server database the application pool identity can create, and at least 4 GB of memory on the web server.</p>',
+      `<p>Documentation for earlier releases: <a href="${FIXTURE_SCOPE}/152/install-sitefinity">Sitefinity 15.2</a>.</p>`,
+      NOISE
+    ].join('\n')
+  },
+  '152': {
+    title: 'Sitefinity CMS 15.2 documentation',
+    breadcrumb: ['Home'],
+    content: '<p>Documentation for Sitefinity CMS 15.2. The navigation links to the latest pages; a crawl pinned to 15.2 follows them to their 15.2 versions.</p>'
+  },
+  '152/install-sitefinity': {
+    title: 'Install Sitefinity',
+    breadcrumb: ['Home', 'Setup', 'Install Sitefinity'],
+    content: '<p>Install Sitefinity CMS 15.2 with the project manager or from the NuGet packages, then run the setup wizard.</p>'
+  },
+  'set-up-the-project': {
+    title: 'Set up the project',
+    breadcrumb: ['Home', 'Setup', 'Set up the project'],
+    content: [
+      '<p>Open the project in Visual Studio, restore the NuGet packages and build the solution before you browse to the site for the first time.</p>',
+      NOISE
+    ].join('\n')
+  },
+  widgets: {
+    title: 'Widgets',
+    breadcrumb: ['Home', 'Widgets'],
+    content: [
+      '<p>Widgets are the building blocks of pages. Editors drag them onto page placeholders and configure them in the widget designer.</p>',
+      '<table><thead><tr><th>Widget</th><th>Purpose</th></tr></thead>',
+      '<tbody><tr><td>Content block</td><td>Rich text</td></tr><tr><td>Navigation</td><td>Menus</td></tr></tbody></table>'
+    ].join('\n')
+  },
+  '143/legacy-widgets': {
+    title: 'Legacy widgets',
+    breadcrumb: ['Home', 'Widgets', 'Legacy widgets'],
+    content: '<p>Web Forms widgets were replaced by the MVC and ASP.NET Core widgets and are only documented for Sitefinity CMS 14.3 and earlier versions.</p>'
+  }
+};
+
+/** @type {Record<string, string>} - Paths below FIXTURE_SCOPE that redirect, and their targets */
+export const FIXTURE_REDIRECTS = {
+  'configure-and-start-a-project': 'set-up-the-project'
+};
+
+/** Smallest valid PNG (1x1 transparent pixel) */
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+
+/**
+ * Render a fixture page with the portal chrome around the article
+ * @param {FixturePage} page - Page definition
+ * @returns {string}
+ */
+function renderPage(page) {
+  const docs = `${FIXTURE_SCOPE}/`;
+  const crumbs = page.breadcrumb.map((label, i) => i < page.breadcrumb.length - 1
+    ? `<li><a href="${FIXTURE_SCOPE}">${label}</a></li>`
+    : `<li><span aria-current="page">${label}</span></li>`);
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<title>${page.title} | Sitefinity CMS</title>
+</head>
+<body>
+<header><a href="/">Progress</a></header>
+<div id="cookie-notice" class="cookie-banner">We use cookies to personalize content and ads. <a href="javascript:void(0)">Accept</a></div>
+<nav id="kendonav" class="k-treeview">
+<ul>
+<li><a href="${FIXTURE_SCOPE}">Sitefinity CMS</a></li>
+<li>Setup<ul><li><a href="${docs}install-sitefinity">Install Sitefinity</a></li><li><a href="${docs}set-up-the-project">Set up the project</a></li></ul></li>
+<li><a href="${docs}widgets">Widgets</a></li>
+<li><a href="${docs}internal/drafts">Drafts</a></li>
+</ul>
+</nav>
+<nav class="sf-breadcrumb" aria-label="breadcrumb"><ol>${crumbs.join('')}</ol></nav>
+<div class="layout">
+<article>
+<h1>${page.title}</h1>
+${page.content}
+</article>
+</div>
+<footer><a href="/company">Company</a> &copy; Progress Software</footer>
+</body>
+</html>
+`;
+}
+
+/**
+ * Start the fixture site on a free local port
+ * @returns {Promise<FixtureSite>}
+ */
+export async function startFixtureSite() {
+  /** @type {string[]} */
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url || '/', 'http://localhost');
+    requests.push(url.pathname);
+
+    if (url.pathname === '/robots.txt') {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end(`User-agent: *\nDisallow: ${FIXTURE_SCOPE}/internal/\nSitemap: ${origin}/sitemap.xml\n`);
+      return;
+    }
+    if (url.pathname === '/sitemap.xml') {
+      res.writeHead(200, { 'Content-Type': 'application/xml' });
+      res.end(`<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+<url><loc>${origin}${FIXTURE_SCOPE}</loc></url>
+<url><loc>${origin}${FIXTURE_SCOPE}/widgets</loc></url>
+</urlset>
+`);
+      return;
+    }
+    if (url.pathname === `${FIXTURE_SCOPE}/images/install.png`) {
+      res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': PNG.length });
+      res.end(PNG);
+      return;
+    }
+
+    const path = url.pathname === FIXTURE_SCOPE ? '' : url.pathname.startsWith(`${FIXTURE_SCOPE}/`) ? url.pathname.slice(FIXTURE_SCOPE.length + 1) : null;
+    const redirect = path !== null ? FIXTURE_REDIRECTS[path] : undefined;
+    if (redirect) {
+      res.writeHead(301, { Location: `${FIXTURE_SCOPE}/${redirect}` });
+      res.end();
+      return;
+    }
+
+    const page = path !== null ? FIXTURE_PAGES[path] : undefined;
+    if (!page) {
+      res.writeHead(404, { 'Content-Type': 'text/html' });
+      res.end('<!DOCTYPE html><html><head><title>Page not found</title></head><body><h1>Page not found</h1></body></html>');
+      return;
+    }
+
+    const html = renderPage(page);
+    const etag = `"${crypto.createHash('sha256').update(html).digest('hex').slice(0, 16)}"`;
+    if (req.headers['if-none-match'] === etag) {
+      res.writeHead(304, { ETag: etag });
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', ETag: etag });
+    res.end(html);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(undefined)));
+  const address = server.address();
+  const origin = `http://127.0.0.1:${address && typeof address === 'object' ? address.port : 0}`;
+
+  return {
+    origin,
+    baseUrl: `${origin}${FIXTURE_SCOPE}`,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(() => resolve());
+    })
+  };
+}
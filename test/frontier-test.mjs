@@ -0,0 +1,99 @@
+/**
+ * Test the persistent crawl frontier journal
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CrawlFrontier } from '../src/frontier.mjs';
+
+const baseUrl = 'https://www.progress.com/documentation/sitefinity-cms';
+
+/**
+ * @returns {string} Path of a journal file in a fresh temp directory
+ */
+function tempJournal() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'frontier-test-'));
+  return path.join(dir, 'frontier.jsonl');
+}
+
+test('Frontier - replays journal and treats in-flight URLs as pending', () => {
+  const filepath = tempJournal();
+  const frontier = new CrawlFrontier(filepath);
+  assert.strictEqual(frontier.load(), false, 'Empty frontier has nothing to resume');
+
+  frontier.add(`${baseUrl}/a`);
+  frontier.add(`${baseUrl}/b`);
+  frontier.add(`${baseUrl}/c`);
+  frontier.start(`${baseUrl}/a`);
+  frontier.finish(`${baseUrl}/a`);
+  frontier.start(`${baseUrl}/b`);
+
+  // Simulate a crash: a new process loads the journal
+  const resumed = new CrawlFrontier(filepath);
+  assert.strictEqual(resumed.load(), true, 'Unfinished frontier should be resumable');
+  assert.deepStrictEqual(Array.from(resumed.done), [`${baseUrl}/a`]);
+  assert.deepStrictEqual(Array.from(resumed.pending).sort(), [`${baseUrl}/b`, `${baseUrl}/c`]);
+  assert.strictEqual(resumed.inFlight.size, 0);
+});
+
+test('Frontier - ignores a torn last line', () => {
+  const filepath = tempJournal();
+  const frontier = new CrawlFrontier(filepath);
+  frontier.load();
+  frontier.add(`${baseUrl}/a`);
+  fs.appendFileSync(filepath, '{"state":"done","url":"https://www.prog');
+
+  const resumed = new CrawlFrontier(filepath);
+  assert.strictEqual(resumed.load(), true);
+  assert.deepStrictEqual(Array.from(resumed.pending), [`${baseUrl}/a`]);
+});
+
+test('Frontier - compact rewrites one line per URL', () => {
+  const filepath = tempJournal();
+  const frontier = new CrawlFrontier(filepath);
+  frontier.load();
+  frontier.add(`${baseUrl}/a`);
+  frontier.start(`${baseUrl}/a`);
+  frontier.finish(`${baseUrl}/a`);
+  frontier.add(`${baseUrl}/b`);
+  frontier.compact();
+
+  const lines = fs.readFileSync(filepath, 'utf-8').trim().split('\n');
+  assert.strictEqual(lines.length, 2);
+
+  const resumed = new CrawlFrontier(filepath);
+  resumed.load();
+  assert.deepStrictEqual(resumed.stats(), { pending: 1, inFlight: 0, done: 1 });
+});
+
+test('Frontier - does not touch the disk until loaded, clear removes the journal', () => {
+  const filepath = tempJournal();
+  const frontier = new CrawlFrontier(filepath);
+  frontier.add(`${baseUrl}/a`);
+  frontier.compact();
+  assert.strictEqual(fs.existsSync(filepath), false, 'Unattached frontier should not write');
+
+  frontier.load();
+  frontier.add(`${baseUrl}/a`);
+  assert.strictEqual(fs.existsSync(filepath), true);
+
+  frontier.clear();
+  assert.strictEqual(fs.existsSync(filepath), false);
+});
+
+test('Frontier - a failed URL goes back to pending', () => {
+  const filepath = tempJournal();
+  const frontier = new CrawlFrontier(filepath);
+  frontier.load();
+  frontier.add(`${baseUrl}/a`);
+  frontier.start(`${baseUrl}/a`);
+  frontier.fail(`${baseUrl}/a`);
+
+  const resumed = new CrawlFrontier(filepath);
+  assert.strictEqual(resumed.load(), true, 'A failed URL is retried on resume');
+  assert.deepStrictEqual(Array.from(resumed.pending), [`${baseUrl}/a`]);
+  assert.strictEqual(resumed.done.size, 0);
+});
@@ -0,0 +1,105 @@
+/**
+ * Test YAML frontmatter for the per-page markdown files
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  buildLlmsFullFromDocuments,
+  createTurndownService,
+  hashContent,
+  markdownDocumentBody,
+  parseMarkdownDocument,
+  savePageContent
+} from '../src/crawler.mjs';
+import { parseYamlFrontmatter } from '../src/frontmatter.mjs';
+import { regenerateMarkdown } from '../src/regenerate.mjs';
+import { resolveSettings } from '../src/cli.mjs';
+
+const baseUrl = 'https://www.progress.com/documentation/sitefinity-cms';
+
+/** @type {import('../src/crawler.mjs').ExtractedContent} */
+const content = {
+  url: `${baseUrl}/152/install`,
+  title: 'Install: "quick" start | Sitefinity CMS',
+  heading: 'Install',
+  text: '',
+  html: '<p>Run the installer and follow the wizard.</p><h2>Next steps</h2><p>Configure the site.</p>',
+  breadcrumb: ['Home', 'Setup', 'Install']
+};
+
+test('Frontmatter - YAML mode writes parseable frontmatter and keeps change detection stable', () => {
+  const progressDir = fs.mkdtempSync(path.join(os.tmpdir(), 'frontmatter-test-'));
+  const header = { style: /** @type {const} */ ('yaml'), canonicalUrl: `${baseUrl}/install`, version: '152' };
+
+  const first = savePageContent(content, progressDir, createTurndownService(), [], { header });
+  const markdownDoc = fs.readFileSync(path.join(progressDir, '152_install.md'), 'utf-8');
+  const yaml = parseYamlFrontmatter(markdownDoc);
+
+  assert.ok(yaml, 'Document starts with YAML frontmatter');
+  assert.deepStrictEqual(Object.keys(yaml.fields), [
+    'title', 'heading', 'url', 'canonicalUrl', 'version', 'breadcrumb', 'crawledAt', 'contentHash', 'description'
+  ]);
+  assert.strictEqual(yaml.fields.title, content.title, 'Quotes, colons and pipes survive');
+  assert.strictEqual(yaml.fields.canonicalUrl, `${baseUrl}/install`);
+  assert.strictEqual(yaml.fields.version, '152');
+  assert.deepStrictEqual(yaml.fields.breadcrumb, ['Home', 'Setup', 'Install']);
+  assert.strictEqual(yaml.fields.contentHash, hashContent(content.html));
+  assert.strictEqual(yaml.fields.description, 'Run the installer and follow the wizard.');
+  assert.match(markdownDoc, /^breadcrumb:\n {2}- "Home"\n {2}- "Setup"/m);
+
+  assert.strictEqual(markdownDocumentBody(markdownDoc), 'Run the installer and follow the wizard.\n\n## Next steps\n\nConfigure the site.');
+  assert.deepStrictEqual(
+    { ...parseMarkdownDocument(markdownDoc), body: '' },
+    { title: 'Install', url: content.url, breadcrumb: ['Home', 'Setup', 'Install'], body: '' }
+  );
+
+  // crawledAt moves on every fetch but is not part of the change hash
+  const second = savePageContent(content, progressDir, createTurndownService(), [], { header });
+  assert.strictEqual(first.status, 'new');
+  assert.strictEqual(second.status, 'unchanged');
+
+  const { content: llmsFull } = buildLlmsFullFromDocuments([markdownDoc], 'Docs');
+  assert.match(llmsFull, /^# Install\n\*\*URL:\*\* .*\/152\/install\n\*\*Breadcrumb:\*\* Home > Setup > Install\n---\n/m, 'llms-full.txt always uses the readable header');
+  assert.ok(!llmsFull.includes('crawledAt:'));
+});
+
+test('Frontmatter - regenerate switches styles and records the new markdown hash', async () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'frontmatter-test-'));
+  const progressDir = path.join(outputDir, 'progress');
+  fs.mkdirSync(progressDir);
+  savePageContent(content, progressDir, createTurndownService(), []);
+  const mdPath = path.join(progressDir, '152_install.md');
+  const jsonPath = path.join(progressDir, '152_install.json');
+  assert.match(fs.readFileSync(mdPath, 'utf-8'), /^# Install\n\*\*URL:\*\*/, 'Readable header by default');
+
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    await regenerateMarkdown({ outputDir, frontmatter: 'yaml' });
+    const yaml = parseYamlFrontmatter(fs.readFileSync(mdPath, 'utf-8'));
+    const json = JSON.parse(fs.readFileSync(jsonPath, 'utf-8'));
+    assert.strictEqual(yaml?.fields.crawledAt, json.lastChangedAt, 'crawledAt is when the content was fetched');
+    assert.strictEqual(yaml?.fields.canonicalUrl, `${baseUrl}/install`);
+
+    // The next crawl in YAML mode sees the regenerated file as unchanged
+    const resaved = savePageContent(content, progressDir, createTurndownService(), [], {
+      header: { style: 'yaml', canonicalUrl: `${baseUrl}/install`, version: '152' }
+    });
+    assert.strictEqual(resaved.status, 'unchanged');
+
+    await regenerateMarkdown({ outputDir });
+  } finally {
+    console.log = originalLog;
+  }
+  assert.match(fs.readFileSync(mdPath, 'utf-8'), /^# Install\n/);
+});
+
+test('Frontmatter - style setting is validated', () => {
+  assert.strictEqual(resolveSettings({}, [], {}).frontmatter, 'header');
+  assert.strictEqual(resolveSettings({}, [], { SITEFINITY_DOCS_FRONTMATTER: 'yaml' }).frontmatter, 'yaml');
+  assert.throws(() => resolveSettings({ frontmatter: 'toml' }, [], {}), /frontmatter must be "header" or "yaml"/);
+});
@@ -0,0 +1,143 @@
+/**
+ * Test HAR record and replay: archive lookup, recording a fixture crawl and rebuilding it offline
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { SitefinityCrawler } from '../src/crawler.mjs';
+import { HAR_FILES, HarArchive, createRecordingFetcher, createReplayFetcher } from '../src/har.mjs';
+import { resolveSettings } from '../src/cli.mjs';
+import { startFixtureSite } from './fixtures/fixture-site.mjs';
+import { createFixtureCrawler, createOutputDir, removeOutputDirs } from './fixtures/fixture-crawler.mjs';
+
+const baseUrl = 'https://www.progress.com/documentation/sitefinity-cms';
+
+/**
+ * Every file below a directory with its content, by relative path
+ * @param {string} dir - Directory
+ * @returns {Record<string, string>}
+ */
+function readTree(dir) {
+  /** @type {Record<string, string>} */
+  const files = {};
+  for (const file of fs.readdirSync(dir, { recursive: true, encoding: 'utf-8' })) {
+    const filepath = path.join(dir, file);
+    if (fs.statSync(filepath).isFile()) {
+      files[file] = fs.readFileSync(filepath, 'base64');
+    }
+  }
+  return files;
+}
+
+test('HAR - recorded responses are found again, text as text and binaries as base64', async () => {
+  const archive = new HarArchive();
+  /** @type {import('../src/http.mjs').FetchResult[]} */
+  const responses = [
+    { status: 200, ok: true, headers: { 'content-type': 'text/plain', etag: '"v1"' }, body: Buffer.from('User-agent: *\n') },
+    { status: 304, ok: false, headers: { etag: '"v1"' }, body: Buffer.alloc(0) },
+    { status: 200, ok: true, headers: { 'content-type': 'image/png' }, body: Buffer.from([0x89, 0x50, 0x4e, 0x47]) }
+  ];
+  const fetcher = createRecordingFetcher(async () => /** @type {import('../src/http.mjs').FetchResult} */ (responses.shift()), archive);
+
+  await fetcher(`${baseUrl}/robots.txt`);
+  await fetcher(`${baseUrl}/robots.txt`, { method: 'HEAD', headers: { 'If-None-Match': '"v1"' } });
+  await fetcher(`${baseUrl}/logo.png`);
+
+  const harFile = path.join(createOutputDir(), 'fetcher.har');
+  archive.save(harFile);
+  const saved = JSON.parse(fs.readFileSync(harFile, 'utf-8'));
+  assert.strictEqual(saved.log.version, '1.2');
+  assert.strictEqual(saved.log.entries[0].response.content.text, 'User-agent: *\n');
+  assert.strictEqual(saved.log.entries[1].request.method, 'HEAD');
+  assert.strictEqual(saved.log.entries[2].response.content.encoding, 'base64');
+
+  const replay = createReplayFetcher(new HarArchive().load(harFile));
+  const robots = await replay(`${baseUrl}/robots.txt`);
+  assert.strictEqual(robots.status, 200, 'A 304 does not answer an unconditional request');
+  assert.strictEqual(robots.body.toString('utf-8'), 'User-agent: *\n');
+  assert.strictEqual(robots.headers.etag, '"v1"');
+  assert.strictEqual((await replay(`${baseUrl}/robots.txt`, { method: 'HEAD', headers: { 'If-None-Match': '"v1"' } })).status, 304);
+  assert.strictEqual((await replay(`${baseUrl}/logo.png`, { method: 'HEAD' })).status, 200, 'A recorded GET answers a HEAD');
+  assert.deepStrictEqual([...(await replay(`${baseUrl}/logo.png`)).body], [0x89, 0x50, 0x4e, 0x47]);
+  await assert.rejects(replay(`${baseUrl}/sitemap.xml`), /Not in HAR archive: .*sitemap\.xml/);
+
+  assert.throws(() => new HarArchive().load(path.join(path.dirname(harFile), 'missing.har')), /Cannot read HAR archive .*missing\.har/);
+  removeOutputDirs();
+});
+
+test('HAR - a recorded crawl is rebuilt identically from the archives, without network', async () => {
+  const site = await startFixtureSite();
+  try {
+    const recorder = createFixtureCrawler(site.baseUrl, { harMode: 'record' });
+    try {
+      await recorder.run();
+    } finally {
+      await site.close();
+    }
+    const recordDir = recorder.outputDir;
+
+    const harDir = path.join(recordDir, 'har');
+    const browserHar = JSON.parse(fs.readFileSync(path.join(harDir, HAR_FILES.browser), 'utf-8'));
+    const fetcherHar = JSON.parse(fs.readFileSync(path.join(harDir, HAR_FILES.fetcher), 'utf-8'));
+    /** @param {{log: {entries: import('../src/har.mjs').HarEntry[]}}} har */
+    const requested = har => har.log.entries.map(entry => `${entry.response.status} ${new URL(entry.request.url).pathname}`);
+    assert.ok(requested(browserHar).includes('301 /documentation/sitefinity-cms/configure-and-start-a-project'), 'Redirects are recorded');
+    assert.ok(requested(browserHar).includes('404 /documentation/sitefinity-cms/removed-page'));
+    assert.deepStrictEqual(requested(fetcherHar), ['200 /robots.txt', '200 /sitemap.xml', '200 /documentation/sitefinity-cms/images/install.png']);
+
+    // The server is gone: everything has to come from the archives
+    const replay = createFixtureCrawler(site.baseUrl, { harMode: 'replay', harDir });
+    await replay.run();
+    const replayDir = replay.outputDir;
+
+    const recorded = readTree(path.join(recordDir, 'progress'));
+    const replayed = readTree(path.join(replayDir, 'progress'));
+    assert.deepStrictEqual(Object.keys(replayed).sort(), Object.keys(recorded).sort());
+    for (const [file, content] of Object.entries(recorded)) {
+      if (!file.endsWith('.json')) {
+        assert.strictEqual(replayed[file], content, `${file} is rebuilt bit for bit`);
+      }
+    }
+    const { 'manifest.json': recordedManifest, ...recordedAssets } = readTree(path.join(recordDir, 'assets'));
+    const { 'manifest.json': replayedManifest, ...replayedAssets } = readTree(path.join(replayDir, 'assets'));
+    assert.ok(recordedManifest && replayedManifest);
+    assert.deepStrictEqual(replayedAssets, recordedAssets, 'Images are replayed from the archive');
+    assert.strictEqual(
+      fs.readFileSync(path.join(replayDir, 'broken-links.md'), 'utf-8').replace(/\*\*Generated:\*\* .*/, ''),
+      fs.readFileSync(path.join(recordDir, 'broken-links.md'), 'utf-8').replace(/\*\*Generated:\*\* .*/, '')
+    );
+    assert.ok(!fs.existsSync(path.join(replayDir, 'har')), 'Replay does not record');
+  } finally {
+    removeOutputDirs();
+  }
+});
+
+test('HAR - replay without archives fails before anything is fetched', async () => {
+  let requested = 0;
+  const crawler = createFixtureCrawler(baseUrl, {
+    harMode: 'replay',
+    fetcher: async () => {
+      requested++;
+      throw new Error('network');
+    }
+  });
+
+  try {
+    await assert.rejects(crawler.run(), /Cannot read HAR archive .*fetcher\.har/);
+    assert.strictEqual(requested, 0);
+  } finally {
+    removeOutputDirs();
+  }
+});
+
+test('HAR - --har and --har-dir settings', () => {
+  assert.strictEqual(resolveSettings({}, [], {}).har, undefined);
+  assert.strictEqual(resolveSettings({ har: 'record' }, [], {}).har, 'record');
+  assert.strictEqual(resolveSettings({}, [], { SITEFINITY_DOCS_HAR: 'replay', SITEFINITY_DOCS_HAR_DIR: 'old/har' }).harDir, 'old/har');
+  assert.throws(() => resolveSettings({ har: 'rewind' }, [], {}), /har must be "record" or "replay", got "rewind"/);
+
+  const crawler = new SitefinityCrawler({ outputDir: path.join('out', 'docs'), harMode: 'record' });
+  assert.strictEqual(crawler.harDir, path.join('out', 'docs', 'har'));
+});
@@ -0,0 +1,140 @@
+/**
+ * Test link rewriting in the markdown output (absolute and local modes)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { absolutizeLocalPaths, rewriteLinks } from '../src/links.mjs';
+import { SitefinityCrawler, contentToMarkdown, createTurndownService, savePageContent } from '../src/crawler.mjs';
+import { regenerateMarkdown } from '../src/regenerate.mjs';
+
+const baseUrl = 'https://www.progress.com/documentation/sitefinity-cms';
+const pageUrl = `${baseUrl}/setup/install`;
+
+test('Links - absolute mode resolves links and images against the page URL', () => {
+  const html = [
+    '<a href="upgrade">Upgrade</a>',
+    "<a href='/documentation/sitefinity-cms/widgets#mvc'>Widgets</a>",
+    '<a href="#prerequisites">Prerequisites</a>',
+    '<a href="mailto:docs@progress.com">Mail</a>',
+    '<img alt="Diagram" src="../images/diagram.png">',
+    '<a class="external" href="https://github.com/Sitefinity">GitHub</a>'
+  ].join('');
+
+  assert.strictEqual(rewriteLinks(html, pageUrl), [
+    `<a href="${baseUrl}/setup/upgrade">Upgrade</a>`,
+    `<a href="${baseUrl}/widgets#mvc">Widgets</a>`,
+    '<a href="#prerequisites">Prerequisites</a>',
+    '<a href="mailto:docs@progress.com">Mail</a>',
+    `<img alt="Diagram" src="${baseUrl}/images/diagram.png">`,
+    '<a class="external" href="https://github.com/Sitefinity">GitHub</a>'
+  ].join(''));
+});
+
+/**
+ * Output directory with an (empty) saved page JSON for every file name
+ * @param {string[]} filenames - JSON file names in progress/
+ * @returns {string}
+ */
+function outputWithSavedPages(filenames) {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'links-test-'));
+  fs.mkdirSync(path.join(outputDir, 'progress'));
+  for (const filename of filenames) {
+    fs.writeFileSync(path.join(outputDir, 'progress', filename), '{}');
+  }
+  return outputDir;
+}
+
+test('Links - local mode maps doc links to .md files via redirects and canonical URLs', () => {
+  const outputDir = outputWithSavedPages(['install-sitefinity.json']);
+  const crawler = new SitefinityCrawler({ outputDir, linkMode: 'local' });
+  crawler.redirectCache.set(`${baseUrl}/configure-and-start-a-project`, `${baseUrl}/set-up-the-project`);
+
+  assert.strictEqual(crawler.toLocalPath(`${baseUrl}/configure-and-start-a-project`), 'set-up-the-project.md');
+  assert.strictEqual(crawler.toLocalPath(`${baseUrl}/152/install-sitefinity`), 'install-sitefinity.md');
+  assert.strictEqual(crawler.toLocalPath(`${baseUrl}/widgets?tab=mvc`), 'widgets.md');
+  assert.strictEqual(crawler.toLocalPath('https://www.progress.com/sitefinity-cms'), null);
+
+  const markdown = contentToMarkdown({
+    url: pageUrl,
+    title: 'Install',
+    heading: 'Install',
+    text: '',
+    html: [
+      '<p>See <a href="/documentation/sitefinity-cms/configure-and-start-a-project#database">the project setup</a>',
+      ' and <a href="https://www.telerik.com/fiddler">Fiddler</a>.</p>',
+      '<img alt="Setup" src="images/setup.png">'
+    ].join(''),
+    breadcrumb: []
+  }, createTurndownService(), crawler.links);
+
+  assert.match(markdown, /\[the project setup\]\(set-up-the-project\.md#database\)/);
+  assert.match(markdown, /\[Fiddler\]\(https:\/\/www\.telerik\.com\/fiddler\)/);
+  assert.match(markdown, new RegExp(`!\\[Setup\\]\\(${baseUrl}/setup/images/setup\\.png\\)`));
+  fs.rmSync(outputDir, { recursive: true, force: true });
+});
+
+test('Links - versioned links only point at a canonical file that is saved', () => {
+  const outputDir = outputWithSavedPages(['143_legacy-widgets.json']);
+  const crawler = new SitefinityCrawler({ outputDir, linkMode: 'local' });
+
+  assert.strictEqual(crawler.toLocalPath(`${baseUrl}/143/legacy-widgets`), '143_legacy-widgets.md', 'Version-only page keeps its versioned file');
+  assert.strictEqual(crawler.toLocalPath(`${baseUrl}/152/install-sitefinity`), null, 'Neither file saved: online link');
+  assert.strictEqual(crawler.toLocalPath(`${baseUrl}/widgets`), 'widgets.md', 'Unmapped links point at their own file');
+  fs.rmSync(outputDir, { recursive: true, force: true });
+});
+
+test('Links - pinned versions keep local links inside the version', () => {
+  const outputDir = outputWithSavedPages(['143_install.json']);
+  const crawler = new SitefinityCrawler({ outputDir, version: '143', linkMode: 'local' });
+
+  assert.strictEqual(crawler.toLocalPath(`${baseUrl}/install`), '143_install.md');
+  assert.strictEqual(crawler.toLocalPath(`${baseUrl}/upgrade`), null, 'Version page not saved: online link');
+  assert.strictEqual(crawler.toLocalPath(`${baseUrl}/152/install`), null, 'Other versions stay online links');
+  fs.rmSync(outputDir, { recursive: true, force: true });
+});
+
+test('Links - local paths point back at their URLs outside progress/', () => {
+  const targets = new Map([['setup_install.md', pageUrl], ['../assets/0123456789abcdef.png', `${baseUrl}/images/setup.png`]]);
+  const markdown = [
+    '[Install](setup_install.md#prerequisites) and [again \\[2\\]](setup_install.md "Install")',
+    '[Never saved](removed-page.md) [Online](https://example.com/setup_install.md) [Anchor](#top)',
+    '![Setup](../assets/0123456789abcdef.png) ![Unknown](../assets/fedcba9876543210.png)'
+  ].join('\n');
+
+  assert.strictEqual(absolutizeLocalPaths(markdown, targets), [
+    `[Install](${pageUrl}#prerequisites) and [again \\[2\\]](${pageUrl} "Install")`,
+    'Never saved [Online](https://example.com/setup_install.md) [Anchor](#top)',
+    `![Setup](${baseUrl}/images/setup.png) ![Unknown](../assets/fedcba9876543210.png)`
+  ].join('\n'));
+});
+
+test('Links - regenerate rewrites links in local mode', async () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'links-test-'));
+  const progressDir = path.join(outputDir, 'progress');
+  fs.mkdirSync(progressDir);
+  savePageContent({
+    url: pageUrl,
+    title: 'Install',
+    heading: 'Install',
+    text: '',
+    html: '<p>Next: <a href="upgrade#backup">upgrade</a>.</p>',
+    breadcrumb: []
+  }, progressDir, createTurndownService(), []);
+
+  const mdPath = path.join(progressDir, 'setup_install.md');
+  assert.match(fs.readFileSync(mdPath, 'utf-8'), new RegExp(`\\(${baseUrl}/setup/upgrade#backup\\)`), 'Absolute by default');
+
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    await regenerateMarkdown({ outputDir, linkMode: 'local' });
+  } finally {
+    console.log = originalLog;
+  }
+
+  assert.match(fs.readFileSync(mdPath, 'utf-8'), /\[upgrade\]\(setup_upgrade\.md#backup\)/);
+});
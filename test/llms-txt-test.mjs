@@ -0,0 +1,114 @@
+/**
+ * Test the llms.txt index
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildLlmsTxt, describePage } from '../src/llms.mjs';
+import { contentToMarkdown, createTurndownService, parseMarkdownDocument, savePageContent } from '../src/crawler.mjs';
+import { DEFAULT_PROFILE } from '../src/profiles.mjs';
+import { regenerateMarkdown } from '../src/regenerate.mjs';
+
+const baseUrl = 'https://www.progress.com/documentation/sitefinity-cms';
+
+test('llms.txt - description is the first prose paragraph as plain text', () => {
+  const markdown = [
+    '## Overview',
+    '',
+    '![Diagram](https://example.com/diagram.png)',
+    '',
+    '```bash',
+    'npm install',
+    '```',
+    '',
+    'Use the [renderer](https://example.com/renderer) to **build** pages with `ASP.NET Core`.',
+    '',
+    'Second paragraph.'
+  ].join('\n');
+
+  assert.strictEqual(describePage(markdown), 'Use the renderer to build pages with ASP.NET Core.');
+  assert.strictEqual(describePage('- list only\n- items'), '');
+
+  const long = describePage(`${'word '.repeat(100)}end.`, 40);
+  assert.ok(long.length <= 40, `"${long}" is longer than 40 characters`);
+  assert.ok(long.endsWith('word…'));
+});
+
+test('llms.txt - pages grouped by top-level breadcrumb', () => {
+  const txt = buildLlmsTxt('Sitefinity CMS Documentation', 'Docs for Sitefinity.', [
+    { title: 'Upgrade', link: `${baseUrl}/upgrade`, breadcrumb: ['Home', 'Setup', 'Upgrade'], markdown: 'Upgrade steps.' },
+    { title: 'Widgets', link: `${baseUrl}/widgets`, breadcrumb: ['Home', 'Development', 'Widgets'], markdown: 'Build widgets.' },
+    { title: 'Install', link: `${baseUrl}/install`, breadcrumb: ['Home', 'Setup', 'Install'], markdown: 'Install it.' },
+    { title: 'Release notes [2024]', link: `${baseUrl}/notes`, breadcrumb: [], markdown: '' }
+  ]);
+
+  assert.strictEqual(txt, [
+    '# Sitefinity CMS Documentation',
+    '',
+    '> Docs for Sitefinity.',
+    '',
+    '4 pages. The full text of every page is in [llms-full.txt](llms-full.txt).',
+    '',
+    '## Development',
+    '',
+    `- [Widgets](${baseUrl}/widgets): Build widgets.`,
+    '',
+    '## Setup',
+    '',
+    `- [Install](${baseUrl}/install): Install it.`,
+    `- [Upgrade](${baseUrl}/upgrade): Upgrade steps.`,
+    '',
+    '## Other',
+    '',
+    `- [Release notes \\[2024\\]](${baseUrl}/notes)`,
+    ''
+  ].join('\n'));
+});
+
+test('llms.txt - page header round trip', () => {
+  const doc = contentToMarkdown({
+    url: `${baseUrl}/install`,
+    title: 'Install',
+    heading: 'Install Sitefinity',
+    text: '',
+    html: '<p>Run the installer.</p>',
+    breadcrumb: ['Home', 'Setup', 'Install Sitefinity']
+  }, createTurndownService());
+
+  const parsed = parseMarkdownDocument(doc);
+  assert.strictEqual(parsed.title, 'Install Sitefinity');
+  assert.strictEqual(parsed.url, `${baseUrl}/install`);
+  assert.deepStrictEqual(parsed.breadcrumb, ['Home', 'Setup', 'Install Sitefinity']);
+  assert.strictEqual(parsed.body.trim(), 'Run the installer.');
+});
+
+test('llms.txt - regenerate writes llms.txt with local links', async () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llms-txt-test-'));
+  const progressDir = path.join(outputDir, 'progress');
+  fs.mkdirSync(progressDir);
+  savePageContent({
+    url: `${baseUrl}/setup/install`,
+    title: 'Install',
+    heading: 'Install Sitefinity',
+    text: '',
+    html: '<h1>Install Sitefinity</h1><p>Run the installer.</p>',
+    breadcrumb: ['Home', 'Setup', 'Install Sitefinity']
+  }, progressDir, createTurndownService(), []);
+
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    const result = await regenerateMarkdown({ outputDir, profile: DEFAULT_PROFILE, llmsLinks: 'local' });
+    assert.strictEqual(result.llmsTxtPath, path.join(outputDir, 'llms.txt'));
+  } finally {
+    console.log = originalLog;
+  }
+
+  const txt = fs.readFileSync(path.join(outputDir, 'llms.txt'), 'utf-8');
+  assert.match(txt, /^> Documentation for Progress Sitefinity CMS/m);
+  assert.match(txt, /^## Setup\n\n- \[Install Sitefinity\]\(progress\/setup_install\.md\): Run the installer\.$/m);
+  assert.ok(fs.existsSync(path.join(progressDir, 'setup_install.md')));
+});
@@ -0,0 +1,221 @@
+/**
+ * Test structured logging: levels, JSON lines, per-page records and progress lines
+ * on crawls of the local fixture site, and the --quiet/--verbose/--log-format settings
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { Logger, formatBytes, formatElapsed } from '../src/logger.mjs';
+import { resolveSettings } from '../src/cli.mjs';
+import { AssetStore } from '../src/assets.mjs';
+import { loadSavedPages } from '../src/corpus.mjs';
+import { startFixtureSite } from './fixtures/fixture-site.mjs';
+import { createDomBrowser } from './fixtures/dom-browser.mjs';
+import { createFixtureCrawler, createOutputDir, removeOutputDirs } from './fixtures/fixture-crawler.mjs';
+
+/**
+ * Run a function and collect what it writes to the console
+ * @template T
+ * @param {() => Promise<T> | T} fn - Function to run
+ * @returns {Promise<{log: string[], warn: string[], error: string[]}>}
+ */
+async function captureConsole(fn) {
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+  const originalError = console.error;
+  /** @type {{log: string[], warn: string[], error: string[]}} */
+  const output = { log: [], warn: [], error: [] };
+  console.log = (...args) => output.log.push(args.join(' '));
+  console.warn = (...args) => output.warn.push(args.join(' '));
+  console.error = (...args) => output.error.push(args.join(' '));
+  try {
+    await fn();
+  } finally {
+    console.log = originalLog;
+    console.warn = originalWarn;
+    console.error = originalError;
+  }
+  return output;
+}
+
+/**
+ * Crawl the fixture site with a logger
+ * @param {import('./fixtures/fixture-site.mjs').FixtureSite} site - Running fixture site
+ * @param {Logger} logger - Logger for the crawl
+ * @returns {Promise<{log: string[], warn: string[], error: string[]}>}
+ */
+function crawlFixtureSite(site, logger) {
+  const crawler = createFixtureCrawler(site.baseUrl, { progressInterval: 0, logger });
+  return captureConsole(() => crawler.run());
+}
+
+test('Logger - levels, streams and JSON lines', async () => {
+  const text = await captureConsole(() => {
+    const logger = new Logger({ level: 'warn' });
+    logger.debug('step');
+    logger.info('page');
+    logger.warn('slow');
+    logger.error('failed');
+  });
+  assert.deepStrictEqual(text, { log: [], warn: ['slow'], error: ['failed'] });
+
+  const json = await captureConsole(() => {
+    const logger = new Logger({ level: 'debug', format: 'json' });
+    logger.debug('\nExtracting content', { url: 'https://example.com/a' });
+    logger.error('failed');
+    logger.section('Crawling profile: docs');
+  });
+  assert.deepStrictEqual(json.warn.concat(json.error), [], 'JSON lines all go to stdout');
+  const records = json.log.map(line => JSON.parse(line));
+  assert.deepStrictEqual(records.map(({ time, ...record }) => record), [
+    { level: 'debug', msg: 'Extracting content', url: 'https://example.com/a' },
+    { level: 'error', msg: 'failed' },
+    { level: 'info', msg: 'Crawling profile: docs' }
+  ]);
+  assert.ok(!isNaN(Date.parse(records[0].time)));
+
+  assert.strictEqual(formatElapsed(850), '850ms');
+  assert.strictEqual(formatElapsed(190000), '3m 10s');
+  assert.strictEqual(formatElapsed(7500000), '2h 05m');
+  assert.strictEqual(formatBytes(24064), '23.5 KB');
+});
+
+test('Logger - a JSON crawl log has a record per page, progress lines and a summary', async () => {
+  const site = await startFixtureSite();
+  try {
+    const output = await crawlFixtureSite(site, new Logger({ format: 'json' }));
+    const records = output.log.map(line => JSON.parse(line));
+    const { baseUrl } = site;
+
+    const pages = records.filter(record => record.event === 'page');
+    /** @param {string} url */
+    const page = url => pages.find(record => record.url === url);
+    const install = page(`${baseUrl}/install-sitefinity`);
+    assert.strictEqual(install.status, 200);
+    assert.strictEqual(install.outcome, 'new');
+    assert.ok(install.bytes > 1000, 'bytes is the size of the response body');
+    assert.ok(typeof install.durationMs === 'number' && install.durationMs >= 0);
+    assert.match(install.msg, /^\[\d+ total: 0 cached \+ \d+ new\] 200 new \S+ [\d.]+ KB .*\/install-sitefinity$/);
+    assert.deepStrictEqual(
+      [page(`${baseUrl}/removed-page`).status, page(`${baseUrl}/removed-page`).outcome],
+      [404, 'http-error']
+    );
+    assert.strictEqual(page(`${baseUrl}/configure-and-start-a-project`).finalUrl, `${baseUrl}/set-up-the-project`);
+    assert.ok(!records.some(record => record.level === 'debug'), 'Steps are left out at the default level');
+
+    const progress = records.filter(record => record.event === 'progress');
+    assert.ok(progress.length > 0);
+    assert.ok(progress.every(record => typeof record.pagesPerMinute === 'number' && typeof record.queue === 'number'));
+    assert.strictEqual(progress[progress.length - 1].queue, 0);
+    assert.strictEqual(progress[progress.length - 1].etaSeconds, 0);
+
+    const done = records.find(record => record.event === 'done');
+    assert.strictEqual(done.newPages, pages.length);
+    assert.deepStrictEqual(done.changes, { new: 5, changed: 0, unchanged: 0 });
+  } finally {
+    await site.close();
+    removeOutputDirs();
+  }
+});
+
+test('Logger - progress lines keep coming while a slow page is in flight', async () => {
+  const site = await startFixtureSite();
+  try {
+    /** @type {Record<string, unknown>[]} */
+    const records = [];
+    const logger = new Logger({ format: 'json' });
+    logger.log = (level, message, fields = {}) => {
+      records.push({ level, msg: message, ...fields });
+    };
+    const progressCount = () => records.filter(record => record.event === 'progress').length;
+
+    // The widgets page takes 300ms to load, with progress every 50ms
+    const slowUrl = `${site.baseUrl}/widgets`;
+    let progressWhileSlow = 0;
+    const browser = createDomBrowser();
+    const newContext = browser.newContext.bind(browser);
+    browser.newContext = async (options) => {
+      const context = await newContext(options);
+      const newPage = context.newPage.bind(context);
+      context.newPage = async () => {
+        const page = await newPage();
+        const goto = page.goto.bind(page);
+        page.goto = async (url, options) => {
+          if (url === slowUrl) {
+            const before = progressCount();
+            await new Promise(resolve => setTimeout(resolve, 300));
+            progressWhileSlow = progressCount() - before;
+          }
+          return goto(url, options);
+        };
+        return page;
+      };
+      return context;
+    };
+
+    const crawler = createFixtureCrawler(site.baseUrl, { browser, progressInterval: 0.05, logger });
+    await crawler.run();
+
+    assert.ok(progressWhileSlow > 0, 'A progress record is written while the page loads');
+    assert.strictEqual(crawler.progressTimer, null, 'The timer is cleared on close');
+  } finally {
+    await site.close();
+    removeOutputDirs();
+  }
+});
+
+test('Logger - quiet crawls write nothing but problems, verbose crawls every step', async () => {
+  const site = await startFixtureSite();
+  try {
+    const quiet = await crawlFixtureSite(site, new Logger({ level: 'warn' }));
+    assert.deepStrictEqual(quiet.log, []);
+
+    const verbose = await crawlFixtureSite(site, new Logger({ level: 'debug' }));
+    assert.ok(verbose.log.some(line => line.includes('Extracting content from:')));
+    assert.ok(verbose.log.some(line => line.includes('✓ Output structure:')));
+  } finally {
+    await site.close();
+    removeOutputDirs();
+  }
+});
+
+test('Logger - --quiet, --verbose and --log-format settings', () => {
+  assert.strictEqual(resolveSettings({}, [], {}).logLevel, 'info');
+  assert.strictEqual(resolveSettings({ quiet: true }, [], {}).logLevel, 'warn');
+  assert.strictEqual(resolveSettings({ verbose: true }, [], { SITEFINITY_DOCS_LOG_LEVEL: 'error' }).logLevel, 'debug');
+  assert.strictEqual(resolveSettings({}, [], { SITEFINITY_DOCS_LOG_LEVEL: 'error' }).logLevel, 'error');
+  assert.throws(() => resolveSettings({ quiet: true, verbose: true }, [], {}), /--quiet and --verbose cannot be combined/);
+  assert.throws(() => resolveSettings({}, [], { SITEFINITY_DOCS_LOG_LEVEL: 'trace' }), /logLevel must be "error", "warn", "info" or "debug", got "trace"/);
+
+  assert.strictEqual(resolveSettings({}, [], {}).logFormat, 'text');
+  assert.strictEqual(resolveSettings({ 'log-format': 'json' }, [], {}).logFormat, 'json');
+  assert.throws(() => resolveSettings({}, [], { SITEFINITY_DOCS_LOG_FORMAT: 'xml' }), /logFormat must be "text" or "json", got "xml"/);
+});
+
+test('Logger - asset and saved-page warnings go through the logger', async () => {
+  try {
+    const outputDir = createOutputDir();
+    fs.writeFileSync(path.join(outputDir, 'broken.json'), '{');
+    const image = 'https://www.progress.com/images/missing.png';
+    const store = new AssetStore(outputDir, async () => {
+      throw new Error('offline');
+    }, new Logger({ format: 'json' }));
+
+    const json = await captureConsole(async () => {
+      await store.download([image]);
+      loadSavedPages(outputDir, new Logger({ format: 'json' }));
+    });
+    const records = json.log.map(line => JSON.parse(line));
+    assert.deepStrictEqual(records.map(record => [record.level, record.url || record.file]), [
+      ['warn', image],
+      ['warn', 'broken.json']
+    ]);
+
+    const quiet = await captureConsole(() => loadSavedPages(outputDir, new Logger({ level: 'error' })));
+    assert.deepStrictEqual(quiet, { log: [], warn: [], error: [] });
+  } finally {
+    removeOutputDirs();
+  }
+});
@@ -0,0 +1,156 @@
+/**
+ * Test near-duplicate detection: simhash fingerprints, clustering, representatives and
+ * the near-duplicate-free llms-full.txt
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { NEAR_DUPLICATE_DISTANCE, clusterNearDuplicates, hammingDistance, simhash } from '../src/near-duplicates.mjs';
+import { SitefinityCrawler, createTurndownService, savePageContent } from '../src/crawler.mjs';
+import { regenerateMarkdown } from '../src/regenerate.mjs';
+import { main, resolveSettings, EXIT_CODES } from '../src/cli.mjs';
+
+const baseUrl = 'https://www.progress.com/documentation/sitefinity-cms';
+
+const INSTALL_TEXT = 'To install Sitefinity CMS you need a machine that runs Windows Server with IIS and the .NET Framework. Download the Sitefinity CMS installer from your Progress account, run it and choose the folder where the Project Manager should be placed. The Project Manager lets you create a new project, pick a license file and select the database that stores your content. Sitefinity CMS supports Microsoft SQL Server, Azure SQL Database and Amazon RDS for SQL Server. After the project is created, open it in the browser and complete the setup wizard by entering the administrator account details. You can then log in to the backend, create pages, add widgets and configure modules. For production environments we recommend a separate database server, a load balancer and regular backups of both the database and the file system. Widgets are the building blocks of Sitefinity CMS pages. Each widget renders a piece of content such as a news list, an image gallery, a form or a navigation menu. Content editors drag widgets from the toolbox onto placeholders in the page template and configure them in the widget designer.';
+
+/** The same article under another slug, with a few words edited */
+const COPY_TEXT = INSTALL_TEXT.replace('regular backups', 'scheduled backups').replace('news list', 'blog list');
+
+const UPGRADE_TEXT = 'Upgrading a Sitefinity CMS project moves it to a newer version of the product. Before you upgrade, back up the database and the project folder, and read the release notes of every version between your current one and the target version. Open the Project Manager, select the project and choose Upgrade, or update the Telerik.Sitefinity.All NuGet package in Visual Studio. Build the solution and start the site: the first request runs the upgrade of the database schema and the configuration files, which can take several minutes. Check the error log for failed upgrade steps, then test your custom widgets, modules and integrations, because some APIs change between major versions. Upgrades from very old versions may require an intermediate version first.';
+
+/**
+ * Save the install page, its copy under another slug, the upgrade page and a short stub
+ * @param {string} progressDir - Directory to save into
+ * @param {string[]} [allMarkdownContent] - Collects the markdown documents
+ * @returns {void}
+ */
+function savePages(progressDir, allMarkdownContent = []) {
+  fs.mkdirSync(progressDir, { recursive: true });
+  const turndownService = createTurndownService();
+  for (const [slug, title, text] of [
+    ['install-sitefinity', 'Install Sitefinity', INSTALL_TEXT],
+    ['installing-sitefinity', 'Installing Sitefinity', COPY_TEXT],
+    ['upgrade', 'Upgrade', UPGRADE_TEXT],
+    ['glossary', 'Glossary', 'Terms used in this documentation.']
+  ]) {
+    savePageContent({
+      url: `${baseUrl}/${slug}`,
+      title,
+      heading: title,
+      text,
+      html: `<p>${text}</p>`,
+      breadcrumb: ['Home', title]
+    }, progressDir, turndownService, allMarkdownContent);
+  }
+}
+
+test('Near-duplicates - simhash puts edited copies close and different pages far apart', () => {
+  const install = /** @type {string} */ (simhash(INSTALL_TEXT));
+  assert.match(install, /^[0-9a-f]{16}$/);
+  assert.strictEqual(simhash(INSTALL_TEXT), install, 'Fingerprints are deterministic');
+  assert.strictEqual(simhash(INSTALL_TEXT.toUpperCase().replace(/\./g, ' .')), install, 'Case and punctuation do not count');
+
+  assert.ok(hammingDistance(install, /** @type {string} */ (simhash(COPY_TEXT))) <= NEAR_DUPLICATE_DISTANCE);
+  assert.ok(hammingDistance(install, /** @type {string} */ (simhash(UPGRADE_TEXT))) > 2 * NEAR_DUPLICATE_DISTANCE);
+  assert.strictEqual(simhash('Terms used in this documentation.'), null, 'Short texts get no fingerprint');
+
+  assert.strictEqual(hammingDistance('ffffffff00000000', 'ffffffff00000000'), 0);
+  assert.strictEqual(hammingDistance('ffffffff00000000', '7fffffff00000001'), 2);
+});
+
+test('Near-duplicates - clusters are transitive and led by the best page', () => {
+  const clusters = clusterNearDuplicates([
+    { url: `${baseUrl}/a-very-long-copied-slug`, simhash: 'ffffffffffffffff', quality: { score: 100 } },
+    { url: `${baseUrl}/copy`, simhash: 'fffffffffffffff0', quality: { score: 80 } },
+    { url: `${baseUrl}/copy-of-copy`, simhash: 'ffffffffffffff00', quality: { score: 80 } },
+    { url: `${baseUrl}/unrelated`, simhash: '0000000000000000', quality: { score: 100 } },
+    { url: `${baseUrl}/stub`, simhash: null }
+  ], 4);
+
+  assert.deepStrictEqual(clusters, [{
+    representative: `${baseUrl}/a-very-long-copied-slug`,
+    members: [
+      { url: `${baseUrl}/a-very-long-copied-slug`, distance: 0 },
+      { url: `${baseUrl}/copy`, distance: 4 },
+      { url: `${baseUrl}/copy-of-copy`, distance: 8 }
+    ]
+  }], 'copy-of-copy is 8 bits from the representative but joins through copy');
+
+  const [tie] = clusterNearDuplicates([
+    { url: `${baseUrl}/install-sitefinity-copy`, simhash: 'ffffffffffffffff', quality: null },
+    { url: `${baseUrl}/install-sitefinity`, simhash: 'ffffffffffffffff', quality: null }
+  ]);
+  assert.strictEqual(tie.representative, `${baseUrl}/install-sitefinity`, 'Equal quality: the shorter URL wins');
+});
+
+test('Near-duplicates - clusters are recorded in the page JSON and skipped in llms-full.txt', () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'near-duplicates-test-'));
+  try {
+    const crawler = new SitefinityCrawler({ outputDir, nearDuplicates: 'skip' });
+    savePages(crawler.progressDir, crawler.allMarkdownContent);
+
+    const clusters = crawler.writeNearDuplicates();
+    crawler.writeLlmsFull();
+
+    assert.strictEqual(clusters.length, 1);
+    const readJson = (/** @type {string} */ name) => JSON.parse(fs.readFileSync(path.join(crawler.progressDir, `${name}.json`), 'utf-8'));
+    const expectedCluster = [`${baseUrl}/install-sitefinity`, `${baseUrl}/installing-sitefinity`];
+    assert.deepStrictEqual(readJson('install-sitefinity').nearDuplicates, { representative: `${baseUrl}/install-sitefinity`, cluster: expectedCluster, distance: 0 });
+    assert.strictEqual(readJson('installing-sitefinity').nearDuplicates.representative, `${baseUrl}/install-sitefinity`);
+    assert.deepStrictEqual(readJson('installing-sitefinity').nearDuplicates.cluster, expectedCluster);
+    assert.strictEqual(readJson('upgrade').nearDuplicates, null);
+    assert.strictEqual(readJson('glossary').simhash, null);
+
+    const llmsFull = fs.readFileSync(path.join(outputDir, 'llms-full.txt'), 'utf-8');
+    assert.ok(llmsFull.includes('# Install Sitefinity'));
+    assert.ok(!llmsFull.includes('Installing Sitefinity'), 'The copy is neither in the content nor in the table of contents');
+    assert.match(llmsFull, /\*\*Near-Duplicates Skipped:\*\* 1/);
+    assert.strictEqual(JSON.parse(fs.readFileSync(path.join(outputDir, 'toc.json'), 'utf-8')).pages, 4, 'toc.json keeps every page');
+    assert.ok(fs.readFileSync(path.join(outputDir, 'llms.txt'), 'utf-8').includes('Installing Sitefinity'), 'llms.txt keeps every page');
+
+    crawler.writeSummary();
+    const summary = JSON.parse(fs.readFileSync(path.join(outputDir, '_summary.json'), 'utf-8'));
+    assert.deepStrictEqual(summary.nearDuplicates, { mode: 'skip', clusters: 1, pages: 2 });
+  } finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('Near-duplicates - regenerate clusters older crawls and export honors the clusters', async () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'near-duplicates-test-'));
+  try {
+    const progressDir = path.join(outputDir, 'progress');
+    savePages(progressDir);
+    // A crawl from before near-duplicate detection
+    for (const file of fs.readdirSync(progressDir).filter(name => name.endsWith('.json'))) {
+      const { simhash: _simhash, ...json } = JSON.parse(fs.readFileSync(path.join(progressDir, file), 'utf-8'));
+      fs.writeFileSync(path.join(progressDir, file), JSON.stringify(json, null, 2));
+    }
+
+    await regenerateMarkdown({ outputDir, nearDuplicates: 'keep' });
+    const copy = JSON.parse(fs.readFileSync(path.join(progressDir, 'installing-sitefinity.json'), 'utf-8'));
+    assert.strictEqual(copy.nearDuplicates.representative, `${baseUrl}/install-sitefinity`);
+    assert.match(copy.simhash, /^[0-9a-f]{16}$/);
+    assert.ok(fs.readFileSync(path.join(outputDir, 'llms-full.txt'), 'utf-8').includes('# Installing Sitefinity'), 'keep leaves llms-full.txt complete');
+
+    await regenerateMarkdown({ outputDir, nearDuplicates: 'skip' });
+    assert.ok(!fs.readFileSync(path.join(outputDir, 'llms-full.txt'), 'utf-8').includes('# Installing Sitefinity'));
+
+    const out = path.join(outputDir, 'export', 'llms-full.txt');
+    assert.strictEqual(await main(['export', '--output-dir', outputDir, '--near-duplicates', 'skip', '--out', out]), EXIT_CODES.OK);
+    const exported = fs.readFileSync(out, 'utf-8');
+    assert.ok(exported.includes('# Install Sitefinity') && !exported.includes('# Installing Sitefinity'));
+  } finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('Near-duplicates - --near-duplicates setting', () => {
+  assert.strictEqual(resolveSettings({}, [], {}).nearDuplicates, 'keep');
+  assert.strictEqual(resolveSettings({}, [], { SITEFINITY_DOCS_NEAR_DUPLICATES: 'skip' }).nearDuplicates, 'skip');
+  assert.throws(() => resolveSettings({ 'near-duplicates': 'drop' }, [], {}), /nearDuplicates must be "keep" or "skip", got "drop"/);
+});
@@ -0,0 +1,140 @@
+/**
+ * Test the declarative noise rules: default rules file, rule types, dry runs and profile overrides
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import domino from '@mixmark-io/domino';
+import { applyNoiseRules, loadNoiseRules, resolveNoiseRules, validateNoiseRules } from '../src/noise-rules.mjs';
+import { DEFAULT_PROFILE, resolveProfile, selectProfiles } from '../src/profiles.mjs';
+import { buildProfiles, resolveSettings } from '../src/cli.mjs';
+
+const PAGE = [
+  '<h1>Install</h1>',
+  '<p>Run the installer.</p>',
+  '<h2>Configure</h2>',
+  '<p>Edit web.config.</p>',
+  '<h2>Was this article helpful?</h2>',
+  '<p>Yes / No</p>',
+  '<h3>Tell us more</h3>',
+  '<div class="thanks">Thank you for your feedback!</div>',
+  '<h2>Want to learn more?</h2>',
+  '<div class="course"><img src="/images/course_book.png"><a href="/services/education/sitefinity">Sitefinity basics</a>',
+  '<p>This free lesson teaches the basics.</p></div>',
+  '<h2>Related</h2>',
+  '<div class="promo"><p>Try the free on-demand video course</p><a href="/training">free lesson</a></div>',
+  '<div id="cookie" class="banner">We use cookies to personalize content. <a href="javascript:void(0)">Accept</a></div>',
+  '<p><a href="javascript:void(0)">Print</a> this page</p>'
+].join('');
+
+/**
+ * Parse an HTML fragment into a detached body element
+ * @param {string} html - HTML fragment
+ * @returns {HTMLElement}
+ */
+function body(html) {
+  return domino.createDocument(`<html><body>${html}</body></html>`, true).body;
+}
+
+/**
+ * Hit counts by rule id, leaving out rules without hits
+ * @param {import('../src/noise-rules.mjs').NoiseRuleHit[]} hits - Rule hits
+ * @returns {Record<string, number>}
+ */
+function counts(hits) {
+  return Object.fromEntries(hits.filter(hit => hit.count > 0).map(hit => [hit.id, hit.count]));
+}
+
+test('Noise rules - the default rules file removes the repeating boilerplate', () => {
+  const root = body(PAGE);
+  const hits = applyNoiseRules(root, loadNoiseRules());
+
+  assert.strictEqual(root.innerHTML, '<h1>Install</h1><p>Run the installer.</p><h2>Configure</h2><p>Edit web.config.</p><h2>Related</h2><p> this page</p>');
+  assert.deepStrictEqual(counts(hits), {
+    'article-feedback': 1,
+    'want-to-learn-more': 1,
+    'cookie-banner': 1,
+    'training-course-mentions': 1,
+    'javascript-links': 1
+  });
+  assert.deepStrictEqual(hits.find(hit => hit.id === 'article-feedback')?.nodes, [
+    '<h2> "Was this article helpful?" + 3 following element(s)'
+  ]);
+  assert.deepStrictEqual(hits.find(hit => hit.id === 'cookie-banner')?.nodes, [
+    '<div#cookie.banner> "We use cookies to personalize content. Accept"'
+  ]);
+});
+
+test('Noise rules - each rule type on its own, dry run leaves the DOM alone', () => {
+  /** @type {import('../src/noise-rules.mjs').NoiseRule[]} */
+  const rules = [
+    { id: 'course-links', type: 'ancestor-text', selector: 'a[href*="/services/education/"]', ancestorPattern: 'This free lesson' },
+    { id: 'course-icons', type: 'selector', selector: 'img[src*="course_book"]' },
+    { id: 'thanks', type: 'text-pattern', selector: '*', pattern: '^Thank you for your feedback!$' },
+    { id: 'feedback', type: 'heading-section', pattern: '^was this article helpful', flags: 'i' }
+  ];
+
+  const root = body(PAGE);
+  const before = root.innerHTML;
+  const dryRun = applyNoiseRules(root, rules, true);
+  assert.strictEqual(root.innerHTML, before, 'Dry run removes nothing');
+  assert.deepStrictEqual(counts(dryRun), { 'course-links': 1, thanks: 1, feedback: 1 }, 'The course icon is inside the removed course box');
+  assert.deepStrictEqual(dryRun.find(hit => hit.id === 'course-links')?.nodes, [
+    '<div.course> "Sitefinity basicsThis free lesson teaches the basics."'
+  ]);
+
+  const removed = applyNoiseRules(root, rules);
+  assert.deepStrictEqual(removed, dryRun, 'A dry run reports exactly what a real run removes');
+  assert.ok(!root.innerHTML.includes('course_book'));
+  assert.ok(!root.innerHTML.includes('Thank you'));
+  assert.ok(root.innerHTML.includes('<h2>Want to learn more?</h2>'));
+});
+
+test('Noise rules - malformed rules are rejected with the rule id', () => {
+  const cases = [
+    [[{ id: 'a', type: 'remove', selector: 'div' }], /rule "a" has unknown type "remove"/],
+    [[{ id: 'b', type: 'selector' }], /rule "b" needs a selector/],
+    [[{ id: 'c', type: 'heading-section', selector: 'h2' }], /rule "c" needs a pattern/],
+    [[{ id: 'd', type: 'ancestor-text', selector: 'a' }], /rule "d" needs an ancestorPattern/],
+    [[{ id: 'e', type: 'text-pattern', pattern: '(' }], /rule "e": Invalid regular expression/],
+    [[{ id: 'f', type: 'text-pattern', pattern: 'x', flags: 'gi' }], /flags "g" and "y" are not supported/],
+    [[{ type: 'selector', selector: 'div' }], /rule #1 needs an id/],
+    [[{ id: 'g', type: 'selector', selector: 'div' }, { id: 'g', type: 'selector', selector: 'p' }], /rule "g" is defined twice/],
+    [{ id: 'h' }, /"rules" must be an array/]
+  ];
+  for (const [rules, message] of cases) {
+    assert.throws(() => validateNoiseRules(rules, 'rules.json'), message);
+  }
+});
+
+test('Noise rules - profile rules files and --noise-rules', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'noise-rules-test-'));
+  const rulesFile = path.join(dir, 'rules.json');
+  fs.writeFileSync(rulesFile, JSON.stringify({ rules: [{ id: 'banner', type: 'selector', selector: '.banner' }] }));
+
+  const defaultIds = loadNoiseRules().map(rule => rule.id);
+  assert.deepStrictEqual(resolveNoiseRules(DEFAULT_PROFILE).map(rule => rule.id), defaultIds);
+
+  const profile = resolveProfile({ name: 'docs', baseUrl: 'https://docs.example.com/guide', noiseRules: rulesFile });
+  assert.deepStrictEqual(resolveNoiseRules(profile).map(rule => rule.id), ['banner']);
+
+  // The Telerik portal has its own rules file: its heading sections, the shared widget rules
+  const [telerik] = selectProfiles(['telerik-aspnet-ajax'], 'site-profiles.json');
+  const telerikIds = resolveNoiseRules(telerik).map(rule => rule.id);
+  assert.ok(telerikIds.includes('see-also') && telerikIds.includes('in-this-article'));
+  assert.ok(telerikIds.includes('feedback-thanks') && telerikIds.includes('training-course-links'));
+  assert.ok(!telerikIds.includes('new-to-sitefinity'));
+
+  const settings = resolveSettings({ 'noise-rules': rulesFile }, [], {});
+  assert.strictEqual(settings.noiseRulesFile, rulesFile);
+  assert.strictEqual(buildProfiles(settings)[0].noiseRules, rulesFile);
+
+  assert.strictEqual(resolveSettings({}, [], { SITEFINITY_DOCS_NOISE_RULES: rulesFile }).noiseRulesFile, rulesFile);
+  assert.throws(
+    () => buildProfiles(resolveSettings({ 'noise-rules': path.join(dir, 'missing.json') }, [], {})),
+    /Cannot read noise rules file .*missing\.json/
+  );
+});
@@ -0,0 +1,295 @@
+/**
+ * End-to-end crawls of the local fixture site: version dedup, redirect caching,
+ * error pages, robots.txt, revalidation and the close() outputs, all without network access
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { SitefinityCrawler } from '../src/crawler.mjs';
+import { loadSavedPages } from '../src/corpus.mjs';
+import { FIXTURE_SCOPE, startFixtureSite } from './fixtures/fixture-site.mjs';
+import { createDomBrowser, hasChromium } from './fixtures/dom-browser.mjs';
+import { createFixtureCrawler, crawlFixtureSite, removeOutputDirs } from './fixtures/fixture-crawler.mjs';
+
+/**
+ * Saved page URLs, relative to the fixture base URL
+ * @param {SitefinityCrawler} crawler - Crawler that ran
+ * @param {string} baseUrl - Fixture base URL
+ * @returns {string[]}
+ */
+function savedPaths(crawler, baseUrl) {
+  return loadSavedPages(crawler.progressDir).map(page => page.json.url.slice(baseUrl.length)).sort();
+}
+
+/**
+ * DOM browser whose pages fail to load one URL
+ * @param {string} failingUrl - URL whose navigation throws
+ * @returns {import('playwright').Browser}
+ */
+function createFailingBrowser(failingUrl) {
+  const browser = createDomBrowser();
+  const newContext = browser.newContext.bind(browser);
+  browser.newContext = async (options) => {
+    const context = await newContext(options);
+    const newPage = context.newPage.bind(context);
+    context.newPage = async () => {
+      const page = await newPage();
+      const goto = page.goto.bind(page);
+      page.goto = async (url, options) => {
+        if (url === failingUrl) {
+          throw new Error('net::ERR_CONNECTION_RESET');
+        }
+        return goto(url, options);
+      };
+      return page;
+    };
+    return context;
+  };
+  return browser;
+}
+
+test('Offline crawl - the fixture site end to end', async () => {
+  const site = await startFixtureSite();
+  try {
+    const crawler = await crawlFixtureSite(site);
+    const { baseUrl } = site;
+
+    // The canonical install page wins over /152/, the 14.3-only page is kept as an exception
+    assert.deepStrictEqual(savedPaths(crawler, baseUrl), ['', '/143/legacy-widgets', '/install-sitefinity', '/set-up-the-project', '/widgets']);
+    assert.ok(!site.requests.includes(`${FIXTURE_SCOPE}/152/install-sitefinity`), 'Versioned copy of a crawled page is never fetched');
+    assert.ok(site.requests.includes(`${FIXTURE_SCOPE}/legacy-widgets`), 'Canonical of a versioned page is probed');
+    assert.ok(!site.requests.some(request => request.includes('/internal/')), 'robots.txt-disallowed pages are not fetched');
+
+    assert.strictEqual(
+      crawler.loadRedirectFromCache(`${baseUrl}/configure-and-start-a-project`),
+      `${baseUrl}/set-up-the-project`
+    );
+
+    const install = JSON.parse(fs.readFileSync(path.join(crawler.progressDir, 'install-sitefinity.json'), 'utf-8'));
+    assert.deepStrictEqual(install.breadcrumb, ['Home', 'Setup', 'Install Sitefinity']);
+    assert.deepStrictEqual(install.extraction, { strategy: 'main-content', selector: 'article' });
+    assert.strictEqual(install.quality.score, 100);
+    assert.ok(install.etag, 'Response headers are kept for revalidation');
+
+    const markdown = fs.readFileSync(path.join(crawler.progressDir, 'install-sitefinity.md'), 'utf-8');
+    assert.match(markdown, /```powershell\nInstall-Package Telerik\.Sitefinity\.All\n```/);
+    assert.match(markdown, /!\[Project manager\]\(\.\.\/assets\/[0-9a-f]{16}\.png\)/);
+    for (const noise of ['Was this article helpful', 'Want to learn more', 'We use cookies', 'Progress Software', 'Drafts']) {
+      assert.ok(!markdown.includes(noise), `"${noise}" is removed`);
+    }
+
+    for (const file of ['llms-full.txt', 'llms.txt', 'toc.json', '_summary.json', 'changes.json', 'CHANGES.md', 'changes.atom', 'broken-links.json', 'broken-links.md', 'quality-report.md']) {
+      assert.ok(fs.existsSync(path.join(crawler.outputDir, file)), `${file} is written`);
+    }
+    assert.ok(!fs.existsSync(path.join(crawler.outputDir, 'frontier.jsonl')), 'A finished crawl leaves no frontier');
+
+    const summary = JSON.parse(fs.readFileSync(path.join(crawler.outputDir, '_summary.json'), 'utf-8'));
+    assert.strictEqual(summary.baseUrl, baseUrl);
+    assert.deepStrictEqual(summary.changes, { new: 5, changed: 0, unchanged: 0 });
+    assert.strictEqual(summary.noiseRules['article-feedback'], 2);
+
+    const brokenLinks = JSON.parse(fs.readFileSync(path.join(crawler.outputDir, 'broken-links.json'), 'utf-8'));
+    assert.deepStrictEqual(brokenLinks.links.map((/** @type {{url: string, status: number, referrers: string[]}} */ link) => [link.url, link.status, link.referrers]), [
+      [`${baseUrl}/removed-page`, 404, [baseUrl]]
+    ]);
+
+    const toc = JSON.parse(fs.readFileSync(path.join(crawler.outputDir, 'toc.json'), 'utf-8'));
+    assert.strictEqual(toc.pages, 5);
+    const llmsFull = fs.readFileSync(path.join(crawler.outputDir, 'llms-full.txt'), 'utf-8');
+    assert.ok(llmsFull.indexOf('# Install Sitefinity') < llmsFull.indexOf('# Set up the project'), 'llms-full.txt follows the nav order');
+    assert.ok(llmsFull.includes(`![Project manager](${baseUrl}/images/install.png)`), 'Images keep their URL outside progress/');
+  } finally {
+    await site.close();
+    removeOutputDirs();
+  }
+});
+
+test('Offline crawl - later crawls reuse fresh pages and cached redirects, and revalidate stale ones', async () => {
+  const site = await startFixtureSite();
+  try {
+    const first = await crawlFixtureSite(site);
+    const { outputDir } = first;
+
+    site.requests.length = 0;
+    const fresh = await crawlFixtureSite(site, { outputDir });
+    assert.deepStrictEqual(site.requests, ['/robots.txt', '/sitemap.xml', `${FIXTURE_SCOPE}/removed-page`],
+      'Only the broken page is fetched again; the redirect comes from the cache');
+    assert.strictEqual(fresh.cachedCount, 5);
+
+    site.requests.length = 0;
+    const stale = await crawlFixtureSite(site, { outputDir, staleThreshold: 0 });
+    assert.deepStrictEqual(stale.changeCounts, { new: 0, changed: 0, unchanged: 5 });
+    assert.strictEqual(stale.statusCounts[304], 4, 'Saved pages are revalidated with their ETag');
+    assert.deepStrictEqual(savedPaths(stale, site.baseUrl), savedPaths(first, site.baseUrl));
+
+    // A 304 downloads nothing: it counts as cached, not against maxPages
+    const summary = JSON.parse(fs.readFileSync(path.join(outputDir, '_summary.json'), 'utf-8'));
+    assert.deepStrictEqual(
+      [summary.totalPages, summary.cachedPages, summary.revalidatedPages, summary.newlyFetchedPages],
+      [6, 4, 4, 2]
+    );
+    const capped = await crawlFixtureSite(site, { outputDir, staleThreshold: 0, maxPages: 2 });
+    assert.strictEqual(capped.statusCounts[304], 4, 'Revalidated pages leave the maxPages budget to downloads');
+    assert.strictEqual(capped.pageCount, 2);
+  } finally {
+    await site.close();
+    removeOutputDirs();
+  }
+});
+
+test('Offline crawl - a crawl capped by maxPages leaves no frontier, the next one starts fresh', async () => {
+  const site = await startFixtureSite();
+  try {
+    const capped = await crawlFixtureSite(site, { maxPages: 2 });
+    assert.strictEqual(capped.pageCount, 2);
+    assert.ok(!fs.existsSync(path.join(capped.outputDir, 'frontier.jsonl')));
+
+    const next = await crawlFixtureSite(site, { outputDir: capped.outputDir });
+    assert.strictEqual(next.cachedCount, 2, 'The capped pages are reused from the cache');
+    assert.deepStrictEqual(savedPaths(next, site.baseUrl), ['', '/143/legacy-widgets', '/install-sitefinity', '/set-up-the-project', '/widgets']);
+  } finally {
+    await site.close();
+    removeOutputDirs();
+  }
+});
+
+test('Offline crawl - an interrupted crawl journals canonical targets and retries failed pages on resume', async () => {
+  const site = await startFixtureSite();
+  try {
+    const { baseUrl } = site;
+    // Resume from a journal holding a versioned link, so its canonical page is crawled in its place
+    const interrupted = createFixtureCrawler(baseUrl, { browser: createFailingBrowser(`${baseUrl}/widgets`) });
+    fs.writeFileSync(path.join(interrupted.outputDir, 'frontier.jsonl'), JSON.stringify({ state: 'pending', url: `${baseUrl}/152/install-sitefinity` }) + '\n');
+    interrupted.on('error', () => {
+      interrupted.interrupted = true;
+    });
+    await interrupted.run();
+
+    const journal = fs.readFileSync(path.join(interrupted.outputDir, 'frontier.jsonl'), 'utf-8')
+      .trim().split('\n').map(line => JSON.parse(line));
+    const states = new Map(journal.map(entry => [entry.url.slice(baseUrl.length), entry.state]));
+    assert.strictEqual(states.get('/widgets'), 'pending', 'A page that failed to load is retried');
+    assert.strictEqual(states.get('/152/install-sitefinity'), 'done');
+    assert.strictEqual(states.get('/install-sitefinity'), 'done', 'The canonical page crawled in place of a versioned link is journaled');
+
+    const resumed = await crawlFixtureSite(site, { outputDir: interrupted.outputDir });
+    assert.ok(savedPaths(resumed, baseUrl).includes('/widgets'));
+    assert.ok(!fs.existsSync(path.join(resumed.outputDir, 'frontier.jsonl')));
+  } finally {
+    await site.close();
+    removeOutputDirs();
+  }
+});
+
+test('Offline crawl - SIGINT lets the page in flight finish before closing', async () => {
+  const site = await startFixtureSite();
+  const exit = process.exit;
+  try {
+    const crawler = createFixtureCrawler(site.baseUrl);
+    /** @type {string[]} */
+    const saved = [];
+    crawler.on('pageSaved', ({ url }) => saved.push(url));
+    crawler.once('pageFetched', () => {
+      process.emit('SIGINT', 'SIGINT');
+    });
+
+    const exitCode = await new Promise(resolve => {
+      process.exit = /** @type {(code?: number) => never} */ (code => resolve(code));
+      crawler.run();
+    });
+
+    assert.strictEqual(exitCode, 130);
+    assert.deepStrictEqual(saved, [site.baseUrl], 'The page in flight is saved, no other page is started');
+    const journal = fs.readFileSync(path.join(crawler.outputDir, 'frontier.jsonl'), 'utf-8');
+    assert.ok(journal.includes(JSON.stringify({ state: 'done', url: site.baseUrl })));
+  } finally {
+    process.exit = exit;
+    await site.close();
+    removeOutputDirs();
+  }
+});
+
+test('Offline crawl - checkpoints only compact the frontier journal', async () => {
+  const site = await startFixtureSite();
+  try {
+    const crawler = createFixtureCrawler(site.baseUrl, { checkpointInterval: 1 });
+    /** @type {boolean[]} */
+    const aggregates = [];
+    crawler.on('pageSaved', () => {
+      aggregates.push(fs.existsSync(path.join(crawler.outputDir, 'llms-full.txt')) || fs.existsSync(path.join(crawler.outputDir, '_summary.json')));
+    });
+    await crawler.run();
+
+    assert.strictEqual(aggregates.length, 5);
+    assert.ok(aggregates.every(written => !written), 'Aggregate outputs are written once, by close()');
+    assert.ok(fs.existsSync(path.join(crawler.outputDir, 'llms-full.txt')));
+  } finally {
+    await site.close();
+    removeOutputDirs();
+  }
+});
+
+test('Offline crawl - a crawl pinned to a version follows canonical links to their versioned pages', async () => {
+  const site = await startFixtureSite();
+  try {
+    const crawler = await crawlFixtureSite(site, { version: '152' });
+
+    assert.deepStrictEqual(savedPaths(crawler, site.baseUrl), ['/152', '/152/install-sitefinity']);
+    for (const page of ['install-sitefinity', 'set-up-the-project', 'widgets']) {
+      assert.ok(site.requests.includes(`${FIXTURE_SCOPE}/152/${page}`), `The nav link to ${page} is pinned to 15.2`);
+      assert.ok(!site.requests.includes(`${FIXTURE_SCOPE}/${page}`), `The latest ${page} is never fetched`);
+    }
+  } finally {
+    await site.close();
+    removeOutputDirs();
+  }
+});
+
+test('Offline crawl - local links stay in progress/, llms-full.txt gets their URLs', async () => {
+  const site = await startFixtureSite();
+  try {
+    const crawler = await crawlFixtureSite(site, { linkMode: 'local' });
+    const { baseUrl } = site;
+
+    const home = fs.readFileSync(path.join(crawler.progressDir, 'index.md'), 'utf-8');
+    assert.match(home, /\[installing Sitefinity\]\(install-sitefinity\.md\)/);
+    assert.match(home, new RegExp(`\\[legacy widgets\\]\\(${baseUrl}/143/legacy-widgets\\)`), 'Not saved yet, so not mapped onto a canonical file');
+
+    const llmsFull = fs.readFileSync(path.join(crawler.outputDir, 'llms-full.txt'), 'utf-8');
+    assert.ok(llmsFull.includes(`[installing Sitefinity](${baseUrl}/install-sitefinity)`));
+    assert.ok(llmsFull.includes(`[configure and start a project](${baseUrl}/set-up-the-project)`), 'Links to a redirect source get the redirect target');
+    assert.ok(llmsFull.includes('and the removed page.'), 'Links to pages that were never saved keep their text');
+    assert.doesNotMatch(llmsFull, /\]\([^)\s:]+\.md[)#\s]/, 'No progress/-relative links');
+  } finally {
+    await site.close();
+    removeOutputDirs();
+  }
+});
+
+test('Offline crawl - the base URL must stay within the profile scope', () => {
+  assert.strictEqual(
+    new SitefinityCrawler({ outputDir: './test-output', baseUrl: 'http://127.0.0.1:8080/documentation/sitefinity-cms/' }).baseUrl,
+    'http://127.0.0.1:8080/documentation/sitefinity-cms'
+  );
+  assert.throws(
+    () => new SitefinityCrawler({ outputDir: './test-output', baseUrl: 'http://127.0.0.1:8080/docs' }),
+    /Base URL http:\/\/127\.0\.0\.1:8080\/docs is outside the scope \/documentation\/sitefinity-cms/
+  );
+});
+
+test('Offline crawl - Chromium renders the fixture site the same way', { skip: !hasChromium() && 'Chromium is not installed' }, async () => {
+  const site = await startFixtureSite();
+  try {
+    const reference = await crawlFixtureSite(site);
+    const crawler = await crawlFixtureSite(site, { browser: undefined });
+    assert.deepStrictEqual(savedPaths(crawler, site.baseUrl), savedPaths(reference, site.baseUrl));
+
+    const read = (/** @type {SitefinityCrawler} */ c) => fs.readFileSync(path.join(c.progressDir, 'install-sitefinity.md'), 'utf-8');
+    assert.strictEqual(read(crawler), read(reference));
+  } finally {
+    await site.close();
+    removeOutputDirs();
+  }
+});
@@ -0,0 +1,164 @@
+/**
+ * Test crawl events and plugin hooks: URL filters, content transforms, markdown
+ * post-processing and extra outputs, on crawls of the local fixture site
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { regenerateMarkdown } from '../src/regenerate.mjs';
+import { FIXTURE_SCOPE, startFixtureSite } from './fixtures/fixture-site.mjs';
+import { crawlFixtureSite, createFixtureCrawler, removeOutputDirs } from './fixtures/fixture-crawler.mjs';
+
+/** @type {(keyof import('../src/crawler.mjs').CrawlerEventMap)[]} */
+const EVENTS = ['pageFetched', 'pageSaved', 'pageCached', 'redirect', 'skipped', 'error', 'done'];
+
+/**
+ * Crawl the fixture site and record every event the crawler emits
+ * @param {import('./fixtures/fixture-site.mjs').FixtureSite} site - Running fixture site
+ * @param {import('../src/crawler.mjs').CrawlerOptions} [options] - Extra crawler options
+ * @returns {Promise<{crawler: import('../src/crawler.mjs').SitefinityCrawler, events: Record<string, any[]>}>}
+ */
+async function crawlWithEvents(site, options = {}) {
+  const crawler = createFixtureCrawler(site.baseUrl, options);
+  /** @type {Record<string, any[]>} */
+  const events = {};
+  for (const name of EVENTS) {
+    events[name] = [];
+    crawler.on(name, (/** @type {any} */ payload) => events[name].push(payload));
+  }
+  await crawler.run();
+  return { crawler, events };
+}
+
+/** @type {import('../src/plugins.mjs').CrawlerPlugin} */
+const noWidgets = {
+  name: 'no-widgets',
+  filterUrl: (url) => !url.endsWith('/widgets')
+};
+
+test('Plugins - crawl events report fetched, saved, redirected, skipped and cached pages', async () => {
+  const site = await startFixtureSite();
+  try {
+    const { crawler, events } = await crawlWithEvents(site, { plugins: [noWidgets] });
+    const { baseUrl } = site;
+    /** @param {string} url */
+    const rel = url => url.slice(baseUrl.length);
+
+    assert.deepStrictEqual(events.pageSaved.map(event => rel(event.url)).sort(), ['', '/143/legacy-widgets', '/install-sitefinity', '/set-up-the-project']);
+    assert.ok(events.pageSaved.every(event => event.status === 'new' && event.filename && event.content.title));
+    assert.ok(!site.requests.includes(`${FIXTURE_SCOPE}/widgets`), 'Filtered URLs are never fetched');
+
+    assert.deepStrictEqual(events.redirect, [{ from: `${baseUrl}/configure-and-start-a-project`, to: `${baseUrl}/set-up-the-project` }]);
+    assert.deepStrictEqual(
+      events.pageFetched.find(event => event.url === `${baseUrl}/removed-page`),
+      { url: `${baseUrl}/removed-page`, finalUrl: `${baseUrl}/removed-page`, status: 404 }
+    );
+
+    const skipped = events.skipped.map(event => [rel(event.url), event.reason, event.detail]);
+    assert.deepStrictEqual(skipped.find(([url]) => url === '/widgets'), ['/widgets', 'filtered', 'no-widgets']);
+    assert.deepStrictEqual(skipped.find(([url]) => url === '/internal/drafts'), ['/internal/drafts', 'robots', null]);
+    assert.deepStrictEqual(skipped.find(([url]) => url === '/removed-page'), ['/removed-page', 'http-error', 'HTTP 404']);
+    assert.deepStrictEqual(skipped.find(([url]) => url === '/152/install-sitefinity'), ['/152/install-sitefinity', 'canonical-crawled', `${baseUrl}/install-sitefinity`]);
+    assert.strictEqual(new Set(skipped.map(skip => skip.join(' '))).size, skipped.length, 'Each URL is reported once per reason');
+
+    assert.strictEqual(events.done.length, 1);
+    assert.deepStrictEqual(events.done[0], {
+      outputDir: crawler.outputDir,
+      complete: true,
+      interrupted: false,
+      totalPages: crawler.pageCount,
+      cachedPages: 0,
+      newlyFetchedPages: crawler.pageCount,
+      changes: { new: 4, changed: 0, unchanged: 0 },
+      pluginOutputs: []
+    });
+    assert.deepStrictEqual(events.error, []);
+
+    const fresh = await crawlWithEvents(site, { outputDir: crawler.outputDir, plugins: [noWidgets] });
+    assert.deepStrictEqual(fresh.events.pageCached.map(event => event.reason), ['fresh', 'fresh', 'fresh', 'fresh']);
+    assert.deepStrictEqual(fresh.events.pageSaved, []);
+
+    const stale = await crawlWithEvents(site, { outputDir: crawler.outputDir, plugins: [noWidgets], staleThreshold: 0 });
+    const notModified = stale.events.pageCached.filter(event => event.reason === 'not-modified');
+    assert.strictEqual(notModified.length, stale.crawler.statusCounts[304]);
+    assert.ok(notModified.length > 0);
+  } finally {
+    await site.close();
+    removeOutputDirs();
+  }
+});
+
+test('Plugins - content transforms, markdown post-processing and extra outputs', async () => {
+  const site = await startFixtureSite();
+  try {
+    /** @type {import('../src/plugins.mjs').CrawlerPlugin} */
+    const retitle = {
+      name: 'retitle',
+      transformContent: (content) => ({ ...content, title: `${content.title} (mirror)` })
+    };
+    /** @type {import('../src/plugins.mjs').CrawlerPlugin} */
+    const footer = {
+      name: 'footer',
+      postProcessMarkdown: (markdown, content) => `${markdown}\n\n_Mirrored from ${content.url}_`
+    };
+    /** @type {import('../src/plugins.mjs').CrawlerPlugin} */
+    const escaping = {
+      name: 'escaping',
+      outputs: () => ({ '../escape.txt': 'outside' })
+    };
+    /** @type {import('../src/plugins.mjs').CrawlerPlugin} */
+    const urlList = {
+      name: 'url-list',
+      outputs: ({ pages, complete }) => ({
+        'extras/urls.txt': `${complete ? 'complete' : 'partial'}\n${pages.map(page => page.json.url).sort().join('\n')}\n`
+      })
+    };
+
+    const { crawler, events } = await crawlWithEvents(site, { plugins: [noWidgets, retitle, footer, escaping, urlList] });
+
+    const install = JSON.parse(fs.readFileSync(path.join(crawler.progressDir, 'install-sitefinity.json'), 'utf-8'));
+    assert.ok(install.title.endsWith(' (mirror)'));
+    const markdownPath = path.join(crawler.progressDir, 'install-sitefinity.md');
+    const markdown = fs.readFileSync(markdownPath, 'utf-8');
+    assert.ok(markdown.trimEnd().endsWith(`_Mirrored from ${site.baseUrl}/install-sitefinity_`));
+    assert.ok(fs.readFileSync(path.join(crawler.outputDir, 'llms-full.txt'), 'utf-8').includes('_Mirrored from'));
+
+    const urls = fs.readFileSync(path.join(crawler.outputDir, 'extras', 'urls.txt'), 'utf-8').split('\n');
+    assert.strictEqual(urls[0], 'complete');
+    assert.ok(urls.includes(`${site.baseUrl}/install-sitefinity`));
+    assert.ok(!fs.existsSync(path.join(crawler.outputDir, '..', 'escape.txt')));
+
+    assert.strictEqual(events.error.length, 1, 'A failing plugin is reported and the next one still runs');
+    assert.strictEqual(events.error[0].url, null);
+    assert.match(events.error[0].error.message, /Plugin "escaping" output \.\.\/escape\.txt is outside the output directory/);
+    assert.deepStrictEqual(events.done[0].pluginOutputs, [path.join(crawler.outputDir, 'extras', 'urls.txt')]);
+
+    // The post-processed markdown is what change detection hashes
+    const rerun = await crawlWithEvents(site, { outputDir: crawler.outputDir, plugins: [noWidgets, retitle, footer], staleThreshold: 0 });
+    assert.strictEqual(rerun.crawler.changeCounts.changed, 0);
+
+    await regenerateMarkdown({ outputDir: crawler.outputDir, plugins: [footer] });
+    assert.strictEqual(fs.readFileSync(markdownPath, 'utf-8'), markdown, 'regenerate applies the post-processors again');
+    await regenerateMarkdown({ outputDir: crawler.outputDir });
+    assert.ok(!fs.readFileSync(markdownPath, 'utf-8').includes('_Mirrored from'));
+  } finally {
+    await site.close();
+    removeOutputDirs();
+  }
+});
+
+test('Plugins - a failing plugin does not fail a crawl without error listeners', async () => {
+  const site = await startFixtureSite();
+  try {
+    const crawler = await crawlFixtureSite(site, {
+      maxPages: 1,
+      plugins: [{ name: 'broken', outputs: () => { throw new Error('boom'); } }]
+    });
+    assert.ok(fs.existsSync(path.join(crawler.outputDir, '_summary.json')));
+  } finally {
+    await site.close();
+    removeOutputDirs();
+  }
+});
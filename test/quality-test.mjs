@@ -0,0 +1,140 @@
+/**
+ * Test extraction quality signals, scoring and quality-report.md
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import domino from '@mixmark-io/domino';
+import {
+  assessQuality,
+  buildQualityReport,
+  headingMatchesTitle,
+  measureContent,
+  renderQualityReportMarkdown
+} from '../src/quality.mjs';
+import { SitefinityCrawler, createTurndownService, savePageContent } from '../src/crawler.mjs';
+import { resolveSettings } from '../src/cli.mjs';
+
+const baseUrl = 'https://www.progress.com/documentation/sitefinity-cms';
+
+const ARTICLE = [
+  '<h1>Configure the output cache</h1>',
+  '<p>Sitefinity CMS caches the rendered output of pages, so that repeated requests are served from memory.</p>',
+  '<h2>Cache profiles</h2>',
+  '<p>Open Administration, then Settings, then Advanced, and select the output cache profile that the site uses.</p>',
+  '<pre><code>&lt;outputCache enabled="true" /&gt;</code></pre>',
+  '<p>After you save, restart the application so that every node of a load-balanced setup uses the profile. See <a href="/cache">caching</a>.</p>'
+].join('');
+
+/**
+ * Measure an HTML fragment as the content area of a page with totalNodes elements
+ * @param {string} html - Content area HTML
+ * @param {number} [totalNodes] - Elements in the page before cleaning (default: the fragment's own)
+ * @returns {import('../src/quality.mjs').ContentMeasurements}
+ */
+function measure(html, totalNodes) {
+  const root = domino.createDocument(`<html><body>${html}</body></html>`, true).body;
+  return measureContent(root, totalNodes ?? root.querySelectorAll('*').length);
+}
+
+test('Quality - a regular documentation page scores 100', () => {
+  const quality = assessQuality(
+    { title: 'Configure the output cache | Sitefinity CMS', heading: 'Configure the output cache', text: '' },
+    measure(ARTICLE, 120)
+  );
+
+  assert.deepStrictEqual(quality.issues, []);
+  assert.strictEqual(quality.score, 100);
+  assert.strictEqual(quality.headings, 2);
+  assert.strictEqual(quality.codeBlocks, 1);
+  assert.strictEqual(quality.keptNodes, 8);
+  assert.strictEqual(quality.removedNodes, 112);
+  assert.strictEqual(quality.removedToKept, 14);
+  assert.ok(quality.linkDensity > 0 && quality.linkDensity < 0.05);
+  assert.strictEqual(quality.headingMatchesTitle, true);
+});
+
+test('Quality - empty, consent, link-list and mismatched pages are flagged', () => {
+  const consent = assessQuality(
+    { title: 'Sitefinity CMS', heading: '', text: 'We value your privacy. Accept all cookies' },
+    measure('<div><p>We value your privacy.</p><button>Accept all cookies</button></div>', 900)
+  );
+  assert.deepStrictEqual(consent.issues, ['thin', 'interstitial', 'mostly-removed', 'no-heading']);
+  assert.strictEqual(consent.score, 0);
+
+  const empty = assessQuality({ title: 'Install', heading: 'Install', text: '' }, measure('', 50));
+  assert.ok(empty.issues.includes('empty'));
+  assert.strictEqual(empty.score, 0);
+
+  const links = Array.from({ length: 20 }, (_, i) => `<li><a href="/p${i}">Documentation page ${i}</a></li>`).join('');
+  const listing = assessQuality({ title: 'Widgets | Sitefinity CMS', heading: 'Widgets', text: '' }, measure(`<h1>Widgets</h1><ul>${links}</ul>`));
+  assert.deepStrictEqual(listing.issues, ['link-heavy']);
+  assert.strictEqual(listing.score, 75);
+
+  const mismatch = assessQuality({ title: 'Install | Sitefinity CMS', heading: 'Manage users', text: '' }, measure(ARTICLE));
+  assert.deepStrictEqual(mismatch.issues, ['heading-mismatch']);
+  assert.strictEqual(mismatch.score, 90);
+
+  // Long pages that talk about 404 errors are documentation, not error pages
+  const article404 = assessQuality(
+    { title: 'Handle 404 errors | Sitefinity CMS', heading: 'Handle 404 errors', text: 'Page not found handling' },
+    measure(ARTICLE.repeat(3))
+  );
+  assert.deepStrictEqual(article404.issues, []);
+});
+
+test('Quality - heading and title comparison ignores the site suffix and punctuation', () => {
+  assert.strictEqual(headingMatchesTitle('Install Sitefinity', 'Install Sitefinity | Sitefinity CMS'), true);
+  assert.strictEqual(headingMatchesTitle('Overview: Widgets', 'Overview - Widgets - Sitefinity CMS'), true);
+  assert.strictEqual(headingMatchesTitle('Create a page template', 'Page templates | Sitefinity CMS'), false);
+  assert.strictEqual(headingMatchesTitle('', 'Install'), false);
+});
+
+test('Quality - page JSON and quality-report.md list the outliers worst first', () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quality-test-'));
+  const crawler = new SitefinityCrawler({ outputDir, checkpointInterval: 0, minQuality: 70 });
+  fs.mkdirSync(crawler.progressDir, { recursive: true });
+
+  /**
+   * @param {string} slug - Page path below the base URL
+   * @param {string} title - Page title
+   * @param {string} html - Content area HTML
+   */
+  const save = (slug, title, html) => {
+    const content = { url: `${baseUrl}/${slug}`, title, heading: title, text: '', html };
+    savePageContent({ ...content, quality: assessQuality(content, measure(html)) }, crawler.progressDir, createTurndownService(), []);
+  };
+  save('output-cache', 'Configure the output cache', ARTICLE);
+  save('empty', 'Empty | page', '');
+  save('short', 'Short', '<p>Coming soon.</p>');
+  // Saved before quality signals existed
+  savePageContent({ url: `${baseUrl}/legacy`, title: 'Legacy', heading: 'Legacy', text: '', html: '' }, crawler.progressDir, createTurndownService(), []);
+
+  const json = JSON.parse(fs.readFileSync(path.join(crawler.progressDir, 'output-cache.json'), 'utf-8'));
+  assert.strictEqual(json.quality.score, 100);
+
+  const report = crawler.writeQualityReport();
+  assert.strictEqual(report.pages, 3, 'Pages without quality signals are not scored');
+  assert.deepStrictEqual(report.outliers.map(outlier => outlier.url), [`${baseUrl}/empty`, `${baseUrl}/short`]);
+  assert.deepStrictEqual(report.issues, { empty: 1, thin: 1 });
+
+  const markdown = fs.readFileSync(path.join(outputDir, 'quality-report.md'), 'utf-8');
+  assert.strictEqual(markdown, renderQualityReportMarkdown({ ...report }, crawler.profile.title));
+  assert.match(markdown, /\*\*Below 70:\*\* 2/);
+  assert.match(markdown, /\| 0 \| \[Empty \\\| page\]\(.*\/empty\) \| empty \| 0 \|/);
+  assert.match(markdown, /\| 60 \| \[Short\]\(.*\/short\) \| thin \|/);
+
+  assert.match(renderQualityReportMarkdown(buildQualityReport([json]), 'Docs'), /No suspicious pages found\./);
+});
+
+test('Quality - threshold and re-fetch settings', () => {
+  assert.strictEqual(resolveSettings({}, [], {}).minQuality, 50);
+  assert.strictEqual(resolveSettings({}, [], {}).refetchLowQuality, false);
+  assert.strictEqual(resolveSettings({ 'min-quality': '70', 'refetch-low-quality': true }, [], {}).minQuality, 70);
+  assert.strictEqual(resolveSettings({ 'refetch-low-quality': true }, [], {}).refetchLowQuality, true);
+  assert.strictEqual(resolveSettings({}, [], { SITEFINITY_DOCS_MIN_QUALITY: '30' }).minQuality, 30);
+  assert.throws(() => resolveSettings({ 'min-quality': 'high' }, [], {}), /minQuality must be a number/);
+});
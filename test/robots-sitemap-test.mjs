@@ -0,0 +1,142 @@
+/**
+ * Test robots.txt handling and sitemap seeding
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import zlib from 'zlib';
+import { SitefinityCrawler } from '../src/crawler.mjs';
+import { createRobotsPolicy, parseRobotsTxt } from '../src/robots.mjs';
+import { collectSitemapEntries, parseSitemap } from '../src/sitemap.mjs';
+
+const origin = 'https://www.progress.com';
+const baseUrl = `${origin}/documentation/sitefinity-cms`;
+const userAgent = 'sitefinity-docs-crawler/1.0 (+https://example.com)';
+
+const robotsTxt = `
+# Comments are ignored
+User-agent: *
+Disallow: /documentation/sitefinity-cms/internal
+Allow: /documentation/sitefinity-cms/internal/public-page$
+Disallow: /*.pdf$
+Crawl-delay: 2
+
+User-agent: BadBot
+User-agent: sitefinity-docs-crawler
+Disallow: /documentation/sitefinity-cms/drafts/
+
+Sitemap: ${origin}/sitemap-index.xml
+`;
+
+/**
+ * Build a fetcher serving fixed responses
+ * @param {Record<string, string | Buffer>} responses - Body by URL
+ * @returns {import('../src/http.mjs').Fetcher}
+ */
+function fakeFetcher(responses) {
+  return async (url) => {
+    const body = responses[url];
+    if (body === undefined) {
+      return { status: 404, ok: false, headers: {}, body: Buffer.from('') };
+    }
+    return { status: 200, ok: true, headers: {}, body: Buffer.isBuffer(body) ? body : Buffer.from(body) };
+  };
+}
+
+test('Robots - parses groups, shared user-agent lines and sitemaps', () => {
+  const parsed = parseRobotsTxt(robotsTxt);
+
+  assert.strictEqual(parsed.groups.length, 2);
+  assert.deepStrictEqual(parsed.groups[1].agents, ['badbot', 'sitefinity-docs-crawler']);
+  assert.strictEqual(parsed.groups[0].crawlDelay, 2);
+  assert.deepStrictEqual(parsed.sitemaps, [`${origin}/sitemap-index.xml`]);
+});
+
+test('Robots - specific group replaces the * group for our user agent', () => {
+  const policy = createRobotsPolicy(robotsTxt, userAgent);
+
+  assert.strictEqual(policy.isAllowed(`${baseUrl}/drafts/new-page`), false);
+  assert.strictEqual(policy.isAllowed(`${baseUrl}/internal/secret`), true, '* rules do not apply to us');
+  assert.strictEqual(policy.crawlDelay, null);
+});
+
+test('Robots - longest match wins, Allow and $ anchors', () => {
+  const policy = createRobotsPolicy(robotsTxt, 'OtherBot/2.0');
+
+  assert.strictEqual(policy.isAllowed(`${baseUrl}/internal/secret`), false);
+  assert.strictEqual(policy.isAllowed(`${baseUrl}/internal/public-page`), true);
+  assert.strictEqual(policy.isAllowed(`${baseUrl}/internal/public-page/child`), false, '$ anchors the Allow rule');
+  assert.strictEqual(policy.isAllowed(`${origin}/files/guide.pdf`), false);
+  assert.strictEqual(policy.isAllowed(`${baseUrl}/install`), true);
+  assert.strictEqual(policy.crawlDelay, 2);
+});
+
+test('Robots - empty robots.txt allows everything', () => {
+  const policy = createRobotsPolicy('', userAgent);
+  assert.strictEqual(policy.isAllowed(`${baseUrl}/anything`), true);
+});
+
+test('Sitemap - parses urlset and sitemap index', () => {
+  const urlset = parseSitemap(`<?xml version="1.0"?>
+    <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+      <url><loc>${baseUrl}/install?a=1&amp;b=2</loc><lastmod>2025-10-01</lastmod></url>
+      <url><loc>${baseUrl}/upgrade</loc></url>
+    </urlset>`);
+
+  assert.strictEqual(urlset.type, 'urlset');
+  assert.deepStrictEqual(urlset.entries, [
+    { loc: `${baseUrl}/install?a=1&b=2`, lastmod: '2025-10-01' },
+    { loc: `${baseUrl}/upgrade`, lastmod: null }
+  ]);
+
+  const index = parseSitemap(`<sitemapindex><sitemap><loc>${origin}/sitemap-1.xml</loc></sitemap></sitemapindex>`);
+  assert.strictEqual(index.type, 'sitemapindex');
+  assert.deepStrictEqual(index.entries, [{ loc: `${origin}/sitemap-1.xml`, lastmod: null }]);
+});
+
+test('Sitemap - follows indexes and gunzips .xml.gz', async () => {
+  const fetcher = fakeFetcher({
+    [`${origin}/sitemap-index.xml`]: `<sitemapindex>
+      <sitemap><loc>${origin}/sitemap-docs.xml.gz</loc></sitemap>
+      <sitemap><loc>${origin}/missing.xml</loc></sitemap>
+    </sitemapindex>`,
+    [`${origin}/sitemap-docs.xml.gz`]: zlib.gzipSync(`<urlset>
+      <url><loc>${baseUrl}/install</loc><lastmod>2025-10-01T00:00:00Z</lastmod></url>
+    </urlset>`)
+  });
+
+  /** @type {string[]} */
+  const errors = [];
+  const entries = await collectSitemapEntries([`${origin}/sitemap-index.xml`], fetcher, {
+    onError: (url) => errors.push(url)
+  });
+
+  assert.deepStrictEqual(Array.from(entries), [[`${baseUrl}/install`, '2025-10-01T00:00:00Z']]);
+  assert.deepStrictEqual(errors, [`${origin}/missing.xml`]);
+});
+
+test('Crawler - seeds in-scope, allowed sitemap URLs with lastmod', async () => {
+  const crawler = new SitefinityCrawler({
+    outputDir: './test-output',
+    userAgent,
+    fetcher: fakeFetcher({
+      [`${origin}/robots.txt`]: robotsTxt,
+      [`${origin}/sitemap-index.xml`]: `<urlset>
+        <url><loc>${baseUrl}/older</loc><lastmod>2024-01-01</lastmod></url>
+        <url><loc>${baseUrl}/newer</loc><lastmod>2025-06-01</lastmod></url>
+        <url><loc>${baseUrl}/drafts/wip</loc></url>
+        <url><loc>${origin}/products/other</loc></url>
+      </urlset>`
+    })
+  });
+
+  await crawler.loadRobots();
+  const seeds = await crawler.seedFromSitemaps();
+
+  assert.deepStrictEqual(seeds, [`${baseUrl}/newer`, `${baseUrl}/older`], 'Newest first, out-of-scope and disallowed dropped');
+  assert.strictEqual(crawler.isUnchangedPerSitemap(`${baseUrl}/older`, '2024-02-01T00:00:00Z'), true);
+  assert.strictEqual(crawler.isUnchangedPerSitemap(`${baseUrl}/newer`, '2024-02-01T00:00:00Z'), false);
+
+  crawler.enqueue([`${baseUrl}/drafts/other`, `${baseUrl}/install`]);
+  assert.deepStrictEqual(Array.from(crawler.urlQueue), [`${baseUrl}/install`], 'Disallowed links are not queued');
+});
@@ -0,0 +1,115 @@
+/**
+ * Test the offline search index and the search command
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createTurndownService, markdownDocumentBody, savePageContent } from '../src/crawler.mjs';
+import { buildSearchIndex, loadSearchIndex, makeSnippet, searchIndex, tokenize } from '../src/search.mjs';
+import { main, EXIT_CODES } from '../src/cli.mjs';
+
+const baseUrl = 'https://www.progress.com/documentation/sitefinity-cms';
+
+/**
+ * Save a few pages into a temporary output directory
+ * @returns {string} Output directory
+ */
+function createCorpus() {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-test-'));
+  const progressDir = path.join(outputDir, 'progress');
+  fs.mkdirSync(progressDir);
+  const turndownService = createTurndownService();
+
+  /**
+   * @param {string} slug - Page path
+   * @param {string} title - Page title and heading
+   * @param {string} html - Cleaned HTML
+   */
+  const save = (slug, title, html) => savePageContent(
+    { url: `${baseUrl}/${slug}`, title, heading: title, text: '', html },
+    progressDir,
+    turndownService,
+    []
+  );
+
+  save('configure-ssl', 'Configure SSL', [
+    '<h1>Configure SSL</h1><p>Secure the site with HTTPS.</p>',
+    '<h2 id="iis-bindings">IIS bindings</h2><p>Add an HTTPS binding with the certificate in IIS.</p>'
+  ].join(''));
+  save('install', 'Install Sitefinity', [
+    '<h1>Install Sitefinity</h1><p>Run the installer. An SSL certificate is optional for local development.</p>',
+    '<h2 id="database">Database</h2><p>Create the SQL Server database.</p>'
+  ].join(''));
+  save('upgrade', 'Upgrade', '<h1>Upgrade</h1><p>Back up the database before you upgrade.</p>');
+
+  return outputDir;
+}
+
+test('Search - tokenizer drops stopwords and link targets', () => {
+  assert.deepStrictEqual(
+    tokenize('How to [configure](https://example.com/ssl-setup) the IIS 10 site'),
+    ['configure', 'iis', '10', 'site']
+  );
+  assert.strictEqual(markdownDocumentBody('# Title\n\n**URL:** x\n\n---\n\nBody'), '\nBody');
+});
+
+test('Search - BM25 ranks title and heading matches first with section anchors', () => {
+  const outputDir = createCorpus();
+  const index = buildSearchIndex(outputDir);
+
+  assert.strictEqual(index.pages, 3);
+  assert.deepStrictEqual(
+    index.sections.map(section => [section.url.slice(baseUrl.length), section.anchor]),
+    [['/configure-ssl', ''], ['/configure-ssl', 'iis-bindings'], ['/install', ''], ['/install', 'database'], ['/upgrade', '']]
+  );
+
+  const results = searchIndex(index, 'SSL certificate');
+  assert.deepStrictEqual(results.map(page => page.url), [`${baseUrl}/configure-ssl`, `${baseUrl}/install`]);
+  assert.strictEqual(results[0].title, 'Configure SSL');
+  assert.ok(results[0].score > results[1].score);
+
+  const iisResults = searchIndex(index, 'iis bindings');
+  assert.strictEqual(iisResults[0].sections[0].url, `${baseUrl}/configure-ssl#iis-bindings`);
+  assert.deepStrictEqual(iisResults[0].sections[0].headingPath, ['Configure SSL', 'IIS bindings']);
+  assert.match(iisResults[0].sections[0].snippet, /\*\*IIS\*\*/);
+
+  assert.deepStrictEqual(searchIndex(index, 'database', { limit: 1 }).map(page => page.url).length, 1);
+  assert.deepStrictEqual(searchIndex(index, 'kubernetes'), []);
+});
+
+test('Search - snippets are cut around the first match', () => {
+  const text = `${'filler '.repeat(60)}Enable the output cache for pages. ${'tail '.repeat(60)}`;
+  const snippet = makeSnippet(text, ['cache'], 80);
+
+  assert.ok(snippet.startsWith('…') && snippet.endsWith('…'));
+  assert.match(snippet, /output \*\*cache\*\* for/);
+});
+
+test('Search - index and search commands', async () => {
+  const outputDir = createCorpus();
+  const originalLog = console.log;
+  /** @type {string[]} */
+  const lines = [];
+  console.log = (/** @type {any[]} */ ...args) => { lines.push(args.join(' ')); };
+
+  try {
+    assert.strictEqual(await main(['search', '--output-dir', outputDir]), EXIT_CODES.USAGE);
+
+    // search builds a missing index on first use
+    assert.strictEqual(await main(['search', 'upgrade', 'database', '--json', '--output-dir', outputDir]), EXIT_CODES.OK);
+    assert.ok(loadSearchIndex(outputDir));
+    const results = JSON.parse(lines.join('\n'));
+    assert.strictEqual(results[0].url, `${baseUrl}/upgrade`);
+
+    assert.strictEqual(await main(['index', '--output-dir', outputDir]), EXIT_CODES.OK);
+    assert.strictEqual(
+      await main(['index', '--output-dir', path.join(outputDir, 'missing')]),
+      EXIT_CODES.FAILURE
+    );
+  } finally {
+    console.log = originalLog;
+  }
+});
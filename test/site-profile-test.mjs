@@ -0,0 +1,98 @@
+/**
+ * Test site profiles for other Progress/Telerik documentation portals
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SitefinityCrawler, urlToFilename } from '../src/crawler.mjs';
+import { DEFAULT_PROFILE, extractVersion, getCanonicalUrl, loadProfiles, resolveProfile, selectProfiles } from '../src/profiles.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const profilesFile = path.join(__dirname, '..', 'site-profiles.json');
+
+test('Site profiles - resolveProfile() fills defaults from baseUrl', () => {
+  const profile = resolveProfile({ name: 'docs', baseUrl: 'https://docs.example.com/devtools/widgets/' });
+
+  assert.strictEqual(profile.baseUrl, 'https://docs.example.com/devtools/widgets');
+  assert.strictEqual(profile.scope, '/devtools/widgets');
+  assert.strictEqual(profile.versionPattern, null);
+  assert.strictEqual(profile.outputDir, './output/docs');
+  assert.strictEqual(profile.title, 'docs Documentation');
+});
+
+test('Site profiles - resolveProfile() requires baseUrl', () => {
+  assert.throws(() => resolveProfile({ name: 'broken' }), /missing baseUrl/);
+});
+
+test('Site profiles - loadProfiles() reads the repository profile file', () => {
+  const profiles = loadProfiles(profilesFile);
+
+  assert.ok(profiles.has('sitefinity-cms'));
+  assert.ok(profiles.has('sitefinity-insight'));
+  assert.ok(profiles.has('telerik-aspnet-ajax'));
+  assert.strictEqual(profiles.get('sitefinity-cms')?.baseUrl, DEFAULT_PROFILE.baseUrl);
+  assert.strictEqual(profiles.get('sitefinity-cms')?.outputDir, DEFAULT_PROFILE.outputDir);
+
+  // No profile writes into another profile's output tree
+  const outputDirs = Array.from(profiles.values(), profile => path.normalize(profile.outputDir));
+  for (const outputDir of outputDirs) {
+    assert.ok(!outputDirs.some(other => other !== outputDir && outputDir.startsWith(other + path.sep)), `${outputDir} is not nested`);
+  }
+});
+
+test('Site profiles - selectProfiles() rejects unknown names', () => {
+  assert.throws(() => selectProfiles(['no-such-site'], profilesFile), /Unknown site profile "no-such-site"/);
+});
+
+test('Site profiles - crawler scopes URLs to the profile', () => {
+  const [profile] = selectProfiles(['telerik-aspnet-ajax'], profilesFile);
+  const crawler = new SitefinityCrawler({ outputDir: './test-output', maxPages: 5, profile });
+  const pageUrl = 'https://docs.telerik.com/devtools/aspnet-ajax/controls/grid/overview';
+
+  assert.strictEqual(crawler.baseUrl, 'https://docs.telerik.com/devtools/aspnet-ajax');
+  assert.strictEqual(crawler.selectors.documentationLinks, 'a[href*="/devtools/aspnet-ajax"]');
+  assert.strictEqual(crawler.extractVersion(pageUrl), null, 'Unversioned profile never reports a version');
+  assert.strictEqual(crawler.getCanonicalUrl(pageUrl), pageUrl);
+  assert.strictEqual(urlToFilename(pageUrl, crawler.scope), 'controls_grid_overview.json');
+
+  const links = crawler.extractLinksFromHtml(
+    '<a href="/devtools/aspnet-ajax/controls/grid/columns">Columns</a>' +
+    '<a href="https://www.progress.com/documentation/sitefinity-cms/install">Other site</a>',
+    pageUrl
+  );
+  assert.deepStrictEqual(links, ['https://docs.telerik.com/devtools/aspnet-ajax/controls/grid/columns']);
+});
+
+test('Site profiles - version pattern follows the profile scope', () => {
+  const profile = resolveProfile({
+    name: 'insight',
+    baseUrl: 'https://www.progress.com/documentation/sitefinity-insight',
+    versionPattern: '\\d+'
+  });
+  const crawler = new SitefinityCrawler({ outputDir: './test-output', maxPages: 5, profile });
+
+  assert.strictEqual(crawler.extractVersion('https://www.progress.com/documentation/sitefinity-insight/150/setup'), '150');
+  assert.strictEqual(
+    crawler.normalizeUrl('https://www.progress.com/documentation/sitefinity-insight/150/setup'),
+    'https://www.progress.com/documentation/sitefinity-insight/setup'
+  );
+  assert.strictEqual(
+    crawler.extractVersion('https://www.progress.com/documentation/sitefinity-cms/152/setup'),
+    null,
+    'Versions under another scope are ignored'
+  );
+});
+
+test('Site profiles - extractVersion() and getCanonicalUrl() work without a crawler', () => {
+  const url = `${DEFAULT_PROFILE.baseUrl}/152/install-sitefinity`;
+  assert.strictEqual(extractVersion(url, DEFAULT_PROFILE), '152');
+  assert.strictEqual(getCanonicalUrl(url, DEFAULT_PROFILE), `${DEFAULT_PROFILE.baseUrl}/install-sitefinity`);
+  assert.strictEqual(getCanonicalUrl(`${DEFAULT_PROFILE.baseUrl}/install-sitefinity`, DEFAULT_PROFILE), `${DEFAULT_PROFILE.baseUrl}/install-sitefinity`);
+
+  const unversioned = { ...DEFAULT_PROFILE, versionPattern: null };
+  assert.strictEqual(extractVersion(url, unversioned), null);
+  assert.strictEqual(getCanonicalUrl(url, unversioned), url, 'Unversioned sites keep every URL as is');
+});
@@ -0,0 +1,108 @@
+/**
+ * Test the breadcrumb hierarchy tree and the TOC-ordered llms-full.txt
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildTocTree, renderToc } from '../src/toc.mjs';
+import { buildLlmsFullFromDocuments, contentToMarkdown, createTurndownService, savePageContent } from '../src/crawler.mjs';
+import { regenerateMarkdown } from '../src/regenerate.mjs';
+
+const baseUrl = 'https://www.progress.com/documentation/sitefinity-cms';
+
+/** @type {{slug: string, title: string, breadcrumb: string[]}[]} */
+const PAGES = [
+  { slug: 'upgrade', title: 'Upgrade', breadcrumb: ['Home', 'Setup', 'Upgrade'] },
+  { slug: 'widgets', title: 'Widgets', breadcrumb: ['Home', 'Development', 'Widgets'] },
+  { slug: 'setup', title: 'Setup', breadcrumb: ['Home', 'Setup'] },
+  { slug: 'install', title: 'Install', breadcrumb: ['Home', 'Setup', 'Install'] },
+  { slug: 'iis', title: 'Configure IIS', breadcrumb: ['Home', 'Setup', 'Install', 'Configure IIS'] }
+];
+
+test('TOC - tree built from breadcrumbs', () => {
+  const tree = buildTocTree('Docs', PAGES.map(page => ({ title: page.title, url: `${baseUrl}/${page.slug}`, breadcrumb: page.breadcrumb })));
+
+  assert.strictEqual(tree.pages, 5);
+  assert.strictEqual(renderToc(tree), [
+    '- Development',
+    `  - [Widgets](${baseUrl}/widgets)`,
+    `- [Setup](${baseUrl}/setup)`,
+    `  - [Install](${baseUrl}/install)`,
+    `    - [Configure IIS](${baseUrl}/iis)`,
+    `  - [Upgrade](${baseUrl}/upgrade)`
+  ].join('\n'));
+  assert.strictEqual(tree.children[0].url, null, 'Sections without a crawled page have no URL');
+});
+
+test('TOC - pages without breadcrumb sit at the top level', () => {
+  const tree = buildTocTree('Docs', [
+    { title: 'Release notes', url: `${baseUrl}/notes`, breadcrumb: [] },
+    { title: 'Release notes', url: `${baseUrl}/notes`, breadcrumb: [] }
+  ]);
+
+  assert.strictEqual(tree.pages, 1, 'Duplicate URLs are listed once');
+  assert.deepStrictEqual(tree.children, [{ title: 'Release notes', url: `${baseUrl}/notes`, children: [] }]);
+});
+
+test('TOC - llms-full.txt ordered depth-first with section separators', () => {
+  const turndownService = createTurndownService();
+  const docs = PAGES.map(page => contentToMarkdown({
+    url: `${baseUrl}/${page.slug}`,
+    title: page.title,
+    heading: page.title,
+    text: '',
+    html: `<p>About ${page.title}.</p>`,
+    breadcrumb: page.breadcrumb
+  }, turndownService));
+
+  const { content, toc } = buildLlmsFullFromDocuments(docs, 'Docs', { 'Total Pages': docs.length });
+
+  assert.strictEqual(toc.pages, 5);
+  assert.match(content, /## Table of Contents\n\n- Development\n/);
+  const order = Array.from(content.split('\n---\n').slice(1).join('\n').matchAll(/^# (.+)$/gm), match => match[1]);
+  assert.deepStrictEqual(order, [
+    'Section: Development',
+    'Widgets',
+    'Section: Setup',
+    'Setup',
+    'Section: Setup > Install',
+    'Install',
+    'Configure IIS',
+    'Upgrade'
+  ]);
+});
+
+test('TOC - regenerate writes toc.json and the same ordering', async () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'toc-test-'));
+  const progressDir = path.join(outputDir, 'progress');
+  fs.mkdirSync(progressDir);
+  const turndownService = createTurndownService();
+  for (const page of PAGES) {
+    savePageContent({
+      url: `${baseUrl}/${page.slug}`,
+      title: page.title,
+      heading: page.title,
+      text: '',
+      html: `<p>About ${page.title}.</p>`,
+      breadcrumb: page.breadcrumb
+    }, progressDir, turndownService, []);
+  }
+
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    await regenerateMarkdown({ outputDir, title: 'Docs' });
+  } finally {
+    console.log = originalLog;
+  }
+
+  const toc = JSON.parse(fs.readFileSync(path.join(outputDir, 'toc.json'), 'utf-8'));
+  assert.deepStrictEqual(toc.children.map((/** @type {{title: string}} */ node) => node.title), ['Development', 'Setup']);
+
+  const content = fs.readFileSync(path.join(outputDir, 'llms-full.txt'), 'utf-8');
+  assert.ok(content.indexOf('# Install') < content.indexOf('# Configure IIS'));
+  assert.ok(content.indexOf('# Configure IIS') < content.indexOf('# Upgrade'));
+});
@@ -0,0 +1,79 @@
+/**
+ * Test the documentation Turndown rules: GFM tables, code languages, admonitions and definition lists
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { createTurndownService, htmlToMarkdown } from '../src/crawler.mjs';
+
+const turndownService = createTurndownService();
+
+/**
+ * Convert an HTML fragment with the crawler's Turndown service
+ * @param {string} html - HTML fragment
+ * @returns {string}
+ */
+function convert(html) {
+  return htmlToMarkdown(html, turndownService);
+}
+
+test('Turndown rules - GFM tables with inline code, nested lists and colspans', () => {
+  const markdown = convert([
+    '<table><thead><tr><th>Option</th><th style="text-align: right">Default</th><th>Values</th></tr></thead>',
+    '<tbody><tr><td><code>mode|type</code></td><td>1</td>',
+    '<td><p>One of:</p><ul><li>Lazy<ul><li>Per request</li></ul></li><li>Eager</li></ul></td></tr>',
+    '<tr><td colspan="2">Spans two columns</td><td>x</td></tr>',
+    '<tr><td>Short row</td></tr></tbody></table>'
+  ].join(''));
+
+  assert.strictEqual(markdown, [
+    '| Option | Default | Values |',
+    '| --- | ---: | --- |',
+    '| `mode\\|type` | 1 | One of:<br>- Lazy<br>&nbsp;&nbsp;- Per request<br>- Eager |',
+    '| Spans two columns |  | x |',
+    '| Short row |  |  |'
+  ].join('\n'));
+
+  assert.strictEqual(convert('<table><tr><td><p>Layout box</p></td></tr></table>'), 'Layout box', 'Single-cell tables are unwrapped');
+  assert.match(convert('<table><tr><td><table><tr><td>a</td></tr></table></td><td>b</td></tr></table>'), /^<table>/, 'Nested tables stay HTML');
+});
+
+test('Turndown rules - code block languages from highlighter markup', () => {
+  const cases = [
+    ['<pre><code class="language-csharp">var x = 1;</code></pre>', 'csharp'],
+    ['<pre class="language-js line-numbers"><code>let y;</code></pre>', 'javascript'],
+    ['<pre class="prettyprint lang-cs">var z;</pre>', 'csharp'],
+    ['<pre><code class="hljs ps1">Get-Item</code></pre>', 'powershell'],
+    ['<pre data-language="sql"><code>SELECT 1</code></pre>', 'sql'],
+    ['<pre class="brush: xml; gutter: false">&lt;config /&gt;</pre>', 'xml'],
+    ['<pre><code class="language-none">plain</code></pre>', '']
+  ];
+
+  for (const [html, language] of cases) {
+    assert.match(convert(html), new RegExp(`^\`\`\`${language}\\n`), html);
+  }
+  assert.strictEqual(
+    convert('<pre><code class="language-markdown">```js\ncode\n```</code></pre>'),
+    '````markdown\n```js\ncode\n```\n````',
+    'Fences inside the code get a longer fence'
+  );
+});
+
+test('Turndown rules - callout boxes become admonitions', () => {
+  assert.strictEqual(
+    convert('<div class="alert alert-warning"><strong>Warning:</strong> Back up the database.<p>Then upgrade.</p></div>'),
+    '> [!WARNING]\n> Back up the database.\n>\n> Then upgrade.'
+  );
+  assert.strictEqual(convert('<div class="note"><p><strong>NOTE</strong>: Requires a license.</p></div>'), '> [!NOTE]\n> Requires a license.');
+  assert.strictEqual(convert('<aside class="callout"><p>Important: Restart the site.</p></aside>'), '> [!IMPORTANT]\n> Restart the site.');
+  assert.strictEqual(convert('<blockquote><p>Tip: Use the cache.</p></blockquote>'), '> [!TIP]\n> Use the cache.');
+  assert.strictEqual(convert('<blockquote><p>Just a quote</p></blockquote>'), '> Just a quote');
+  assert.strictEqual(convert('<div class="footnote">Not a callout</div>'), 'Not a callout');
+});
+
+test('Turndown rules - definition lists', () => {
+  assert.strictEqual(
+    convert('<p>Terms:</p><dl><dt>Page</dt><dd>A node in the sitemap</dd><dd>Also a URL</dd><dt><strong>Widget</strong></dt><dd>Reusable <em>component</em></dd></dl>'),
+    'Terms:\n\n**Page**\n: A node in the sitemap\n: Also a URL\n\n**Widget**\n: Reusable _component_'
+  );
+});
@@ -0,0 +1,110 @@
+/**
+ * Test multi-version crawl mode and version-to-version diffs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SitefinityCrawler, createTurndownService, savePageContent } from '../src/crawler.mjs';
+import { resolveProfile } from '../src/profiles.mjs';
+import { writeVersionDiff } from '../src/versions.mjs';
+import { main, EXIT_CODES } from '../src/cli.mjs';
+
+const baseUrl = 'https://www.progress.com/documentation/sitefinity-cms';
+
+test('Versions - pinned crawl maps links onto its version', () => {
+  const crawler = new SitefinityCrawler({ outputDir: './test-output', version: '143' });
+
+  assert.strictEqual(crawler.baseUrl, `${baseUrl}/143`);
+  assert.strictEqual(crawler.useSitemap, false, 'Sitemaps list latest pages only');
+  assert.strictEqual(crawler.pinToVersion(`${baseUrl}/install`), `${baseUrl}/143/install`);
+  assert.strictEqual(crawler.pinToVersion(`${baseUrl}/143/install`), `${baseUrl}/143/install`);
+  assert.strictEqual(crawler.pinToVersion(`${baseUrl}/143`), `${baseUrl}/143`, 'Version root');
+  assert.strictEqual(crawler.pinToVersion(`${baseUrl}/152/install`), null, 'Other versions are dropped');
+  assert.strictEqual(crawler.pinToVersion(`${baseUrl}`), `${baseUrl}/143`);
+
+  crawler.enqueue([`${baseUrl}/install`, `${baseUrl}/152/upgrade`, `${baseUrl}/143/upgrade`]);
+  assert.deepStrictEqual(Array.from(crawler.urlQueue), [`${baseUrl}/143/install`, `${baseUrl}/143/upgrade`]);
+});
+
+test('Versions - unpinned crawl and unversioned profiles', () => {
+  const crawler = new SitefinityCrawler({ outputDir: './test-output' });
+  assert.strictEqual(crawler.pinToVersion(`${baseUrl}/152/install`), `${baseUrl}/152/install`);
+
+  const profile = resolveProfile({ name: 'insight', baseUrl: 'https://www.progress.com/documentation/sitefinity-insight' });
+  assert.throws(() => new SitefinityCrawler({ profile, version: '152' }), /has no versionPattern/);
+});
+
+test('Versions - diff keyed by canonical URL ignores version segments in links', () => {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'versions-test-'));
+  const turndownService = createTurndownService();
+  const crawler = new SitefinityCrawler({ outputDir: rootDir });
+  const getCanonicalUrl = (/** @type {string} */ url) => crawler.getCanonicalUrl(url);
+
+  /**
+   * @param {string} version - Version segment
+   * @param {string} slug - Page path below the version
+   * @param {string} html - Cleaned HTML
+   */
+  const save = (version, slug, html) => {
+    const progressDir = path.join(rootDir, 'versions', version, 'progress');
+    fs.mkdirSync(progressDir, { recursive: true });
+    savePageContent(
+      { url: `${baseUrl}/${version}/${slug}`, title: slug, heading: slug, text: '', html },
+      progressDir,
+      turndownService,
+      []
+    );
+  };
+
+  save('143', 'install', `<p>Run the installer. See <a href="${baseUrl}/143/upgrade">upgrade</a>.</p>`);
+  save('152', 'install', `<p>Run the installer. See <a href="${baseUrl}/152/upgrade">upgrade</a>.</p>`);
+  save('143', 'upgrade', '<p>Upgrade from 13.3</p>');
+  save('152', 'upgrade', '<p>Upgrade from 14.4</p>');
+  save('143', 'legacy-widgets', '<p>Web Forms widgets</p>');
+  save('152', 'renderer', '<p>ASP.NET Core renderer</p>');
+
+  const { report, jsonPath, markdownPath } = writeVersionDiff(rootDir, '143', '152', {
+    title: 'Sitefinity CMS Documentation',
+    getCanonicalUrl
+  });
+
+  assert.deepStrictEqual(report.counts, { added: 1, removed: 1, changed: 1, unchanged: 1 });
+  assert.deepStrictEqual(report.pages.map(page => [page.status, page.canonicalUrl]), [
+    ['removed', `${baseUrl}/legacy-widgets`],
+    ['added', `${baseUrl}/renderer`],
+    ['changed', `${baseUrl}/upgrade`]
+  ]);
+
+  const upgrade = report.pages[2];
+  assert.strictEqual(upgrade.fromUrl, `${baseUrl}/143/upgrade`);
+  assert.strictEqual(upgrade.toUrl, `${baseUrl}/152/upgrade`);
+  assert.match(upgrade.diff || '', /^-Upgrade from 13\.3$/m);
+  assert.match(upgrade.diff || '', /^\+Upgrade from 14\.4$/m);
+
+  assert.ok(fs.existsSync(jsonPath));
+  assert.match(fs.readFileSync(markdownPath, 'utf-8'), /# Sitefinity CMS Documentation: 143 → 152/);
+  assert.throws(() => writeVersionDiff(rootDir, '143', '133', { title: '', getCanonicalUrl }), /Version 133 has not been crawled/);
+});
+
+test('Versions - version-diff command', async () => {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'versions-cli-test-'));
+  for (const version of ['143', '152']) {
+    fs.mkdirSync(path.join(rootDir, 'versions', version, 'progress'), { recursive: true });
+  }
+
+  assert.strictEqual(await main(['version-diff', '143']), EXIT_CODES.USAGE);
+  assert.strictEqual(await main(['version-diff', '143', '152', '--output-dir', rootDir]), EXIT_CODES.OK);
+  assert.ok(fs.existsSync(path.join(rootDir, 'versions', 'diffs', '143-152.md')));
+  assert.strictEqual(await main(['version-diff', '133', '152', '--output-dir', rootDir]), EXIT_CODES.FAILURE);
+
+  const profilesFile = path.join(rootDir, 'profiles.json');
+  fs.writeFileSync(profilesFile, JSON.stringify({ profiles: { flat: { baseUrl: 'https://docs.example.com/flat' } } }));
+  assert.strictEqual(
+    await main(['crawl', '--versions', '152', '--profile', 'flat', '--profiles-file', profilesFile]),
+    EXIT_CODES.USAGE,
+    'Unversioned profiles cannot be crawled per version'
+  );
+});
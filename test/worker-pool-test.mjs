@@ -0,0 +1,162 @@
+/**
+ * Test the queue-driven worker pool in processQueue(), with stubbed pages and on
+ * concurrent crawls of the local fixture site
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { SitefinityCrawler } from '../src/crawler.mjs';
+import { startFixtureSite } from './fixtures/fixture-site.mjs';
+import { createDomBrowser } from './fixtures/dom-browser.mjs';
+import { createFixtureCrawler, removeOutputDirs } from './fixtures/fixture-crawler.mjs';
+
+const baseUrl = 'https://www.progress.com/documentation/sitefinity-cms';
+
+/**
+ * Replace crawlPage with a fake that records concurrency and queues child links
+ * @param {SitefinityCrawler} crawler - Crawler under test
+ * @param {Record<string, string[]>} links - Links found on each page
+ * @returns {{maxInFlight: number, crawled: string[]}}
+ */
+function stubCrawlPage(crawler, links) {
+  const stats = { maxInFlight: 0, crawled: /** @type {string[]} */ ([]) };
+  let inFlight = 0;
+
+  crawler.crawlPage = async (url) => {
+    if (crawler.visited.has(url) || crawler.pageCount >= crawler.maxPages) {
+      return;
+    }
+    crawler.visited.add(url);
+    crawler.pageCount++;
+    inFlight++;
+    stats.maxInFlight = Math.max(stats.maxInFlight, inFlight);
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+    stats.crawled.push(url);
+    crawler.enqueue(links[url] || []);
+    inFlight--;
+  };
+
+  return stats;
+}
+
+test('Worker pool - crawls every reachable page with bounded concurrency', async () => {
+  const crawler = new SitefinityCrawler({ outputDir: './test-output', maxPages: Infinity, concurrency: 3 });
+  const children = Array.from({ length: 10 }, (_, i) => `${baseUrl}/page-${i}`);
+  const stats = stubCrawlPage(crawler, {
+    [baseUrl]: children,
+    [children[0]]: [baseUrl, `${baseUrl}/deep`]
+  });
+
+  crawler.enqueue([baseUrl]);
+  await crawler.processQueue();
+
+  assert.strictEqual(stats.crawled.length, 12, 'Should crawl base, 10 children and the deep page');
+  assert.strictEqual(new Set(stats.crawled).size, stats.crawled.length, 'Should never crawl a page twice');
+  assert.strictEqual(stats.maxInFlight, 3, 'Should run exactly `concurrency` pages at once');
+  assert.strictEqual(crawler.urlQueue.size, 0, 'Queue should be drained');
+});
+
+test('Worker pool - stops scheduling at maxPages', async () => {
+  const crawler = new SitefinityCrawler({ outputDir: './test-output', maxPages: 4, concurrency: 8 });
+  const children = Array.from({ length: 10 }, (_, i) => `${baseUrl}/page-${i}`);
+  const stats = stubCrawlPage(crawler, { [baseUrl]: children });
+
+  crawler.enqueue([baseUrl]);
+  await crawler.processQueue();
+
+  assert.strictEqual(stats.crawled.length, 4, 'Should crawl exactly maxPages pages');
+  assert.strictEqual(crawler.pageCount, 4, 'pageCount should not exceed maxPages');
+});
+
+test('Worker pool - a failing page does not stop the other workers', async () => {
+  const crawler = new SitefinityCrawler({ outputDir: './test-output', maxPages: Infinity, concurrency: 2 });
+  /** @type {string[]} */
+  const crawled = [];
+
+  crawler.crawlPage = async (url) => {
+    crawled.push(url);
+    if (url === baseUrl) {
+      crawler.enqueue([`${baseUrl}/a`, `${baseUrl}/b`]);
+      return;
+    }
+    if (url.endsWith('/a')) {
+      throw new Error('boom');
+    }
+  };
+
+  crawler.enqueue([baseUrl]);
+  await crawler.processQueue();
+
+  assert.deepStrictEqual(crawled.sort(), [baseUrl, `${baseUrl}/a`, `${baseUrl}/b`].sort());
+});
+
+/**
+ * Count the pages open at the same time in a browser's contexts
+ * @param {import('playwright').Browser} browser - Browser to watch
+ * @returns {{open: number, maxOpen: number}}
+ */
+function countOpenPages(browser) {
+  const stats = { open: 0, maxOpen: 0 };
+  const newContext = browser.newContext.bind(browser);
+
+  browser.newContext = async (options) => {
+    const context = await newContext(options);
+    const newPage = context.newPage.bind(context);
+    context.newPage = async () => {
+      const page = await newPage();
+      stats.open++;
+      stats.maxOpen = Math.max(stats.maxOpen, stats.open);
+      const close = page.close.bind(page);
+      page.close = async (options) => {
+        stats.open--;
+        await close(options);
+      };
+      return page;
+    };
+    return context;
+  };
+
+  return stats;
+}
+
+test('Worker pool - concurrent workers on the fixture site save every page once', async () => {
+  const site = await startFixtureSite();
+  try {
+    const browser = createDomBrowser();
+    const pages = countOpenPages(browser);
+    const crawler = createFixtureCrawler(site.baseUrl, { browser, concurrency: 3 });
+    /** @type {string[]} */
+    const saved = [];
+    crawler.on('pageSaved', event => saved.push(event.filename));
+    await crawler.run();
+
+    assert.deepStrictEqual(saved.slice().sort(), Array.from(new Set(saved)).sort(), 'No page is saved twice, not even a redirect target reached by two workers');
+    assert.strictEqual(saved.length, 5);
+    assert.ok(saved.includes('set-up-the-project.json'));
+    assert.ok(pages.maxOpen > 1, 'Pages are loaded in parallel');
+    assert.ok(pages.maxOpen <= 3, `At most 3 pages open at once, canonical checks included (saw ${pages.maxOpen})`);
+    assert.strictEqual(pages.open, 0);
+  } finally {
+    await site.close();
+    removeOutputDirs();
+  }
+});
+
+test('Worker pool - concurrent workers on the fixture site stay within maxPages', async () => {
+  const site = await startFixtureSite();
+  try {
+    const crawler = createFixtureCrawler(site.baseUrl, { maxPages: 2, concurrency: 4 });
+    /** @type {string[]} */
+    const fetched = [];
+    crawler.on('pageFetched', event => fetched.push(event.url));
+    await crawler.run();
+
+    assert.strictEqual(crawler.pageCount, 2);
+    assert.ok(fetched.length <= 2, `At most maxPages pages are fetched (fetched ${fetched.join(', ')})`);
+    assert.ok(crawler.changeCounts.new <= 2);
+  } finally {
+    await site.close();
+    removeOutputDirs();
+  }
+});
@@ -0,0 +1,6 @@
+// @mixmark-io/domino ships its declarations under the unscoped 'domino' module name
+declare module '@mixmark-io/domino' {
+  import * as domino from 'domino';
+  export * from 'domino';
+  export default domino;
+}